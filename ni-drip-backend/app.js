@@ -12,6 +12,16 @@ require("dotenv").config();
 const {
   securityMiddleware,
 } = require("./middlewares/security-middleware/security.middleware");
+const {
+  startScheduler,
+  stopScheduler,
+} = require("./services/scheduler-service/scheduler.service");
+const {
+  assertPaymentConfig,
+} = require("./services/payment-service/payment.service");
+
+// Refuse to start with an unsafe card payment configuration (when enabled)
+assertPaymentConfig();
 
 const app = express();
 
@@ -24,7 +34,20 @@ securityMiddleware(app);
 // Core Middlewares
 // ==================================================
 app.use(cookieParser());
-app.use(express.json({ limit: "20kb" }));
+app.use(
+  express.json({
+    limit: "20kb",
+    // Keep the raw bytes for payment / carrier webhook signature verification
+    verify: (req, res, buf) => {
+      if (
+        req.originalUrl.startsWith("/api/payment/webhook") ||
+        req.originalUrl.startsWith("/api/shipment/webhook")
+      ) {
+        req.rawBody = buf;
+      }
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: true, limit: "20kb" }));
 
 // Logging only in development
@@ -58,6 +81,7 @@ app.get("/api/health", (req, res) => {
 const superAdminRoute = require("./routes/super-admin-route/super-admin.route");
 const sharedPasswordResetRoute = require("./routes/shared-route/shared-password.reset.route");
 const productRoute = require("./routes/product-route/product.route");
+const categoryRoute = require("./routes/category-route/category.route");
 const userRoute = require("./routes/user-route/user.route");
 const cartRoute = require("./routes/cart-route/cart.route");
 const favoriteRoute = require("./routes/favorite-route/favorite.route");
@@ -65,6 +89,12 @@ const ratingRoute = require("./routes/rating-route/rating.route");
 const reviewRoute = require("./routes/review-route/review.route");
 const supportRoute = require("./routes/support-route/support.route");
 const orderRoute = require("./routes/order-route/order.route");
+const returnRoute = require("./routes/return-route/return.route");
+const paymentRoute = require("./routes/payment-route/payment.route");
+const couponRoute = require("./routes/coupon-route/coupon.route");
+const shippingRoute = require("./routes/shipping-route/shipping.route");
+const taxRoute = require("./routes/tax-route/tax.route");
+const shipmentRoute = require("./routes/shipment-route/shipment.route");
 
 // ==================================================
 // API Routes
@@ -72,6 +102,7 @@ const orderRoute = require("./routes/order-route/order.route");
 app.use("/api/super-admin", superAdminRoute);
 app.use("/api/auth", sharedPasswordResetRoute);
 app.use("/api/product", productRoute);
+app.use("/api/category", categoryRoute);
 app.use("/api/user", userRoute);
 app.use("/api/cart", cartRoute);
 app.use("/api/favorite", favoriteRoute);
@@ -79,6 +110,12 @@ app.use("/api/rating", ratingRoute);
 app.use("/api/review", reviewRoute);
 app.use("/api/support", supportRoute);
 app.use("/api/order", orderRoute);
+app.use("/api/return", returnRoute);
+app.use("/api/payment", paymentRoute);
+app.use("/api/coupon", couponRoute);
+app.use("/api/shipping", shippingRoute);
+app.use("/api/tax", taxRoute);
+app.use("/api/shipment", shipmentRoute);
 
 // ==================================================
 // MongoDB Connection + Server Start
@@ -92,6 +129,7 @@ mongoose
   })
   .then(() => {
     console.log("Connected to MongoDB Successfully");
+    startScheduler();
     app.listen(PORT, () => {
       console.log(`NiDrip API Running Securely on PORT ${PORT}`);
     });
@@ -109,6 +147,7 @@ process.on("SIGTERM", gracefulShutdown);
 
 function gracefulShutdown() {
   console.log("\nGraceful shutdown initiated...");
+  stopScheduler();
   mongoose.connection.close(false, () => {
     console.log("MongoDB connection closed.");
     process.exit(0);
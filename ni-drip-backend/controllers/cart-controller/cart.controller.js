@@ -3,29 +3,37 @@
  * @module controllers/cartController
  * @description Handles add/remove/update/clear operations using separate Cart collection
  *              with sync to User.cart array for fast profile reads.
+ *              Visitors who have not signed in use the guest-cart handlers, which
+ *              identify the cart by the `X-Guest-Token` header.
  */
 
 const Cart = require("../../models/cart-model/cart.model");
 const User = require("../../models/user-model/user.model");
 const Product = require("../../models/product-model/product.model");
-
-/**
- * Helper: Sync Cart collection → User.cart array
- * @param {string} userId
- */
-const syncUserCart = async (userId) => {
-  const cartItems = await Cart.find({ userId }).populate("productId");
-  await User.findByIdAndUpdate(userId, { cart: cartItems }, { new: true });
-};
+const { syncUserCart } = require("../../helpers/cart-helper/cart-sync.helper");
+const {
+  getOffer,
+  requireOffer,
+} = require("../../helpers/product-helper/variant.helper");
+const {
+  CART_PRODUCT_FIELDS,
+  validateCart,
+  loadGuestCart,
+  addToGuestCart,
+  decreaseGuestCartItem,
+  clearGuestCart,
+} = require("../../services/cart-service/cart.service");
 
 /**
  * Add product to cart (or increase quantity)
- * @body { productId: string, quantity?: number = 1 }
+ * @description Products with variants are added per variant – `variantId` is
+ *              required for them and priced and stocked on its own.
+ * @body { productId: string, variantId?: string, quantity?: number = 1 }
  * @access Private
  */
 exports.addToCart = async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId, quantity = 1 } = req.body;
     const userId = req.user.id;
 
     if (!productId) {
@@ -36,41 +44,50 @@ exports.addToCart = async (req, res) => {
     }
 
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!product || product.status !== "ACTIVE") {
       return res.status(404).json({
         success: false,
         message: "Product not found",
       });
     }
 
-    if (product.stock < quantity) {
+    const offer = requireOffer(product, variantId);
+    const lineVariantId = offer.variant?._id || null;
+
+    if (offer.stock < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.stock} item(s) available in stock`,
+        message: `Only ${offer.stock} item(s) available in stock`,
       });
     }
 
-    let cartItem = await Cart.findOne({ userId, productId });
+    let cartItem = await Cart.findOne({
+      userId,
+      productId,
+      variantId: lineVariantId,
+    });
 
     if (cartItem) {
       const newQuantity = cartItem.quantity + Number(quantity);
-      if (newQuantity > product.stock) {
+      if (newQuantity > offer.stock) {
         return res.status(400).json({
           success: false,
-          message: `Cannot add more – only ${product.stock} in stock`,
+          message: `Cannot add more – only ${offer.stock} in stock`,
         });
       }
 
+      // Adding more re-prices the line at today's price
       cartItem.quantity = newQuantity;
-      cartItem.totalPrice = newQuantity * cartItem.unitPrice;
+      cartItem.unitPrice = offer.price;
       await cartItem.save();
     } else {
       cartItem = new Cart({
         userId,
         productId,
+        variantId: lineVariantId,
         quantity: Number(quantity),
-        unitPrice: product.price,
-        totalPrice: Number(quantity) * product.price,
+        unitPrice: offer.price,
+        totalPrice: Number(quantity) * offer.price,
       });
       await cartItem.save();
     }
@@ -84,29 +101,28 @@ exports.addToCart = async (req, res) => {
     res.status(200).json({
       success: true,
       message: cartItem ? "Quantity updated" : "Product added to cart",
-      cartItem: populatedItem,
+      cartItem: { ...populatedItem.toJSON(), variantLabel: offer.label },
     });
   } catch (error) {
-    console.error("Add to cart error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to add product to cart",
-      error: error.message,
-    });
+    sendCartError(res, error, "Add to cart", "Failed to add product to cart");
   }
 };
 
 /**
  * Decrease item quantity (remove if reaches 0)
- * @body { productId: string }
+ * @body { productId: string, variantId?: string }
  * @access Private
  */
 exports.decreaseCartItem = async (req, res) => {
   try {
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
     const userId = req.user.id;
 
-    const cartItem = await Cart.findOne({ userId, productId });
+    const cartItem = await Cart.findOne({
+      userId,
+      productId,
+      variantId: variantId || null,
+    });
     if (!cartItem) {
       return res.status(404).json({
         success: false,
@@ -138,16 +154,20 @@ exports.decreaseCartItem = async (req, res) => {
 };
 
 /**
- * Completely remove one product from cart
- * @body { productId: string }
+ * Completely remove one product (or one variant of it) from cart
+ * @body { productId: string, variantId?: string }
  * @access Private
  */
 exports.removeProductFromCart = async (req, res) => {
   try {
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
     const userId = req.user.id;
 
-    const deleted = await Cart.deleteOne({ userId, productId });
+    const deleted = await Cart.deleteOne({
+      userId,
+      productId,
+      variantId: variantId || null,
+    });
 
     if (deleted.deletedCount === 0) {
       return res.status(404).json({
@@ -203,13 +223,15 @@ exports.getCart = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const cartItems = await Cart.find({ userId })
-      .populate({
-        path: "productId",
-        select: "title price productImages stock status",
-      })
-      .sort({ createdAt: -1 })
-      .lean();
+    const cartItems = (
+      await Cart.find({ userId })
+        .populate({ path: "productId", select: CART_PRODUCT_FIELDS })
+        .sort({ createdAt: -1 })
+        .lean()
+    ).map((item) => ({
+      ...item,
+      variantLabel: getOffer(item.productId, item.variantId)?.label || "",
+    }));
 
     const cartTotal = cartItems.reduce((sum, item) => sum + item.totalPrice, 0);
     const itemsCount = cartItems.reduce((sum, item) => sum + item.quantity, 0);
@@ -231,3 +253,205 @@ exports.getCart = async (req, res) => {
     });
   }
 };
+
+/**
+ * Revalidate the cart against live products
+ * @description Updates prices, lowers quantities to the stock available and
+ *              removes lines that can no longer be bought. Every change is
+ *              returned as a notice (PRICE_CHANGED, QUANTITY_REDUCED,
+ *              UNAVAILABLE) to show before checkout; `valid` is true when
+ *              nothing had to change.
+ * @access Private
+ */
+exports.validateCart = async (req, res) => {
+  try {
+    const { items, notices, cartTotal, itemsCount } = await validateCart(
+      req.user.id,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: notices.length
+        ? "Your cart was updated – please review the changes"
+        : "Cart is up to date",
+      valid: notices.length === 0,
+      notices,
+      count: items.length,
+      itemsCount,
+      cartTotal,
+      items,
+    });
+  } catch (error) {
+    console.error("Validate cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to validate cart",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Helper: Respond with a service error, or a 500
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} label - Log prefix
+ * @param {string} message - Message for unexpected errors
+ */
+const sendCartError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Get a guest cart, priced live
+ * @description Lines that can no longer be bought are dropped and quantities
+ *              lowered to the stock available; each change is returned as a
+ *              notice. An unknown token gives an empty cart.
+ * @header {string} [X-Guest-Token]
+ * @access Public
+ */
+exports.getGuestCart = async (req, res) => {
+  try {
+    const { items, notices, cartTotal, itemsCount } = await loadGuestCart(
+      req.get("X-Guest-Token"),
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Cart retrieved successfully",
+      valid: notices.length === 0,
+      notices,
+      count: items.length,
+      itemsCount,
+      cartTotal,
+      items,
+    });
+  } catch (error) {
+    sendCartError(res, error, "Get guest cart", "Failed to fetch cart");
+  }
+};
+
+/**
+ * Add product to a guest cart (or increase quantity)
+ * @description Without a valid `X-Guest-Token` a new guest cart is started;
+ *              the client must keep the returned `guestToken`.
+ * @header {string} [X-Guest-Token]
+ * @body { productId: string, variantId?: string, quantity?: number = 1 }
+ * @access Public
+ */
+exports.addToGuestCart = async (req, res) => {
+  try {
+    const { productId, variantId, quantity = 1 } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: "Product ID is required",
+      });
+    }
+
+    const { guestToken, cartItem } = await addToGuestCart(
+      req.get("X-Guest-Token"),
+      productId,
+      quantity,
+      variantId,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Product added to cart",
+      guestToken,
+      cartItem,
+    });
+  } catch (error) {
+    sendCartError(
+      res,
+      error,
+      "Add to guest cart",
+      "Failed to add product to cart",
+    );
+  }
+};
+
+/**
+ * Decrease item quantity in a guest cart (remove if reaches 0)
+ * @header {string} X-Guest-Token
+ * @body { productId: string, variantId?: string }
+ * @access Public
+ */
+exports.decreaseGuestCartItem = async (req, res) => {
+  try {
+    await decreaseGuestCartItem(req.get("X-Guest-Token"), req.body.productId, {
+      variantId: req.body.variantId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Item quantity decreased",
+    });
+  } catch (error) {
+    sendCartError(
+      res,
+      error,
+      "Decrease guest cart",
+      "Failed to decrease cart item",
+    );
+  }
+};
+
+/**
+ * Completely remove one product (or one variant of it) from a guest cart
+ * @header {string} X-Guest-Token
+ * @body { productId: string, variantId?: string }
+ * @access Public
+ */
+exports.removeProductFromGuestCart = async (req, res) => {
+  try {
+    await decreaseGuestCartItem(req.get("X-Guest-Token"), req.body.productId, {
+      removeAll: true,
+      variantId: req.body.variantId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Product removed from cart",
+    });
+  } catch (error) {
+    sendCartError(
+      res,
+      error,
+      "Remove guest product",
+      "Failed to remove product",
+    );
+  }
+};
+
+/**
+ * Clear a guest cart
+ * @header {string} X-Guest-Token
+ * @access Public
+ */
+exports.clearGuestCart = async (req, res) => {
+  try {
+    await clearGuestCart(req.get("X-Guest-Token"));
+
+    res.status(200).json({
+      success: true,
+      message: "Cart cleared successfully",
+    });
+  } catch (error) {
+    sendCartError(res, error, "Clear guest cart", "Failed to clear cart");
+  }
+};
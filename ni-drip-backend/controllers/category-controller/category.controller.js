@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Category controller – catalog category management
+ * @module controllers/categoryController
+ * @description SuperAdmins maintain the category tree (names, slugs,
+ *              nesting, icons, images, order, visibility); shoppers get the
+ *              active tree with product counts.
+ */
+
+const Category = require("../../models/category-model/category.model");
+const {
+  slugify,
+  validateParent,
+  renameInProducts,
+  getCategoryTree,
+  getDeleteBlocker,
+} = require("../../services/category-service/category.service");
+const {
+  invalidateSearchIndex,
+} = require("../../services/search-service/product-search.service");
+const {
+  uploadToCloudinary,
+  deleteFromCloudinary,
+} = require("../../utilities/cloudinary-utilitity/cloudinary.utility");
+
+/**
+ * Fields SuperAdmins may set on a category
+ * @type {string[]}
+ */
+const EDITABLE_FIELDS = [
+  "name",
+  "slug",
+  "parent",
+  "icon",
+  "sortOrder",
+  "isActive",
+];
+
+/**
+ * Helper: Copy editable fields from the request body (JSON or multipart)
+ * @param {Object} body
+ * @returns {Object}
+ */
+const pickCategoryFields = (body) => {
+  const fields = {};
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (fields.parent === "" || fields.parent === "null") fields.parent = null;
+  if (fields.slug !== undefined) fields.slug = slugify(fields.slug);
+
+  return fields;
+};
+
+/**
+ * Helper: Respond to a failed category write
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} label - Log prefix
+ */
+const sendCategoryError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors)
+        .map((err) => err.message)
+        .join(", "),
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A category with this slug already exists",
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
+
+/**
+ * Get the active category tree with product counts
+ * @description Each node has `name`, `slug`, `icon`, `imageUrl` (its image,
+ *              or a product image from below it), `productCount` (ACTIVE
+ *              products, subcategories included) and `children`.
+ * @access Public
+ */
+exports.getCategoryTree = async (req, res) => {
+  try {
+    const categories = await getCategoryTree();
+
+    res.status(200).json({
+      success: true,
+      message: "Categories fetched successfully",
+      count: categories.length,
+      categories,
+    });
+  } catch (error) {
+    console.error("Get category tree error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Get the whole category tree, inactive categories included
+ * @access Private (SuperAdmin)
+ */
+exports.getAllCategories = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const categories = await getCategoryTree({ includeInactive: true });
+
+    res.status(200).json({
+      success: true,
+      message: "Categories fetched successfully",
+      count: categories.length,
+      allCategories: categories,
+    });
+  } catch (error) {
+    console.error("Get categories error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Create a category
+ * @body {string} name
+ * @body {string} [slug] – derived from the name when empty
+ * @body {string} [parent] – parent category ID (top level when empty)
+ * @body {string} [icon] – MaterialCommunityIcons name
+ * @body {number} [sortOrder=0]
+ * @body {boolean} [isActive=true]
+ * @files {categoryImage} – optional cover image
+ * @access Private (SuperAdmin)
+ */
+exports.createCategory = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const fields = pickCategoryFields(req.body);
+    if (!fields.slug) fields.slug = slugify(fields.name);
+    await validateParent(null, fields.parent);
+
+    const category = new Category(fields);
+    await category.validate();
+
+    const imageFile = req.files?.categoryImage?.[0];
+    if (imageFile) {
+      const uploaded = await uploadToCloudinary(imageFile, "categoryImage");
+      category.image = uploaded.url;
+    }
+
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Category created successfully",
+      newCategory: category,
+    });
+  } catch (error) {
+    sendCategoryError(res, error, "Create category");
+  }
+};
+
+/**
+ * Update a category
+ * @description A new name is copied to the products in the category.
+ * @param {string} categoryId
+ * @body Any subset of the createCategory fields
+ * @body {string} [removeImage] – "true" to drop the cover image
+ * @files {categoryImage} – replaces the cover image
+ * @access Private (SuperAdmin)
+ */
+exports.updateCategory = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const fields = pickCategoryFields(req.body);
+    if (fields.parent !== undefined) {
+      await validateParent(category._id, fields.parent);
+    }
+
+    const oldName = category.name;
+    const oldImage = category.image;
+    category.set(fields);
+    await category.validate();
+
+    const imageFile = req.files?.categoryImage?.[0];
+    if (imageFile) {
+      const uploaded = await uploadToCloudinary(imageFile, "categoryImage");
+      category.image = uploaded.url;
+    } else if (req.body.removeImage === "true") {
+      category.image = "";
+    }
+
+    await category.save();
+
+    if (oldImage && oldImage !== category.image) {
+      deleteFromCloudinary(oldImage).catch((err) =>
+        console.error("Image delete failed:", err),
+      );
+    }
+    if (oldName !== category.name) {
+      await renameInProducts(category._id, oldName, category.name);
+      invalidateSearchIndex();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Category updated successfully",
+      updatedCategory: category,
+    });
+  } catch (error) {
+    sendCategoryError(res, error, "Update category");
+  }
+};
+
+/**
+ * Delete a category
+ * @description Only empty categories – no subcategories, no products – can
+ *              be deleted.
+ * @param {string} categoryId
+ * @access Private (SuperAdmin)
+ */
+exports.deleteCategory = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const blocker = await getDeleteBlocker(category._id);
+    if (blocker) {
+      return res.status(409).json({
+        success: false,
+        message: blocker,
+      });
+    }
+
+    await category.deleteOne();
+    if (category.image) {
+      deleteFromCloudinary(category.image).catch((err) =>
+        console.error("Image delete failed:", err),
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Category deleted successfully",
+    });
+  } catch (error) {
+    sendCategoryError(res, error, "Delete category");
+  }
+};
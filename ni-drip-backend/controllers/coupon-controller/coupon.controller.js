@@ -0,0 +1,368 @@
+/**
+ * @fileoverview Coupon controller – coupon management and cart validation
+ * @module controllers/couponController
+ * @description SuperAdmins create and maintain coupons; customers validate a
+ *              code against their cart before checkout. The discount itself is
+ *              re-evaluated and redeemed inside `placeOrder`.
+ */
+
+const Coupon = require("../../models/coupon-model/coupon.model");
+const User = require("../../models/user-model/user.model");
+const {
+  evaluateCoupon,
+} = require("../../services/coupon-service/coupon.service");
+const {
+  resolveCategoryIds,
+} = require("../../services/category-service/category.service");
+const {
+  resolveShippingAddress,
+  quoteShipping,
+} = require("../../services/shipping-service/shipping.service");
+const {
+  loadCheckoutLines,
+} = require("../../helpers/cart-helper/checkout-lines.helper");
+const { calculateTax } = require("../../services/tax-service/tax.service");
+const {
+  buildOrderTotals,
+} = require("../../helpers/order-helper/order-totals.helper");
+
+/**
+ * Fields SuperAdmins may set on a coupon
+ * @type {string[]}
+ */
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "maxDiscount",
+  "minOrderAmount",
+  "usageLimit",
+  "perUserLimit",
+  "applicableCategories",
+  "applicableProducts",
+  "startsAt",
+  "expiresAt",
+  "isActive",
+];
+
+/**
+ * Helper: Copy editable fields from the request body (empty strings → null)
+ * @description Categories may be sent as IDs, slugs or names and are stored
+ *              as IDs.
+ * @param {Object} body
+ * @returns {Promise<Object>}
+ * @throws {Error} 400 for an unknown category
+ */
+const pickCouponFields = async (body) => {
+  const fields = {};
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    fields[field] = body[field] === "" ? null : body[field];
+  });
+
+  if (fields.applicableCategories !== undefined) {
+    fields.applicableCategories = await resolveCategoryIds(
+      fields.applicableCategories,
+    );
+  }
+
+  return fields;
+};
+
+/**
+ * Helper: Map Mongoose validation / duplicate-key / unknown-category errors
+ * to a 400 message
+ * @param {Error} error
+ * @returns {string|null}
+ */
+const getValidationMessage = (error) => {
+  if (error.statusCode === 400) return error.message;
+  if (error.name === "ValidationError") {
+    return Object.values(error.errors)
+      .map((err) => err.message)
+      .join(", ");
+  }
+  if (error.code === 11000) {
+    return "A coupon with this code already exists";
+  }
+  return null;
+};
+
+/**
+ * Create a coupon
+ * @body {string} code
+ * @body {string} type – PERCENTAGE | FIXED | FREE_SHIPPING
+ * @body {number} [value]
+ * @body {number} [maxDiscount] [minOrderAmount] [usageLimit] [perUserLimit]
+ * @body {string[]} [applicableCategories] – category IDs (slugs or names also accepted); subcategories are included
+ * @body {string[]} [applicableProducts]
+ * @body {Date} [startsAt] [expiresAt]
+ * @access Private (SuperAdmin)
+ */
+exports.createCoupon = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const coupon = await Coupon.create({
+      ...(await pickCouponFields(req.body)),
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Coupon created successfully",
+      newCoupon: coupon,
+    });
+  } catch (error) {
+    const validationMessage = getValidationMessage(error);
+    if (validationMessage) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage,
+      });
+    }
+
+    console.error("Create coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all coupons (without the redemption log)
+ * @access Private (SuperAdmin)
+ */
+exports.getAllCoupons = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const coupons = await Coupon.find()
+      .select("-redemptions")
+      .populate("applicableProducts", "title")
+      .populate("applicableCategories", "name slug")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "All coupons fetched successfully",
+      count: coupons.length,
+      allCoupons: coupons,
+    });
+  } catch (error) {
+    console.error("Get all coupons error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Update a coupon
+ * @param {string} couponId
+ * @body Any subset of the createCoupon fields
+ * @access Private (SuperAdmin)
+ */
+exports.updateCoupon = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    coupon.set(await pickCouponFields(req.body));
+    await coupon.save();
+
+    const updatedCoupon = await Coupon.findById(coupon._id)
+      .select("-redemptions")
+      .populate("applicableProducts", "title")
+      .populate("applicableCategories", "name slug");
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon updated successfully",
+      updatedCoupon,
+    });
+  } catch (error) {
+    const validationMessage = getValidationMessage(error);
+    if (validationMessage) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage,
+      });
+    }
+
+    console.error("Update coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a coupon
+ * @description Orders keep their discount lines (code and amount are copied).
+ * @param {string} couponId
+ * @access Private (SuperAdmin)
+ */
+exports.deleteCoupon = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const coupon = await Coupon.findByIdAndDelete(req.params.couponId);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Validate a coupon against the user's cart (or a direct-buy product)
+ * @description Read-only preview – nothing is redeemed until the order is placed.
+ *              Shipping and tax are computed server-side, exactly as `placeOrder` does.
+ * @body {string} code
+ * @body {string} [shippingAddress] – optional delivery address override
+ * @body {string} [productId] – direct buy instead of the cart
+ * @body {string} [variantId] – variant of the direct-buy product
+ * @body {number} [quantity=1]
+ * @access Private
+ */
+exports.applyCoupon = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { code, shippingAddress, productId, variantId, quantity } = req.body;
+
+    if (!code?.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Coupon code is required",
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const lines = await loadCheckoutLines(userId, {
+      productId,
+      variantId,
+      quantity,
+    });
+
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Your cart is empty",
+      });
+    }
+
+    const destination = resolveShippingAddress(user, shippingAddress).address;
+    const shipping = await quoteShipping({
+      user,
+      lines,
+      shippingAddress: destination,
+    });
+    const shippingCost = shipping.cost;
+
+    const { discount } = await evaluateCoupon({
+      code,
+      userId,
+      lines,
+      shippingCost,
+    });
+
+    const subtotal = lines.reduce(
+      (sum, line) => sum + line.product.price * line.quantity,
+      0,
+    );
+    const tax = await calculateTax({
+      user,
+      lines,
+      shippingAddress: destination,
+      merchandiseDiscount:
+        discount.type === "FREE_SHIPPING" ? 0 : discount.amount,
+    });
+    const totals = buildOrderTotals({
+      subtotal,
+      discount: discount.amount,
+      tax: tax.total,
+      shipping: shippingCost,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Coupon ${discount.code} applied`,
+      discount,
+      summary: {
+        totals,
+        taxRegion: tax.region,
+        totalAmount: totals.grandTotal,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Apply coupon error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
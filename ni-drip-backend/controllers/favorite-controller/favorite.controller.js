@@ -3,37 +3,65 @@
  * @module controllers/favoriteController
  * @description Manages user favorites using separate Favorite collection
  *              with sync to User.favorites array for fast profile reads.
+ *              Favorites are grouped into named wishlists; moving items
+ *              between lists and the cart, and read-only sharing, live in
+ *              the wishlist service.
  */
 
 const Favorite = require("../../models/favorite-model/favorite.model");
-const User = require("../../models/user-model/user.model");
 const Product = require("../../models/product-model/product.model");
+const {
+  syncUserFavorites,
+} = require("../../helpers/favorite-helper/favorite-sync.helper");
+const {
+  WISHLIST_PRODUCT_FIELDS,
+  resolveWishlist,
+  getDefaultWishlist,
+  findWishlist,
+  listWishlists,
+  createWishlist,
+  renameWishlist,
+  deleteWishlist,
+  moveFavorite,
+  saveForLater,
+  moveToCart,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist,
+} = require("../../services/wishlist-service/wishlist.service");
 
 /**
- * Helper: Sync Favorite collection → User.favorites array
- * @param {string} userId
+ * Respond with a service error's own status, or a 500
+ * @param {Object} res
+ * @param {Error} error
+ * @param {string} label - Logged as "<label> error:"
+ * @param {string} message - Message for unexpected errors
  */
-const syncUserFavorites = async (userId) => {
-  const favorites = await Favorite.find({ userId }).populate("productId");
-  const favoriteData = favorites.map((fav) => ({
-    productId: fav.productId,
-    addedAt: fav.addedAt,
-  }));
-  await User.findByIdAndUpdate(
-    userId,
-    { favorites: favoriteData },
-    { new: true },
-  );
+const sendWishlistError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
 };
 
 /**
  * Add product to favorites
- * @body { productId: string }
+ * @body { productId: string, wishlistId?: string, quantity?: number = 1 }
+ *       Goes to the DEFAULT list when `wishlistId` is omitted
  * @access Private
  */
 exports.addToFavorites = async (req, res) => {
   try {
-    const { productId } = req.body;
+    const { productId, wishlistId, quantity = 1 } = req.body;
     const userId = req.user.id;
 
     if (!productId) {
@@ -43,6 +71,13 @@ exports.addToFavorites = async (req, res) => {
       });
     }
 
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Quantity must be a whole number of at least 1",
+      });
+    }
+
     // Validate product exists
     const product = await Product.findById(productId);
     if (!product) {
@@ -61,10 +96,14 @@ exports.addToFavorites = async (req, res) => {
       });
     }
 
+    const wishlist = await resolveWishlist(userId, wishlistId);
+
     // Create favorite entry
     const favorite = new Favorite({
       userId,
       productId,
+      wishlistId: wishlist._id,
+      quantity: Number(quantity),
       addedAt: new Date(),
     });
     await favorite.save();
@@ -83,12 +122,12 @@ exports.addToFavorites = async (req, res) => {
       favorite: populated,
     });
   } catch (error) {
-    console.error("Add to favorites error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to add to favorites",
-      error: error.message,
-    });
+    sendWishlistError(
+      res,
+      error,
+      "Add to favorites",
+      "Failed to add to favorites",
+    );
   }
 };
 
@@ -128,16 +167,26 @@ exports.removeFromFavorites = async (req, res) => {
 
 /**
  * Get all user's favorited products
+ * @query { wishlistId?: string } Only this list's items (default: every list)
  * @access Private
  */
 exports.getFavorites = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const favorites = await Favorite.find({ userId })
+    // Also files entries from before wishlists under the DEFAULT list
+    await getDefaultWishlist(userId);
+
+    const filter = { userId };
+    if (req.query.wishlistId) {
+      const wishlist = await findWishlist(userId, req.query.wishlistId);
+      filter.wishlistId = wishlist._id;
+    }
+
+    const favorites = await Favorite.find(filter)
       .populate({
         path: "productId",
-        select: "title price productImages status averageRating stock",
+        select: WISHLIST_PRODUCT_FIELDS,
       })
       .sort({ addedAt: -1 })
       .lean(); // faster response
@@ -149,11 +198,289 @@ exports.getFavorites = async (req, res) => {
       favorites,
     });
   } catch (error) {
-    console.error("Get favorites error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch favorites",
-      error: error.message,
+    sendWishlistError(res, error, "Get favorites", "Failed to fetch favorites");
+  }
+};
+
+/**
+ * Get the user's wishlists with item counts
+ * @access Private
+ */
+exports.getWishlists = async (req, res) => {
+  try {
+    const wishlists = await listWishlists(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Wishlists retrieved successfully",
+      count: wishlists.length,
+      wishlists,
+    });
+  } catch (error) {
+    sendWishlistError(res, error, "Get wishlists", "Failed to fetch wishlists");
+  }
+};
+
+/**
+ * Create a named wishlist
+ * @body { name: string }
+ * @access Private
+ */
+exports.createWishlist = async (req, res) => {
+  try {
+    const wishlist = await createWishlist(req.user.id, req.body.name);
+
+    res.status(201).json({
+      success: true,
+      message: "Wishlist created",
+      wishlist,
+    });
+  } catch (error) {
+    sendWishlistError(
+      res,
+      error,
+      "Create wishlist",
+      "Failed to create wishlist",
+    );
+  }
+};
+
+/**
+ * Rename a wishlist (not Favorites or Saved for later)
+ * @param {string} wishlistId
+ * @body { name: string }
+ * @access Private
+ */
+exports.renameWishlist = async (req, res) => {
+  try {
+    const wishlist = await renameWishlist(
+      req.user.id,
+      req.params.wishlistId,
+      req.body.name,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Wishlist renamed",
+      wishlist,
+    });
+  } catch (error) {
+    sendWishlistError(
+      res,
+      error,
+      "Rename wishlist",
+      "Failed to rename wishlist",
+    );
+  }
+};
+
+/**
+ * Delete a wishlist; its items move to Favorites
+ * @param {string} wishlistId
+ * @access Private
+ */
+exports.deleteWishlist = async (req, res) => {
+  try {
+    const { movedItems, movedTo } = await deleteWishlist(
+      req.user.id,
+      req.params.wishlistId,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: movedItems
+        ? `Wishlist deleted – ${movedItems} item(s) moved to ${movedTo.name}`
+        : "Wishlist deleted",
+      movedItems,
+      movedTo,
+    });
+  } catch (error) {
+    sendWishlistError(
+      res,
+      error,
+      "Delete wishlist",
+      "Failed to delete wishlist",
+    );
+  }
+};
+
+/**
+ * Move a favorited product to another wishlist
+ * @body { productId: string, wishlistId: string }
+ * @access Private
+ */
+exports.moveFavorite = async (req, res) => {
+  try {
+    const { productId, wishlistId } = req.body;
+
+    if (!productId || !wishlistId) {
+      return res.status(400).json({
+        success: false,
+        message: "Product ID and wishlist ID are required",
+      });
+    }
+
+    const { favorite, wishlist } = await moveFavorite(
+      req.user.id,
+      productId,
+      wishlistId,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Moved to ${wishlist.name}`,
+      favorite,
+      wishlist,
+    });
+  } catch (error) {
+    sendWishlistError(res, error, "Move favorite", "Failed to move item");
+  }
+};
+
+/**
+ * Move a cart line into a wishlist, keeping its quantity and variant
+ * @body { productId: string, variantId?: string, wishlistId?: string } Defaults to Saved for later
+ * @access Private
+ */
+exports.saveForLater = async (req, res) => {
+  try {
+    const { productId, variantId, wishlistId } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: "Product ID is required",
+      });
+    }
+
+    const { favorite, wishlist } = await saveForLater(
+      req.user.id,
+      productId,
+      wishlistId,
+      variantId,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Moved to ${wishlist.name}`,
+      favorite,
+      wishlist,
+    });
+  } catch (error) {
+    sendWishlistError(
+      res,
+      error,
+      "Save for later",
+      "Failed to save item for later",
+    );
+  }
+};
+
+/**
+ * Move a wishlist item into the cart with its quantity
+ * @body { productId: string, variantId?: string } Defaults to the variant it was saved with
+ * @access Private
+ */
+exports.moveToCart = async (req, res) => {
+  try {
+    const { productId, variantId } = req.body;
+
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        message: "Product ID is required",
+      });
+    }
+
+    const { cartItem, requested, quantity, capped } = await moveToCart(
+      req.user.id,
+      productId,
+      variantId,
+    );
+
+    res.status(200).json({
+      success: true,
+      message: capped
+        ? `Only ${quantity} in stock – your cart now has ${quantity} (you wanted ${requested})`
+        : "Moved to cart",
+      cartItem,
+      capped,
+    });
+  } catch (error) {
+    sendWishlistError(
+      res,
+      error,
+      "Move to cart",
+      "Failed to move item to cart",
+    );
+  }
+};
+
+/**
+ * Turn on read-only sharing for a wishlist
+ * @param {string} wishlistId
+ * @access Private
+ */
+exports.shareWishlist = async (req, res) => {
+  try {
+    const wishlist = await shareWishlist(req.user.id, req.params.wishlistId);
+
+    res.status(200).json({
+      success: true,
+      message: "Wishlist shared",
+      wishlist,
+    });
+  } catch (error) {
+    sendWishlistError(res, error, "Share wishlist", "Failed to share wishlist");
+  }
+};
+
+/**
+ * Turn off sharing – the old link stops working
+ * @param {string} wishlistId
+ * @access Private
+ */
+exports.unshareWishlist = async (req, res) => {
+  try {
+    const wishlist = await unshareWishlist(req.user.id, req.params.wishlistId);
+
+    res.status(200).json({
+      success: true,
+      message: "Wishlist is private again",
+      wishlist,
+    });
+  } catch (error) {
+    sendWishlistError(
+      res,
+      error,
+      "Unshare wishlist",
+      "Failed to stop sharing wishlist",
+    );
+  }
+};
+
+/**
+ * Read a shared wishlist
+ * @param {string} shareToken
+ * @access Public
+ */
+exports.getSharedWishlist = async (req, res) => {
+  try {
+    const { wishlist, items } = await getSharedWishlist(req.params.shareToken);
+
+    res.status(200).json({
+      success: true,
+      message: "Shared wishlist retrieved successfully",
+      wishlist,
+      count: items.length,
+      items,
     });
+  } catch (error) {
+    sendWishlistError(
+      res,
+      error,
+      "Get shared wishlist",
+      "Failed to fetch shared wishlist",
+    );
   }
 };
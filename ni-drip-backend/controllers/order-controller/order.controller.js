@@ -5,35 +5,126 @@
  *              order history sync, and email notifications.
  */
 
+const mongoose = require("mongoose");
 const Order = require("../../models/order-model/order.model");
 const User = require("../../models/user-model/user.model");
+const Cart = require("../../models/cart-model/cart.model");
 const Product = require("../../models/product-model/product.model");
+const {
+  reserveStock,
+} = require("../../services/inventory-service/inventory.service");
+const {
+  resolveShippingAddress,
+  quoteShipping,
+} = require("../../services/shipping-service/shipping.service");
+const { calculateTax } = require("../../services/tax-service/tax.service");
+const {
+  evaluateCoupon,
+  redeemCoupon,
+} = require("../../services/coupon-service/coupon.service");
+const {
+  isCardPaymentEnabled,
+  createPaymentIntent,
+} = require("../../services/payment-service/payment.service");
+const {
+  INVOICE_LINK_TTL,
+  ensureInvoiceNumber,
+  renderInvoicePdf,
+  createInvoiceLinkToken,
+} = require("../../services/invoice-service/invoice.service");
+const {
+  shipOrderItems,
+  markShipmentsDelivered,
+} = require("../../services/fulfillment-service/fulfillment.service");
+const {
+  editOrder,
+} = require("../../services/order-edit-service/order-edit.service");
+const {
+  claimAndCancelOrder,
+} = require("../../services/order-cancel-service/order-cancel.service");
+const {
+  ORDER_STATUSES,
+  RETURN_STATUSES,
+  ARCHIVABLE_STATUSES,
+  PAYMENT_METHODS,
+  canTransition,
+  getAllowedTransitions,
+  buildStatusHistoryEntry,
+} = require("../../helpers/order-helper/order-status.helper");
+const {
+  buildOrderTotals,
+} = require("../../helpers/order-helper/order-totals.helper");
+const { syncUserCart } = require("../../helpers/cart-helper/cart-sync.helper");
+const {
+  getOffer,
+  lineKey,
+  pricedProduct,
+} = require("../../helpers/product-helper/variant.helper");
 const {
   sendOrderConfirmationToUser,
   sendNewOrderNotificationToAdmin,
   sendOrderCancellationToUser,
   sendOrderCancellationToAdmin,
   sendOrderStatusUpdateEmail,
+  sendShipmentUpdateEmail,
+  sendOrderUpdatedEmail,
 } = require("../../helpers/email-helper/email.helper");
 
 /**
  * Create new order (cart-based or direct buy)
+ * @description Stock reservation, order creation, cart clearing and the user's
+ *              order-history entry all run in a single MongoDB transaction, so
+ *              either the whole order commits or nothing changes.
+ *              Shipping is priced server-side from the delivery zone; any
+ *              client-supplied shipping cost is ignored. Tax is charged per
+ *              line from the delivery region, and the itemized totals are
+ *              stored on the order.
+ *              DEBIT_CARD orders get a provider payment intent once the order
+ *              has committed (keyed by the order id, so a retry reuses it); if
+ *              it can't be created the order is cancelled again. The app
+ *              confirms it with the returned `clientSecret` and the payment
+ *              webhook marks the order PAID or FAILED – the invoice number is
+ *              issued then, not at checkout.
+ *              Confirmation emails are sent without waiting on them, so a mail
+ *              failure never fails an order that has been placed.
  * @body {string} [shippingAddress]     – optional override (highest priority)
- * @body {number} [shippingCost=0]
+ * @body {string} [paymentMethod="PAY_ON_DELIVERY"] – or "DEBIT_CARD"
+ * @body {string} [couponCode]          – redeemed atomically with the order
  * @body {string} [productId]           – required for direct buy
+ * @body {string} [variantId]           – direct buy of a product with variants
  * @body {number} [quantity=1]          – required for direct buy
  * @access Private
  */
 exports.placeOrder = async (req, res) => {
+  const session = await mongoose.startSession();
+
   try {
     const userId = req.user.id;
     const {
       shippingAddress: overrideAddress,
-      shippingCost = 0,
       productId,
+      variantId,
       quantity = 1,
+      paymentMethod = "PAY_ON_DELIVERY",
+      couponCode,
     } = req.body;
 
+    const finalPaymentMethod =
+      typeof paymentMethod === "string" ? paymentMethod.toUpperCase() : "";
+    if (!PAYMENT_METHODS.includes(finalPaymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid paymentMethod. Allowed: ${PAYMENT_METHODS.join(", ")}`,
+      });
+    }
+
+    if (finalPaymentMethod === "DEBIT_CARD" && !isCardPaymentEnabled()) {
+      return res.status(400).json({
+        success: false,
+        message: "Card payments are not available. Please pay on delivery.",
+      });
+    }
+
     // Fetch user with necessary fields
     const user = await User.findById(userId);
     if (!user) {
@@ -49,17 +140,8 @@ exports.placeOrder = async (req, res) => {
     // 2. Last known geolocation address (automatic update)
     // 3. Saved profile address (fallback)
     // ────────────────────────────────────────────────────────
-    let finalShippingAddress = overrideAddress?.trim();
-
-    // Prefer geolocation if no override was given
-    if (!finalShippingAddress && user.lastKnownLocation?.address?.trim()) {
-      finalShippingAddress = user.lastKnownLocation.address.trim();
-    }
-
-    // Ultimate fallback to saved profile address
-    if (!finalShippingAddress && user.address?.trim()) {
-      finalShippingAddress = user.address.trim();
-    }
+    const { address: finalShippingAddress, source: addressSource } =
+      resolveShippingAddress(user, overrideAddress);
 
     // If still no valid address → reject order
     if (!finalShippingAddress) {
@@ -70,62 +152,21 @@ exports.placeOrder = async (req, res) => {
       });
     }
 
-    let orderItems = [];
-    let subtotal = 0;
-    let isCartBased = false;
-
     // ────────────────────────────────────────────────────────
+    // Resolve order lines
     // MODE 1: Cart-based Checkout
-    // ────────────────────────────────────────────────────────
-    if (user.cart && user.cart.length > 0) {
-      isCartBased = true;
-
-      for (const cartItem of user.cart) {
-        const product = await Product.findById(cartItem.productId);
-        if (!product) {
-          return res.status(404).json({
-            success: false,
-            message: `Product with ID ${cartItem.productId} not found`,
-          });
-        }
-
-        if (product.stock < cartItem.quantity) {
-          return res.status(400).json({
-            success: false,
-            message: `Insufficient stock for ${product.title} (only ${product.stock} available)`,
-          });
-        }
-
-        const itemTotal = cartItem.quantity * product.price;
-        subtotal += itemTotal;
-
-        orderItems.push({
-          product: product._id,
-          quantity: cartItem.quantity,
-          priceAtPurchase: product.price,
-        });
-
-        // Deduct stock
-        product.stock -= cartItem.quantity;
-        await product.save();
-      }
-
-      // Clear cart after successful cart-based order
-      user.cart = [];
-    }
-
-    // ────────────────────────────────────────────────────────
     // MODE 2: Direct Buy / Buy Now (single product)
     // ────────────────────────────────────────────────────────
-    else if (productId) {
-      const product = await Product.findById(productId);
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: "Product not found",
-        });
-      }
-
+    let lines = [];
+    const isCartBased = user.cart && user.cart.length > 0;
+
+    if (isCartBased) {
+      lines = user.cart.map((cartItem) => ({
+        productId: cartItem.productId,
+        variantId: cartItem.variantId || null,
+        quantity: cartItem.quantity,
+      }));
+    } else if (productId) {
       const qty = Number(quantity);
       if (isNaN(qty) || qty < 1) {
         return res.status(400).json({
@@ -134,25 +175,7 @@ exports.placeOrder = async (req, res) => {
         });
       }
 
-      if (product.stock < qty) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for ${product.title} (only ${product.stock} available)`,
-        });
-      }
-
-      const itemTotal = qty * product.price;
-      subtotal = itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        quantity: qty,
-        priceAtPurchase: product.price,
-      });
-
-      // Deduct stock
-      product.stock -= qty;
-      await product.save();
+      lines = [{ productId, variantId: variantId || null, quantity: qty }];
     }
 
     // If neither cart nor productId → error
@@ -164,30 +187,181 @@ exports.placeOrder = async (req, res) => {
       });
     }
 
-    const totalAmount = subtotal + Number(shippingCost);
+    // Generated up front so the payment intent can be keyed by it
+    const orderId = new mongoose.Types.ObjectId();
+    let order;
+    let orderItems = [];
+    let discounts = [];
+    let shipping;
+    let tax;
+    let totals;
+
+    await session.withTransaction(async () => {
+      // Reset per attempt – the driver may retry on transient errors
+      orderItems = [];
+      discounts = [];
+      let subtotal = 0;
+      let discountTotal = 0;
+      const reservedLines = [];
+      let coupon = null;
+
+      // Conditional decrements: fails if any line is out of stock,
+      // which aborts the transaction and rolls back earlier lines
+      for (const line of lines) {
+        const product = await reserveStock(
+          line.productId,
+          line.quantity,
+          session,
+          line.variantId,
+        );
+        const offer = getOffer(product, line.variantId);
+
+        subtotal += line.quantity * offer.price;
+        reservedLines.push({
+          product: pricedProduct(product, offer),
+          quantity: line.quantity,
+        });
 
-    // Create the order
-    const order = await Order.create({
-      user: userId,
-      items: orderItems,
-      totalAmount,
-      shippingAddress: finalShippingAddress,
-      shippingCost: Number(shippingCost),
-      status: "PENDING",
-      paymentMethod: "PAY_ON_DELIVERY",
-      paymentStatus: "PENDING",
-    });
+        orderItems.push({
+          product: product._id,
+          variantId: line.variantId,
+          sku: offer.sku,
+          variantLabel: offer.label,
+          quantity: line.quantity,
+          priceAtPurchase: offer.price,
+        });
+      }
 
-    // Update user's order history
-    user.orders.push({
-      orderId: order._id,
-      userId: userId,
-      status: "PENDING",
-      paymentStatus: "PENDING",
-      placedAt: new Date(),
+      shipping = await quoteShipping({
+        user,
+        lines: reservedLines,
+        shippingAddress: finalShippingAddress,
+      });
+      const shippingCost = shipping.cost;
+
+      if (couponCode?.trim()) {
+        const evaluated = await evaluateCoupon({
+          code: couponCode,
+          userId,
+          lines: reservedLines,
+          shippingCost,
+          session,
+        });
+        coupon = evaluated.coupon;
+        discounts = [evaluated.discount];
+        discountTotal = evaluated.discount.amount;
+      }
+
+      // Only item discounts reduce the taxable amount (shipping is untaxed)
+      tax = await calculateTax({
+        user,
+        lines: reservedLines,
+        shippingAddress: finalShippingAddress,
+        merchandiseDiscount: discounts
+          .filter((discount) => discount.type !== "FREE_SHIPPING")
+          .reduce((sum, discount) => sum + discount.amount, 0),
+        session,
+      });
+      orderItems.forEach((item, index) => {
+        item.discountAmount = tax.lines[index].discount;
+        item.taxRate = tax.lines[index].rate;
+        item.taxAmount = tax.lines[index].amount;
+      });
+
+      totals = buildOrderTotals({
+        subtotal,
+        discount: discountTotal,
+        tax: tax.total,
+        shipping: shippingCost,
+      });
+      const totalAmount = totals.grandTotal;
+
+      [order] = await Order.create(
+        [
+          {
+            _id: orderId,
+            user: userId,
+            items: orderItems,
+            totalAmount,
+            totals,
+            taxRegion: tax.region || "",
+            discounts,
+            shippingAddress: finalShippingAddress,
+            shippingCost,
+            shippingZone: shipping.zone.name,
+            status: "PENDING",
+            paymentMethod: finalPaymentMethod,
+            paymentStatus: "PENDING",
+            statusHistory: [
+              buildStatusHistoryEntry("PENDING", req.user, "Order placed"),
+            ],
+          },
+        ],
+        { session },
+      );
+
+      if (coupon) {
+        await redeemCoupon(coupon, userId, orderId, session);
+      }
+
+      // Clear cart after successful cart-based order
+      if (isCartBased) {
+        await Cart.deleteMany({ userId }, { session });
+      }
+
+      // Update user's order history
+      await User.updateOne(
+        { _id: userId },
+        {
+          ...(isCartBased && { $set: { cart: [] } }),
+          $push: {
+            orders: {
+              orderId: order._id,
+              userId: userId,
+              status: "PENDING",
+              paymentStatus: "PENDING",
+              placedAt: new Date(),
+            },
+          },
+        },
+        { session },
+      );
     });
 
-    await user.save();
+    // Created only for a committed order, so a rolled-back checkout never
+    // leaves a payable intent behind
+    let payment = null;
+    if (finalPaymentMethod === "DEBIT_CARD") {
+      try {
+        payment = await createPaymentIntent({
+          orderId,
+          amount: order.totalAmount,
+        });
+      } catch (intentError) {
+        console.error("Create payment intent error:", intentError.message);
+
+        await claimAndCancelOrder({
+          orderId,
+          fromStatuses: ["PENDING"],
+          actor: null,
+          reason: "Payment could not be initiated",
+        });
+
+        return res.status(502).json({
+          success: false,
+          message: "Card payment could not be started. Please try again.",
+        });
+      }
+
+      await Order.updateOne(
+        { _id: orderId },
+        {
+          $set: {
+            payment: { provider: payment.provider, intentId: payment.intentId },
+          },
+        },
+      );
+    }
 
     // Populate order for email and response
     const populatedOrder = await Order.findById(order._id)
@@ -197,40 +371,57 @@ exports.placeOrder = async (req, res) => {
       })
       .populate("user", "userName email phone");
 
-    // Send emails
-    await sendOrderConfirmationToUser(populatedOrder);
-    await sendNewOrderNotificationToAdmin(populatedOrder);
+    // Fire-and-forget – the order is placed whether or not the mail goes out
+    sendOrderConfirmationToUser(populatedOrder).catch((err) =>
+      console.error("Order confirmation email error:", err.message),
+    );
+    sendNewOrderNotificationToAdmin(populatedOrder).catch((err) =>
+      console.error("New order notification error:", err.message),
+    );
 
     res.status(201).json({
       success: true,
-      message: "Order placed successfully! Confirmation email sent.",
+      message: payment
+        ? "Order placed! Complete the card payment to confirm it."
+        : "Order placed successfully! A confirmation email is on its way.",
       order: populatedOrder,
+      payment,
       summary: {
-        subtotal,
-        shippingCost: Number(shippingCost),
-        totalAmount,
+        totals,
+        shippingZone: shipping.zone.name,
+        taxRegion: tax.region,
+        totalAmount: order.totalAmount,
         itemsCount: orderItems.reduce((sum, item) => sum + item.quantity, 0),
         mode: isCartBased ? "Cart-based" : "Direct Buy",
         usedShippingAddress: finalShippingAddress,
-        addressSource: overrideAddress
-          ? "manual_override"
-          : user.lastKnownLocation?.address
-            ? "geolocation"
-            : "profile_saved",
+        addressSource,
       },
     });
   } catch (error) {
+    // Stock / product / coupon errors raised inside the transaction
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Place order error:", error);
     res.status(500).json({
       success: false,
       message: "Server error",
       error: error.message,
     });
+  } finally {
+    await session.endSession();
   }
 };
 
 /**
  * Get all orders (admin only)
+ * @description Archived orders are left out unless `?archived=true`, which
+ *              lists only archived orders.
+ * @query {string} [archived] – "true" for the archive
  * @access Private (SuperAdmin)
  */
 exports.getAllOrders = async (req, res) => {
@@ -242,13 +433,18 @@ exports.getAllOrders = async (req, res) => {
       });
     }
 
-    const orders = await Order.find()
+    const showArchived = req.query.archived === "true";
+
+    const orders = await Order.find({
+      archivedAt: showArchived ? { $ne: null } : null,
+    })
       .populate({
         path: "items.product",
         select: "title productImages price",
       })
       .populate("user", "userName email phone")
-      .sort({ createdAt: -1 });
+      .populate("archivedBy", "userName email")
+      .sort(showArchived ? { archivedAt: -1 } : { createdAt: -1 });
 
     res.status(200).json({
       success: true,
@@ -280,16 +476,20 @@ exports.getOrderById = async (req, res) => {
         path: "items.product",
         select: "title productImages price stock",
       })
-      .populate("user", "userName email phone address");
+      .populate("user", "userName email phone address")
+      .populate("statusHistory.actor", "userName email")
+      .populate("editHistory.editedBy", "userName email")
+      .populate("archiveHistory.actor", "userName email");
 
-    if (!order) {
+    // Archived orders are only visible to admins
+    if (!order || (order.archivedAt && !isAdmin)) {
       return res.status(404).json({
         success: false,
         message: "Order not found",
       });
     }
 
-    if (order.user.toString() !== userId && !isAdmin) {
+    if (order.user._id.toString() !== userId && !isAdmin) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view this order",
@@ -311,25 +511,161 @@ exports.getOrderById = async (req, res) => {
 };
 
 /**
- * Get all orders for current user
+ * Helper: Can the requester access this order's invoice?
+ * @param {import('express').Request} req
+ * @param {import('mongoose').Document} order - `user` may be populated
+ * @returns {boolean}
+ */
+const canAccessInvoice = (req, order) => {
+  if (req.invoiceLink) return req.invoiceLink.orderId === order._id.toString();
+  if (req.user.role === "SUPERADMIN") return true;
+  return (order.user._id || order.user).toString() === req.user.id;
+};
+
+/**
+ * Download the PDF invoice of an order
+ * @description Orders placed before invoicing get their invoice number on
+ *              first download. `?inline=true` displays instead of downloading.
+ * @param {string} orderId
+ * @query {string} [token] – signed link from getInvoiceLink (instead of a Bearer token)
+ * @access Private (owner or admin)
+ */
+exports.getOrderInvoice = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .populate({
+        path: "items.product",
+        select: "title",
+      })
+      .populate("user", "userName email phone");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (!canAccessInvoice(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this invoice",
+      });
+    }
+
+    await ensureInvoiceNumber(order);
+    const pdf = await renderInvoicePdf(order);
+
+    const disposition = req.query.inline === "true" ? "inline" : "attachment";
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `${disposition}; filename="${order.invoiceNumber}.pdf"`,
+      "Content-Length": pdf.length,
+      "Cache-Control": "private, no-store",
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error("Get order invoice error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Issue a short-lived signed link token for an order's invoice
+ * @description For clients that open the PDF outside the app (mobile browser),
+ *              where the Authorization header can't be sent. Use it as
+ *              `GET /api/order/:orderId/invoice?token=<token>`.
+ * @param {string} orderId
+ * @access Private (owner or admin)
+ */
+exports.getInvoiceLink = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select("user");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (!canAccessInvoice(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this invoice",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invoice link created",
+      token: createInvoiceLinkToken(order._id),
+      expiresIn: INVOICE_LINK_TTL,
+    });
+  } catch (error) {
+    console.error("Get invoice link error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Get the current user's orders, newest first, one page at a time
+ * @query {number} [page=1]
+ * @query {number} [limit=10] – at most 50
+ * @query {string} [status] – only orders in this status
  * @access Private
  */
 exports.getUserOrders = async (req, res) => {
   try {
     const userId = req.user.id;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 10, 1),
+      50,
+    );
 
-    const orders = await Order.find({ user: userId })
-      .populate({
-        path: "items.product",
-        select: "title productImages price",
-      })
-      .sort({ createdAt: -1 });
+    const filter = { user: userId, archivedAt: null };
+    if (req.query.status) {
+      if (!ORDER_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Allowed: ${ORDER_STATUSES.join(", ")}`,
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .populate({
+          path: "items.product",
+          select: "title productImages price",
+        })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+    ]);
 
     res.status(200).json({
       success: true,
       message: "User orders fetched successfully",
       count: orders.length,
       orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
     });
   } catch (error) {
     console.error("Get user orders error:", error);
@@ -340,8 +676,187 @@ exports.getUserOrders = async (req, res) => {
   }
 };
 
+/**
+ * Reorder – put the items of a past order back into the cart
+ * @description Lines are added at today's price. Deleted, inactive and
+ *              out-of-stock products (and removed variants) are skipped; lines with less stock than
+ *              ordered (counting what is already in the cart) are added with
+ *              the quantity still available. Every skipped or reduced line is
+ *              reported with a reason.
+ * @param {string} orderId
+ * @access Private (order owner)
+ */
+exports.reorder = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const order = await Order.findById(req.params.orderId).select(
+      "user items archivedAt",
+    );
+    if (!order || order.archivedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.user.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to reorder this order",
+      });
+    }
+
+    // A product (or variant) may appear on more than one line
+    const wanted = new Map();
+    order.items.forEach((item) => {
+      const key = lineKey(item.product, item.variantId);
+      const entry = wanted.get(key) || { orderLine: item, quantity: 0 };
+      entry.quantity += item.quantity;
+      wanted.set(key, entry);
+    });
+
+    const added = [];
+    const skipped = [];
+
+    for (const { orderLine, quantity } of wanted.values()) {
+      const productId = orderLine.product.toString();
+      const variantId = orderLine.variantId || null;
+      const product = await Product.findById(productId).select(
+        "title price stock status options variants",
+      );
+
+      if (!product) {
+        skipped.push({
+          productId,
+          requested: quantity,
+          reason: "DELETED",
+          message: "This product is no longer sold",
+        });
+        continue;
+      }
+
+      const title = orderLine.variantLabel
+        ? `${product.title} (${orderLine.variantLabel})`
+        : product.title;
+
+      if (product.status !== "ACTIVE") {
+        skipped.push({
+          productId,
+          variantId,
+          title,
+          requested: quantity,
+          reason: "INACTIVE",
+          message: `${product.title} is currently unavailable`,
+        });
+        continue;
+      }
+
+      const offer = getOffer(product, variantId);
+      if (!offer) {
+        skipped.push({
+          productId,
+          variantId,
+          title,
+          requested: quantity,
+          reason: "VARIANT_REMOVED",
+          message: `The option of ${title} you ordered is no longer sold`,
+        });
+        continue;
+      }
+
+      const cartItem = await Cart.findOne({ userId, productId, variantId });
+      const available = offer.stock - (cartItem?.quantity || 0);
+
+      if (available <= 0) {
+        skipped.push({
+          productId,
+          variantId,
+          title,
+          requested: quantity,
+          reason: "OUT_OF_STOCK",
+          message: cartItem
+            ? `Your cart already holds all ${offer.stock} in stock of ${title}`
+            : `${title} is out of stock`,
+        });
+        continue;
+      }
+
+      const units = Math.min(quantity, available);
+
+      if (cartItem) {
+        cartItem.quantity += units;
+        cartItem.unitPrice = offer.price;
+        await cartItem.save();
+      } else {
+        await Cart.create({
+          userId,
+          productId,
+          variantId,
+          quantity: units,
+          unitPrice: offer.price,
+          totalPrice: units * offer.price,
+        });
+      }
+
+      added.push({
+        productId,
+        variantId,
+        title,
+        quantity: units,
+        unitPrice: offer.price,
+        previousPrice: orderLine.priceAtPurchase,
+      });
+
+      if (units < quantity) {
+        skipped.push({
+          productId,
+          variantId,
+          title,
+          requested: quantity,
+          added: units,
+          reason: "LIMITED_STOCK",
+          message: `Only ${units} of ${quantity} × ${title} could be added`,
+        });
+      }
+    }
+
+    if (added.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "None of the items from this order can be added right now",
+        added,
+        skipped,
+      });
+    }
+
+    await syncUserCart(userId);
+
+    const itemsAdded = added.reduce((sum, line) => sum + line.quantity, 0);
+
+    res.status(200).json({
+      success: true,
+      message:
+        skipped.length > 0
+          ? `${itemsAdded} item(s) added to your cart – some items could not be added`
+          : `${itemsAdded} item(s) added to your cart`,
+      added,
+      skipped,
+    });
+  } catch (error) {
+    console.error("Reorder error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Cancel user's own order (PENDING only)
+ * @description The order is claimed atomically, so a concurrent admin or
+ *              automatic cancellation can't restock or refund it twice.
  * @body {string} reasonForCancel
  * @access Private (order owner)
  */
@@ -359,7 +874,7 @@ exports.cancelOrder = async (req, res) => {
     }
 
     const order = await Order.findById(orderId);
-    if (!order) {
+    if (!order || order.archivedAt) {
       return res.status(404).json({
         success: false,
         message: "Order not found",
@@ -380,30 +895,26 @@ exports.cancelOrder = async (req, res) => {
       });
     }
 
-    // Restore stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: item.quantity },
+    // Settles the payment, restores stock and the coupon redemption and
+    // syncs the user's order history
+    const cancelled = await claimAndCancelOrder({
+      orderId: order._id,
+      fromStatuses: ["PENDING"],
+      actor: req.user,
+      reason: reasonForCancel,
+      fields: {
+        reasonForCancel: reasonForCancel.trim(),
+        cancelledAt: new Date(),
+      },
+    });
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: "Cannot cancel – the order was changed by another request",
       });
     }
 
-    order.status = "CANCELLED";
-    order.paymentStatus = "CANCELLED";
-    order.reasonForCancel = reasonForCancel.trim();
-    order.cancelledAt = new Date();
-    await order.save();
-
-    // Sync user order history
-    await User.updateOne(
-      { _id: userId, "orders.orderId": orderId },
-      {
-        $set: {
-          "orders.$.status": "CANCELLED",
-          "orders.$.paymentStatus": "CANCELLED",
-        },
-      },
-    );
-
     const populatedOrder = await Order.findById(order._id)
       .populate({
         path: "items.product",
@@ -417,9 +928,17 @@ exports.cancelOrder = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Order cancelled successfully!",
-      orderStatus: order.status,
+      orderStatus: cancelled.status,
+      paymentStatus: cancelled.paymentStatus,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Cancel order error:", error);
     res.status(500).json({
       success: false,
@@ -431,9 +950,22 @@ exports.cancelOrder = async (req, res) => {
 
 /**
  * Update order status and/or payment status (SuperAdmin only)
+ * @description Status changes must follow ORDER_STATUS_TRANSITIONS and are
+ *              appended to `statusHistory`. Cancelling restores stock; the
+ *              order is claimed atomically so it is never restocked or
+ *              refunded twice. Other changes apply only if the order is still
+ *              in the status it was read in (409 otherwise).
+ *              SHIPPED ships every line not yet shipped in one parcel and
+ *              requires a carrier and tracking number (use create-shipment to
+ *              ship selected lines). DELIVERED marks all shipments delivered.
  * @param {string} orderId
  * @body {string} [status]           – e.g. "PROCESSING", "SHIPPED", "DELIVERED", "CANCELLED"
  * @body {string} [paymentStatus]    – e.g. "PENDING", "PAID"
+ * @body {string} [note]             – optional comment stored with the transition
+ * @body {string} [carrier]          – required for SHIPPED, e.g. "dhl" or "mock"
+ * @body {string} [trackingNumber]   – required for SHIPPED
+ * @body {string} [trackingUrl]      – optional public tracking page
+ * @body {string} [estimatedDelivery] – optional ISO date
  * @access Private (SuperAdmin)
  */
 exports.updateOrderStatus = async (req, res) => {
@@ -447,7 +979,15 @@ exports.updateOrderStatus = async (req, res) => {
     }
 
     const { orderId } = req.params;
-    const { status, paymentStatus } = req.body;
+    const {
+      status,
+      paymentStatus,
+      note,
+      carrier,
+      trackingNumber,
+      trackingUrl,
+      estimatedDelivery,
+    } = req.body;
 
     // At least one field must be provided
     if (!status && !paymentStatus) {
@@ -458,33 +998,40 @@ exports.updateOrderStatus = async (req, res) => {
     }
 
     // Validate status if provided
-    const validStatuses = [
-      "PENDING",
-      "PROCESSING",
-      "SHIPPED",
-      "DELIVERED",
-      "CANCELLED",
-    ];
-    if (status && !validStatuses.includes(status.toUpperCase())) {
+    const nextStatus = typeof status === "string" ? status.toUpperCase() : "";
+    if (status && !ORDER_STATUSES.includes(nextStatus)) {
       return res.status(400).json({
         success: false,
-        message: `Invalid status. Allowed: ${validStatuses.join(", ")}`,
+        message: `Invalid status. Allowed: ${ORDER_STATUSES.join(", ")}`,
+      });
+    }
+
+    if (RETURN_STATUSES.includes(nextStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: "Returned statuses are set by receiving a return request",
+      });
+    }
+
+    if (nextStatus === "PARTIALLY_SHIPPED") {
+      return res.status(400).json({
+        success: false,
+        message: "PARTIALLY_SHIPPED is set by shipping selected items",
       });
     }
 
     // Validate paymentStatus if provided
     const validPaymentStatuses = ["PENDING", "PAID"];
-    if (
-      paymentStatus &&
-      !validPaymentStatuses.includes(paymentStatus.toUpperCase())
-    ) {
+    const nextPaymentStatus =
+      typeof paymentStatus === "string" ? paymentStatus.toUpperCase() : "";
+    if (paymentStatus && !validPaymentStatuses.includes(nextPaymentStatus)) {
       return res.status(400).json({
         success: false,
         message: `Invalid paymentStatus. Allowed: ${validPaymentStatuses.join(", ")}`,
       });
     }
 
-    const order = await Order.findById(orderId).populate(
+    let order = await Order.findById(orderId).populate(
       "user",
       "userName email",
     );
@@ -496,27 +1043,108 @@ exports.updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Optional: Prevent changing status after DELIVERED or CANCELLED
-    if (["DELIVERED", "CANCELLED"].includes(order.status) && status) {
+    // Card payments are settled by the provider webhook
+    if (paymentStatus && order.paymentMethod === "DEBIT_CARD") {
       return res.status(400).json({
         success: false,
-        message: `Cannot change status of a ${order.status} order`,
+        message: "Card payment status is set by the payment provider",
       });
     }
 
-    // Apply updates
-    if (status) {
-      order.status = status.toUpperCase();
+    // Enforce the order lifecycle
+    if (status && !canTransition(order.status, nextStatus)) {
+      const allowed = getAllowedTransitions(order.status);
+      return res.status(400).json({
+        success: false,
+        message: allowed.length
+          ? `Cannot move order from ${order.status} to ${nextStatus}. Allowed: ${allowed.join(", ")}`
+          : `Cannot change status of a ${order.status} order`,
+      });
     }
-    if (paymentStatus) {
-      order.paymentStatus = paymentStatus.toUpperCase();
+
+    // Apply updates
+    let shipment = null;
+    if (nextStatus === "SHIPPED") {
+      // Ships and records the transition itself
+      ({ shipment } = await shipOrderItems({
+        orderId: order._id,
+        carrier,
+        trackingNumber,
+        trackingUrl,
+        estimatedDelivery,
+        actor: req.user,
+        note,
+      }));
+      order = await Order.findById(order._id).populate(
+        "user",
+        "userName email",
+      );
+    } else if (nextStatus === "CANCELLED") {
+      // Settles the payment, releases stock and the coupon and records the
+      // transition itself
+      const cancelled = await claimAndCancelOrder({
+        orderId: order._id,
+        fromStatuses: ORDER_STATUSES.filter((from) =>
+          canTransition(from, "CANCELLED"),
+        ),
+        actor: req.user,
+        reason: note,
+      });
+
+      if (!cancelled) {
+        return res.status(409).json({
+          success: false,
+          message: "Cannot cancel – the order was changed by another request",
+        });
+      }
+
+      order = await Order.findById(order._id).populate(
+        "user",
+        "userName email",
+      );
     }
 
-    // Optional: track who updated and when
-    order.updatedBy = req.user.id;
-    order.updatedAt = new Date();
+    // Claim the order in the status it was read in, so a concurrent
+    // cancellation or shipment is never overwritten
+    const isPlainTransition =
+      Boolean(status) && !["SHIPPED", "CANCELLED"].includes(nextStatus);
+    if (isPlainTransition || paymentStatus) {
+      const update = { $set: {} };
+      if (isPlainTransition) {
+        update.$set.status = nextStatus;
+        update.$push = {
+          statusHistory: buildStatusHistoryEntry(nextStatus, req.user, note),
+        };
+      }
+      if (paymentStatus) {
+        update.$set.paymentStatus = nextPaymentStatus;
+      }
+
+      const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        update,
+        { new: true },
+      ).populate("user", "userName email");
 
-    await order.save();
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: "Cannot update – the order was changed by another request",
+        });
+      }
+
+      order = claimed;
+
+      if (isPlainTransition && nextStatus === "DELIVERED") {
+        await markShipmentsDelivered(order);
+        await order.save();
+      }
+    }
+
+    // Pay-on-delivery orders are invoiced once they are marked paid
+    if (order.paymentStatus === "PAID") {
+      await ensureInvoiceNumber(order);
+    }
 
     // Sync to user's order history
     await User.updateOne(
@@ -529,8 +1157,18 @@ exports.updateOrderStatus = async (req, res) => {
       },
     );
 
+    const populatedOrder = await Order.findById(order._id)
+      .populate({
+        path: "items.product",
+        select: "title productImages price",
+      })
+      .populate("user", "userName email phone")
+      .populate("statusHistory.actor", "userName email");
+
     // Send email notification to user if status changed
-    if (status) {
+    if (shipment) {
+      await sendShipmentUpdateEmail(populatedOrder, shipment);
+    } else if (status) {
       await sendOrderStatusUpdateEmail?.(
         order.user.email,
         order.user.userName,
@@ -540,20 +1178,180 @@ exports.updateOrderStatus = async (req, res) => {
       );
     }
 
+    res.status(200).json({
+      success: true,
+      message: "Order status updated successfully",
+      updatedOrderStatus: populatedOrder,
+      ...(shipment && { shipment }),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Update order status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Edit an order before fulfillment (SuperAdmin only)
+ * @description For PENDING / PROCESSING orders: add, remove or re-quantify
+ *              lines and change the shipping address. Stock, coupons, tax,
+ *              shipping and totals are reconciled in one transaction, the edit
+ *              is added to `editHistory`, and the customer is emailed.
+ * @param {string} orderId
+ * @body {Array<{ productId: string, variantId?: string, quantity: number }>} [items] – quantity 0 removes the line; unlisted lines are kept
+ * @body {string} [shippingAddress]
+ * @body {string} [note] – reason, shown to the customer
+ * @access Private (SuperAdmin)
+ */
+exports.editOrder = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { items, shippingAddress, note } = req.body;
+
+    const { order, edit } = await editOrder({
+      orderId: req.params.orderId,
+      items,
+      shippingAddress,
+      actor: req.user,
+      note,
+    });
+
     const populatedOrder = await Order.findById(order._id)
       .populate({
         path: "items.product",
-        select: "title productImages price",
+        select: "title productImages price stock",
       })
-      .populate("user", "userName email phone");
+      .populate("user", "userName email phone address")
+      .populate("statusHistory.actor", "userName email")
+      .populate("editHistory.editedBy", "userName email");
+
+    await sendOrderUpdatedEmail(populatedOrder, edit);
 
     res.status(200).json({
       success: true,
-      message: "Order status updated successfully",
-      updatedOrderStatus: populatedOrder,
+      message: "Order updated – the customer has been notified",
+      updatedOrder: populatedOrder,
     });
   } catch (error) {
-    console.error("Update order status error:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Edit order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Helper: Populate an order for the admin order list
+ * @param {string} orderId
+ * @returns {import('mongoose').Query}
+ */
+const findListedOrder = (orderId) =>
+  Order.findById(orderId)
+    .populate({
+      path: "items.product",
+      select: "title productImages price",
+    })
+    .populate("user", "userName email phone")
+    .populate("archivedBy", "userName email");
+
+/**
+ * Archive (soft delete) an order (SuperAdmin only)
+ * @description Replaces permanent deletion: the order and its financial records
+ *              are kept but hidden from default listings and from the
+ *              customer. Only closed orders can be archived. Archived orders
+ *              are purged once the retention period has passed.
+ * @param {string} orderId
+ * @body {string} reason – why the order is archived (min 5 characters)
+ * @access Private (SuperAdmin)
+ */
+exports.archiveOrder = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required to archive orders",
+      });
+    }
+
+    const { orderId } = req.params;
+    const reason = req.body.reason?.trim();
+
+    if (!reason || reason.length < 5) {
+      return res.status(400).json({
+        success: false,
+        message: "Archive reason required (min 5 characters)",
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Order is already archived",
+      });
+    }
+
+    if (!ARCHIVABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only closed orders can be archived (order is ${order.status})`,
+      });
+    }
+
+    order.archivedAt = new Date();
+    order.archivedBy = req.user.id;
+    order.archiveReason = reason;
+    order.archiveHistory.push({
+      action: "ARCHIVED",
+      actor: req.user.id,
+      reason,
+    });
+    await order.save();
+
+    await User.updateOne(
+      { _id: order.user, "orders.orderId": order._id },
+      { $set: { "orders.$.archived": true } },
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Order archived successfully",
+      archivedOrder: await findListedOrder(order._id),
+    });
+  } catch (error) {
+    console.error("Archive order error:", error);
     res.status(500).json({
       success: false,
       message: "Server Error",
@@ -563,23 +1361,22 @@ exports.updateOrderStatus = async (req, res) => {
 };
 
 /**
- * Delete an order permanently (SuperAdmin only)
- * @description Removes the order record and cleans up the reference in the User's order history.
+ * Restore an archived order (SuperAdmin only)
+ * @param {string} orderId
+ * @body {string} [reason]
  * @access Private (SuperAdmin)
  */
-exports.deleteOrder = async (req, res) => {
+exports.restoreOrder = async (req, res) => {
   try {
-    // 1. Authorization Check
     if (req.user.role !== "SUPERADMIN") {
       return res.status(403).json({
         success: false,
-        message: "SuperAdmin access required to delete orders",
+        message: "SuperAdmin access required to restore orders",
       });
     }
 
     const { orderId } = req.params;
 
-    // 2. Find the order first to get the associated User ID
     const order = await Order.findById(orderId);
     if (!order) {
       return res.status(404).json({
@@ -588,22 +1385,35 @@ exports.deleteOrder = async (req, res) => {
       });
     }
 
-    const userId = order.user;
+    if (!order.archivedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Order is not archived",
+      });
+    }
 
-    // 3. Remove the order reference from the User's order history array
-    await User.findByIdAndUpdate(userId, {
-      $pull: { orders: { orderId: orderId } },
+    order.archivedAt = null;
+    order.archivedBy = null;
+    order.archiveReason = "";
+    order.archiveHistory.push({
+      action: "RESTORED",
+      actor: req.user.id,
+      reason: req.body.reason?.trim() || "",
     });
+    await order.save();
 
-    // 4. Delete the order from the database
-    await Order.findByIdAndDelete(orderId);
+    await User.updateOne(
+      { _id: order.user, "orders.orderId": order._id },
+      { $set: { "orders.$.archived": false } },
+    );
 
     res.status(200).json({
       success: true,
-      message: "Order deleted successfully",
+      message: "Order restored successfully",
+      restoredOrder: await findListedOrder(order._id),
     });
   } catch (error) {
-    console.error("Delete order error:", error);
+    console.error("Restore order error:", error);
     res.status(500).json({
       success: false,
       message: "Server Error",
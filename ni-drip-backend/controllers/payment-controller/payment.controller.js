@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Payment controller – provider webhooks and card payment actions
+ * @module controllers/paymentController
+ * @description Webhooks are verified against the provider's signature and
+ *              recorded in `PaymentEvent`; the unique event id makes redelivered
+ *              events a no-op, so an order is never processed twice.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const PaymentEvent = require("../../models/payment-event-model/payment-event.model");
+const {
+  getPaymentProvider,
+  isCardPaymentEnabled,
+  capturePayment,
+} = require("../../services/payment-service/payment.service");
+const {
+  assignInvoiceNumber,
+} = require("../../services/invoice-service/invoice.service");
+
+/**
+ * Normalized event type → payment status it moves the order to
+ * @type {Object<string, string>}
+ */
+const EVENT_PAYMENT_STATUS = {
+  "payment.succeeded": "PAID",
+  "payment.failed": "FAILED",
+};
+
+/**
+ * Payment statuses a webhook may still change (PAID is final, and cancelled /
+ * refunded orders are settled by the cancel and return flows)
+ * @type {string[]}
+ */
+const WEBHOOK_UPDATABLE_STATUSES = ["PENDING", "FAILED"];
+
+/**
+ * Handle a payment provider webhook
+ * @description Verifies the signature over the raw body, then – in one
+ *              transaction – records the event and flips the order's
+ *              `paymentStatus` to PAID or FAILED. A PAID order gets its
+ *              invoice number in the same transaction. Duplicate deliveries
+ *              are acknowledged with 200 without reprocessing.
+ *              Answers 503 when card payments are not enabled.
+ * @header {string} x-payment-signature – `t=<timestamp>,v1=<hmac>`
+ * @access Public (signature verified)
+ */
+exports.handleWebhook = async (req, res) => {
+  if (!isCardPaymentEnabled()) {
+    return res.status(503).json({
+      success: false,
+      message: "Card payments are not enabled",
+    });
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    const provider = getPaymentProvider();
+
+    let event;
+    try {
+      event = provider.parseWebhook(req.rawBody, req.headers);
+    } catch {
+      event = null;
+    }
+
+    if (!event?.id) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid webhook signature or payload",
+      });
+    }
+
+    const nextPaymentStatus = EVENT_PAYMENT_STATUS[event.type];
+    const order = event.intentId
+      ? await Order.findOne({ "payment.intentId": event.intentId })
+      : null;
+
+    let updated = false;
+
+    await session.withTransaction(async () => {
+      updated = false;
+
+      await PaymentEvent.create(
+        [
+          {
+            provider: provider.name,
+            eventId: event.id,
+            type: event.type,
+            intentId: event.intentId || null,
+            order: order?._id || null,
+          },
+        ],
+        { session },
+      );
+
+      // Unknown intents and event types are recorded but otherwise ignored
+      if (!order || !nextPaymentStatus) return;
+
+      const result = await Order.updateOne(
+        {
+          _id: order._id,
+          paymentStatus: { $in: WEBHOOK_UPDATABLE_STATUSES },
+        },
+        {
+          $set: {
+            paymentStatus: nextPaymentStatus,
+            "payment.failureReason":
+              nextPaymentStatus === "FAILED" ? event.failureReason : "",
+            ...(nextPaymentStatus === "PAID" && {
+              "payment.paidAt": new Date(),
+            }),
+          },
+        },
+        { session },
+      );
+
+      if (!result.modifiedCount) return;
+      updated = true;
+
+      if (nextPaymentStatus === "PAID") {
+        await assignInvoiceNumber(order._id, session);
+      }
+
+      await User.updateOne(
+        { _id: order.user, "orders.orderId": order._id },
+        { $set: { "orders.$.paymentStatus": nextPaymentStatus } },
+        { session },
+      );
+    });
+
+    res.status(200).json({
+      success: true,
+      message: updated
+        ? `Order payment marked ${nextPaymentStatus}`
+        : "Event acknowledged",
+      received: true,
+    });
+  } catch (error) {
+    // Unique (provider, eventId) index – this event was already processed
+    if (error.code === 11000) {
+      return res.status(200).json({
+        success: true,
+        message: "Event already processed",
+        received: true,
+        duplicate: true,
+      });
+    }
+
+    console.error("Payment webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Capture an authorized card payment (SuperAdmin only)
+ * @description Used when PAYMENT_CAPTURE_METHOD is "manual". The order is
+ *              marked PAID by the resulting `payment.succeeded` webhook.
+ * @param {string} orderId
+ * @access Private (SuperAdmin)
+ */
+exports.capturePayment = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    if (!isCardPaymentEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: "Card payments are not enabled",
+      });
+    }
+
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.paymentStatus !== "PENDING") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot capture – payment is ${order.paymentStatus}`,
+      });
+    }
+
+    const result = await capturePayment(order);
+
+    res.status(200).json({
+      success: true,
+      message: "Payment capture requested",
+      intentId: result.intentId,
+      providerStatus: result.status,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Capture payment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -6,19 +6,75 @@
  */
 
 const Product = require("../../models/product-model/product.model");
+const {
+  PRODUCT_LIST_FIELDS,
+  buildProductListQuery,
+  parseCategoryEntry,
+} = require("../../helpers/product-helper/product-query.helper");
+const {
+  searchProducts,
+  suggestSearches,
+  invalidateSearchIndex,
+} = require("../../services/search-service/product-search.service");
+const { getSpecFacets } = require("../../services/facet-service/facet.service");
+const {
+  resolveProductCategories,
+  withCategoryScope,
+} = require("../../services/category-service/category.service");
+const {
+  normalizeVariants,
+} = require("../../helpers/product-helper/variant.helper");
 const {
   uploadToCloudinary,
   deleteFromCloudinary,
 } = require("../../utilities/cloudinary-utilitity/cloudinary.utility");
 
+/**
+ * Helper: Respond to a failed product write
+ * @description Validation errors carry a `statusCode`; a duplicate key can
+ *              only come from the unique variant SKU index.
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} label - Log prefix
+ */
+const sendProductWriteError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "A variant SKU is already used by another product",
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: "Server Error",
+    error: error.message,
+  });
+};
+
 /**
  * Create new product (with images)
+ * @description With `options` and `variants`, the product is sold per
+ *              variant: its `price` becomes the lowest variant price and its
+ *              `stock` the sum of variant stock (the sent values are ignored).
  * @body {string} title
  * @body {string} description
  * @body {number} price
- * @body {string|string[]} category
+ * @body {string|string[]} categories – category IDs (JSON array or comma separated)
+ * @body {string|string[]} [category] – category names or slugs, instead of `categories`
  * @body {number} stock
+ * @body {number} [weight=0] – shipping weight in kg
  * @body {string} [status="ACTIVE"]
+ * @body {string} [options]  – JSON `[{ name, values[] }]`, e.g. Color, Storage
+ * @body {string} [variants] – JSON `[{ options: { [name]: value }, sku, price, stock }]`
  * @files {productImage[]} – up to 5 images
  * @access Private (SuperAdmin)
  */
@@ -28,10 +84,12 @@ exports.addProduct = async (req, res) => {
       title,
       description,
       price,
-      category,
       stock,
+      weight,
       status,
       specifications,
+      options,
+      variants,
     } = req.body;
 
     if (!req.files?.productImage?.length) {
@@ -41,6 +99,17 @@ exports.addProduct = async (req, res) => {
       });
     }
 
+    // Validated before any image is uploaded
+    const categoryData = await resolveProductCategories(req.body);
+    if (!categoryData) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one category is required",
+      });
+    }
+    const variantData = normalizeVariants(options, variants);
+    const hasVariants = variantData.variants.length > 0;
+
     const uploadedImages = await Promise.all(
       req.files.productImage.map((file) =>
         uploadToCloudinary(file, "productImage"),
@@ -52,16 +121,21 @@ exports.addProduct = async (req, res) => {
     const product = new Product({
       title,
       description,
-      price: Number(price),
-      category: Array.isArray(category) ? category : [category],
-      stock: Number(stock),
+      price: hasVariants ? variantData.price : Number(price),
+      category: categoryData.category,
+      categories: categoryData.categories,
+      stock: hasVariants ? variantData.stock : Number(stock),
+      weight: Number(weight) || 0,
       status: status || "ACTIVE",
       productImages: imageUrls,
       addedBy: req.user.id,
       specifications: specifications ? JSON.parse(specifications) : [],
+      options: variantData.options,
+      variants: variantData.variants,
     });
 
     await product.save();
+    invalidateSearchIndex();
 
     res.status(201).json({
       success: true,
@@ -69,48 +143,257 @@ exports.addProduct = async (req, res) => {
       newProduct: product,
     });
   } catch (error) {
-    console.error("Add product error:", error);
+    sendProductWriteError(res, error, "Add product");
+  }
+};
+
+/**
+ * Get products, one page at a time, filtered and sorted
+ * @description Returns the lightweight list projection (no embedded reviews,
+ *              ratings or specifications). Only ACTIVE products unless
+ *              `status` says otherwise.
+ * @query {string} [category]   – comma-separated IDs, slugs or names, any of
+ *                                 (subcategories included)
+ * @query {number} [minPrice]
+ * @query {number} [maxPrice]
+ * @query {string} [inStock]    – true | false
+ * @query {string} [status=ACTIVE] – ACTIVE | INACTIVE | ALL
+ * @query {number} [minRating]  – 0–5
+ * @query {string} [search]     – title contains
+ * @query {string} [specs]      – JSON of spec names to allowed values, e.g.
+ *                                 {"Charging Interface":["Type-C"]}
+ * @query {string} [sort=newest] – newest | price_asc | price_desc | rating | popularity
+ * @query {number} [page=1]
+ * @query {number} [limit=20]   – at most 100
+ * @query {string} [includeCounts] – "true" adds ACTIVE / INACTIVE counts and the
+ *                                   total stock units for the same filters,
+ *                                   ignoring `status`
+ * @access Public
+ */
+exports.getAllProducts = async (req, res) => {
+  try {
+    const { filter, sort, page, limit } = buildProductListQuery(
+      await withCategoryScope(req.query),
+    );
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .select(PRODUCT_LIST_FIELDS)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Product.countDocuments(filter),
+    ]);
+
+    let statusCounts;
+    let stockUnits;
+    if (req.query.includeCounts === "true") {
+      const countFilter = { ...filter };
+      delete countFilter.status;
+      const counts = await Product.aggregate([
+        { $match: countFilter },
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+            stock: { $sum: "$stock" },
+          },
+        },
+      ]);
+      statusCounts = { ACTIVE: 0, INACTIVE: 0 };
+      stockUnits = 0;
+      counts.forEach((count) => {
+        statusCounts[count._id] = count.count;
+        stockUnits += count.stock;
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Products fetched successfully",
+      count: products.length,
+      products,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+      },
+      ...(statusCounts ? { statusCounts, stockUnits } : {}),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Get all products error:", error);
     res.status(500).json({
       success: false,
       message: "Server Error",
-      error: error.message,
     });
   }
 };
 
 /**
- * Get all products
+ * Get each category of the ACTIVE catalog with its product count and a
+ * cover image
+ * @description Grouped by stored category name. Superseded by the category
+ *              tree (`GET /api/category/get-category-tree`); kept for older
+ *              app versions.
  * @access Public
  */
-exports.getAllProducts = async (req, res) => {
+exports.getCategorySummary = async (req, res) => {
   try {
-    const products = await Product.find()
-      .populate("addedBy", "userName email")
-      .populate({
-        path: "reviews.user",
-        select: "id profilePicture userName email",
-      })
-      .populate({
-        path: "ratings.user",
-        select: "id profilePicture userName email",
-      })
-      .sort({ createdAt: -1 });
-
-    if (!products.length) {
-      return res.status(404).json({
+    // One row per stored category entry; entries may hold several names
+    const entries = await Product.aggregate([
+      { $match: { status: "ACTIVE" } },
+      { $unwind: "$category" },
+      {
+        $group: {
+          _id: "$category",
+          productIds: { $addToSet: "$_id" },
+          imageUrl: { $first: { $arrayElemAt: ["$productImages", 0] } },
+        },
+      },
+    ]);
+
+    const byName = new Map();
+    entries.forEach((entry) => {
+      parseCategoryEntry(entry._id).forEach((name) => {
+        const summary = byName.get(name) || {
+          title: name,
+          productIds: new Set(),
+          imageUrl: null,
+        };
+        entry.productIds.forEach((id) => summary.productIds.add(String(id)));
+        summary.imageUrl = summary.imageUrl || entry.imageUrl || null;
+        byName.set(name, summary);
+      });
+    });
+
+    const categories = [...byName.values()]
+      .map(({ title, productIds, imageUrl }) => ({
+        title,
+        itemCount: productIds.size,
+        imageUrl,
+      }))
+      .sort((a, b) => b.itemCount - a.itemCount);
+
+    res.status(200).json({
+      success: true,
+      message: "Categories fetched successfully",
+      count: categories.length,
+      categories,
+    });
+  } catch (error) {
+    console.error("Get category summary error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Get specification facets ("Charging Interface: Type-C (12)") for a listing.
+ * Takes the same filters as `getAllProducts`; a spec name's counts ignore its
+ * own selection so several values can be picked.
+ * @access Public
+ */
+exports.getSpecFacets = async (req, res) => {
+  try {
+    const { facets, total } = await getSpecFacets(req.query);
+
+    res.status(200).json({
+      success: true,
+      message: "Facets fetched successfully",
+      total,
+      facets,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: "No products found",
+        message: error.message,
       });
     }
 
+    console.error("Get spec facets error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Search ACTIVE products, most relevant first. Misspelled words are searched
+ * as their closest catalog word and reported in `correctedQuery`.
+ * @query {string} q
+ * @query {number} [page=1]
+ * @query {number} [limit=20] – at most 50
+ * @access Public
+ */
+exports.searchProducts = async (req, res) => {
+  try {
+    const { products, correctedQuery, pagination } = await searchProducts(
+      req.query,
+    );
+
     res.status(200).json({
       success: true,
-      message: "Products fetched successfully",
+      message: "Search completed successfully",
       count: products.length,
-      allProducts: products,
+      products,
+      correctedQuery,
+      pagination,
     });
   } catch (error) {
-    console.error("Get all products error:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Search products error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Autocomplete suggestions (queries, categories, products) for a partly
+ * typed search
+ * @query {string} q
+ * @query {number} [limit=8] – at most 20
+ * @access Public
+ */
+exports.getSearchSuggestions = async (req, res) => {
+  try {
+    const { suggestions } = await suggestSearches(req.query);
+
+    res.status(200).json({
+      success: true,
+      message: "Suggestions fetched successfully",
+      suggestions,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Search suggestions error:", error);
     res.status(500).json({
       success: false,
       message: "Server Error",
@@ -151,14 +434,23 @@ exports.getProductById = async (req, res) => {
 };
 
 /**
- * Update product (metadata, images, stock, status)
+ * Update product (metadata, images, stock, status, variants)
+ * @description Sending `options` and `variants` replaces both (send empty
+ *              arrays to drop variants). Variants keep their `_id` when it is
+ *              sent back, so cart lines and orders still point at them. The
+ *              price and stock of a product with variants follow its variants
+ *              and can't be set directly.
  * @param {string} productId
  * @body {string} [title]
  * @body {string} [description]
  * @body {number} [price]
- * @body {string|string[]} [category]
+ * @body {string|string[]} [categories] – category IDs
+ * @body {string|string[]} [category] – category names or slugs
  * @body {number} [stock]
+ * @body {number} [weight]
  * @body {string} [status]
+ * @body {string} [options]  – JSON `[{ name, values[] }]`
+ * @body {string} [variants] – JSON `[{ _id?, options: { [name]: value }, sku, price, stock }]`
  * @files {productImage[]} – replace all images if provided
  * @access Private (SuperAdmin)
  */
@@ -185,27 +477,16 @@ exports.updateProduct = async (req, res) => {
       "title",
       "description",
       "price",
-      "category",
       "stock",
+      "weight",
       "specifications",
     ];
 
     // Add only the fields that are provided in the request body AND have a valid value
     updateableFields.forEach((field) => {
       if (req.body[field] !== undefined && req.body[field] !== "") {
-        // Handle category field - convert to array if it's not already
-        if (field === "category") {
-          if (Array.isArray(req.body[field]) && req.body[field].length > 0) {
-            updates.category = req.body[field];
-          } else if (
-            typeof req.body[field] === "string" &&
-            req.body[field].trim() !== ""
-          ) {
-            updates.category = [req.body[field]];
-          }
-        }
         // Handle specifications field
-        else if (field === "specifications") {
+        if (field === "specifications") {
           if (Array.isArray(req.body[field]) && req.body[field].length > 0) {
             updates.specifications = req.body[field];
           } else if (
@@ -227,7 +508,7 @@ exports.updateProduct = async (req, res) => {
           }
         }
         // Handle other fields with validation
-        else if (field === "price" || field === "stock") {
+        else if (field === "price" || field === "stock" || field === "weight") {
           // For numeric fields, only update if it's a valid number
           const value = parseFloat(req.body[field]);
           if (!isNaN(value) && value >= 0) {
@@ -248,6 +529,33 @@ exports.updateProduct = async (req, res) => {
       }
     });
 
+    // Categories are stored by ID, with their names alongside
+    const categoryData = await resolveProductCategories(req.body);
+    if (categoryData) Object.assign(updates, categoryData);
+
+    // Variants override price and stock with their own totals
+    if (req.body.options !== undefined || req.body.variants !== undefined) {
+      const variantData = normalizeVariants(
+        req.body.options,
+        req.body.variants,
+      );
+      updates.options = variantData.options;
+      updates.variants = variantData.variants;
+      if (variantData.variants.length) {
+        updates.price = variantData.price;
+        updates.stock = variantData.stock;
+      }
+    } else if (
+      product.variants?.length &&
+      (updates.price !== undefined || updates.stock !== undefined)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "This product has variants – change price and stock per variant",
+      });
+    }
+
     // Handle product images separately
     if (req.files?.productImage?.length) {
       // Delete old images
@@ -281,6 +589,7 @@ exports.updateProduct = async (req, res) => {
       updates,
       { new: true, runValidators: true },
     );
+    invalidateSearchIndex();
 
     res.status(200).json({
       success: true,
@@ -288,12 +597,7 @@ exports.updateProduct = async (req, res) => {
       updatedProduct: updatedProduct,
     });
   } catch (error) {
-    console.error("Update product error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server Error",
-      error: error.message,
-    });
+    sendProductWriteError(res, error, "Update product");
   }
 };
 
@@ -330,6 +634,7 @@ exports.deleteProduct = async (req, res) => {
     }
 
     await Product.findByIdAndDelete(req.params.productId);
+    invalidateSearchIndex();
 
     res.status(200).json({
       success: true,
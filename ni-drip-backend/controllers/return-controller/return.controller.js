@@ -0,0 +1,708 @@
+/**
+ * @fileoverview Return controller – returns & refunds (RMA) for delivered orders
+ * @module controllers/returnController
+ * @description Customers open returns within the return window; SuperAdmins
+ *              approve, reject or receive them. Receiving restocks products and
+ *              moves the order to PARTIALLY_RETURNED / RETURNED.
+ */
+
+const mongoose = require("mongoose");
+const ReturnRequest = require("../../models/return-model/return.model");
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const {
+  releaseStock,
+} = require("../../services/inventory-service/inventory.service");
+const {
+  refundPayment,
+} = require("../../services/payment-service/payment.service");
+const {
+  canTransition,
+  buildStatusHistoryEntry,
+} = require("../../helpers/order-helper/order-status.helper");
+const {
+  roundCurrency,
+} = require("../../helpers/order-helper/order-totals.helper");
+const {
+  lineKey,
+  sameVariant,
+} = require("../../helpers/product-helper/variant.helper");
+const {
+  sendReturnConfirmationToUser,
+  sendNewReturnNotificationToAdmin,
+  sendReturnStatusUpdateEmail,
+} = require("../../helpers/email-helper/email.helper");
+
+/**
+ * Days after delivery during which a return can be opened
+ * @type {number}
+ */
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+/**
+ * Returns whose refund is still to be paid
+ * @type {string[]}
+ */
+const OPEN_RETURN_STATUSES = ["REQUESTED", "APPROVED"];
+
+/**
+ * Reasons a customer can pick, as declared on the model
+ * @type {string[]}
+ */
+const RETURN_REASONS = ReturnRequest.schema.path("reason").enumValues;
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const returnError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Helper: A line's share of the coupon discount on the order's items
+ * @description Stored on the line at checkout; orders placed before that get
+ *              the item discount prorated by line value, as checkout does.
+ * @param {Object} order
+ * @param {Object} line - One of `order.items`
+ * @returns {number}
+ */
+const getLineDiscount = (order, line) => {
+  if (order.items.some((item) => item.discountAmount > 0)) {
+    return line.discountAmount || 0;
+  }
+
+  const itemDiscount = (order.discounts || [])
+    .filter((discount) => discount.type !== "FREE_SHIPPING")
+    .reduce((sum, discount) => sum + discount.amount, 0);
+  const subtotal = order.items.reduce(
+    (sum, item) => sum + item.priceAtPurchase * item.quantity,
+    0,
+  );
+
+  return subtotal > 0
+    ? (Math.min(itemDiscount, subtotal) *
+        line.priceAtPurchase *
+        line.quantity) /
+        subtotal
+    : 0;
+};
+
+/**
+ * Helper: Hand a rejected return's units back to its order lines
+ * @description Lines never claimed (returns opened before claims were
+ *              recorded) are left alone rather than driven below zero.
+ * @param {Object} returnRequest
+ * @param {import('mongoose').ClientSession} session
+ * @returns {Promise<void>}
+ */
+const releaseReturnClaims = async (returnRequest, session) => {
+  for (const item of returnRequest.items) {
+    await Order.updateOne(
+      {
+        _id: returnRequest.order,
+        items: {
+          $elemMatch: {
+            product: item.product,
+            variantId: item.variantId || null,
+            claimedReturnQuantity: { $gte: item.quantity },
+          },
+        },
+      },
+      { $inc: { "items.$.claimedReturnQuantity": -item.quantity } },
+      { session },
+    );
+  }
+};
+
+/**
+ * Helper: Fetch a return with everything the emails and admin screen need
+ * @param {string} returnId
+ */
+const findPopulatedReturn = (returnId) =>
+  ReturnRequest.findById(returnId)
+    .populate({
+      path: "items.product",
+      select: "title productImages price",
+    })
+    .populate("user", "userName email phone")
+    .populate("order", "status totalAmount createdAt");
+
+/**
+ * Open a return request for a delivered order
+ * @description Runs in one transaction: each returned line is claimed on the
+ *              order with a conditional increment of `claimedReturnQuantity`,
+ *              and the request is inserted only if every claim succeeds. Two
+ *              requests racing for the same units can't both pass – the loser
+ *              gets a 409.
+ * @param {string} orderId
+ * @body {Array<{ productId: string, variantId?: string, quantity: number }>} items
+ *       `variantId` picks the line of a product ordered in more than one variant
+ * @body {string} reason  – DEFECTIVE | DAMAGED_IN_TRANSIT | WRONG_ITEM | NOT_AS_DESCRIBED | OTHER
+ * @body {string} [details]
+ * @access Private (order owner)
+ */
+exports.requestReturn = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    const { orderId } = req.params;
+    const { items, reason, details } = req.body;
+    const userId = req.user.id;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Select at least one item to return",
+      });
+    }
+
+    const returnReason =
+      typeof reason === "string" ? reason.trim().toUpperCase() : "";
+    if (!RETURN_REASONS.includes(returnReason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Return reason must be one of ${RETURN_REASONS.join(", ")}`,
+      });
+    }
+
+    if (details !== undefined && typeof details !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Return details must be text",
+      });
+    }
+
+    let returnRequest;
+
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId).session(session);
+      if (!order || order.archivedAt) {
+        throw returnError("Order not found", 404);
+      }
+
+      if (order.user.toString() !== userId) {
+        throw returnError(
+          "You can only return items from your own orders",
+          403,
+        );
+      }
+
+      if (!["DELIVERED", "PARTIALLY_RETURNED"].includes(order.status)) {
+        throw returnError(
+          `Cannot return items – order is ${order.status}`,
+          400,
+        );
+      }
+
+      // Return window starts at delivery
+      const deliveredEntry = [...order.statusHistory]
+        .reverse()
+        .find((entry) => entry.status === "DELIVERED");
+      const deliveredAt = deliveredEntry?.changedAt || order.updatedAt;
+      const windowEndsAt = new Date(
+        new Date(deliveredAt).getTime() +
+          RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000,
+      );
+
+      if (Date.now() > windowEndsAt.getTime()) {
+        throw returnError(
+          `Return window closed – returns are accepted within ${RETURN_WINDOW_DAYS} days of delivery`,
+          400,
+        );
+      }
+
+      const returnItems = [];
+      const claimedByLine = {};
+      for (const { productId, variantId, quantity } of items) {
+        const line = order.items.find(
+          (item) =>
+            item.product.toString() === productId &&
+            sameVariant(item, variantId),
+        );
+        if (!line) {
+          throw returnError(
+            variantId
+              ? `This option of product ${productId} is not part of this order`
+              : `Product with ID ${productId} is not part of this order`,
+            400,
+          );
+        }
+
+        // Same line listed twice in one request counts once per unit
+        const key = lineKey(line.product, line.variantId);
+        const qty = Number(quantity);
+        const returnable =
+          line.quantity -
+          (line.claimedReturnQuantity || 0) -
+          (claimedByLine[key] || 0);
+
+        if (!Number.isInteger(qty) || qty < 1 || qty > returnable) {
+          throw returnError(
+            `Invalid quantity for product ${productId} (only ${Math.max(returnable, 0)} returnable)`,
+            400,
+          );
+        }
+
+        returnItems.push({
+          product: line.product,
+          variantId: line.variantId,
+          quantity: qty,
+          priceAtPurchase: line.priceAtPurchase,
+        });
+        claimedByLine[key] = (claimedByLine[key] || 0) + qty;
+      }
+
+      // Claim the units on the order; fails if another request claimed them
+      // since the order was read
+      for (const line of order.items) {
+        const qty = claimedByLine[lineKey(line.product, line.variantId)];
+        if (!qty) continue;
+
+        const claim = await Order.updateOne(
+          {
+            _id: order._id,
+            items: {
+              $elemMatch: {
+                _id: line._id,
+                claimedReturnQuantity: { $not: { $gt: line.quantity - qty } },
+              },
+            },
+          },
+          { $inc: { "items.$.claimedReturnQuantity": qty } },
+          { session },
+        );
+
+        if (claim.modifiedCount === 0) {
+          throw returnError(
+            "These items are already part of another return request",
+            409,
+          );
+        }
+      }
+
+      // Refund what was paid for those units: the purchase price less the
+      // line's coupon discount share, plus the tax charged. Never more than
+      // what is left of the order total after earlier and open returns.
+      const itemsRefund = returnItems.reduce((sum, item) => {
+        const line = order.items.find(
+          (orderLine) =>
+            orderLine.product.equals(item.product) &&
+            sameVariant(orderLine, item.variantId),
+        );
+        const linePaid =
+          line.priceAtPurchase * line.quantity -
+          getLineDiscount(order, line) +
+          (line.taxAmount || 0);
+        return sum + (linePaid * item.quantity) / line.quantity;
+      }, 0);
+      const openReturns = await ReturnRequest.find({
+        order: order._id,
+        status: { $in: OPEN_RETURN_STATUSES },
+      }).session(session);
+      const pendingRefunds = openReturns.reduce(
+        (sum, openReturn) => sum + openReturn.refundAmount,
+        0,
+      );
+      const refundAmount = roundCurrency(
+        Math.max(
+          Math.min(
+            itemsRefund,
+            order.totalAmount - (order.refundedAmount || 0) - pendingRefunds,
+          ),
+          0,
+        ),
+      );
+
+      [returnRequest] = await ReturnRequest.create(
+        [
+          {
+            order: order._id,
+            user: userId,
+            items: returnItems,
+            reason: returnReason,
+            details: details?.trim() || "",
+            refundAmount,
+          },
+        ],
+        { session },
+      );
+    });
+
+    const populatedReturn = await findPopulatedReturn(returnRequest._id);
+
+    await sendReturnConfirmationToUser(populatedReturn);
+    await sendNewReturnNotificationToAdmin(populatedReturn);
+
+    res.status(201).json({
+      success: true,
+      message: "Return request submitted. We'll review it shortly.",
+      returnRequest: populatedReturn,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Request return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Get current user's return requests
+ * @access Private
+ */
+exports.getMyReturns = async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ user: req.user.id })
+      .populate({
+        path: "items.product",
+        select: "title productImages price",
+      })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Return requests fetched successfully",
+      count: returns.length,
+      returns,
+    });
+  } catch (error) {
+    console.error("Get my returns error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Get all return requests (admin)
+ * @query {string} [status] – filter by return status
+ * @access Private (SuperAdmin)
+ */
+exports.getAllReturns = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const filter = {};
+    if (req.query.status) {
+      filter.status = req.query.status.toUpperCase();
+    }
+
+    const returns = await ReturnRequest.find(filter)
+      .populate({
+        path: "items.product",
+        select: "title productImages price",
+      })
+      .populate("user", "userName email phone")
+      .populate("order", "status totalAmount createdAt")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "All return requests fetched successfully",
+      count: returns.length,
+      allReturns: returns,
+    });
+  } catch (error) {
+    console.error("Get all returns error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Approve or reject a REQUESTED return (SuperAdmin only)
+ * @description The decision claims the return (REQUESTED → decision), so two
+ *              reviews can't both apply. A rejection hands the units it
+ *              claimed back to the order lines in the same transaction.
+ * @param {string} returnId
+ * @body {string} decision   – "APPROVED" | "REJECTED"
+ * @body {string} [adminNote]
+ * @access Private (SuperAdmin)
+ */
+exports.reviewReturn = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { returnId } = req.params;
+    const { decision, adminNote } = req.body;
+    const nextStatus =
+      typeof decision === "string" ? decision.toUpperCase() : "";
+    const note = typeof adminNote === "string" ? adminNote.trim() : "";
+
+    if (!["APPROVED", "REJECTED"].includes(nextStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: "Decision must be APPROVED or REJECTED",
+      });
+    }
+
+    if (nextStatus === "REJECTED" && !note) {
+      return res.status(400).json({
+        success: false,
+        message: "A note explaining the rejection is required",
+      });
+    }
+
+    const existing = await ReturnRequest.findById(returnId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+
+    if (existing.status !== "REQUESTED") {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot review – return is already ${existing.status}`,
+      });
+    }
+
+    await session.withTransaction(async () => {
+      const returnRequest = await ReturnRequest.findOneAndUpdate(
+        { _id: returnId, status: "REQUESTED" },
+        {
+          $set: {
+            status: nextStatus,
+            adminNote: note,
+            reviewedBy: req.user.id,
+            reviewedAt: new Date(),
+          },
+        },
+        { new: true, session },
+      );
+
+      if (!returnRequest) {
+        throw returnError("This return has already been reviewed", 409);
+      }
+
+      if (nextStatus === "REJECTED") {
+        await releaseReturnClaims(returnRequest, session);
+      }
+    });
+
+    const populatedReturn = await findPopulatedReturn(returnId);
+
+    await sendReturnStatusUpdateEmail(populatedReturn);
+
+    res.status(200).json({
+      success: true,
+      message: `Return ${nextStatus.toLowerCase()} successfully`,
+      updatedReturn: populatedReturn,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Review return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Mark an APPROVED return as received (SuperAdmin only)
+ * @description Restocks the returned units, records the refund on the order and
+ *              moves it to PARTIALLY_RETURNED or RETURNED – all in one transaction.
+ *              The transaction first claims the return (APPROVED → RECEIVED);
+ *              a concurrent receive or a retried transaction that loses the
+ *              claim changes nothing.
+ * @param {string} returnId
+ * @body {string} [adminNote]
+ * @access Private (SuperAdmin)
+ */
+exports.receiveReturn = async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { returnId } = req.params;
+    const { adminNote } = req.body;
+    const receivedAt = new Date();
+
+    const existing = await ReturnRequest.findById(returnId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+
+    if (existing.status !== "APPROVED") {
+      return res.status(400).json({
+        success: false,
+        message: `Only approved returns can be received (return is ${existing.status})`,
+      });
+    }
+
+    // Card orders are refunded through the provider first; the key is the
+    // return id, so retrying a failed receive never refunds twice
+    const refund = await refundPayment(
+      await Order.findById(existing.order),
+      existing.refundAmount,
+      `return_${existing._id}`,
+    );
+
+    let order;
+
+    await session.withTransaction(async () => {
+      const returnRequest = await ReturnRequest.findOneAndUpdate(
+        { _id: returnId, status: "APPROVED" },
+        {
+          $set: {
+            status: "RECEIVED",
+            receivedAt,
+            ...(adminNote?.trim() && { adminNote: adminNote.trim() }),
+          },
+        },
+        { new: true, session },
+      );
+
+      if (!returnRequest) {
+        const error = new Error("This return has already been received");
+        error.statusCode = 409;
+        throw error;
+      }
+
+      order = await Order.findById(returnRequest.order).session(session);
+
+      await releaseStock(returnRequest.items, session);
+
+      for (const item of returnRequest.items) {
+        const line = order.items.find(
+          (orderItem) =>
+            orderItem.product.toString() === item.product.toString() &&
+            sameVariant(orderItem, item.variantId),
+        );
+        line.returnedQuantity = (line.returnedQuantity || 0) + item.quantity;
+      }
+
+      const fullyReturned = order.items.every(
+        (line) => line.returnedQuantity >= line.quantity,
+      );
+      const nextStatus = fullyReturned ? "RETURNED" : "PARTIALLY_RETURNED";
+
+      if (
+        nextStatus !== order.status &&
+        !canTransition(order.status, nextStatus)
+      ) {
+        const error = new Error(
+          `Cannot move order from ${order.status} to ${nextStatus}`,
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+
+      order.status = nextStatus;
+      order.refundedAmount =
+        (order.refundedAmount || 0) + returnRequest.refundAmount;
+      if (fullyReturned) {
+        order.paymentStatus = "REFUNDED";
+      }
+      if (refund) {
+        order.payment.refunds.push(refund);
+      }
+      order.statusHistory.push(
+        buildStatusHistoryEntry(
+          nextStatus,
+          req.user,
+          `Return #${returnRequest._id.toString().slice(-6).toUpperCase()} received – refund $${returnRequest.refundAmount}`,
+        ),
+      );
+      await order.save({ session });
+
+      // Sync user order history
+      await User.updateOne(
+        { _id: order.user, "orders.orderId": order._id },
+        {
+          $set: {
+            "orders.$.status": order.status,
+            "orders.$.paymentStatus": order.paymentStatus,
+          },
+        },
+        { session },
+      );
+    });
+
+    const populatedReturn = await findPopulatedReturn(returnId);
+
+    await sendReturnStatusUpdateEmail(populatedReturn);
+
+    res.status(200).json({
+      success: true,
+      message: "Return received and items restocked",
+      updatedReturn: populatedReturn,
+      orderStatus: order.status,
+      refundedAmount: order.refundedAmount,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Receive return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  } finally {
+    await session.endSession();
+  }
+};
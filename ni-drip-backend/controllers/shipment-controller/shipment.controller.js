@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Shipment controller – tracking timeline and carrier updates
+ * @module controllers/shipmentController
+ * @description An order ships in one or more shipments, each holding some of
+ *              its lines. Tracking events come from SuperAdmins or carrier
+ *              webhooks; delivered shipments mark their lines delivered, and
+ *              the order is DELIVERED once every line is.
+ */
+
+const Order = require("../../models/order-model/order.model");
+const Shipment = require("../../models/shipment-model/shipment.model");
+const {
+  getCarrierAdapter,
+  isCarrierWebhookEnabled,
+  recordTrackingEvent,
+} = require("../../services/carrier-service/carrier.service");
+const {
+  shipOrderItems,
+  refreshOrderFulfillment,
+} = require("../../services/fulfillment-service/fulfillment.service");
+const {
+  sendShipmentUpdateEmail,
+} = require("../../helpers/email-helper/email.helper");
+
+/**
+ * Helper: Re-derive the order after a shipment's status changed
+ * @description Updates the line quantities (and the order status once every
+ *              line is delivered), then emails the customer about the
+ *              delivered parcel.
+ * @param {import('mongoose').Document} shipment
+ * @param {{ id: string, role: string }|null} actor - `req.user`, or null for carrier events
+ * @returns {Promise<boolean>} Whether the order status changed
+ */
+const syncOrderWithShipment = async (shipment, actor) => {
+  const result = await refreshOrderFulfillment(
+    shipment.order,
+    actor,
+    `Delivered – ${shipment.carrier.toUpperCase()} ${shipment.trackingNumber}`,
+  );
+  if (!result) return false;
+
+  if (shipment.status === "DELIVERED") {
+    await result.order.populate([
+      { path: "user", select: "userName email" },
+      { path: "items.product", select: "title" },
+    ]);
+    await sendShipmentUpdateEmail(result.order, shipment);
+  }
+
+  return result.statusChanged;
+};
+
+/**
+ * Helper: Populate what the shipment views show
+ * @param {import('mongoose').Query} query
+ * @returns {import('mongoose').Query}
+ */
+const withShipmentDetails = (query) =>
+  query.populate("items.product", "title productImages");
+
+/**
+ * Ship selected lines of an order (SuperAdmin only)
+ * @description Lines left out stay unfulfilled; the order becomes
+ *              PARTIALLY_SHIPPED until every unit has shipped. The customer is
+ *              emailed for each shipment.
+ * @param {string} orderId
+ * @body {Array<{ itemId: string, quantity: number }>} [items] – omitted = every remaining unit
+ * @body {string} carrier
+ * @body {string} trackingNumber
+ * @body {string} [trackingUrl]
+ * @body {string} [estimatedDelivery] – ISO date
+ * @body {string} [note]
+ * @access Private (SuperAdmin)
+ */
+exports.createShipment = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const {
+      items,
+      carrier,
+      trackingNumber,
+      trackingUrl,
+      estimatedDelivery,
+      note,
+    } = req.body;
+
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: "items must be an array of { itemId, quantity }",
+      });
+    }
+
+    const { order, shipment } = await shipOrderItems({
+      orderId: req.params.orderId,
+      items,
+      carrier,
+      trackingNumber,
+      trackingUrl,
+      estimatedDelivery,
+      actor: req.user,
+      note,
+    });
+
+    await order.populate([
+      { path: "user", select: "userName email phone" },
+      { path: "items.product", select: "title productImages price" },
+      { path: "statusHistory.actor", select: "userName email" },
+    ]);
+
+    await sendShipmentUpdateEmail(order, shipment);
+
+    res.status(201).json({
+      success: true,
+      message:
+        order.status === "PARTIALLY_SHIPPED"
+          ? "Shipment created – order partially shipped"
+          : "Shipment created – order shipped",
+      newShipment: await withShipmentDetails(Shipment.findById(shipment._id)),
+      updatedOrder: order,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Create shipment error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get the shipments (with tracking timeline) of an order
+ * @param {string} orderId
+ * @access Private (owner or admin)
+ */
+exports.getOrderShipments = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId).select("user status");
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (
+      order.user.toString() !== req.user.id &&
+      req.user.role !== "SUPERADMIN"
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this order",
+      });
+    }
+
+    const shipments = await withShipmentDetails(
+      Shipment.find({ order: orderId }).sort({ createdAt: 1 }),
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Shipments fetched successfully",
+      orderStatus: order.status,
+      count: shipments.length,
+      shipments,
+    });
+  } catch (error) {
+    console.error("Get order shipments error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add a tracking event to a shipment (SuperAdmin only)
+ * @description For carriers without a webhook integration, or to correct one.
+ *              A DELIVERED event marks the shipment's lines delivered (and the
+ *              order, once every line is).
+ * @param {string} shipmentId
+ * @body {string} status        – LABEL_CREATED | IN_TRANSIT | OUT_FOR_DELIVERY | DELIVERED | EXCEPTION
+ * @body {string} [description]
+ * @body {string} [location]
+ * @body {string} [occurredAt]  – ISO date, defaults to now
+ * @access Private (SuperAdmin)
+ */
+exports.addTrackingEvent = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const { status, description, location, occurredAt } = req.body;
+
+    const { shipment, statusChanged } = await recordTrackingEvent(
+      req.params.shipmentId,
+      { status, description, location, occurredAt },
+      "ADMIN",
+    );
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipment not found",
+      });
+    }
+
+    const orderUpdated =
+      statusChanged && (await syncOrderWithShipment(shipment, req.user));
+
+    res.status(200).json({
+      success: true,
+      message: orderUpdated
+        ? "Tracking event added – order marked DELIVERED"
+        : "Tracking event added",
+      updatedShipment: await withShipmentDetails(
+        Shipment.findById(shipment._id),
+      ),
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Add tracking event error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Handle a carrier tracking webhook
+ * @description The carrier's adapter verifies the signature over the raw body
+ *              and normalizes its events. Events for unknown tracking numbers
+ *              are ignored; redelivered events (same event id) are skipped.
+ *              Answers 503 while CARRIER_WEBHOOK_SECRET is not set.
+ * @param {string} carrier – adapter code, e.g. "mock"
+ * @access Public (signature verified)
+ */
+exports.handleCarrierWebhook = async (req, res) => {
+  try {
+    const adapter = getCarrierAdapter(req.params.carrier);
+    if (!adapter) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown carrier",
+      });
+    }
+
+    if (!isCarrierWebhookEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: "Carrier webhooks are not enabled",
+      });
+    }
+
+    let events;
+    try {
+      events = adapter.parseWebhook(req.rawBody, req.headers);
+    } catch {
+      events = null;
+    }
+
+    if (!Array.isArray(events)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid webhook signature or payload",
+      });
+    }
+
+    let applied = 0;
+    let skipped = 0;
+
+    for (const event of events) {
+      const target = await Shipment.findOne({
+        carrier: adapter.name,
+        trackingNumber: event.trackingNumber,
+      }).select("_id");
+
+      if (!target || !event.eventId) {
+        skipped += 1;
+        continue;
+      }
+
+      const { shipment, added, statusChanged } = await recordTrackingEvent(
+        target._id,
+        event,
+        "CARRIER",
+      );
+
+      if (!added) {
+        skipped += 1;
+        continue;
+      }
+
+      applied += 1;
+      if (statusChanged) await syncOrderWithShipment(shipment, null);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Events acknowledged",
+      received: true,
+      applied,
+      skipped,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Carrier webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,326 @@
+/**
+ * @fileoverview Shipping controller – shipping quotes and zone management
+ * @module controllers/shippingController
+ * @description Customers get a server-side shipping quote for their cart;
+ *              SuperAdmins maintain the zones and rate tiers behind it.
+ */
+
+const ShippingZone = require("../../models/shipping-zone-model/shipping-zone.model");
+const User = require("../../models/user-model/user.model");
+const {
+  resolveShippingAddress,
+  quoteShipping,
+} = require("../../services/shipping-service/shipping.service");
+const {
+  loadCheckoutLines,
+} = require("../../helpers/cart-helper/checkout-lines.helper");
+const { calculateTax } = require("../../services/tax-service/tax.service");
+const {
+  buildOrderTotals,
+} = require("../../helpers/order-helper/order-totals.helper");
+
+/**
+ * Fields SuperAdmins may set on a zone
+ * @type {string[]}
+ */
+const EDITABLE_FIELDS = [
+  "name",
+  "cities",
+  "isDefault",
+  "basis",
+  "rates",
+  "freeShippingThreshold",
+  "estimatedDelivery",
+  "isActive",
+];
+
+/**
+ * Helper: Copy editable fields from the request body (empty strings → null)
+ * @param {Object} body
+ * @returns {Object}
+ */
+const pickZoneFields = (body) => {
+  const fields = {};
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    fields[field] = body[field] === "" ? null : body[field];
+  });
+
+  return fields;
+};
+
+/**
+ * Helper: Map Mongoose validation / duplicate-key errors to a 400 message
+ * @param {Error} error
+ * @returns {string|null}
+ */
+const getValidationMessage = (error) => {
+  if (error.name === "ValidationError") {
+    return Object.values(error.errors)
+      .map((err) => err.message)
+      .join(", ");
+  }
+  if (error.code === 11000) {
+    return "A shipping zone with this name already exists";
+  }
+  return null;
+};
+
+/**
+ * Helper: Only one zone may be the fallback
+ * @param {import('mongoose').Document} zone
+ */
+const clearOtherDefaults = async (zone) => {
+  if (zone.isDefault) {
+    await ShippingZone.updateMany(
+      { _id: { $ne: zone._id }, isDefault: true },
+      { $set: { isDefault: false } },
+    );
+  }
+};
+
+/**
+ * Quote shipping for the user's cart (or a direct-buy product)
+ * @description Also returns the estimated itemized totals (tax included).
+ * @body {string} [shippingAddress] – optional delivery address override
+ * @body {string} [productId]       – direct buy instead of the cart
+ * @body {string} [variantId]       – variant of the direct-buy product
+ * @body {number} [quantity=1]
+ * @access Private
+ */
+exports.getShippingQuote = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { shippingAddress, productId, variantId, quantity } = req.body;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const lines = await loadCheckoutLines(userId, {
+      productId,
+      variantId,
+      quantity,
+    });
+    if (lines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Your cart is empty",
+      });
+    }
+
+    const destination = resolveShippingAddress(user, shippingAddress);
+    const quote = await quoteShipping({
+      user,
+      lines,
+      shippingAddress: destination.address,
+    });
+
+    const tax = await calculateTax({
+      user,
+      lines,
+      shippingAddress: destination.address,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping quote calculated",
+      quote: {
+        ...quote,
+        usedShippingAddress: destination.address,
+        addressSource: destination.source,
+      },
+      // Estimate before any coupon – the same breakdown the order will store
+      totals: buildOrderTotals({
+        subtotal: lines.reduce(
+          (sum, line) => sum + line.product.price * line.quantity,
+          0,
+        ),
+        tax: tax.total,
+        shipping: quote.cost,
+      }),
+      taxRegion: tax.region,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Shipping quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get all shipping zones
+ * @access Private (SuperAdmin)
+ */
+exports.getAllZones = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const zones = await ShippingZone.find().sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zones fetched successfully",
+      count: zones.length,
+      allZones: zones,
+    });
+  } catch (error) {
+    console.error("Get shipping zones error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Create a shipping zone
+ * @body {string} name
+ * @body {string[]} [cities]
+ * @body {boolean} [isDefault]
+ * @body {string} [basis] – ITEM_COUNT | WEIGHT
+ * @body {Array<{min, max, cost}>} rates
+ * @body {number} [freeShippingThreshold]
+ * @body {string} [estimatedDelivery]
+ * @access Private (SuperAdmin)
+ */
+exports.createZone = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const zone = await ShippingZone.create(pickZoneFields(req.body));
+    await clearOtherDefaults(zone);
+
+    res.status(201).json({
+      success: true,
+      message: "Shipping zone created successfully",
+      newZone: zone,
+    });
+  } catch (error) {
+    const validationMessage = getValidationMessage(error);
+    if (validationMessage) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage,
+      });
+    }
+
+    console.error("Create shipping zone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a shipping zone
+ * @param {string} zoneId
+ * @body Any subset of the createZone fields
+ * @access Private (SuperAdmin)
+ */
+exports.updateZone = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const zone = await ShippingZone.findById(req.params.zoneId);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    zone.set(pickZoneFields(req.body));
+    await zone.save();
+    await clearOtherDefaults(zone);
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zone updated successfully",
+      updatedZone: zone,
+    });
+  } catch (error) {
+    const validationMessage = getValidationMessage(error);
+    if (validationMessage) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage,
+      });
+    }
+
+    console.error("Update shipping zone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a shipping zone
+ * @param {string} zoneId
+ * @access Private (SuperAdmin)
+ */
+exports.deleteZone = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const zone = await ShippingZone.findByIdAndDelete(req.params.zoneId);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Shipping zone not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Shipping zone deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete shipping zone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Tax controller – tax region management
+ * @module controllers/taxController
+ * @description SuperAdmins maintain the regions, standard rates and
+ *              per-category overrides that checkout uses to charge tax.
+ */
+
+const TaxRegion = require("../../models/tax-region-model/tax-region.model");
+const {
+  resolveCategoryIds,
+} = require("../../services/category-service/category.service");
+
+/**
+ * Fields SuperAdmins may set on a region
+ * @type {string[]}
+ */
+const EDITABLE_FIELDS = [
+  "name",
+  "cities",
+  "isDefault",
+  "rate",
+  "categoryRates",
+  "isActive",
+];
+
+/**
+ * Helper: Copy editable fields from the request body
+ * @description Override categories may be sent as IDs, slugs or names and are
+ *              stored as IDs.
+ * @param {Object} body
+ * @returns {Promise<Object>}
+ * @throws {Error} 400 for an unknown category
+ */
+const pickRegionFields = async (body) => {
+  const fields = {};
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (Array.isArray(fields.categoryRates)) {
+    const categoryRates = [];
+    for (const entry of fields.categoryRates) {
+      const [category] = await resolveCategoryIds(
+        entry?.category ? [entry.category] : [],
+      );
+      categoryRates.push({ ...entry, category });
+    }
+    fields.categoryRates = categoryRates;
+  }
+
+  return fields;
+};
+
+/**
+ * Helper: Map Mongoose validation / duplicate-key / unknown-category errors
+ * to a 400 message
+ * @param {Error} error
+ * @returns {string|null}
+ */
+const getValidationMessage = (error) => {
+  if (error.statusCode === 400) return error.message;
+  if (error.name === "ValidationError") {
+    return Object.values(error.errors)
+      .map((err) => err.message)
+      .join(", ");
+  }
+  if (error.code === 11000) {
+    return "A tax region with this name already exists";
+  }
+  return null;
+};
+
+/**
+ * Helper: Only one region may be the fallback
+ * @param {import('mongoose').Document} region
+ */
+const clearOtherDefaults = async (region) => {
+  if (region.isDefault) {
+    await TaxRegion.updateMany(
+      { _id: { $ne: region._id }, isDefault: true },
+      { $set: { isDefault: false } },
+    );
+  }
+};
+
+/**
+ * Get all tax regions
+ * @access Private (SuperAdmin)
+ */
+exports.getAllRegions = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const regions = await TaxRegion.find()
+      .populate("categoryRates.category", "name slug")
+      .sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Tax regions fetched successfully",
+      count: regions.length,
+      allRegions: regions,
+    });
+  } catch (error) {
+    console.error("Get tax regions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+    });
+  }
+};
+
+/**
+ * Create a tax region
+ * @body {string} name
+ * @body {string[]} [cities]
+ * @body {boolean} [isDefault]
+ * @body {number} rate – percentage
+ * @body {Array<{category, rate}>} [categoryRates] – category ID (slug or name also accepted); subcategories are included
+ * @access Private (SuperAdmin)
+ */
+exports.createRegion = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const region = await TaxRegion.create(await pickRegionFields(req.body));
+    await clearOtherDefaults(region);
+    await region.populate("categoryRates.category", "name slug");
+
+    res.status(201).json({
+      success: true,
+      message: "Tax region created successfully",
+      newRegion: region,
+    });
+  } catch (error) {
+    const validationMessage = getValidationMessage(error);
+    if (validationMessage) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage,
+      });
+    }
+
+    console.error("Create tax region error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a tax region
+ * @param {string} regionId
+ * @body Any subset of the createRegion fields
+ * @access Private (SuperAdmin)
+ */
+exports.updateRegion = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const region = await TaxRegion.findById(req.params.regionId);
+    if (!region) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax region not found",
+      });
+    }
+
+    region.set(await pickRegionFields(req.body));
+    await region.save();
+    await clearOtherDefaults(region);
+    await region.populate("categoryRates.category", "name slug");
+
+    res.status(200).json({
+      success: true,
+      message: "Tax region updated successfully",
+      updatedRegion: region,
+    });
+  } catch (error) {
+    const validationMessage = getValidationMessage(error);
+    if (validationMessage) {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage,
+      });
+    }
+
+    console.error("Update tax region error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a tax region
+ * @param {string} regionId
+ * @access Private (SuperAdmin)
+ */
+exports.deleteRegion = async (req, res) => {
+  try {
+    if (req.user.role !== "SUPERADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "SuperAdmin access required",
+      });
+    }
+
+    const region = await TaxRegion.findByIdAndDelete(req.params.regionId);
+    if (!region) {
+      return res.status(404).json({
+        success: false,
+        message: "Tax region not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Tax region deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete tax region error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server Error",
+      error: error.message,
+    });
+  }
+};
@@ -10,6 +10,7 @@ const crypto = require("crypto");
 const User = require("../../models/user-model/user.model");
 const Cart = require("../../models/cart-model/cart.model");
 const Favorite = require("../../models/favorite-model/favorite.model");
+const Wishlist = require("../../models/wishlist-model/wishlist.model");
 const Review = require("../../models/review-model/review.model");
 const Rating = require("../../models/rating-model/rating.model");
 const Order = require("../../models/order-model/order.model");
@@ -28,6 +29,27 @@ const {
 const {
   sendEmailVerificationOtp,
 } = require("../../helpers/email-helper/email.helper");
+const { mergeGuestCart } = require("../../services/cart-service/cart.service");
+
+/**
+ * Helper: Merge the visitor's guest cart (if any) into the user's cart
+ * @description A failed merge never fails the sign-in; the guest cart is
+ *              simply left for a later attempt.
+ * @param {import('express').Request} req - Guest token in `X-Guest-Token` or `body.guestToken`
+ * @param {ObjectId} userId
+ * @returns {Promise<{ merged: number, notices: Object[] }|null>} null without a guest token
+ */
+const mergeGuestCartOnSignIn = async (req, userId) => {
+  const guestToken = req.get("X-Guest-Token") || req.body.guestToken;
+  if (!guestToken) return null;
+
+  try {
+    return await mergeGuestCart(userId, guestToken);
+  } catch (error) {
+    console.error("Merge guest cart error:", error);
+    return null;
+  }
+};
 
 /**
  * Register new user
@@ -37,6 +59,7 @@ const {
  * @body {string} [phone.countryCode]    – e.g. "+92", "+1", "+44"
  * @body {string} [phone.phoneNumber]    – local number without country code
  * @body {string} [address]
+ * @body {string} [guestToken]           – guest cart to merge (or `X-Guest-Token` header)
  * @files {profilePicture?}
  * @access Public
  */
@@ -107,6 +130,8 @@ exports.registerUser = async (req, res) => {
 
     await user.save();
 
+    const cartMerge = await mergeGuestCartOnSignIn(req, user._id);
+
     res.status(201).json({
       success: true,
       message: "User registered successfully",
@@ -116,6 +141,7 @@ exports.registerUser = async (req, res) => {
         email: user.email,
         phone: user.phone ? { ...user.phone, fullPhone: user.fullPhone } : null,
       },
+      cartMerge,
     });
   } catch (error) {
     if (uploadedUrl)
@@ -133,6 +159,7 @@ exports.registerUser = async (req, res) => {
  * Login user → encrypted JWT
  * @body {string} email
  * @body {string} password
+ * @body {string} [guestToken] – guest cart to merge (or `X-Guest-Token` header)
  * @access Public
  */
 exports.loginUser = async (req, res) => {
@@ -197,6 +224,8 @@ exports.loginUser = async (req, res) => {
       sessionId: user.sessionId,
     });
 
+    const cartMerge = await mergeGuestCartOnSignIn(req, user._id);
+
     res.cookie("accessToken", token, {
       httpOnly: true,
       sameSite: "strict",
@@ -213,6 +242,7 @@ exports.loginUser = async (req, res) => {
       },
       token,
       expiresIn: 86400,
+      cartMerge,
     });
   } catch (error) {
     console.error("User login error:", error);
@@ -403,6 +433,7 @@ exports.deleteAccount = async (req, res) => {
     await Cart.deleteMany({ userId });
     await Order.deleteMany({ userId });
     await Favorite.deleteMany({ userId });
+    await Wishlist.deleteMany({ userId });
     await Review.deleteMany({ user });
     await Rating.deleteMany({ user });
     await Support.deleteMany({ user });
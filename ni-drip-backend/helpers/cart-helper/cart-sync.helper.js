@@ -0,0 +1,19 @@
+/**
+ * @file Cart sync utilities
+ * @module helpers/cartSyncHelper
+ * @description The `Cart` collection is the source of truth; `User.cart` is a
+ *              copy kept for fast profile reads (and is what checkout reads).
+ */
+
+const Cart = require("../../models/cart-model/cart.model");
+const User = require("../../models/user-model/user.model");
+
+/**
+ * Sync Cart collection → User.cart array
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+exports.syncUserCart = async (userId) => {
+  const cartItems = await Cart.find({ userId }).populate("productId");
+  await User.findByIdAndUpdate(userId, { cart: cartItems }, { new: true });
+};
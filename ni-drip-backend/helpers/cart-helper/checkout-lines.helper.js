@@ -0,0 +1,55 @@
+/**
+ * @file Checkout line utilities
+ * @module helpers/checkoutLinesHelper
+ * @description Builds the `{ product, quantity }` lines that pricing previews
+ *              (coupons, shipping quotes) run against – either the user's cart
+ *              or a single direct-buy product, mirroring `placeOrder`. Lines
+ *              of a variant carry the variant's price and stock.
+ */
+
+const Cart = require("../../models/cart-model/cart.model");
+const Product = require("../../models/product-model/product.model");
+const {
+  getOffer,
+  pricedProduct,
+} = require("../../helpers/product-helper/variant.helper");
+
+/**
+ * Load checkout lines for a user
+ * @param {string} userId
+ * @param {{ productId?: string, variantId?: string, quantity?: number }} [directBuy] - Price a single product instead of the cart
+ * @returns {Promise<Array<{ product: Object, quantity: number }>>}
+ *          Empty array if the cart is empty or the product (or variant) does
+ *          not exist
+ */
+exports.loadCheckoutLines = async (
+  userId,
+  { productId, variantId, quantity = 1 } = {},
+) => {
+  if (productId) {
+    const product = await Product.findById(productId);
+    const offer = getOffer(product, variantId);
+    return offer
+      ? [
+          {
+            product: pricedProduct(product, offer),
+            quantity: Number(quantity) || 1,
+          },
+        ]
+      : [];
+  }
+
+  const cartItems = await Cart.find({ userId }).populate("productId");
+
+  return cartItems.flatMap((item) => {
+    const offer = getOffer(item.productId, item.variantId);
+    return offer
+      ? [
+          {
+            product: pricedProduct(item.productId, offer),
+            quantity: item.quantity,
+          },
+        ]
+      : [];
+  });
+};
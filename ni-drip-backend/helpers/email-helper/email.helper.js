@@ -6,6 +6,10 @@
  */
 
 const nodemailer = require("nodemailer");
+const { getOrderTotals } = require("../order-helper/order-totals.helper");
+const {
+  renderInvoicePdf,
+} = require("../../services/invoice-service/invoice.service");
 
 // Validate required environment variables
 if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
@@ -38,9 +42,10 @@ const transporter = nodemailer.createTransport({
  * @param {string} options.to      - Recipient email address
  * @param {string} options.subject - Email subject line
  * @param {string} options.html    - HTML body content
+ * @param {Array<{ filename: string, content: Buffer }>} [options.attachments] - Files to attach
  * @returns {Promise<boolean>} Success status
  */
-const sendEmail = async ({ to, subject, html }) => {
+const sendEmail = async ({ to, subject, html, attachments = [] }) => {
   try {
     const info = await transporter.sendMail({
       from: "NIDRIP <no-reply@nidrip.com>",
@@ -48,6 +53,7 @@ const sendEmail = async ({ to, subject, html }) => {
       subject,
       html,
       text: html.replace(/<[^>]+>/g, " ").substring(0, 200) + "...",
+      attachments,
     });
 
     console.log(`Email sent to ${to} | MessageId: ${info.messageId}`);
@@ -146,6 +152,16 @@ const formatDate = (date) => {
   }).format(new Date(date));
 };
 
+/**
+ * Title of an order line, with its variant ("Phone (Black / 128GB)")
+ * @param {Object} [item] - Order item with `product` populated
+ * @returns {string}
+ */
+const formatItemTitle = (item) => {
+  const title = item?.product?.title || "Item";
+  return item?.variantLabel ? `${title} (${item.variantLabel})` : title;
+};
+
 /**
  * Get frontend base URL based on user role
  * @param {string} role - User role
@@ -306,13 +322,28 @@ const sendTicketStatusUpdateEmail = async (
 
 const sendOrderConfirmationToUser = async (order) => {
   const shortOrderId = shortenId(order._id);
+  const totals = getOrderTotals(order);
+
+  // A failed render must not block the confirmation itself
+  const attachments = [];
+  if (order.invoiceNumber) {
+    try {
+      attachments.push({
+        filename: `${order.invoiceNumber}.pdf`,
+        content: await renderInvoicePdf(order),
+        contentType: "application/pdf",
+      });
+    } catch (error) {
+      console.error("Invoice render error:", error.message);
+    }
+  }
 
   const itemsList = order.items
     .map(
       (item) => `
         <li class="items-list-li">
           <div style="display:flex;justify-content:space-between;align-items:start;">
-            <div><strong>${item.product.title}</strong> × ${item.quantity}</div>
+            <div><strong>${formatItemTitle(item)}</strong> × ${item.quantity}</div>
             <div style="text-align:right;color:#666;">$${item.priceAtPurchase.toLocaleString()}</div>
           </div>
         </li>
@@ -328,6 +359,7 @@ const sendOrderConfirmationToUser = async (order) => {
     </p>
     <div class="info-box">
       <strong>Order ID:</strong> ${shortOrderId}<br><br>
+      ${order.invoiceNumber ? `<strong>Invoice No:</strong> ${order.invoiceNumber}<br><br>` : ""}
       <strong>Order Date:</strong> ${formatDate(order.createdAt)}<br><br>
       <strong>Payment Method:</strong> ${order.paymentMethod}<br><br>
       <strong>Shipping Address:</strong><br>
@@ -336,12 +368,19 @@ const sendOrderConfirmationToUser = async (order) => {
     <h3 style="margin:36px 0 16px;color:#E32264;font-size:22px;">Order Summary</h3>
     <ul class="items-list">${itemsList}</ul>
     <div class="total-box">
-      <div><strong>Subtotal:</strong> $${(order.totalAmount - order.shippingCost).toLocaleString()}</div>
-      <div><strong>Shipping:</strong> $${order.shippingCost.toLocaleString()}</div>
-      <div style="margin-top:16px;"><strong>Total:</strong> $${order.totalAmount.toLocaleString()}</div>
+      <div><strong>Subtotal:</strong> $${totals.subtotal.toLocaleString()}</div>
+      ${(order.discounts || [])
+        .map(
+          (discount) =>
+            `<div><strong>Discount (${discount.code}):</strong> -$${discount.amount.toLocaleString()}</div>`,
+        )
+        .join("")}
+      <div><strong>Tax${order.taxRegion ? ` (${order.taxRegion})` : ""}:</strong> $${totals.tax.toLocaleString()}</div>
+      <div><strong>Shipping:</strong> $${totals.shipping.toLocaleString()}</div>
+      <div style="margin-top:16px;"><strong>Total:</strong> $${totals.grandTotal.toLocaleString()}</div>
     </div>
     <p style="font-size:16px;color:#444444;">
-      We'll notify you when your order ships.<br><br>
+      We'll notify you when your order ships.${attachments.length ? " Your invoice is attached." : ""}<br><br>
       Thank you for shopping with NIDRIP!
     </p>
   `;
@@ -350,6 +389,7 @@ const sendOrderConfirmationToUser = async (order) => {
     to: order.user.email,
     subject: `NIDRIP Order Confirmed ${shortOrderId}`,
     html: getEmailTemplate(content, "Order Confirmation"),
+    attachments,
   });
 };
 
@@ -362,7 +402,7 @@ const sendNewOrderNotificationToAdmin = async (order) => {
       (item) => `
         <li class="items-list-li">
           <div style="display:flex;justify-content:space-between;align-items:start;">
-            <div><strong>${item.product.title}</strong> × ${item.quantity}</div>
+            <div><strong>${formatItemTitle(item)}</strong> × ${item.quantity}</div>
           </div>
         </li>
       `,
@@ -404,7 +444,7 @@ const sendOrderCancellationToUser = async (order, reasonForCancel) => {
     .map(
       (item) => `
         <li style="margin:12px 0;">
-          <strong>${item.product.title}</strong> × ${item.quantity}<br>
+          <strong>${formatItemTitle(item)}</strong> × ${item.quantity}<br>
           <span style="color:#666;">Price: $${item.priceAtPurchase.toLocaleString()}</span>
         </li>
       `,
@@ -449,7 +489,7 @@ const sendOrderCancellationToAdmin = async (order, reasonForCancel) => {
     .map(
       (item) => `
         <li style="margin:12px 0;">
-          <strong>${item.product.title}</strong> × ${item.quantity}<br>
+          <strong>${formatItemTitle(item)}</strong> × ${item.quantity}<br>
           <span style="color:#666;">Price: $${item.priceAtPurchase.toLocaleString()}</span>
         </li>
       `,
@@ -531,6 +571,362 @@ const sendOrderStatusUpdateEmail = async (
   });
 };
 
+/**
+ * Notify user that one shipment of their order shipped or was delivered
+ * @description Sent once per shipment on each of those events, so a split
+ *              order produces one email per parcel.
+ * @param {Object} order    - Populated order (user, items.product)
+ * @param {Object} shipment - The shipment that changed
+ */
+const sendShipmentUpdateEmail = async (order, shipment) => {
+  const shortOrderId = shortenId(order._id);
+  const delivered = shipment.status === "DELIVERED";
+
+  const lines = shipment.items?.length
+    ? shipment.items.map((entry) => ({
+        line: order.items.find(
+          (item) => item._id.toString() === entry.item.toString(),
+        ),
+        quantity: entry.quantity,
+      }))
+    : order.items.map((item) => ({ line: item, quantity: item.quantity }));
+
+  const itemsList = lines
+    .map(
+      ({ line, quantity }) => `
+        <li class="items-list-li">
+          <strong>${formatItemTitle(line)}</strong> × ${quantity}
+        </li>
+      `,
+    )
+    .join("");
+
+  const remainingNote =
+    order.status === "PARTIALLY_SHIPPED"
+      ? "The rest of your order will follow in a separate shipment."
+      : order.status === "DELIVERED"
+        ? "Your whole order has now been delivered."
+        : "";
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">${delivered ? "Shipment Delivered" : "Your Order Has Shipped"}</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${order.user.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      ${delivered ? "A package from your order has been delivered." : "A package from your order is on its way."}
+      ${remainingNote}
+    </p>
+    <div class="info-box">
+      <strong>Order ID:</strong> ${shortOrderId}<br><br>
+      <strong>Order Status:</strong> <span style="color:#E32264;font-weight:700;">${order.status.replace(/_/g, " ")}</span><br><br>
+      <strong>Carrier:</strong> ${shipment.carrier.toUpperCase()}<br><br>
+      <strong>Tracking Number:</strong> ${shipment.trackingNumber}<br><br>
+      ${!delivered && shipment.estimatedDelivery ? `<strong>Estimated Delivery:</strong> ${formatDate(shipment.estimatedDelivery)}<br><br>` : ""}
+      ${shipment.trackingUrl ? `<a href="${shipment.trackingUrl}" style="color:#E32264;font-weight:700;">Track your package</a>` : "You can follow your package under <strong>My Orders</strong>."}
+    </div>
+    <h3 style="margin:36px 0 16px;color:#E32264;font-size:22px;">In This Package</h3>
+    <ul class="items-list">${itemsList}</ul>
+    <p style="font-size:16px;color:#444444;">
+      Thank you for shopping with NIDRIP!<br><br>
+      Best regards,<br><strong>NIDRIP Team</strong>
+    </p>
+  `;
+
+  await sendEmail({
+    to: order.user.email,
+    subject: `NIDRIP Order ${shortOrderId} – ${delivered ? "Package delivered" : "Package shipped"}`,
+    html: getEmailTemplate(
+      content,
+      delivered ? "Shipment Delivered" : "Shipment Update",
+    ),
+  });
+};
+
+/**
+ * Human-readable line for one change of an order edit
+ * @param {Object} change - Entry of `edit.changes`
+ * @returns {string}
+ */
+const describeOrderChange = (change) => {
+  switch (change.action) {
+    case "ITEM_ADDED":
+      return `Added <strong>${change.label}</strong> × ${change.to}`;
+    case "ITEM_REMOVED":
+      return `Removed <strong>${change.label}</strong>`;
+    case "QUANTITY_CHANGED":
+      return `<strong>${change.label}</strong>: quantity ${change.from} → ${change.to}`;
+    case "ADDRESS_CHANGED":
+      return `Shipping address changed to <strong>${change.to}</strong>`;
+    case "COUPON_REMOVED":
+      return `Coupon <strong>${change.label}</strong> no longer applies and was removed`;
+    default:
+      return change.label;
+  }
+};
+
+/**
+ * Tell the customer their order was edited by our team
+ * @param {Object} order - Populated order (user, items.product), after the edit
+ * @param {Object} edit  - The `editHistory` entry that was added
+ */
+const sendOrderUpdatedEmail = async (order, edit) => {
+  const shortOrderId = shortenId(order._id);
+  const totals = getOrderTotals(order);
+
+  const changesList = edit.changes
+    .map(
+      (change) =>
+        `<li class="items-list-li">${describeOrderChange(change)}</li>`,
+    )
+    .join("");
+
+  const itemsList = order.items
+    .map(
+      (item) => `
+        <li class="items-list-li">
+          <div style="display:flex;justify-content:space-between;align-items:start;">
+            <div><strong>${formatItemTitle(item)}</strong> × ${item.quantity}</div>
+            <div style="text-align:right;color:#666;">$${item.priceAtPurchase.toLocaleString()}</div>
+          </div>
+        </li>
+      `,
+    )
+    .join("");
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">Your Order Was Updated</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${order.user.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      Our team has made the following changes to your order:
+    </p>
+    <ul class="items-list">${changesList}</ul>
+    ${edit.note ? `<p style="font-size:16px;color:#444444;"><strong>Note:</strong> ${edit.note}</p>` : ""}
+    <div class="info-box">
+      <strong>Order ID:</strong> ${shortOrderId}<br><br>
+      <strong>Shipping Address:</strong><br>
+      <div style="margin-top:8px;">${order.shippingAddress.replace(/\n/g, "<br>")}</div>
+    </div>
+    <h3 style="margin:36px 0 16px;color:#E32264;font-size:22px;">Updated Order</h3>
+    <ul class="items-list">${itemsList}</ul>
+    <div class="total-box">
+      <div><strong>Subtotal:</strong> $${totals.subtotal.toLocaleString()}</div>
+      ${(order.discounts || [])
+        .map(
+          (discount) =>
+            `<div><strong>Discount (${discount.code}):</strong> -$${discount.amount.toLocaleString()}</div>`,
+        )
+        .join("")}
+      <div><strong>Tax${order.taxRegion ? ` (${order.taxRegion})` : ""}:</strong> $${totals.tax.toLocaleString()}</div>
+      <div><strong>Shipping:</strong> $${totals.shipping.toLocaleString()}</div>
+      <div style="margin-top:16px;"><strong>New Total:</strong> $${totals.grandTotal.toLocaleString()} <span style="color:#666;">(was $${edit.previousTotal.toLocaleString()})</span></div>
+    </div>
+    ${edit.refundAmount > 0 ? `<p style="font-size:16px;color:#444444;">$${edit.refundAmount.toLocaleString()} ${edit.refundStatus === "ISSUED" ? "has been" : "will be"} refunded to your card.</p>` : ""}
+    <p style="font-size:16px;color:#444444;">
+      If you did not ask for these changes, please reply to this email.<br><br>
+      Thank you for shopping with NIDRIP!
+    </p>
+  `;
+
+  await sendEmail({
+    to: order.user.email,
+    subject: `NIDRIP Order ${shortOrderId} – Your order was updated`,
+    html: getEmailTemplate(content, "Order Updated"),
+  });
+};
+
+/**
+ * Tell the customer their order was cancelled because it was never confirmed
+ * @param {Object} order - Populated order (user, items.product), after cancelling
+ * @param {number} maxAgeHours - How long orders may stay unconfirmed
+ */
+const sendOrderAutoCancelledEmail = async (order, maxAgeHours) => {
+  const shortOrderId = shortenId(order._id);
+
+  const itemsList = order.items
+    .map(
+      (item) => `
+        <li style="margin:12px 0;">
+          <strong>${formatItemTitle(item)}</strong> × ${item.quantity}<br>
+          <span style="color:#666;">Price: $${item.priceAtPurchase.toLocaleString()}</span>
+        </li>
+      `,
+    )
+    .join("");
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">Order Cancelled</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${order.user.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      Your order was not confirmed within ${maxAgeHours} hours, so we have cancelled it and released the items it was holding.
+    </p>
+    <div class="info-box">
+      <strong>Order ID:</strong> ${shortOrderId}<br><br>
+      <strong>Cancelled:</strong> ${formatDate(new Date())}<br><br>
+      <strong>Placed on:</strong> ${formatDate(order.createdAt)}
+    </div>
+    <h3 style="margin:32px 0 16px;color:#E32264;">Items Cancelled</h3>
+    <ul style="padding-left:20px;">${itemsList}</ul>
+    ${order.paymentMethod === "DEBIT_CARD" ? `<p style="font-size:16px;color:#444444;">Your card has not been charged.</p>` : ""}
+    <p style="font-size:16px;color:#444444;">
+      Still want these items? You can order them again from your order history.<br><br>
+      Thank you,<br><strong>NIDRIP Team</strong>
+    </p>
+  `;
+
+  await sendEmail({
+    to: order.user.email,
+    subject: `NIDRIP Order Cancelled ${shortOrderId}`,
+    html: getEmailTemplate(content, "Order Cancellation"),
+  });
+};
+
+/* ────────────────────────────────────────────────
+   Return / Refund Emails
+───────────────────────────────────────────────── */
+
+/**
+ * Human-readable label for a return reason code
+ * @param {string} reason - e.g. DAMAGED_IN_TRANSIT
+ * @returns {string} e.g. "Damaged in transit"
+ */
+const formatReturnReason = (reason) => {
+  const label = (reason || "").replace(/_/g, " ").toLowerCase();
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+/**
+ * Build the items list shared by all return emails
+ * @param {Object} returnRequest - Populated return (items.product)
+ * @returns {string} HTML list items
+ */
+const buildReturnItemsList = (returnRequest) =>
+  returnRequest.items
+    .map(
+      (item) => `
+        <li class="items-list-li">
+          <div style="display:flex;justify-content:space-between;align-items:start;">
+            <div><strong>${formatItemTitle(item)}</strong> × ${item.quantity}</div>
+            <div style="text-align:right;color:#666;">$${(item.priceAtPurchase * item.quantity).toLocaleString()}</div>
+          </div>
+        </li>
+      `,
+    )
+    .join("");
+
+/**
+ * Confirm to the customer that their return request was received
+ * @param {Object} returnRequest - Populated return (user, items.product)
+ */
+const sendReturnConfirmationToUser = async (returnRequest) => {
+  const shortReturnId = shortenId(returnRequest._id);
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">Return Request Received</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${returnRequest.user.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      We've received your return request. Our team will review it and get back to you shortly.
+    </p>
+    <div class="info-box">
+      <strong>Return ID:</strong> ${shortReturnId}<br><br>
+      <strong>Order ID:</strong> ${shortenId(returnRequest.order?._id || returnRequest.order)}<br><br>
+      <strong>Reason:</strong> ${formatReturnReason(returnRequest.reason)}<br><br>
+      <strong>Requested on:</strong> ${formatDate(returnRequest.createdAt)}
+    </div>
+    <h3 style="margin:36px 0 16px;color:#E32264;font-size:22px;">Items to Return</h3>
+    <ul class="items-list">${buildReturnItemsList(returnRequest)}</ul>
+    <div class="total-box">
+      <div><strong>Refund (on receipt):</strong> $${returnRequest.refundAmount.toLocaleString()}</div>
+    </div>
+    <p style="font-size:16px;color:#444444;">
+      Please keep the items and their original packaging until your return is approved.<br><br>
+      Thank you,<br><strong>NIDRIP Team</strong>
+    </p>
+  `;
+
+  await sendEmail({
+    to: returnRequest.user.email,
+    subject: `NIDRIP Return Requested ${shortReturnId}`,
+    html: getEmailTemplate(content, "Return Request"),
+  });
+};
+
+/**
+ * Notify the admin mailbox about a new return request
+ * @param {Object} returnRequest - Populated return (user, items.product)
+ */
+const sendNewReturnNotificationToAdmin = async (returnRequest) => {
+  const adminEmail = process.env.EMAIL_USER || "support@nidrip.com";
+  const shortReturnId = shortenId(returnRequest._id);
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">New Return Request</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      A customer has requested a return and it requires review.
+    </p>
+    <div class="info-box">
+      <strong>Return ID:</strong> ${shortReturnId}<br><br>
+      <strong>Order ID:</strong> ${shortenId(returnRequest.order?._id || returnRequest.order)}<br><br>
+      <strong>Customer:</strong> ${returnRequest.user.userName} (${returnRequest.user.email})<br><br>
+      <strong>Reason:</strong> ${formatReturnReason(returnRequest.reason)}<br><br>
+      <strong>Details:</strong> ${returnRequest.details || "—"}
+    </div>
+    <h3 style="margin:36px 0 16px;color:#E32264;font-size:22px;">Items</h3>
+    <ul class="items-list">${buildReturnItemsList(returnRequest)}</ul>
+    <div style="text-align:center;margin:40px 0;">
+      <a href="${process.env.ADMIN_DASHBOARD_URL}/returns/manage-returns" class="btn-primary">
+        Review Return
+      </a>
+    </div>
+  `;
+
+  await sendEmail({
+    to: adminEmail,
+    subject: `New Return ${shortReturnId}`,
+    html: getEmailTemplate(content, "New Return Notification"),
+  });
+};
+
+/**
+ * Notify the customer when their return is approved, rejected or received
+ * @param {Object} returnRequest - Populated return (user, items.product)
+ */
+const sendReturnStatusUpdateEmail = async (returnRequest) => {
+  const shortReturnId = shortenId(returnRequest._id);
+
+  const messages = {
+    APPROVED:
+      "Good news – your return has been approved. Please send the items back to us.",
+    REJECTED: "Unfortunately your return request could not be approved.",
+    RECEIVED:
+      "We've received your returned items. Your refund has been recorded.",
+  };
+
+  const content = `
+    <h2 style="color:#E32264;font-size:30px;margin-bottom:20px;">Return ${formatReturnReason(returnRequest.status)}</h2>
+    <p style="font-size:17px;color:#444444;margin-bottom:20px;">Hello ${returnRequest.user.userName},</p>
+    <p style="font-size:17px;color:#444444;margin-bottom:32px;">
+      ${messages[returnRequest.status] || "Your return request has been updated."}
+    </p>
+    <div class="info-box">
+      <strong>Return ID:</strong> ${shortReturnId}<br><br>
+      <strong>Status:</strong> <span style="color:#E32264;font-weight:700;font-size:20px;">${returnRequest.status}</span><br><br>
+      <strong>Refund Amount:</strong> $${returnRequest.refundAmount.toLocaleString()}<br><br>
+      ${returnRequest.adminNote ? `<strong>Note:</strong> ${returnRequest.adminNote}<br><br>` : ""}
+      <strong>Updated on:</strong> ${formatDate(new Date())}
+    </div>
+    <ul class="items-list">${buildReturnItemsList(returnRequest)}</ul>
+    <p style="font-size:16px;color:#444444;">
+      Thank you for shopping with NIDRIP!<br><br>
+      Best regards,<br><strong>NIDRIP Team</strong>
+    </p>
+  `;
+
+  await sendEmail({
+    to: returnRequest.user.email,
+    subject: `NIDRIP Return ${shortReturnId} – ${returnRequest.status}`,
+    html: getEmailTemplate(content, "Return Status Update"),
+  });
+};
+
 /**
  * Send 6-digit OTP for email verification
  * @async
@@ -587,5 +983,11 @@ module.exports = {
   sendOrderCancellationToUser,
   sendOrderCancellationToAdmin,
   sendOrderStatusUpdateEmail,
+  sendShipmentUpdateEmail,
+  sendOrderUpdatedEmail,
+  sendOrderAutoCancelledEmail,
+  sendReturnConfirmationToUser,
+  sendNewReturnNotificationToAdmin,
+  sendReturnStatusUpdateEmail,
   sendEmailVerificationOtp,
 };
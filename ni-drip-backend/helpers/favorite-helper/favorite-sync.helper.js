@@ -0,0 +1,27 @@
+/**
+ * @file Favorite sync utilities
+ * @module helpers/favoriteSyncHelper
+ * @description The `Favorite` collection is the source of truth;
+ *              `User.favorites` is a copy kept for fast profile reads.
+ */
+
+const Favorite = require("../../models/favorite-model/favorite.model");
+const User = require("../../models/user-model/user.model");
+
+/**
+ * Sync Favorite collection → User.favorites array
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+exports.syncUserFavorites = async (userId) => {
+  const favorites = await Favorite.find({ userId }).populate("productId");
+  const favoriteData = favorites.map((fav) => ({
+    productId: fav.productId,
+    addedAt: fav.addedAt,
+  }));
+  await User.findByIdAndUpdate(
+    userId,
+    { favorites: favoriteData },
+    { new: true },
+  );
+};
@@ -0,0 +1,63 @@
+/**
+ * @file City matching utilities
+ * @module helpers/cityMatchHelper
+ * @description Shared by every "region by city" lookup (shipping zones, tax
+ *              regions). Records carry a `cities` list and an `isDefault` flag.
+ */
+
+/**
+ * Reduce a city label to a comparable name
+ * ("🇬🇧 London, United Kingdom" → "london")
+ * @param {string} city
+ * @returns {string}
+ */
+const normalizeCity = (city) =>
+  (city || "")
+    .split(",")[0]
+    .replace(/[^\p{L}\s-]/gu, "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Does free text (an address) mention the city as a whole word?
+ * @param {string} text
+ * @param {string} city - Normalized city name
+ * @returns {boolean}
+ */
+const mentionsCity = (text, city) =>
+  !!city &&
+  new RegExp(
+    `(^|[^\\p{L}])${city.replace(/[-\\^$*+?.()|[\]{}]/g, "\\$&")}($|[^\\p{L}])`,
+    "iu",
+  ).test(text);
+
+/**
+ * Pick the record serving a destination (priority order)
+ * 1. A city mentioned in the delivery address
+ * 2. The user's preferred city
+ * 3. The default record
+ * @template T
+ * @param {T[]} records - Objects with `cities` and `isDefault`
+ * @param {{ address?: string, preferredCity?: string }} destination
+ * @returns {T|null}
+ */
+const matchDestination = (records, { address, preferredCity }) => {
+  const findByCity = (matcher) =>
+    records.find((record) =>
+      record.cities.some((city) => matcher(normalizeCity(city))),
+    );
+
+  return (
+    (address && findByCity((city) => mentionsCity(address, city))) ||
+    (preferredCity &&
+      findByCity((city) => city === normalizeCity(preferredCity))) ||
+    records.find((record) => record.isDefault) ||
+    null
+  );
+};
+
+module.exports = {
+  normalizeCity,
+  mentionsCity,
+  matchDestination,
+};
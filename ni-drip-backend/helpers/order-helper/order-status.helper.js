@@ -0,0 +1,142 @@
+/**
+ * @file Order lifecycle utilities
+ * @module helpers/orderStatusHelper
+ * @description Declarative order state machine. Every status change must be a
+ *              listed transition and is recorded in `Order.statusHistory`.
+ */
+
+/**
+ * All order statuses, in lifecycle order
+ * @type {string[]}
+ */
+exports.ORDER_STATUSES = [
+  "PENDING",
+  "PROCESSING",
+  "PARTIALLY_SHIPPED",
+  "SHIPPED",
+  "DELIVERED",
+  "CANCELLED",
+  "PARTIALLY_RETURNED",
+  "RETURNED",
+];
+
+/**
+ * Statuses only the returns workflow may set (not via updateOrderStatus)
+ * @type {string[]}
+ */
+exports.RETURN_STATUSES = ["PARTIALLY_RETURNED", "RETURNED"];
+
+/**
+ * Closed statuses – only orders in these may be archived
+ * @type {string[]}
+ */
+exports.ARCHIVABLE_STATUSES = [
+  "DELIVERED",
+  "CANCELLED",
+  "PARTIALLY_RETURNED",
+  "RETURNED",
+];
+
+/**
+ * Statuses derived from line fulfillment, in order. Shipping selected lines
+ * moves an order along this path (PARTIALLY_SHIPPED is never set by hand).
+ * @type {string[]}
+ */
+exports.FULFILLMENT_FLOW = [
+  "PROCESSING",
+  "PARTIALLY_SHIPPED",
+  "SHIPPED",
+  "DELIVERED",
+];
+
+/**
+ * Fulfillment status of a single order line
+ * @type {string[]}
+ */
+exports.LINE_FULFILLMENT_STATUSES = [
+  "UNFULFILLED",
+  "PARTIALLY_SHIPPED",
+  "SHIPPED",
+  "DELIVERED",
+];
+
+/**
+ * All payment statuses
+ * @type {string[]}
+ */
+exports.PAYMENT_STATUSES = [
+  "PENDING",
+  "PAID",
+  "FAILED",
+  "CANCELLED",
+  "REFUNDED",
+];
+
+/**
+ * Supported payment methods
+ * @type {string[]}
+ */
+exports.PAYMENT_METHODS = ["PAY_ON_DELIVERY", "DEBIT_CARD"];
+
+/**
+ * Shipment tracking statuses, in delivery order (EXCEPTION = delayed / failed attempt)
+ * @type {string[]}
+ */
+exports.SHIPMENT_STATUSES = [
+  "LABEL_CREATED",
+  "IN_TRANSIT",
+  "OUT_FOR_DELIVERY",
+  "DELIVERED",
+  "EXCEPTION",
+];
+
+/**
+ * Allowed transitions: current status → statuses it may move to
+ * @type {Object<string, string[]>}
+ */
+exports.ORDER_STATUS_TRANSITIONS = {
+  PENDING: ["PROCESSING", "CANCELLED"],
+  PROCESSING: ["PARTIALLY_SHIPPED", "SHIPPED", "CANCELLED"],
+  PARTIALLY_SHIPPED: ["SHIPPED"],
+  SHIPPED: ["DELIVERED"],
+  DELIVERED: ["PARTIALLY_RETURNED", "RETURNED"],
+  CANCELLED: [],
+  PARTIALLY_RETURNED: ["RETURNED"],
+  RETURNED: [],
+};
+
+/**
+ * Statuses that can be reached next from the given one
+ * @param {string} currentStatus
+ * @returns {string[]}
+ */
+exports.getAllowedTransitions = (currentStatus) =>
+  exports.ORDER_STATUS_TRANSITIONS[currentStatus] || [];
+
+/**
+ * Check whether an order may move between two statuses
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+exports.canTransition = (fromStatus, toStatus) =>
+  exports.getAllowedTransitions(fromStatus).includes(toStatus);
+
+/**
+ * Build a `statusHistory` entry
+ * @param {string} status - Status entered
+ * @param {{ id: string, role: string }|null} actor - `req.user`, or null for system jobs
+ * @param {string} [note]
+ * @returns {Object} Sub-document for `Order.statusHistory`
+ */
+exports.buildStatusHistoryEntry = (status, actor, note = "") => ({
+  status,
+  actor: actor?.id || null,
+  actorModel: actor
+    ? actor.role === "SUPERADMIN"
+      ? "SuperAdmin"
+      : "User"
+    : null,
+  note: note?.trim() || "",
+  changedAt: new Date(),
+});
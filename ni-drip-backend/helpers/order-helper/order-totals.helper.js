@@ -0,0 +1,64 @@
+/**
+ * @file Order totals utilities
+ * @module helpers/orderTotalsHelper
+ * @description One place that defines how an order's itemized totals add up,
+ *              so checkout, emails and invoices always agree.
+ */
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundCurrency = (amount) =>
+  Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Build the itemized totals object stored on an order
+ * grandTotal = subtotal − discount + tax + shipping (never below zero)
+ * @param {{ subtotal: number, discount?: number, tax?: number, shipping?: number }} parts
+ * @returns {{ subtotal: number, discount: number, tax: number, shipping: number, grandTotal: number }}
+ */
+const buildOrderTotals = ({
+  subtotal,
+  discount = 0,
+  tax = 0,
+  shipping = 0,
+}) => ({
+  subtotal: roundCurrency(subtotal),
+  discount: roundCurrency(discount),
+  tax: roundCurrency(tax),
+  shipping: roundCurrency(shipping),
+  grandTotal: roundCurrency(Math.max(subtotal - discount + tax + shipping, 0)),
+});
+
+/**
+ * Itemized totals for any order – orders placed before totals were stored
+ * get them rebuilt from their items, discounts and shipping cost
+ * @param {Object} order - Order document or plain object
+ * @returns {{ subtotal: number, discount: number, tax: number, shipping: number, grandTotal: number }}
+ */
+const getOrderTotals = (order) => {
+  if (order.totals) return order.totals;
+
+  return {
+    ...buildOrderTotals({
+      subtotal: order.items.reduce(
+        (sum, item) => sum + item.priceAtPurchase * item.quantity,
+        0,
+      ),
+      discount: (order.discounts || []).reduce(
+        (sum, discount) => sum + discount.amount,
+        0,
+      ),
+      shipping: order.shippingCost,
+    }),
+    grandTotal: order.totalAmount,
+  };
+};
+
+module.exports = {
+  roundCurrency,
+  buildOrderTotals,
+  getOrderTotals,
+};
@@ -0,0 +1,251 @@
+/**
+ * @file Product listing query utilities
+ * @module helpers/productQueryHelper
+ * @description Turns the catalog listing's query string (filters, sort,
+ *              page) into a Mongo filter and sort. Category names are stored as
+ *              plain names or as JSON-encoded arrays of names (`'["laptops"]'`),
+ *              so category matching and parsing handle both; category IDs are
+ *              resolved beforehand by `categoryService.withCategoryScope`. Specification
+ *              filters select values per spec name: values of one name are
+ *              alternatives (any of), different names must all match.
+ */
+
+/**
+ * Fields returned by catalog listings – no embedded reviews, ratings or
+ * specifications (fetch a single product for those)
+ * @type {string}
+ */
+exports.PRODUCT_LIST_FIELDS =
+  "title price productImages category categories stock status averageRating totalRatings totalReviews createdAt";
+
+/**
+ * Sort options for catalog listings (`_id` keeps pages stable on ties)
+ * - popularity: most rated, then most reviewed
+ * @type {Object<string, Object>}
+ */
+exports.PRODUCT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  rating: { averageRating: -1, totalRatings: -1, _id: 1 },
+  popularity: { totalRatings: -1, totalReviews: -1, averageRating: -1, _id: 1 },
+};
+
+/**
+ * Statuses a listing may filter by (ALL = no status filter)
+ * @type {string[]}
+ */
+const LISTING_STATUSES = ["ACTIVE", "INACTIVE", "ALL"];
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @returns {Error}
+ */
+const queryError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Escape a string for use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Parse an optional non-negative number query parameter
+ * @param {*} value
+ * @param {string} name - For the error message
+ * @returns {number|undefined}
+ */
+const parseNumberParam = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw queryError(`${name} must be a non-negative number`);
+  }
+  return number;
+};
+
+/**
+ * Category names stored in one `category` entry
+ * @param {string} entry - A name or a JSON-encoded array of names
+ * @returns {string[]} Lower-cased names
+ */
+const parseCategoryEntry = (entry) => {
+  try {
+    const parsed = JSON.parse(entry);
+    const names = Array.isArray(parsed) ? parsed : [parsed];
+    return names
+      .filter((name) => typeof name === "string")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+  } catch {
+    const name = String(entry).trim().toLowerCase();
+    return name ? [name] : [];
+  }
+};
+
+exports.parseCategoryEntry = parseCategoryEntry;
+
+/**
+ * Most spec names one listing may filter by
+ * @type {number}
+ */
+const MAX_SPEC_FILTERS = 10;
+
+/**
+ * Parse the `specs` query parameter – JSON mapping spec names to the values
+ * to allow, e.g. `{"Charging Interface":["Type-C"],"Water Resistant":["IPX4","IPX5"]}`
+ * @param {string} [value]
+ * @returns {Object<string, string[]>} Names with at least one value
+ * @throws 400 if it isn't such an object
+ */
+exports.parseSpecFilter = (value) => {
+  if (value === undefined || value === "") return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    throw queryError("specs must be a JSON object of spec names to values");
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw queryError("specs must be a JSON object of spec names to values");
+  }
+
+  const specs = {};
+  Object.entries(parsed).forEach(([name, values]) => {
+    const list = (Array.isArray(values) ? values : [values])
+      .filter((item) => typeof item === "string" && item.trim())
+      .map((item) => item.trim());
+    if (name.trim() && list.length) specs[name.trim()] = [...new Set(list)];
+  });
+  if (Object.keys(specs).length > MAX_SPEC_FILTERS) {
+    throw queryError(`At most ${MAX_SPEC_FILTERS} specs can be filtered`);
+  }
+  return specs;
+};
+
+/**
+ * Mongo conditions for spec filters (one per spec name, to be `$and`-ed)
+ * @param {Object<string, string[]>} specs - From `parseSpecFilter`
+ * @param {string} [exceptName] - Leave this name out (for its own facet counts)
+ * @returns {Object[]}
+ */
+exports.buildSpecConditions = (specs, exceptName) =>
+  Object.entries(specs)
+    .filter(([name]) => name !== exceptName)
+    .map(([name, values]) => ({
+      "specifications.items": {
+        $elemMatch: { name, value: { $in: values } },
+      },
+    }));
+
+/**
+ * Mongo condition matching products in any of the given categories
+ * @param {string[]} names
+ * @returns {Object}
+ */
+const categoryCondition = (names) => ({
+  $in: names.flatMap((name) => {
+    const escaped = escapeRegExp(name);
+    return [new RegExp(`^${escaped}$`, "i"), new RegExp(`"${escaped}"`, "i")];
+  }),
+});
+
+/**
+ * Build the filter, sort and page for a catalog listing
+ * @param {Object} query - `req.query`
+ * @param {string} [query.category]   - Comma-separated names (any of)
+ * @param {ObjectId[]} [query.categoryIds] - Category IDs (any of), set by
+ *                                     `withCategoryScope` – never from the request
+ * @param {number} [query.minPrice]
+ * @param {number} [query.maxPrice]
+ * @param {string} [query.inStock]    - "true" | "false"
+ * @param {string} [query.status=ACTIVE] - ACTIVE | INACTIVE | ALL
+ * @param {number} [query.minRating]  - 0–5, on `averageRating`
+ * @param {string} [query.search]     - Title contains (case-insensitive)
+ * @param {string} [query.specs]      - JSON spec filter (see `parseSpecFilter`)
+ * @param {string} [query.sort=newest] - Key of `PRODUCT_SORTS`
+ * @param {number} [query.page=1]
+ * @param {number} [query.limit=20]   - At most 100
+ * @returns {{ filter: Object, sort: Object, page: number, limit: number, specs: Object<string, string[]> }}
+ *          `filter` includes the spec conditions; `specs` is the parsed selection
+ * @throws 400 for an invalid parameter
+ */
+exports.buildProductListQuery = (query) => {
+  const filter = {};
+
+  const status = String(query.status || "ACTIVE").toUpperCase();
+  if (!LISTING_STATUSES.includes(status)) {
+    throw queryError(`Invalid status. Allowed: ${LISTING_STATUSES.join(", ")}`);
+  }
+  if (status !== "ALL") filter.status = status;
+
+  const categoryConditions = [];
+  if (query.categoryIds?.length) {
+    categoryConditions.push({ categories: { $in: query.categoryIds } });
+  }
+  if (query.category) {
+    const names = String(query.category)
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    if (names.length) {
+      categoryConditions.push({ category: categoryCondition(names) });
+    }
+  }
+  if (categoryConditions.length === 1) {
+    Object.assign(filter, categoryConditions[0]);
+  } else if (categoryConditions.length > 1) {
+    filter.$or = categoryConditions;
+  }
+
+  const minPrice = parseNumberParam(query.minPrice, "minPrice");
+  const maxPrice = parseNumberParam(query.maxPrice, "maxPrice");
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw queryError("minPrice cannot be greater than maxPrice");
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {
+      ...(minPrice !== undefined ? { $gte: minPrice } : {}),
+      ...(maxPrice !== undefined ? { $lte: maxPrice } : {}),
+    };
+  }
+
+  if (query.inStock === "true") filter.stock = { $gt: 0 };
+  else if (query.inStock === "false") filter.stock = { $lte: 0 };
+  else if (query.inStock !== undefined && query.inStock !== "") {
+    throw queryError("inStock must be true or false");
+  }
+
+  const minRating = parseNumberParam(query.minRating, "minRating");
+  if (minRating !== undefined) {
+    if (minRating > 5) throw queryError("minRating cannot be greater than 5");
+    filter.averageRating = { $gte: minRating };
+  }
+
+  if (query.search && String(query.search).trim()) {
+    filter.title = new RegExp(escapeRegExp(String(query.search).trim()), "i");
+  }
+
+  const specs = exports.parseSpecFilter(query.specs);
+  const specConditions = exports.buildSpecConditions(specs);
+  if (specConditions.length) filter.$and = specConditions;
+
+  const sortKey = String(query.sort || "newest");
+  if (!Object.hasOwn(exports.PRODUCT_SORTS, sortKey)) {
+    throw queryError(
+      `Invalid sort. Allowed: ${Object.keys(exports.PRODUCT_SORTS).join(", ")}`,
+    );
+  }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+
+  return { filter, sort: exports.PRODUCT_SORTS[sortKey], page, limit, specs };
+};
@@ -0,0 +1,273 @@
+/**
+ * @file Product variant utilities
+ * @module helpers/variantHelper
+ * @description A product with `variants` is bought per variant: each cart
+ *              line, order item and return line names one by `variantId`, and
+ *              the variant's price and stock apply instead of the product's.
+ *              Products without variants keep `variantId` null.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Most options per product and variants per product
+ * @type {{ options: number, values: number, variants: number }}
+ */
+const VARIANT_LIMITS = { options: 3, values: 20, variants: 100 };
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const variantError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Key identifying a line by product and variant
+ * @param {ObjectId|string} productId
+ * @param {ObjectId|string|null} [variantId]
+ * @returns {string}
+ */
+exports.lineKey = (productId, variantId) =>
+  `${productId?._id || productId}:${variantId || ""}`;
+
+/**
+ * Does a line (cart, order or return) hold this product and variant?
+ * @param {{ variantId?: ObjectId|null }} line
+ * @param {ObjectId|string|null} [variantId]
+ * @returns {boolean}
+ */
+exports.sameVariant = (line, variantId) =>
+  String(line.variantId || "") === String(variantId || "");
+
+/**
+ * Display label of a variant ("Black / 128GB")
+ * @param {Object|null} variant
+ * @returns {string}
+ */
+exports.variantLabel = (variant) =>
+  (variant?.options || []).map((option) => option.value).join(" / ");
+
+/**
+ * What a line of this product and variant sells at today
+ * @param {Object|null} product - Needs `price`, `stock`, `variants`
+ * @param {ObjectId|string|null} [variantId]
+ * @returns {{ variant: Object|null, price: number, stock: number, sku: string, label: string }|null}
+ *          null when the product is deleted, the variant no longer exists, a
+ *          variant product has no variant chosen, or a plain product is given one
+ */
+exports.getOffer = (product, variantId) => {
+  if (!product) return null;
+  const variants = product.variants || [];
+
+  if (!variants.length) {
+    return variantId
+      ? null
+      : {
+          variant: null,
+          price: product.price,
+          stock: product.stock,
+          sku: "",
+          label: "",
+        };
+  }
+
+  const variant = variantId
+    ? variants.find((item) => String(item._id) === String(variantId))
+    : null;
+  if (!variant) return null;
+
+  return {
+    variant,
+    price: variant.price,
+    stock: variant.stock,
+    sku: variant.sku,
+    label: exports.variantLabel(variant),
+  };
+};
+
+/**
+ * `getOffer` for a purchase, explaining why one isn't possible
+ * @param {Object} product
+ * @param {ObjectId|string|null} [variantId]
+ * @returns {Object} The offer
+ * @throws {Error} 400 if a variant must be chosen, 404 if it doesn't exist
+ */
+exports.requireOffer = (product, variantId) => {
+  const offer = exports.getOffer(product, variantId);
+  if (offer) return offer;
+
+  if (product.variants?.length && !variantId) {
+    const names = product.options.map((option) => option.name).join(" and ");
+    throw variantError(
+      `Choose a ${names.toLowerCase() || "variant"} for ${product.title}`,
+      400,
+    );
+  }
+  throw variantError(
+    `This option of ${product.title} is no longer available`,
+    404,
+  );
+};
+
+/**
+ * The product as pricing (coupons, shipping, tax) should see it – price and
+ * stock of the chosen variant
+ * @param {Object} product - Document or lean object
+ * @param {Object} offer - From `getOffer`
+ * @returns {Object} Plain object
+ */
+exports.pricedProduct = (product, offer) => ({
+  ...(typeof product.toObject === "function" ? product.toObject() : product),
+  price: offer.price,
+  stock: offer.stock,
+});
+
+/**
+ * Parse a field sent as JSON in a multipart form (or already parsed)
+ * @param {*} value
+ * @param {string} name - For the error message
+ * @returns {Array}
+ */
+const parseJsonArray = (value, name) => {
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch {
+    // reported below
+  }
+  throw variantError(`${name} must be a JSON array`, 400);
+};
+
+/**
+ * Validate the options and variants sent by the admin forms
+ * @description Every variant must pick one allowed value per option, no two
+ *              variants may share a combination or SKU, and existing variant
+ *              IDs are kept so cart lines and orders still point at them.
+ * @param {*} rawOptions  - `[{ name, values[] }]` (JSON string or array)
+ * @param {*} rawVariants - `[{ _id?, options: { [name]: value }, sku, price, stock, images? }]`
+ * @returns {{ options: Object[], variants: Object[], price: number|undefined, stock: number|undefined }}
+ *          `price` (lowest) and `stock` (sum) to store on the product; both
+ *          undefined when there are no variants
+ * @throws {Error} 400 describing the first problem found
+ */
+exports.normalizeVariants = (rawOptions, rawVariants) => {
+  const options = parseJsonArray(rawOptions ?? "[]", "options").map(
+    (option) => ({
+      name: String(option?.name || "").trim(),
+      values: [
+        ...new Set(
+          (Array.isArray(option?.values) ? option.values : [])
+            .map((value) => String(value).trim())
+            .filter(Boolean),
+        ),
+      ],
+    }),
+  );
+  const variantsInput = parseJsonArray(rawVariants ?? "[]", "variants");
+
+  if (!options.length) {
+    if (variantsInput.length) {
+      throw variantError("Add at least one option before adding variants", 400);
+    }
+    return { options: [], variants: [], price: undefined, stock: undefined };
+  }
+
+  if (options.length > VARIANT_LIMITS.options) {
+    throw variantError(
+      `A product can have at most ${VARIANT_LIMITS.options} options`,
+      400,
+    );
+  }
+  const names = new Set();
+  options.forEach((option) => {
+    if (!option.name) throw variantError("Every option needs a name", 400);
+    if (names.has(option.name.toLowerCase())) {
+      throw variantError(`Option "${option.name}" is listed twice`, 400);
+    }
+    names.add(option.name.toLowerCase());
+    if (!option.values.length || option.values.length > VARIANT_LIMITS.values) {
+      throw variantError(
+        `Option "${option.name}" needs 1 to ${VARIANT_LIMITS.values} values`,
+        400,
+      );
+    }
+  });
+
+  if (!variantsInput.length) {
+    throw variantError("Add at least one variant for the options", 400);
+  }
+  if (variantsInput.length > VARIANT_LIMITS.variants) {
+    throw variantError(
+      `A product can have at most ${VARIANT_LIMITS.variants} variants`,
+      400,
+    );
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+  const variants = variantsInput.map((input, index) => {
+    const label = `Variant ${index + 1}`;
+    const chosen = input?.options || {};
+
+    const variantOptions = options.map((option) => {
+      const value = String(chosen[option.name] ?? "").trim();
+      if (!option.values.includes(value)) {
+        throw variantError(
+          `${label}: choose a ${option.name} from ${option.values.join(", ")}`,
+          400,
+        );
+      }
+      return { name: option.name, value };
+    });
+
+    const combination = variantOptions.map((option) => option.value).join("|");
+    if (combinations.has(combination)) {
+      throw variantError(
+        `${label}: ${variantOptions.map((option) => option.value).join(" / ")} is listed twice`,
+        400,
+      );
+    }
+    combinations.add(combination);
+
+    const sku = String(input?.sku || "").trim();
+    if (!sku) throw variantError(`${label}: SKU is required`, 400);
+    if (skus.has(sku.toUpperCase())) {
+      throw variantError(`${label}: SKU ${sku} is used twice`, 400);
+    }
+    skus.add(sku.toUpperCase());
+
+    const price = Number(input?.price);
+    const stock = Number(input?.stock ?? 0);
+    if (!Number.isFinite(price) || price < 0) {
+      throw variantError(`${label}: price must be a non-negative number`, 400);
+    }
+    if (!Number.isInteger(stock) || stock < 0) {
+      throw variantError(`${label}: stock must be a whole number`, 400);
+    }
+
+    return {
+      ...(mongoose.isValidObjectId(input?._id) ? { _id: input._id } : {}),
+      options: variantOptions,
+      sku,
+      price,
+      stock,
+      images: (Array.isArray(input?.images) ? input.images : []).filter(
+        (url) => typeof url === "string" && url.trim(),
+      ),
+    };
+  });
+
+  return {
+    options,
+    variants,
+    price: Math.min(...variants.map((variant) => variant.price)),
+    stock: variants.reduce((sum, variant) => sum + variant.stock, 0),
+  };
+};
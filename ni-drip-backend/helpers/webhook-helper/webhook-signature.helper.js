@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Webhook signature utilities shared by payment providers and carriers
+ * @module helpers/webhookSignatureHelper
+ * @description Signature header format: `t=<unix seconds>,v1=<hex HMAC-SHA256>`
+ *              where the HMAC is computed over `${t}.${rawBody}`.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Maximum accepted age of a signed webhook (replay protection)
+ * @type {number}
+ */
+const TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Sign a raw webhook body
+ * @param {string|Buffer} rawBody
+ * @param {string} secret
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {string} Signature header value
+ */
+const signPayload = (
+  rawBody,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000),
+) => {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody.toString()}`)
+    .digest("hex");
+
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Verify a signature header against the raw body
+ * @param {string|Buffer} rawBody
+ * @param {string} header - Signature header value
+ * @param {string} secret
+ * @returns {boolean}
+ */
+const verifySignature = (rawBody, header, secret) => {
+  if (!rawBody || !header) return false;
+
+  const parts = Object.fromEntries(
+    header.split(",").map((part) => part.trim().split("=")),
+  );
+  const timestamp = Number(parts.t);
+
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    signPayload(rawBody, secret, timestamp).split("v1=")[1],
+    "hex",
+  );
+  const received = Buffer.from(parts.v1, "hex");
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+module.exports = {
+  signPayload,
+  verifySignature,
+};
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Idempotency-Key middleware for money-affecting routes
+ * @module middlewares/idempotencyMiddleware
+ * @description When a request carries an `Idempotency-Key` header, the first
+ *              response is stored against that key (per authenticated user) and
+ *              replayed for retries. Reusing a key with a different payload is
+ *              rejected with 409. Requests without the header pass through.
+ *              Must run after `encryptedAuthMiddleware`.
+ */
+
+const crypto = require("crypto");
+const IdempotencyKey = require("../../models/idempotency-key-model/idempotency-key.model");
+
+/**
+ * How long a stored response is replayed for
+ * @type {number}
+ */
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+/**
+ * Longest accepted key (UUIDs are 36 characters)
+ * @type {number}
+ */
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON.stringify with sorted object keys, so equal payloads hash equally
+ * @param {*} value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+/**
+ * Fingerprint of the request the key was first used for
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      `${req.method}:${req.originalUrl}:${stableStringify(req.body || {})}`,
+    )
+    .digest("hex");
+
+/**
+ * Replay stored responses for repeated `Idempotency-Key` requests
+ * @type {import('express').RequestHandler}
+ */
+exports.idempotencyMiddleware = async (req, res, next) => {
+  const key = req.get("Idempotency-Key")?.trim();
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const owner = req.user.id;
+  const requestHash = hashRequest(req);
+
+  try {
+    await IdempotencyKey.create({
+      key,
+      owner,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error("Idempotency key error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Server Error",
+        error: error.message,
+      });
+    }
+
+    // Key already used by this caller
+    const existing = await IdempotencyKey.findOne({ owner, key });
+
+    if (!existing) {
+      // Expired between the insert and the lookup – treat as a fresh request
+      return exports.idempotencyMiddleware(req, res, next);
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Idempotency-Key has already been used for a different request",
+      });
+    }
+
+    if (existing.status === "IN_PROGRESS") {
+      return res.status(409).json({
+        success: false,
+        message: "A request with this Idempotency-Key is still being processed",
+      });
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Capture the response so it can be replayed
+  const originalJson = res.json.bind(res);
+  let settled = false;
+
+  res.json = (body) => {
+    settled = true;
+
+    // Server errors are not stored, so the client may retry with the same key
+    const record =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ owner, key })
+        : IdempotencyKey.updateOne(
+            { owner, key },
+            {
+              $set: {
+                status: "COMPLETED",
+                responseStatus: res.statusCode,
+                // Plain JSON – bodies may contain Mongoose documents
+                responseBody: JSON.parse(JSON.stringify(body)),
+              },
+            },
+          );
+
+    record
+      .catch((error) => console.error("Idempotency key save error:", error))
+      .finally(() => originalJson(body));
+
+    return res;
+  };
+
+  // Connection dropped or non-JSON response – release the key
+  res.on("close", () => {
+    if (!settled) {
+      IdempotencyKey.deleteOne({ owner, key }).catch((error) =>
+        console.error("Idempotency key release error:", error),
+      );
+    }
+  });
+
+  next();
+};
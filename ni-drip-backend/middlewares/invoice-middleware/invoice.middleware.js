@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Invoice download authentication
+ * @module middlewares/invoiceMiddleware
+ * @description Invoice downloads accept either the normal encrypted JWT or a
+ *              signed `?token=` link issued by `getInvoiceLink`. A link token
+ *              only unlocks the invoice of the order it was issued for.
+ */
+
+const {
+  encryptedAuthMiddleware,
+} = require("../auth-middleware/auth.middleware");
+const {
+  verifyInvoiceLinkToken,
+} = require("../../services/invoice-service/invoice.service");
+
+/**
+ * Authenticate an invoice download
+ * Sets `req.invoiceLink = { orderId }` when a link token was used
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+exports.invoiceAuthMiddleware = (req, res, next) => {
+  const { token } = req.query;
+  if (!token) return encryptedAuthMiddleware(req, res, next);
+
+  const orderId = verifyInvoiceLinkToken(String(token));
+  if (!orderId || orderId !== req.params.orderId) {
+    return res.status(401).json({
+      success: false,
+      message: "Invoice link is invalid or has expired",
+    });
+  }
+
+  req.invoiceLink = { orderId };
+  next();
+};
@@ -64,7 +64,14 @@ exports.securityMiddleware = (app) => {
       origin: allowedOrigins,
       credentials: true,
       methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-      allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+      allowedHeaders: [
+        "Content-Type",
+        "Authorization",
+        "X-Requested-With",
+        "Idempotency-Key",
+        "X-Guest-Token",
+      ],
+      exposedHeaders: ["Idempotent-Replayed", "Content-Disposition"],
     }),
   );
 
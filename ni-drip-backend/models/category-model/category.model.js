@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Mongoose schema for catalog categories
+ * @module models/categoryModel
+ * @description Categories form a tree through `parent`. Products reference
+ *              them by ID in `Product.categories`.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for categories
+ * @typedef {Object} Category
+ * @property {string}   name      - Display name, e.g. "Headphones"
+ * @property {string}   slug      - URL-safe unique key, e.g. "headphones"
+ * @property {ObjectId} parent    - Parent category (null for a top-level one)
+ * @property {string}   icon      - MaterialCommunityIcons name shown in the app
+ * @property {string}   image     - Cover image URL
+ * @property {number}   sortOrder - Position among its siblings (lowest first)
+ * @property {boolean}  isActive  - Inactive categories (and their children) are hidden from shoppers
+ * @property {Date}     createdAt
+ * @property {Date}     updatedAt
+ */
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+      maxlength: [60, "Category name cannot exceed 60 characters"],
+    },
+
+    slug: {
+      type: String,
+      required: [true, "Category slug is required"],
+      trim: true,
+      lowercase: true,
+      unique: true,
+      match: [
+        /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+        "Slug may only contain lowercase letters, numbers and hyphens",
+      ],
+    },
+
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+
+    icon: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    image: {
+      type: String,
+      default: "",
+    },
+
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Tree building: siblings in display order
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Mongoose schema for named sequence counters
+ * @module models/counterModel
+ * @description One document per sequence (e.g. "invoice"); incremented
+ *              atomically so every number is issued exactly once.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for counters
+ * @typedef {Object} Counter
+ * @property {string} _id - Sequence name
+ * @property {number} seq - Last issued value
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Mongoose schema for discount coupons
+ * @module models/couponModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Supported coupon types
+ * - PERCENTAGE:    `value`% off the eligible subtotal (optionally capped by `maxDiscount`)
+ * - FIXED:         `value` off the eligible subtotal
+ * - FREE_SHIPPING: waives the order's shipping cost
+ * @type {string[]}
+ */
+const COUPON_TYPES = ["PERCENTAGE", "FIXED", "FREE_SHIPPING"];
+
+/**
+ * Schema for coupons
+ * @typedef {Object} Coupon
+ * @property {string}     code               - Unique code customers enter (stored upper-case)
+ * @property {string}     description        - Shown to customers and on the order
+ * @property {string}     type               - One of COUPON_TYPES
+ * @property {number}     value              - Percentage (0-100) or fixed amount; unused for FREE_SHIPPING
+ * @property {number}     maxDiscount        - Cap for PERCENTAGE coupons (null = no cap)
+ * @property {number}     minOrderAmount     - Minimum cart subtotal required
+ * @property {number}     usageLimit         - Total redemptions allowed (null = unlimited)
+ * @property {number}     perUserLimit       - Redemptions allowed per customer (null = unlimited)
+ * @property {number}     usedCount          - Redemptions so far
+ * @property {Array}      redemptions        - One entry per order that used the coupon
+ * @property {ObjectId[]} applicableCategories - Restrict to these categories and their subcategories (empty = all)
+ * @property {ObjectId[]} applicableProducts - Restrict to these products (empty = all)
+ * @property {Date}       startsAt           - Not valid before (null = immediately)
+ * @property {Date}       expiresAt          - Not valid after (null = never)
+ * @property {boolean}    isActive           - Admin on/off switch
+ * @property {ObjectId}   createdBy          - SuperAdmin who created the coupon
+ * @property {Date}       createdAt
+ * @property {Date}       updatedAt
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [
+        /^[A-Z0-9_-]{3,30}$/,
+        "Code must be 3-30 letters, numbers, dashes or underscores",
+      ],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    type: {
+      type: String,
+      enum: COUPON_TYPES,
+      required: [true, "Coupon type is required"],
+    },
+
+    value: {
+      type: Number,
+      default: 0,
+      min: [0, "Value cannot be negative"],
+      validate: {
+        validator: function (v) {
+          return this.type !== "PERCENTAGE" || v <= 100;
+        },
+        message: "Percentage cannot exceed 100",
+      },
+    },
+
+    maxDiscount: {
+      type: Number,
+      default: null,
+      min: [0, "Maximum discount cannot be negative"],
+    },
+
+    minOrderAmount: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum order amount cannot be negative"],
+    },
+
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: [1, "Usage limit must be at least 1"],
+    },
+
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: [1, "Per-user limit must be at least 1"],
+    },
+
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    redemptions: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Order",
+          required: true,
+        },
+        redeemedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    applicableCategories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+
+    applicableProducts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("Coupon", couponSchema);
+module.exports.COUPON_TYPES = COUPON_TYPES;
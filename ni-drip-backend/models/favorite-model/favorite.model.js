@@ -1,6 +1,9 @@
 /**
  * @fileoverview Mongoose schema for user's favorite products
  * @module models/favoriteModel
+ * @description A product sits in at most one of a user's wishlists at a time;
+ *              moving it changes `wishlistId`. Entries from before wishlists
+ *              existed have no `wishlistId` and belong to the DEFAULT list.
  */
 
 const mongoose = require("mongoose");
@@ -10,6 +13,9 @@ const mongoose = require("mongoose");
  * @typedef {Object} Favorite
  * @property {ObjectId} userId    - Reference to the owning user
  * @property {ObjectId} productId - Reference to the favorited Product
+ * @property {ObjectId} wishlistId - Reference to the Wishlist holding it
+ * @property {number}   quantity  - Units wanted (kept when moved to/from the cart)
+ * @property {ObjectId|null} variantId - Variant it was saved from the cart with (null = none)
  * @property {Date}     addedAt   - When the product was favorited
  * @property {Date}     createdAt
  * @property {Date}     updatedAt
@@ -30,6 +36,24 @@ const favoriteSchema = new mongoose.Schema(
       index: true,
     },
 
+    wishlistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Wishlist",
+      default: null,
+      index: true,
+    },
+
+    quantity: {
+      type: Number,
+      min: [1, "Quantity must be at least 1"],
+      default: 1,
+    },
+
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+
     addedAt: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Mongoose schema for anonymous (guest) shopping carts
+ * @module models/guestCartModel
+ * @description A visitor who has not signed in keeps a cart keyed by a random
+ *              guest token, issued on their first add-to-cart and sent back in
+ *              the `X-Guest-Token` header. Lines hold no price – guest carts
+ *              are always priced live. On sign-in / registration the cart is
+ *              merged into the user's `Cart` and deleted; untouched carts
+ *              expire through a TTL index.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for guest carts
+ * @typedef {Object} GuestCart
+ * @property {string}   token              - Guest token (random, 64 hex characters)
+ * @property {Object[]} items              - Cart lines
+ * @property {ObjectId} items.productId    - Reference to Product
+ * @property {ObjectId|null} items.variantId - Variant of the product (null = no variants)
+ * @property {number}   items.quantity     - Number of units
+ * @property {Date}     expiresAt          - TTL – pushed back on every change
+ * @property {Date}     createdAt
+ * @property {Date}     updatedAt
+ */
+const guestCartSchema = new mongoose.Schema(
+  {
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        _id: false,
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"],
+        },
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+guestCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("GuestCart", guestCartSchema);
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Mongoose schema for client idempotency keys
+ * @module models/idempotencyKeyModel
+ * @description Stores the outcome of a request made with an `Idempotency-Key`
+ *              header so a retried request can be answered with the original
+ *              response. Documents expire automatically through a TTL index.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for idempotency keys
+ * @typedef {Object} IdempotencyKey
+ * @property {string}   key            - Client-supplied `Idempotency-Key` header
+ * @property {ObjectId} owner          - Authenticated user / admin the key is scoped to
+ * @property {string}   method         - HTTP method of the original request
+ * @property {string}   path           - Original URL of the request
+ * @property {string}   requestHash    - SHA-256 of method, path and body
+ * @property {string}   status         - IN_PROGRESS until the response is stored
+ * @property {number}   responseStatus - HTTP status of the stored response
+ * @property {Object}   responseBody   - JSON body of the stored response
+ * @property {Date}     expiresAt      - TTL – the key is removed after this time
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["IN_PROGRESS", "COMPLETED"],
+      default: "IN_PROGRESS",
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+idempotencyKeySchema.index({ owner: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
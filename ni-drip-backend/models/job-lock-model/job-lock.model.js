@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Mongoose schema for scheduled job locks
+ * @module models/jobLockModel
+ * @description One document per background job. A server instance runs a job
+ *              only after atomically taking its lock, so jobs scheduled on
+ *              every instance still run once per tick. Locks expire on their
+ *              own, so a crashed instance cannot hold one forever.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for job locks
+ * @typedef {Object} JobLock
+ * @property {string} _id            - Job name
+ * @property {Date}   lockedUntil    - The lock is free once this time has passed
+ * @property {string} lockedBy       - Instance holding (or last holding) the lock
+ * @property {Date}   lastStartedAt  - When the job last started
+ * @property {Date}   lastFinishedAt - When the job last finished
+ * @property {string} lastError      - Error of the last run, empty if it succeeded
+ */
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lockedBy: {
+    type: String,
+    default: "",
+  },
+  lastStartedAt: {
+    type: Date,
+    default: null,
+  },
+  lastFinishedAt: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: "",
+  },
+});
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
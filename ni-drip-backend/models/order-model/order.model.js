@@ -4,6 +4,283 @@
  */
 
 const mongoose = require("mongoose");
+const {
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+  PAYMENT_METHODS,
+  LINE_FULFILLMENT_STATUSES,
+} = require("../../helpers/order-helper/order-status.helper");
+
+/**
+ * Sub-schema for a single lifecycle transition
+ * @typedef {Object} StatusHistoryEntry
+ * @property {string}        status     - Status the order entered
+ * @property {ObjectId|null} actor      - User or SuperAdmin who made the change (null = system)
+ * @property {string|null}   actorModel - "User" or "SuperAdmin"
+ * @property {string}        note       - Optional reason / comment
+ * @property {Date}          changedAt  - When the transition happened
+ */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "statusHistory.actorModel",
+      default: null,
+    },
+    actorModel: {
+      type: String,
+      enum: ["User", "SuperAdmin"],
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Sub-schema for the card payment attached to an order
+ * @typedef {Object} OrderPayment
+ * @property {string} provider      - Provider adapter that owns the intent ("card" | "fake")
+ * @property {string} intentId      - Provider payment intent id
+ * @property {string} failureReason - Last failure reported by the provider
+ * @property {Date}   paidAt        - When the provider confirmed the payment
+ * @property {Array}  refunds       - Refunds issued through the provider
+ */
+const paymentSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    intentId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    failureReason: {
+      type: String,
+      default: "",
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    refunds: {
+      type: [
+        {
+          refundId: { type: String, required: true },
+          amount: { type: Number, required: true, min: 0 },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Sub-schema for a discount applied at checkout
+ * @typedef {Object} DiscountLine
+ * @property {ObjectId} coupon      - Coupon that produced the discount
+ * @property {string}   code        - Coupon code (kept if the coupon is deleted)
+ * @property {string}   type        - PERCENTAGE | FIXED | FREE_SHIPPING
+ * @property {string}   description - Coupon description at checkout time
+ * @property {number}   amount      - Amount taken off the order
+ */
+const discountSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      default: null,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Sub-schema for the itemized order totals
+ * @typedef {Object} OrderTotals
+ * @property {number} subtotal   - Items at purchase price
+ * @property {number} discount   - All coupon discounts
+ * @property {number} tax        - Tax on the discounted items
+ * @property {number} shipping   - Shipping fee before discounts
+ * @property {number} grandTotal - subtotal − discount + tax + shipping
+ */
+const totalsSchema = new mongoose.Schema(
+  {
+    subtotal: { type: Number, required: true, min: 0 },
+    discount: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, default: 0, min: 0 },
+    shipping: { type: Number, default: 0, min: 0 },
+    grandTotal: { type: Number, required: true, min: 0 },
+  },
+  { _id: false },
+);
+
+/**
+ * Sub-schema for one change made by an admin edit
+ * @typedef {Object} OrderEditChange
+ * @property {string}        action  - ITEM_ADDED | ITEM_REMOVED | QUANTITY_CHANGED | ADDRESS_CHANGED | COUPON_REMOVED
+ * @property {ObjectId|null} product - Product of the line (line changes only)
+ * @property {string}        label   - Product title, coupon code or field name at edit time
+ * @property {string}        from    - Previous value ("" when added)
+ * @property {string}        to      - New value ("" when removed)
+ */
+const editChangeSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: [
+        "ITEM_ADDED",
+        "ITEM_REMOVED",
+        "QUANTITY_CHANGED",
+        "ADDRESS_CHANGED",
+        "COUPON_REMOVED",
+      ],
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    label: {
+      type: String,
+      default: "",
+    },
+    from: {
+      type: String,
+      default: "",
+    },
+    to: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Sub-schema for an admin edit of the order (audit trail); edits keep their
+ * `_id`, which keys the provider refund
+ * @typedef {Object} OrderEdit
+ * @property {ObjectId}          editedBy      - SuperAdmin who edited the order
+ * @property {Date}              editedAt
+ * @property {string}            note          - Reason, e.g. "Customer called to swap colour"
+ * @property {OrderEditChange[]} changes
+ * @property {number}            previousTotal - Grand total before the edit
+ * @property {number}            newTotal      - Grand total after the edit
+ * @property {number}            refundAmount  - Card refund owed for a lower total (0 if none)
+ * @property {string}            refundStatus  - NONE | PENDING | ISSUED – the refund is issued after the edit commits
+ * @property {string}            refundId      - Provider refund id once issued
+ */
+const orderEditSchema = new mongoose.Schema({
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SuperAdmin",
+    required: true,
+  },
+  editedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  changes: {
+    type: [editChangeSchema],
+    default: [],
+  },
+  previousTotal: {
+    type: Number,
+    required: true,
+  },
+  newTotal: {
+    type: Number,
+    required: true,
+  },
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  refundStatus: {
+    type: String,
+    enum: ["NONE", "PENDING", "ISSUED"],
+    default: "NONE",
+  },
+  refundId: {
+    type: String,
+    default: "",
+  },
+});
+
+/**
+ * Schema for archive / restore events
+ * @typedef {Object} ArchiveEvent
+ * @property {string}   action - ARCHIVED | RESTORED
+ * @property {ObjectId} actor  - SuperAdmin who archived / restored the order
+ * @property {string}   reason - Why the order was archived / restored
+ * @property {Date}     at
+ */
+const archiveEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["ARCHIVED", "RESTORED"],
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+);
 
 /**
  * Schema for orders
@@ -11,14 +288,38 @@ const mongoose = require("mongoose");
  * @property {ObjectId} user           - Reference to the customer
  * @property {Array}    items          - List of purchased products
  * @property {ObjectId} items.product  - Reference to Product
+ * @property {ObjectId|null} items.variantId - Variant bought (null = product has no variants)
+ * @property {string}   items.sku      - Variant SKU at checkout ("" without variants)
+ * @property {string}   items.variantLabel - Variant options at checkout ("Black / 128GB")
  * @property {number}   items.quantity - Quantity purchased
  * @property {number}   items.priceAtPurchase - Price at time of checkout
- * @property {number}   totalAmount    - Final total (items + shipping)
+ * @property {number}   items.returnedQuantity - Units received back through returns
+ * @property {number}   items.claimedReturnQuantity - Units in returns that are open or received; never above `quantity`
+ * @property {number}   items.discountAmount - Line's share of the coupon discount on the items
+ * @property {number}   items.taxRate  - Percentage applied to the line
+ * @property {number}   items.taxAmount - Tax charged on the line (after its discount share)
+ * @property {number}   items.shippedQuantity   - Units sent in shipments
+ * @property {number}   items.deliveredQuantity - Units in delivered shipments
+ * @property {string}   items.fulfillmentStatus - UNFULFILLED | PARTIALLY_SHIPPED | SHIPPED | DELIVERED
+ * @property {number}   totalAmount    - Final total, always equal to `totals.grandTotal`
+ * @property {OrderTotals|null} totals - Itemized totals (null on orders placed before tax support)
+ * @property {string}   taxRegion      - Name of the tax region that priced the order
+ * @property {string}   invoiceNumber  - Sequential invoice number ("INV-000042"), issued once paid
+ * @property {DiscountLine[]} discounts - Coupons applied at checkout
  * @property {string}   shippingAddress - Full delivery address
- * @property {number}   shippingCost   - Shipping fee
- * @property {string}   status         - Order fulfillment status
+ * @property {number}   shippingCost   - Shipping fee (computed server-side)
+ * @property {string}   shippingZone   - Name of the shipping zone that priced the order
+ * @property {string}   status         - Order status; while fulfilling, derived from the line states
  * @property {string}   paymentMethod  - Payment method used
  * @property {string}   paymentStatus  - Payment completion status
+ * @property {OrderPayment|null} payment - Provider payment details (card orders only)
+ * @property {number}   refundedAmount - Total refunded through received returns
+ * @property {StatusHistoryEntry[]} statusHistory - Every status transition, oldest first
+ * @property {OrderEdit[]} editHistory - Admin edits made before fulfillment, oldest first
+ * @property {Date|null} archivedAt    - When the order was archived (null = active); purged after the retention period
+ * @property {ObjectId|null} archivedBy - SuperAdmin who archived the order
+ * @property {string}   archiveReason  - Why the order was archived
+ * @property {ArchiveEvent[]} archiveHistory - Every archive / restore, oldest first
  * @property {Date}     createdAt
  * @property {Date}     updatedAt
  */
@@ -38,6 +339,18 @@ const orderSchema = new mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        sku: {
+          type: String,
+          default: "",
+        },
+        variantLabel: {
+          type: String,
+          default: "",
+        },
         quantity: {
           type: Number,
           required: true,
@@ -47,6 +360,46 @@ const orderSchema = new mongoose.Schema(
           type: Number,
           required: true,
         },
+        returnedQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        claimedReturnQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        discountAmount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        taxRate: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        taxAmount: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        shippedQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        deliveredQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        fulfillmentStatus: {
+          type: String,
+          enum: LINE_FULFILLMENT_STATUSES,
+          default: "UNFULFILLED",
+        },
       },
     ],
 
@@ -56,6 +409,27 @@ const orderSchema = new mongoose.Schema(
       min: 0,
     },
 
+    totals: {
+      type: totalsSchema,
+      default: null,
+    },
+
+    taxRegion: {
+      type: String,
+      default: "",
+    },
+
+    invoiceNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
+    discounts: {
+      type: [discountSchema],
+      default: [],
+    },
+
     shippingAddress: {
       type: String,
       required: [true, "Shipping address is required for delivery"],
@@ -67,27 +441,77 @@ const orderSchema = new mongoose.Schema(
       min: 0,
     },
 
+    shippingZone: {
+      type: String,
+      default: "",
+    },
+
     status: {
       type: String,
-      enum: ["PENDING", "PROCESSING", "SHIPPED", "DELIVERED", "CANCELLED"],
+      enum: ORDER_STATUSES,
       default: "PENDING",
     },
 
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+    },
+
+    editHistory: {
+      type: [orderEditSchema],
+      default: [],
+    },
+
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+      default: null,
+    },
+
+    archiveReason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    archiveHistory: {
+      type: [archiveEventSchema],
+      default: [],
+    },
+
     paymentMethod: {
       type: String,
-      enum: ["PAY_ON_DELIVERY"],
+      enum: PAYMENT_METHODS,
       default: "PAY_ON_DELIVERY",
     },
 
     paymentStatus: {
       type: String,
-      enum: ["PENDING", "PAID"],
+      enum: PAYMENT_STATUSES,
       default: "PENDING",
     },
+
+    payment: {
+      type: paymentSchema,
+      default: null,
+    },
+
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
   },
   {
     timestamps: true,
   },
 );
 
+orderSchema.index({ archivedAt: 1 });
+
 module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Mongoose schema for processed payment webhook events
+ * @module models/paymentEventModel
+ * @description One document per provider event. The unique index on
+ *              (provider, eventId) is what makes webhook handling idempotent:
+ *              a redelivered event fails to insert and is acknowledged without
+ *              touching the order again.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for payment events
+ * @typedef {Object} PaymentEvent
+ * @property {string}   provider  - Provider that sent the event ("card" | "fake")
+ * @property {string}   eventId   - Provider's event id
+ * @property {string}   type      - Normalized event type, e.g. "payment.succeeded"
+ * @property {string}   intentId  - Payment intent the event refers to
+ * @property {ObjectId} order     - Order the intent belongs to (null if unknown)
+ * @property {Date}     createdAt - When the event was processed
+ */
+const paymentEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    intentId: {
+      type: String,
+      default: null,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
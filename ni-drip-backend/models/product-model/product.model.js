@@ -47,15 +47,88 @@ const reviewSchema = new mongoose.Schema({
   },
 });
 
+/**
+ * Sub-schema for an option customers choose from ("Color": Black, White)
+ * @typedef {Object} ProductOption
+ * @property {string}   name   - Option name
+ * @property {string[]} values - Allowed values, in display order
+ */
+const optionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Option name is required"],
+      trim: true,
+      maxlength: [30, "Option name cannot exceed 30 characters"],
+    },
+    values: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: "An option needs at least one value",
+      },
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Sub-schema for a purchasable variant (one value per option)
+ * @typedef {Object} ProductVariant
+ * @property {ObjectId} _id     - Referenced as `variantId` by cart lines, order items and returns
+ * @property {Array<{name: string, value: string}>} options - The value chosen for each product option
+ * @property {string}   sku     - Stock keeping unit, unique across the catalog
+ * @property {number}   price   - Unit price
+ * @property {number}   stock   - Units available
+ * @property {string[]} images  - Shown instead of `productImages` when picked (optional)
+ */
+const variantSchema = new mongoose.Schema({
+  options: {
+    type: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        value: { type: String, required: true, trim: true },
+      },
+    ],
+    default: [],
+  },
+  sku: {
+    type: String,
+    required: [true, "Variant SKU is required"],
+    trim: true,
+  },
+  price: {
+    type: Number,
+    required: [true, "Variant price is required"],
+    min: [0, "Price cannot be negative"],
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, "Stock cannot be negative"],
+  },
+  images: {
+    type: [String],
+    default: [],
+  },
+});
+
 /**
  * Schema for products
+ * @description Products with `variants` are bought per variant; their `price`
+ *              is the lowest variant price and `stock` the sum of variant stock,
+ *              kept in step so listings, filters and sorts need no changes.
  * @typedef {Object} Product
  * @property {string[]}   productImages   - Array of image URLs (max 5)
  * @property {string}     title           - Product title
  * @property {string}     description     - Detailed product description
  * @property {number}     price           - Unit price
- * @property {string[]}   category        - List of categories
+ * @property {string[]}   category        - Names of `categories`, kept in step by the category
+ *                                          controller (search matches on names)
+ * @property {ObjectId[]} categories      - Categories the product is listed in
  * @property {number}     stock           - Available stock quantity
+ * @property {number}     weight          - Shipping weight in kg (used by WEIGHT shipping zones)
  * @property {string}     status          - ACTIVE or INACTIVE
  * @property {Rating[]}   ratings         - Array of user ratings
  * @property {number}     averageRating   - Calculated average rating
@@ -64,6 +137,8 @@ const reviewSchema = new mongoose.Schema({
  * @property {number}     averageReview   - (Currently unused – possibly for future text-based scoring)
  * @property {number}     totalReviews    - Total number of reviews
  * @property {ObjectId}   addedBy         - SuperAdmin who created the product
+ * @property {ProductOption[]}  options  - Options the variants differ by (empty = no variants)
+ * @property {ProductVariant[]} variants - Purchasable variants
  * @property {Array<{section: string, items: Array<{name: string, value: string}>}>} specifications - Product specifications organized into sections (e.g., "General Features", "Technical Specifications")
  * @property {Date}       createdAt
  * @property {Date}       updatedAt
@@ -106,12 +181,23 @@ const productSchema = new mongoose.Schema(
       },
     },
 
+    categories: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      default: [],
+    },
+
     stock: {
       type: Number,
       default: 0,
       min: [0, "Stock cannot be negative"],
     },
 
+    weight: {
+      type: Number,
+      default: 0,
+      min: [0, "Weight cannot be negative"],
+    },
+
     status: {
       type: String,
       enum: ["ACTIVE", "INACTIVE"],
@@ -148,6 +234,16 @@ const productSchema = new mongoose.Schema(
       required: [true, "Product must be attributed to a Super Admin"],
     },
 
+    options: {
+      type: [optionSchema],
+      default: [],
+    },
+
+    variants: {
+      type: [variantSchema],
+      default: [],
+    },
+
     // New field: Specifications organized into sections for flexibility
     // Example usage:
     // specifications: [
@@ -200,4 +296,37 @@ const productSchema = new mongoose.Schema(
   },
 );
 
+// Catalog listing: status filter with each sort option
+productSchema.index({ status: 1, createdAt: -1 });
+productSchema.index({ status: 1, price: 1 });
+productSchema.index({ status: 1, averageRating: -1 });
+productSchema.index({ category: 1 });
+productSchema.index({ categories: 1, status: 1 });
+// SKUs are unique across the catalog (products without variants are skipped)
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  },
+);
+// Search (services/search-service) – a collection can have only one text index
+productSchema.index(
+  {
+    title: "text",
+    category: "text",
+    "specifications.items.value": "text",
+    description: "text",
+  },
+  {
+    name: "product_search",
+    weights: {
+      title: 10,
+      category: 6,
+      "specifications.items.value": 4,
+      description: 1,
+    },
+  },
+);
+
 module.exports = mongoose.model("Product", productSchema);
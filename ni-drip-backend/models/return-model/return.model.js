@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Mongoose schema for return / refund requests (RMA)
+ * @module models/returnModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Schema for return requests
+ * @typedef {Object} ReturnRequest
+ * @property {ObjectId} order          - Delivered order being returned
+ * @property {ObjectId} user           - Customer who opened the return
+ * @property {Array}    items          - Lines being returned
+ * @property {ObjectId} items.product  - Reference to Product
+ * @property {ObjectId|null} items.variantId - Variant of the order line (null = no variants)
+ * @property {number}   items.quantity - Units returned
+ * @property {number}   items.priceAtPurchase - Unit price paid (copied from the order)
+ * @property {string}   reason         - Return reason category
+ * @property {string}   details        - Customer's description of the problem
+ * @property {string}   status         - REQUESTED → APPROVED → RECEIVED, or REJECTED
+ * @property {number}   refundAmount   - Returned units at purchase price, less their coupon discount share, plus their tax
+ * @property {string}   adminNote      - Note left by the reviewing SuperAdmin
+ * @property {ObjectId} reviewedBy     - SuperAdmin who approved / rejected
+ * @property {Date}     reviewedAt
+ * @property {Date}     receivedAt     - When the goods arrived back and were restocked
+ * @property {Date}     createdAt
+ * @property {Date}     updatedAt
+ */
+const returnSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Return must reference an order"],
+      index: true,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Return must belong to a user"],
+      index: true,
+    },
+
+    items: {
+      type: [
+        {
+          product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true,
+          },
+          variantId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+          },
+          quantity: {
+            type: Number,
+            required: true,
+            min: 1,
+          },
+          priceAtPurchase: {
+            type: Number,
+            required: true,
+            min: 0,
+          },
+        },
+      ],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: "Select at least one item to return",
+      },
+    },
+
+    reason: {
+      type: String,
+      enum: [
+        "DEFECTIVE",
+        "DAMAGED_IN_TRANSIT",
+        "WRONG_ITEM",
+        "NOT_AS_DESCRIBED",
+        "OTHER",
+      ],
+      required: [true, "Return reason is required"],
+    },
+
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Details cannot exceed 500 characters"],
+      default: "",
+    },
+
+    status: {
+      type: String,
+      enum: ["REQUESTED", "APPROVED", "REJECTED", "RECEIVED"],
+      default: "REQUESTED",
+      index: true,
+    },
+
+    refundAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    adminNote: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+      default: null,
+    },
+
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("ReturnRequest", returnSchema);
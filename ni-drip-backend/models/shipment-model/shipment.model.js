@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Mongoose schema for order shipments and their tracking events
+ * @module models/shipmentModel
+ * @description Created when some or all order lines are shipped; an order can
+ *              have several. Tracking events come from SuperAdmins or carrier
+ *              webhooks; carrier events keep the carrier's event id so
+ *              redelivered webhooks are not recorded twice.
+ */
+
+const mongoose = require("mongoose");
+const {
+  SHIPMENT_STATUSES,
+} = require("../../helpers/order-helper/order-status.helper");
+
+/**
+ * Sub-schema for a single tracking event
+ * @typedef {Object} TrackingEvent
+ * @property {string}      status      - One of SHIPMENT_STATUSES
+ * @property {string}      description - Human-readable checkpoint, e.g. "Arrived at sorting facility"
+ * @property {string}      location    - Where the event happened (optional)
+ * @property {Date}        occurredAt  - When the carrier / admin says it happened
+ * @property {string}      source      - "ADMIN" or "CARRIER"
+ * @property {string|null} eventId     - Carrier event id (carrier events only)
+ */
+const trackingEventSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: SHIPMENT_STATUSES,
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    location: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    source: {
+      type: String,
+      enum: ["ADMIN", "CARRIER"],
+      required: true,
+    },
+    eventId: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Sub-schema for an order line (or part of one) packed in the shipment
+ * @typedef {Object} ShipmentItem
+ * @property {ObjectId} item     - `_id` of the order line
+ * @property {ObjectId} product  - Product of that line
+ * @property {number}   quantity - Units of the line in this shipment
+ */
+const shipmentItemSchema = new mongoose.Schema(
+  {
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Schema for shipments
+ * @typedef {Object} Shipment
+ * @property {ObjectId} order             - Shipped order
+ * @property {ObjectId} user              - Order owner (for customer lookups)
+ * @property {string}   carrier           - Carrier code, lowercase (e.g. "mock", "dhl")
+ * @property {ShipmentItem[]} items       - Lines in the parcel (empty on older shipments = whole order)
+ * @property {string}   trackingNumber    - Carrier tracking number
+ * @property {string}   trackingUrl       - Public tracking page, if known
+ * @property {Date}     estimatedDelivery - Carrier / admin delivery estimate
+ * @property {string}   status            - Status of the latest tracking event
+ * @property {Array}    events            - Tracking events, oldest first
+ * @property {ObjectId} shippedBy         - SuperAdmin who shipped the order
+ * @property {Date}     deliveredAt       - When a DELIVERED event was recorded
+ */
+const shipmentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    carrier: {
+      type: String,
+      required: [true, "Carrier is required"],
+      trim: true,
+      lowercase: true,
+    },
+    items: {
+      type: [shipmentItemSchema],
+      default: [],
+    },
+    trackingNumber: {
+      type: String,
+      required: [true, "Tracking number is required"],
+      trim: true,
+    },
+    trackingUrl: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    estimatedDelivery: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: SHIPMENT_STATUSES,
+      default: "LABEL_CREATED",
+    },
+    events: {
+      type: [trackingEventSchema],
+      default: [],
+    },
+    shippedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SuperAdmin",
+      default: null,
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Carrier webhooks look shipments up by tracking number
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model("Shipment", shipmentSchema);
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Mongoose schema for shipping zones and rate tables
+ * @module models/shippingZoneModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Sub-schema for one rate tier
+ * @typedef {Object} ShippingRate
+ * @property {number}      min  - Lower bound of the tier (inclusive)
+ * @property {number|null} max  - Upper bound of the tier (inclusive, null = no limit)
+ * @property {number}      cost - Shipping fee for orders in this tier
+ */
+const rateSchema = new mongoose.Schema(
+  {
+    min: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    max: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    cost: {
+      type: Number,
+      required: true,
+      min: [0, "Shipping cost cannot be negative"],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Schema for shipping zones
+ * @typedef {Object} ShippingZone
+ * @property {string}         name                  - Display name, e.g. "UK Mainland"
+ * @property {string[]}       cities                - City names this zone serves (matched case-insensitively)
+ * @property {boolean}        isDefault             - Fallback zone when no city matches
+ * @property {string}         basis                 - ITEM_COUNT or WEIGHT (kg) – what the tiers measure
+ * @property {ShippingRate[]} rates                 - Tier table, matched by basis
+ * @property {number|null}    freeShippingThreshold - Merchandise subtotal at which shipping is free
+ * @property {string}         estimatedDelivery     - Shown to customers, e.g. "3-5 business days"
+ * @property {boolean}        isActive
+ * @property {Date}           createdAt
+ * @property {Date}           updatedAt
+ */
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Zone name is required"],
+      trim: true,
+      unique: true,
+    },
+
+    cities: {
+      type: [String],
+      default: [],
+      set: (cities) => cities.map((city) => city.trim()).filter(Boolean),
+    },
+
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+
+    basis: {
+      type: String,
+      enum: ["ITEM_COUNT", "WEIGHT"],
+      default: "ITEM_COUNT",
+    },
+
+    rates: {
+      type: [rateSchema],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: "Add at least one rate tier",
+      },
+    },
+
+    freeShippingThreshold: {
+      type: Number,
+      default: null,
+      min: [0, "Free shipping threshold cannot be negative"],
+    },
+
+    estimatedDelivery: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("ShippingZone", shippingZoneSchema);
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Mongoose schema for tax regions and their rates
+ * @module models/taxRegionModel
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Sub-schema for a category-specific rate
+ * @typedef {Object} CategoryRate
+ * @property {ObjectId} category - Category the rate applies to, including its subcategories
+ * @property {number}   rate     - Percentage applied instead of the region rate
+ */
+const categoryRateSchema = new mongoose.Schema(
+  {
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      required: [true, "Category is required"],
+    },
+    rate: {
+      type: Number,
+      required: [true, "Category rate is required"],
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100%"],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Schema for tax regions
+ * @typedef {Object} TaxRegion
+ * @property {string}         name          - Display name, e.g. "United Kingdom VAT"
+ * @property {string[]}       cities        - City names this region covers (matched case-insensitively)
+ * @property {boolean}        isDefault     - Fallback region when no city matches
+ * @property {number}         rate          - Standard percentage rate for the region
+ * @property {CategoryRate[]} categoryRates - Per-category overrides (the most specific matching category wins)
+ * @property {boolean}        isActive
+ * @property {Date}           createdAt
+ * @property {Date}           updatedAt
+ */
+const taxRegionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Region name is required"],
+      trim: true,
+      unique: true,
+    },
+
+    cities: {
+      type: [String],
+      default: [],
+      set: (cities) => cities.map((city) => city.trim()).filter(Boolean),
+    },
+
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+
+    rate: {
+      type: Number,
+      required: [true, "Tax rate is required"],
+      min: [0, "Tax rate cannot be negative"],
+      max: [100, "Tax rate cannot exceed 100%"],
+    },
+
+    categoryRates: {
+      type: [categoryRateSchema],
+      default: [],
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("TaxRegion", taxRegionSchema);
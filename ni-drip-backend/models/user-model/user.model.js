@@ -4,6 +4,10 @@
  */
 
 const mongoose = require("mongoose");
+const {
+  ORDER_STATUSES,
+  PAYMENT_STATUSES,
+} = require("../../helpers/order-helper/order-status.helper");
 
 /**
  * Schema for user accounts
@@ -154,6 +158,10 @@ const userSchema = new mongoose.Schema(
           required: true,
           index: true,
         },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
         quantity: {
           type: Number,
           required: true,
@@ -201,18 +209,22 @@ const userSchema = new mongoose.Schema(
         },
         status: {
           type: String,
-          enum: ["PENDING", "PROCESSING", "SHIPPED", "DELIVERED", "CANCELLED"],
+          enum: ORDER_STATUSES,
           default: "PENDING",
         },
         paymentStatus: {
           type: String,
-          enum: ["PENDING", "PAID"],
+          enum: PAYMENT_STATUSES,
           default: "PENDING",
         },
         placedAt: {
           type: Date,
           default: Date.now,
         },
+        archived: {
+          type: Boolean,
+          default: false,
+        },
       },
     ],
 
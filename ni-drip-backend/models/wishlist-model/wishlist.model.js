@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Mongoose schema for a user's named wishlists
+ * @module models/wishlistModel
+ * @description Groups a user's `Favorite` entries. Every user has one DEFAULT
+ *              list ("Favorites") and one SAVED_FOR_LATER list, both created
+ *              on first use; CUSTOM lists are named by the user ("Gaming
+ *              setup", "Gifts"). A list with a `shareToken` can be read by
+ *              anyone holding the token.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Kinds of wishlist
+ * @type {string[]}
+ */
+const WISHLIST_KINDS = ["DEFAULT", "SAVED_FOR_LATER", "CUSTOM"];
+
+/**
+ * Schema for wishlists
+ * @typedef {Object} Wishlist
+ * @property {ObjectId}    userId      - Reference to the owning user
+ * @property {string}      name        - Display name
+ * @property {string}      kind        - DEFAULT | SAVED_FOR_LATER | CUSTOM
+ * @property {string}      [shareToken] - Read-only share token (unset = private)
+ * @property {Date|null}   sharedAt    - When sharing was turned on
+ * @property {Date}        createdAt
+ * @property {Date}        updatedAt
+ */
+const wishlistSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Wishlist name is required"],
+      trim: true,
+      maxlength: [40, "Wishlist name cannot exceed 40 characters"],
+    },
+
+    kind: {
+      type: String,
+      enum: WISHLIST_KINDS,
+      default: "CUSTOM",
+    },
+
+    shareToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
+    sharedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Only one DEFAULT and one SAVED_FOR_LATER list per user
+wishlistSchema.index(
+  { userId: 1, kind: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { kind: { $in: ["DEFAULT", "SAVED_FOR_LATER"] } },
+  },
+);
+
+module.exports = mongoose.model("Wishlist", wishlistSchema);
+module.exports.WISHLIST_KINDS = WISHLIST_KINDS;
@@ -51,4 +51,55 @@ router.delete("/clear-cart", encryptedAuthMiddleware, cartController.clearCart);
  */
 router.get("/get-cart", encryptedAuthMiddleware, cartController.getCart);
 
+/**
+ * @description Revalidate the cart against live prices and stock, returning change notices
+ * @route POST /api/cart/validate-cart
+ * @access Protected
+ */
+router.post(
+  "/validate-cart",
+  encryptedAuthMiddleware,
+  cartController.validateCart,
+);
+
+// ─── Guest carts (no sign-in; identified by the X-Guest-Token header) ───
+
+/**
+ * @description Fetch a guest cart (priced live; unavailable lines dropped with notices)
+ * @route GET /api/cart/guest/get-cart
+ * @access Public
+ */
+router.get("/guest/get-cart", cartController.getGuestCart);
+
+/**
+ * @description Add a product to a guest cart – starts one (returning its guestToken) if needed
+ * @route POST /api/cart/guest/add-to-cart
+ * @access Public
+ */
+router.post("/guest/add-to-cart", cartController.addToGuestCart);
+
+/**
+ * @description Decrease the quantity of a product in a guest cart
+ * @route POST /api/cart/guest/remove-from-cart
+ * @access Public
+ */
+router.post("/guest/remove-from-cart", cartController.decreaseGuestCartItem);
+
+/**
+ * @description Remove a product from a guest cart
+ * @route DELETE /api/cart/guest/remove-product-from-cart
+ * @access Public
+ */
+router.delete(
+  "/guest/remove-product-from-cart",
+  cartController.removeProductFromGuestCart,
+);
+
+/**
+ * @description Clear a guest cart
+ * @route DELETE /api/cart/guest/clear-cart
+ * @access Public
+ */
+router.delete("/guest/clear-cart", cartController.clearGuestCart);
+
 module.exports = router;
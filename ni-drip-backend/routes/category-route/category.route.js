@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Express routes for catalog categories
+ * @module routes/categoryRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const categoryController = require("../../controllers/category-controller/category.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+const cloudinaryUtility = require("../../utilities/cloudinary-utilitity/cloudinary.utility");
+
+/**
+ * @description Get the active category tree with product counts
+ * @route GET /api/category/get-category-tree
+ * @access Public
+ */
+router.get("/get-category-tree", categoryController.getCategoryTree);
+
+/**
+ * @description Get every category (inactive included) as a tree
+ * @route GET /api/category/get-all-categories
+ * @access Protected (SuperAdmin)
+ */
+router.get(
+  "/get-all-categories",
+  encryptedAuthMiddleware,
+  categoryController.getAllCategories,
+);
+
+/**
+ * @description Create a category (with an optional cover image)
+ * @route POST /api/category/create-category
+ * @access Protected (SuperAdmin)
+ */
+router.post(
+  "/create-category",
+  encryptedAuthMiddleware,
+  cloudinaryUtility.upload,
+  categoryController.createCategory,
+);
+
+/**
+ * @description Update a category – name, slug, parent, icon, image, order, visibility
+ * @route PATCH /api/category/update-category/:categoryId
+ * @access Protected (SuperAdmin)
+ */
+router.patch(
+  "/update-category/:categoryId",
+  encryptedAuthMiddleware,
+  cloudinaryUtility.upload,
+  categoryController.updateCategory,
+);
+
+/**
+ * @description Delete an empty category
+ * @route DELETE /api/category/delete-category/:categoryId
+ * @access Protected (SuperAdmin)
+ */
+router.delete(
+  "/delete-category/:categoryId",
+  encryptedAuthMiddleware,
+  categoryController.deleteCategory,
+);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Express routes for coupons & promotions
+ * @module routes/couponRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const couponController = require("../../controllers/coupon-controller/coupon.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+/**
+ * @description Validate a coupon code against the user's cart
+ * @route POST /api/coupon/apply-coupon
+ * @access Protected
+ */
+router.post(
+  "/apply-coupon",
+  encryptedAuthMiddleware,
+  couponController.applyCoupon,
+);
+
+/**
+ * @description Create a coupon
+ * @route POST /api/coupon/create-coupon
+ * @access Protected (SuperAdmin)
+ */
+router.post(
+  "/create-coupon",
+  encryptedAuthMiddleware,
+  couponController.createCoupon,
+);
+
+/**
+ * @description Get all coupons
+ * @route GET /api/coupon/get-all-coupons
+ * @access Protected (SuperAdmin)
+ */
+router.get(
+  "/get-all-coupons",
+  encryptedAuthMiddleware,
+  couponController.getAllCoupons,
+);
+
+/**
+ * @description Update a coupon
+ * @route PATCH /api/coupon/update-coupon/:couponId
+ * @access Protected (SuperAdmin)
+ */
+router.patch(
+  "/update-coupon/:couponId",
+  encryptedAuthMiddleware,
+  couponController.updateCoupon,
+);
+
+/**
+ * @description Delete a coupon
+ * @route DELETE /api/coupon/delete-coupon/:couponId
+ * @access Protected (SuperAdmin)
+ */
+router.delete(
+  "/delete-coupon/:couponId",
+  encryptedAuthMiddleware,
+  couponController.deleteCoupon,
+);
+
+module.exports = router;
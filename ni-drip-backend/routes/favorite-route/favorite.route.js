@@ -44,4 +44,110 @@ router.get(
   favoriteController.getFavorites,
 );
 
+/**
+ * @description Get the user's wishlists with item counts
+ * @route GET /api/favorite/wishlists/get-wishlists
+ * @access Protected
+ */
+router.get(
+  "/wishlists/get-wishlists",
+  encryptedAuthMiddleware,
+  favoriteController.getWishlists,
+);
+
+/**
+ * @description Create a named wishlist
+ * @route POST /api/favorite/wishlists/create-wishlist
+ * @access Protected
+ */
+router.post(
+  "/wishlists/create-wishlist",
+  encryptedAuthMiddleware,
+  favoriteController.createWishlist,
+);
+
+/**
+ * @description Rename a wishlist
+ * @route PATCH /api/favorite/wishlists/rename-wishlist/:wishlistId
+ * @access Protected
+ */
+router.patch(
+  "/wishlists/rename-wishlist/:wishlistId",
+  encryptedAuthMiddleware,
+  favoriteController.renameWishlist,
+);
+
+/**
+ * @description Delete a wishlist (its items move to Favorites)
+ * @route DELETE /api/favorite/wishlists/delete-wishlist/:wishlistId
+ * @access Protected
+ */
+router.delete(
+  "/wishlists/delete-wishlist/:wishlistId",
+  encryptedAuthMiddleware,
+  favoriteController.deleteWishlist,
+);
+
+/**
+ * @description Turn on read-only sharing and get the share token
+ * @route POST /api/favorite/wishlists/share-wishlist/:wishlistId
+ * @access Protected
+ */
+router.post(
+  "/wishlists/share-wishlist/:wishlistId",
+  encryptedAuthMiddleware,
+  favoriteController.shareWishlist,
+);
+
+/**
+ * @description Turn off sharing for a wishlist
+ * @route DELETE /api/favorite/wishlists/share-wishlist/:wishlistId
+ * @access Protected
+ */
+router.delete(
+  "/wishlists/share-wishlist/:wishlistId",
+  encryptedAuthMiddleware,
+  favoriteController.unshareWishlist,
+);
+
+/**
+ * @description Read a shared wishlist by its share token
+ * @route GET /api/favorite/shared/:shareToken
+ * @access Public
+ */
+router.get("/shared/:shareToken", favoriteController.getSharedWishlist);
+
+/**
+ * @description Move a favorited product to another wishlist
+ * @route POST /api/favorite/move-to-wishlist
+ * @access Protected
+ */
+router.post(
+  "/move-to-wishlist",
+  encryptedAuthMiddleware,
+  favoriteController.moveFavorite,
+);
+
+/**
+ * @description Move a cart line into a wishlist (Saved for later by default)
+ * @route POST /api/favorite/save-for-later
+ * @access Protected
+ */
+router.post(
+  "/save-for-later",
+  encryptedAuthMiddleware,
+  favoriteController.saveForLater,
+);
+
+/**
+ * @description Move a wishlist item into the cart with its quantity
+ * @route POST /api/favorite/move-to-cart
+ * @access Protected
+ */
+router.post(
+  "/move-to-cart",
+  encryptedAuthMiddleware,
+  favoriteController.moveToCart,
+);
+
 module.exports = router;
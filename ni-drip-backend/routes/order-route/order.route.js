@@ -10,20 +10,27 @@ const orderController = require("../../controllers/order-controller/order.contro
 const {
   encryptedAuthMiddleware,
 } = require("../../middlewares/auth-middleware/auth.middleware");
+const {
+  idempotencyMiddleware,
+} = require("../../middlewares/idempotency-middleware/idempotency.middleware");
+const {
+  invoiceAuthMiddleware,
+} = require("../../middlewares/invoice-middleware/invoice.middleware");
 
 /**
- * @description Place a new order
+ * @description Place a new order (retry-safe with an Idempotency-Key header)
  * @route POST /api/order/place-order
  * @access Protected
  */
 router.post(
   "/place-order",
   encryptedAuthMiddleware,
+  idempotencyMiddleware,
   orderController.placeOrder,
 );
 
 /**
- * @description Get all orders
+ * @description Get all orders (`?archived=true` for archived orders)
  * @route GET /api/order/get-all-orders
  * @access Protected
  */
@@ -45,7 +52,41 @@ router.get(
 );
 
 /**
- * @description Get all orders belonging to the authenticated user
+ * @description Download the PDF invoice of an order
+ *              (Bearer token, or a signed `?token=` link from /:orderId/invoice-link)
+ * @route GET /api/order/:orderId/invoice
+ * @access Protected (owner or SuperAdmin)
+ */
+router.get(
+  "/:orderId/invoice",
+  invoiceAuthMiddleware,
+  orderController.getOrderInvoice,
+);
+
+/**
+ * @description Issue a short-lived signed invoice download link
+ * @route GET /api/order/:orderId/invoice-link
+ * @access Protected (owner or SuperAdmin)
+ */
+router.get(
+  "/:orderId/invoice-link",
+  encryptedAuthMiddleware,
+  orderController.getInvoiceLink,
+);
+
+/**
+ * @description Add the items of a past order back into the cart (current prices)
+ * @route POST /api/order/:orderId/reorder
+ * @access Protected (order owner)
+ */
+router.post(
+  "/:orderId/reorder",
+  encryptedAuthMiddleware,
+  orderController.reorder,
+);
+
+/**
+ * @description Get the authenticated user's orders, paginated (?page, ?limit, ?status)
  * @route GET /api/order/get-my-orders
  * @access Protected
  */
@@ -57,12 +98,13 @@ router.get(
 
 /**
  * @description Cancel an order (user-initiated, subject to status/policy checks)
- * @route PUT /api/order/cancel-order/:orderId
+ * @route PUT /api/order/action/cancel-order/:orderId
  * @access Protected
  */
 router.put(
   "/action/cancel-order/:orderId",
   encryptedAuthMiddleware,
+  idempotencyMiddleware,
   orderController.cancelOrder,
 );
 
@@ -74,18 +116,42 @@ router.put(
 router.put(
   "/action/update-order-status/:orderId",
   encryptedAuthMiddleware,
+  idempotencyMiddleware,
   orderController.updateOrderStatus,
 );
 
 /**
- * @description Delete an order
- * @route DELETE /api/order/delete-order/:orderId
- * @access Protected
+ * @description Edit the lines / shipping address of an order before fulfillment
+ * @route PUT /api/order/action/edit-order/:orderId
+ * @access Protected (SuperAdmin)
+ */
+router.put(
+  "/action/edit-order/:orderId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  orderController.editOrder,
+);
+
+/**
+ * @description Archive (soft delete) a closed order – hidden from default listings
+ * @route PUT /api/order/action/archive-order/:orderId
+ * @access Protected (SuperAdmin)
+ */
+router.put(
+  "/action/archive-order/:orderId",
+  encryptedAuthMiddleware,
+  orderController.archiveOrder,
+);
+
+/**
+ * @description Restore an archived order
+ * @route PUT /api/order/action/restore-order/:orderId
+ * @access Protected (SuperAdmin)
  */
-router.delete(
-  "/delete-order/:orderId",
+router.put(
+  "/action/restore-order/:orderId",
   encryptedAuthMiddleware,
-  orderController.deleteOrder,
+  orderController.restoreOrder,
 );
 
 module.exports = router;
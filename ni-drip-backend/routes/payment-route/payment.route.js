@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Express routes for payments
+ * @module routes/paymentRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const paymentController = require("../../controllers/payment-controller/payment.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+const {
+  idempotencyMiddleware,
+} = require("../../middlewares/idempotency-middleware/idempotency.middleware");
+
+/**
+ * @description Receive payment provider events (signature verified, idempotent)
+ * @route POST /api/payment/webhook
+ * @access Public (provider signature)
+ */
+router.post("/webhook", paymentController.handleWebhook);
+
+/**
+ * @description Capture an authorized card payment
+ * @route PUT /api/payment/action/capture-payment/:orderId
+ * @access Protected (SuperAdmin)
+ */
+router.put(
+  "/action/capture-payment/:orderId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  paymentController.capturePayment,
+);
+
+module.exports = router;
@@ -25,12 +25,41 @@ router.post(
 );
 
 /**
- * @description Get all products
+ * @description Get products – paginated, filtered and sorted (see controller
+ *              for the query parameters)
  * @route   GET /api/product/get-all-products
  * @access  Public
  */
 router.get("/get-all-products", productController.getAllProducts);
 
+/**
+ * @description Get each catalog category with its product count
+ * @route   GET /api/product/get-category-summary
+ * @access  Public
+ */
+router.get("/get-category-summary", productController.getCategorySummary);
+
+/**
+ * @description Get specification facets (value counts) for a listing's filters
+ * @route   GET /api/product/get-spec-facets
+ * @access  Public
+ */
+router.get("/get-spec-facets", productController.getSpecFacets);
+
+/**
+ * @description Search products by relevance, with typo tolerance
+ * @route   GET /api/product/search?q=
+ * @access  Public
+ */
+router.get("/search", productController.searchProducts);
+
+/**
+ * @description Autocomplete suggestions for a partly typed search
+ * @route   GET /api/product/search/suggestions?q=
+ * @access  Public
+ */
+router.get("/search/suggestions", productController.getSearchSuggestions);
+
 /**
  * @description Get single product details by ID
  * @route   GET /api/product/get-product-by-id/:productId
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Express routes for returns & refunds (RMA)
+ * @module routes/returnRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const returnController = require("../../controllers/return-controller/return.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+const {
+  idempotencyMiddleware,
+} = require("../../middlewares/idempotency-middleware/idempotency.middleware");
+
+/**
+ * @description Open a return request for a delivered order
+ * @route POST /api/return/request-return/:orderId
+ * @access Protected (order owner)
+ */
+router.post(
+  "/request-return/:orderId",
+  encryptedAuthMiddleware,
+  returnController.requestReturn,
+);
+
+/**
+ * @description Get return requests belonging to the authenticated user
+ * @route GET /api/return/get-my-returns
+ * @access Protected
+ */
+router.get(
+  "/get-my-returns",
+  encryptedAuthMiddleware,
+  returnController.getMyReturns,
+);
+
+/**
+ * @description Get all return requests
+ * @route GET /api/return/get-all-returns
+ * @access Protected (SuperAdmin)
+ */
+router.get(
+  "/get-all-returns",
+  encryptedAuthMiddleware,
+  returnController.getAllReturns,
+);
+
+/**
+ * @description Approve or reject a return request
+ * @route PUT /api/return/action/review-return/:returnId
+ * @access Protected (SuperAdmin)
+ */
+router.put(
+  "/action/review-return/:returnId",
+  encryptedAuthMiddleware,
+  returnController.reviewReturn,
+);
+
+/**
+ * @description Mark an approved return as received (restocks items)
+ * @route PUT /api/return/action/receive-return/:returnId
+ * @access Protected (SuperAdmin)
+ */
+router.put(
+  "/action/receive-return/:returnId",
+  encryptedAuthMiddleware,
+  idempotencyMiddleware,
+  returnController.receiveReturn,
+);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Express routes for shipment tracking
+ * @module routes/shipmentRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const shipmentController = require("../../controllers/shipment-controller/shipment.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+/**
+ * @description Receive carrier tracking events (signature verified, idempotent)
+ * @route POST /api/shipment/webhook/:carrier
+ * @access Public (carrier signature)
+ */
+router.post("/webhook/:carrier", shipmentController.handleCarrierWebhook);
+
+/**
+ * @description Get the shipments and tracking timeline of an order
+ * @route GET /api/shipment/get-order-shipments/:orderId
+ * @access Protected (owner or SuperAdmin)
+ */
+router.get(
+  "/get-order-shipments/:orderId",
+  encryptedAuthMiddleware,
+  shipmentController.getOrderShipments,
+);
+
+/**
+ * @description Ship selected lines of an order (split shipments)
+ * @route POST /api/shipment/action/create-shipment/:orderId
+ * @access Protected (SuperAdmin)
+ */
+router.post(
+  "/action/create-shipment/:orderId",
+  encryptedAuthMiddleware,
+  shipmentController.createShipment,
+);
+
+/**
+ * @description Add a tracking event to a shipment
+ * @route POST /api/shipment/action/add-tracking-event/:shipmentId
+ * @access Protected (SuperAdmin)
+ */
+router.post(
+  "/action/add-tracking-event/:shipmentId",
+  encryptedAuthMiddleware,
+  shipmentController.addTrackingEvent,
+);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Express routes for shipping quotes and zones
+ * @module routes/shippingRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const shippingController = require("../../controllers/shipping-controller/shipping.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+/**
+ * @description Quote shipping for the user's cart
+ * @route POST /api/shipping/get-shipping-quote
+ * @access Protected
+ */
+router.post(
+  "/get-shipping-quote",
+  encryptedAuthMiddleware,
+  shippingController.getShippingQuote,
+);
+
+/**
+ * @description Get all shipping zones
+ * @route GET /api/shipping/get-all-zones
+ * @access Protected (SuperAdmin)
+ */
+router.get(
+  "/get-all-zones",
+  encryptedAuthMiddleware,
+  shippingController.getAllZones,
+);
+
+/**
+ * @description Create a shipping zone
+ * @route POST /api/shipping/create-zone
+ * @access Protected (SuperAdmin)
+ */
+router.post(
+  "/create-zone",
+  encryptedAuthMiddleware,
+  shippingController.createZone,
+);
+
+/**
+ * @description Update a shipping zone and its rates
+ * @route PATCH /api/shipping/update-zone/:zoneId
+ * @access Protected (SuperAdmin)
+ */
+router.patch(
+  "/update-zone/:zoneId",
+  encryptedAuthMiddleware,
+  shippingController.updateZone,
+);
+
+/**
+ * @description Delete a shipping zone
+ * @route DELETE /api/shipping/delete-zone/:zoneId
+ * @access Protected (SuperAdmin)
+ */
+router.delete(
+  "/delete-zone/:zoneId",
+  encryptedAuthMiddleware,
+  shippingController.deleteZone,
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Express routes for tax regions
+ * @module routes/taxRoutes
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const taxController = require("../../controllers/tax-controller/tax.controller");
+const {
+  encryptedAuthMiddleware,
+} = require("../../middlewares/auth-middleware/auth.middleware");
+
+/**
+ * @description Get all tax regions
+ * @route GET /api/tax/get-all-regions
+ * @access Protected (SuperAdmin)
+ */
+router.get(
+  "/get-all-regions",
+  encryptedAuthMiddleware,
+  taxController.getAllRegions,
+);
+
+/**
+ * @description Create a tax region
+ * @route POST /api/tax/create-region
+ * @access Protected (SuperAdmin)
+ */
+router.post(
+  "/create-region",
+  encryptedAuthMiddleware,
+  taxController.createRegion,
+);
+
+/**
+ * @description Update a tax region and its category overrides
+ * @route PATCH /api/tax/update-region/:regionId
+ * @access Protected (SuperAdmin)
+ */
+router.patch(
+  "/update-region/:regionId",
+  encryptedAuthMiddleware,
+  taxController.updateRegion,
+);
+
+/**
+ * @description Delete a tax region
+ * @route DELETE /api/tax/delete-region/:regionId
+ * @access Protected (SuperAdmin)
+ */
+router.delete(
+  "/delete-region/:regionId",
+  encryptedAuthMiddleware,
+  taxController.deleteRegion,
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * @file One-off migration: per-variant cart lines
+ * @description Cart lines used to be unique per `{ userId, productId }`. With
+ *              product variants they are unique per
+ *              `{ userId, productId, variantId }`, but Mongoose never drops an
+ *              index on its own – while the old one exists, adding a second
+ *              variant of a product to the cart fails with a duplicate key
+ *              error. This drops the old index and builds the new one.
+ *
+ *              Nothing is dropped when the old index is already gone, so the
+ *              script can be run again safely.
+ *
+ * @example
+ *   npm run migrate:cart-index             # migrate
+ *   npm run migrate:cart-index -- --dry-run # only report what would change
+ */
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Cart = require("../models/cart-model/cart.model");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+/**
+ * Index created by the `{ userId: 1, productId: 1 }` definition
+ * @type {string}
+ */
+const LEGACY_INDEX = "userId_1_productId_1";
+
+const migrate = async () => {
+  // The collection may not exist yet on a fresh database
+  const indexes = await Cart.collection.indexes().catch(() => []);
+  const hasLegacyIndex = indexes.some((index) => index.name === LEGACY_INDEX);
+
+  if (!DRY_RUN) {
+    if (hasLegacyIndex) await Cart.collection.dropIndex(LEGACY_INDEX);
+    await Cart.createIndexes();
+  }
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}${
+      hasLegacyIndex
+        ? `Dropped ${LEGACY_INDEX}`
+        : `${LEGACY_INDEX} not found – nothing to drop`
+    }; per-variant cart index ensured`,
+  );
+};
+
+mongoose
+  .connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 })
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("Cart index migration failed:", err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
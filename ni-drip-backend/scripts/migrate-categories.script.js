@@ -0,0 +1,230 @@
+/**
+ * @file One-off migration: category names → Category documents
+ * @description Products used to keep their categories as free-form names
+ *              (`Product.category`, sometimes a JSON-encoded array in one
+ *              entry). This creates a top-level Category per distinct name
+ *              (matched by slug, so "Laptops" and "laptops " become one) and
+ *              points each product at them through `Product.categories`, with
+ *              `Product.category` rewritten to the canonical names. Coupon
+ *              scopes (`Coupon.applicableCategories`) and tax overrides
+ *              (`TaxRegion.categoryRates[].category`) are converted from names
+ *              to the same category IDs.
+ *
+ *              Products that already have `categories`, and coupons and tax
+ *              overrides already keyed by ID, are skipped, so the script can be
+ *              run again safely.
+ *              Nest the created categories from the admin panel afterwards.
+ *
+ * @example
+ *   npm run migrate:categories             # migrate
+ *   npm run migrate:categories -- --dry-run # only report what would change
+ */
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Category = require("../models/category-model/category.model");
+const Coupon = require("../models/coupon-model/coupon.model");
+const Product = require("../models/product-model/product.model");
+const TaxRegion = require("../models/tax-region-model/tax-region.model");
+const { slugify } = require("../services/category-service/category.service");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+/**
+ * Names stored in one `category` entry, as written
+ * @param {string} entry - A name or a JSON-encoded array of names
+ * @returns {string[]}
+ */
+const parseEntry = (entry) => {
+  let names = [entry];
+  try {
+    const parsed = JSON.parse(entry);
+    names = Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    // plain name
+  }
+  return names
+    .filter((name) => typeof name === "string")
+    .map((name) => name.trim().replace(/\s+/g, " "))
+    .filter(Boolean);
+};
+
+/**
+ * Display name for a category created from a stored name ("laptops" → "Laptops")
+ * @param {string} name
+ * @returns {string}
+ */
+const displayName = (name) =>
+  name === name.toLowerCase()
+    ? name.charAt(0).toUpperCase() + name.slice(1)
+    : name;
+
+const migrate = async () => {
+  const bySlug = new Map(
+    (await Category.find().lean()).map((category) => [category.slug, category]),
+  );
+  const products = await Product.find({
+    $or: [{ categories: { $exists: false } }, { categories: { $size: 0 } }],
+  })
+    .select("title category")
+    .lean();
+
+  let created = 0;
+  let migrated = 0;
+  const unassigned = [];
+
+  /**
+   * Categories for a list of stored names, created when missing
+   * @param {string[]} names
+   * @returns {Promise<Object[]>} Distinct categories
+   */
+  const categoriesFor = async (names) => {
+    const categories = [];
+
+    for (const name of names) {
+      const slug = slugify(name);
+      if (!slug) continue;
+
+      if (!bySlug.has(slug)) {
+        const category = DRY_RUN
+          ? {
+              _id: new mongoose.Types.ObjectId(),
+              name: displayName(name),
+              slug,
+            }
+          : await Category.create({ name: displayName(name), slug });
+        bySlug.set(slug, category);
+        created += 1;
+        console.log(`Category created: ${displayName(name)} (${slug})`);
+      }
+
+      const category = bySlug.get(slug);
+      if (!categories.some((item) => item.slug === slug)) {
+        categories.push(category);
+      }
+    }
+
+    return categories;
+  };
+
+  for (const product of products) {
+    const categories = await categoriesFor(
+      (product.category || []).flatMap(parseEntry),
+    );
+
+    if (!categories.length) {
+      unassigned.push(product);
+      continue;
+    }
+
+    if (!DRY_RUN) {
+      // Raw update: older products may not pass today's validators
+      await Product.updateOne(
+        { _id: product._id },
+        {
+          $set: {
+            categories: categories.map((category) => category._id),
+            category: categories.map((category) => category.name),
+          },
+        },
+      );
+    }
+    migrated += 1;
+  }
+
+  // Read raw: name scopes don't cast to the ObjectId schema type
+  const coupons = await Coupon.collection
+    .find({ applicableCategories: { $elemMatch: { $type: "string" } } })
+    .project({ code: 1, applicableCategories: 1 })
+    .toArray();
+
+  for (const coupon of coupons) {
+    const categories = await categoriesFor(
+      coupon.applicableCategories.filter((entry) => typeof entry === "string"),
+    );
+    const ids = [
+      ...coupon.applicableCategories.filter(
+        (entry) => typeof entry !== "string",
+      ),
+      ...categories.map((category) => category._id),
+    ];
+
+    // An empty scope means "all products" – never widen a scoped coupon
+    const deactivate = ids.length === 0;
+
+    if (!DRY_RUN) {
+      await Coupon.collection.updateOne(
+        { _id: coupon._id },
+        {
+          $set: {
+            applicableCategories: ids,
+            ...(deactivate && { isActive: false }),
+          },
+        },
+      );
+    }
+    if (deactivate) {
+      console.warn(
+        `No usable category in coupon ${coupon.code}'s scope – coupon deactivated, rescope it in the admin panel`,
+      );
+    } else {
+      console.log(`Coupon ${coupon.code} scoped to ${ids.length} categories`);
+    }
+  }
+
+  // Read raw: name overrides don't cast to the ObjectId schema type
+  const regions = await TaxRegion.collection
+    .find({ "categoryRates.category": { $type: "string" } })
+    .project({ name: 1, categoryRates: 1 })
+    .toArray();
+
+  for (const region of regions) {
+    const categoryRates = [];
+
+    for (const entry of region.categoryRates) {
+      if (typeof entry.category !== "string") {
+        categoryRates.push(entry);
+        continue;
+      }
+
+      const [category] = await categoriesFor(parseEntry(entry.category));
+      if (!category) {
+        console.warn(
+          `No usable category for the "${entry.category}" override in tax region ${region.name} – override removed, add it again in the admin panel`,
+        );
+        continue;
+      }
+      categoryRates.push({ ...entry, category: category._id });
+    }
+
+    if (!DRY_RUN) {
+      await TaxRegion.collection.updateOne(
+        { _id: region._id },
+        { $set: { categoryRates } },
+      );
+    }
+    console.log(
+      `Tax region ${region.name}: ${categoryRates.length} overrides keyed by category`,
+    );
+  }
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}${created} categories created, ${migrated} of ${products.length} products, ${coupons.length} coupons and ${regions.length} tax regions migrated`,
+  );
+  unassigned.forEach((product) =>
+    console.warn(
+      `No usable category on "${product.title}" (${product._id}) – assign one in the admin panel`,
+    ),
+  );
+};
+
+mongoose
+  .connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 })
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("Category migration failed:", err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,92 @@
+/**
+ * @file One-off migration: per-line return claims
+ * @description A return request now claims its units on the order line
+ *              (`items.claimedReturnQuantity`) when it is opened, and the
+ *              claim is what stops two requests returning the same units.
+ *              Returns opened before that hold no claim, so their units could
+ *              be requested again. This sets each line's claim to the units in
+ *              its REQUESTED, APPROVED and RECEIVED returns.
+ *
+ *              Lines whose claim is already right are skipped, so the script
+ *              can be run again safely. Run it while the API is stopped.
+ *
+ * @example
+ *   npm run migrate:return-claims             # migrate
+ *   npm run migrate:return-claims -- --dry-run # only report what would change
+ */
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Order = require("../models/order-model/order.model");
+const ReturnRequest = require("../models/return-model/return.model");
+const { lineKey } = require("../helpers/product-helper/variant.helper");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+/**
+ * Returns whose units stay claimed on the order
+ * @type {string[]}
+ */
+const CLAIMING_STATUSES = ["REQUESTED", "APPROVED", "RECEIVED"];
+
+const migrate = async () => {
+  const returns = await ReturnRequest.find({
+    status: { $in: CLAIMING_STATUSES },
+  })
+    .select("order items")
+    .lean();
+
+  // order id → line key → claimed units
+  const claimsByOrder = new Map();
+  for (const returnRequest of returns) {
+    const orderId = returnRequest.order.toString();
+    if (!claimsByOrder.has(orderId)) claimsByOrder.set(orderId, {});
+    const claims = claimsByOrder.get(orderId);
+
+    for (const item of returnRequest.items) {
+      const key = lineKey(item.product, item.variantId);
+      claims[key] = (claims[key] || 0) + item.quantity;
+    }
+  }
+
+  let updated = 0;
+
+  for (const [orderId, claims] of claimsByOrder) {
+    const order = await Order.findById(orderId).select("items").lean();
+    if (!order) continue;
+
+    for (const line of order.items) {
+      const claimed = claims[lineKey(line.product, line.variantId)] || 0;
+      if ((line.claimedReturnQuantity || 0) === claimed) continue;
+
+      if (claimed > line.quantity) {
+        console.warn(
+          `Order ${orderId}: returns claim ${claimed} of ${line.quantity} units of product ${line.product} – check them in the admin panel`,
+        );
+      }
+
+      if (!DRY_RUN) {
+        await Order.updateOne(
+          { _id: order._id, "items._id": line._id },
+          { $set: { "items.$.claimedReturnQuantity": claimed } },
+        );
+      }
+      updated += 1;
+    }
+  }
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}${updated} order lines updated across ${claimsByOrder.size} orders with returns`,
+  );
+};
+
+mongoose
+  .connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 })
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("Return claims migration failed:", err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,73 @@
+/**
+ * @file One-off migration: default shipping zone
+ * @description Shipping used to be a flat fee sent with the order (0 unless
+ *              the app sent one). It is now priced from shipping zones, and an
+ *              address no zone covers can't check out – so a database
+ *              upgraded without zones rejects every order. This creates a
+ *              default zone with one flat-rate tier, which covers every address
+ *              until real zones are set up in the admin panel.
+ *
+ *              Nothing is created when a default zone already exists, so the
+ *              script can be run again safely.
+ *
+ * @example
+ *   npm run migrate:shipping-zone                     # flat fee of 0
+ *   npm run migrate:shipping-zone -- --cost=4.99      # flat fee of 4.99
+ *   npm run migrate:shipping-zone -- --dry-run        # only report what would change
+ */
+
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const ShippingZone = require("../models/shipping-zone-model/shipping-zone.model");
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+/**
+ * Flat fee for the default zone, from `--cost=<amount>`
+ * @type {number}
+ */
+const COST = Number(
+  process.argv.find((arg) => arg.startsWith("--cost="))?.split("=")[1] ?? 0,
+);
+
+const ZONE_NAME = "Standard Shipping";
+
+const migrate = async () => {
+  if (!Number.isFinite(COST) || COST < 0) {
+    throw new Error("--cost must be a non-negative number");
+  }
+
+  const existing = await ShippingZone.findOne({ isDefault: true }).lean();
+  if (existing) {
+    console.log(
+      `Default shipping zone already exists: ${existing.name} – nothing to do`,
+    );
+    return;
+  }
+
+  if (!DRY_RUN) {
+    await ShippingZone.create({
+      name: ZONE_NAME,
+      cities: [],
+      isDefault: true,
+      basis: "ITEM_COUNT",
+      rates: [{ min: 0, max: null, cost: COST }],
+      estimatedDelivery: "",
+    });
+  }
+
+  console.log(
+    `${DRY_RUN ? "[dry run] " : ""}Default shipping zone created: ${ZONE_NAME} ($${COST} per order)`,
+  );
+};
+
+mongoose
+  .connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 })
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (err) => {
+    console.error("Shipping zone migration failed:", err);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
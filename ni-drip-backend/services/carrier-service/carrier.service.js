@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Carrier layer – shipments and tracking events
+ * @module services/carrierService
+ * @description Carriers with an adapter can push tracking updates through
+ *              `/api/shipment/webhook/:carrier`. Every adapter exposes:
+ *              `name`, `displayName`, `getTrackingUrl(trackingNumber)` and
+ *              `parseWebhook(rawBody, headers)` → normalized events (or null if
+ *              the signature is invalid).
+ *
+ *              Carriers without an adapter can still be used; their tracking
+ *              events are entered by SuperAdmins.
+ *
+ *              Webhook signatures are verified with `CARRIER_WEBHOOK_SECRET`;
+ *              without it the webhook endpoint is disabled (503) and tracking
+ *              events are entered by SuperAdmins only. The mock carrier is
+ *              registered only when `CARRIER_MOCK_ENABLED=true`, and never in
+ *              production.
+ */
+
+const Shipment = require("../../models/shipment-model/shipment.model");
+const {
+  SHIPMENT_STATUSES,
+} = require("../../helpers/order-helper/order-status.helper");
+
+/**
+ * Available adapters, keyed by carrier code
+ * @type {Object<string, () => Object>}
+ */
+const CARRIERS = {
+  ...(process.env.CARRIER_MOCK_ENABLED === "true" &&
+    process.env.NODE_ENV !== "production" && {
+      mock: () => require("./carriers/mock.carrier"),
+    }),
+};
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const carrierError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Carrier code as stored on shipments ("  DHL " → "dhl")
+ * @param {string} carrier
+ * @returns {string}
+ */
+const normalizeCarrier = (carrier) =>
+  String(carrier || "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Resolve the adapter for a carrier
+ * @param {string} carrier
+ * @returns {Object|null} Adapter, or null for carriers tracked manually
+ */
+const getCarrierAdapter = (carrier) => {
+  const code = normalizeCarrier(carrier);
+  return CARRIERS[code] ? CARRIERS[code]() : null;
+};
+
+/**
+ * Whether carrier webhooks are accepted
+ * @description Deliveries are never verified against a missing secret.
+ * @returns {boolean}
+ */
+const isCarrierWebhookEnabled = () =>
+  Boolean(process.env.CARRIER_WEBHOOK_SECRET);
+
+/**
+ * Validate and normalize a tracking event
+ * @param {Object} event
+ * @param {string} event.status
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string|Date} [event.occurredAt]
+ * @param {string} [event.eventId]
+ * @param {"ADMIN"|"CARRIER"} source
+ * @returns {Object} Sub-document for `Shipment.events`
+ * @throws {Error} 400 for an unknown status or invalid date
+ */
+const buildTrackingEvent = (event, source) => {
+  const status = String(event.status || "").toUpperCase();
+  if (!SHIPMENT_STATUSES.includes(status)) {
+    throw carrierError(
+      `Invalid tracking status. Allowed: ${SHIPMENT_STATUSES.join(", ")}`,
+      400,
+    );
+  }
+
+  const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+  if (Number.isNaN(occurredAt.getTime())) {
+    throw carrierError("Invalid event date", 400);
+  }
+
+  return {
+    status,
+    description: event.description || "",
+    location: event.location || "",
+    occurredAt,
+    source,
+    eventId: event.eventId || null,
+  };
+};
+
+/**
+ * Create a shipment for some or all lines of an order
+ * @description Quantities are validated by the fulfillment service; this only
+ *              records the parcel and its first tracking event.
+ * @param {Object} params
+ * @param {import('mongoose').Document} params.order
+ * @param {Array<{ item: ObjectId, product: ObjectId, quantity: number }>} params.items
+ * @param {string} params.carrier
+ * @param {string} params.trackingNumber
+ * @param {string} [params.trackingUrl]       - Falls back to the adapter's tracking page
+ * @param {string|Date} [params.estimatedDelivery]
+ * @param {{ id: string }} params.actor       - SuperAdmin shipping the order
+ * @param {import('mongoose').ClientSession} [params.session]
+ * @returns {Promise<import('mongoose').Document>} Saved shipment
+ * @throws {Error} 400 for missing / invalid fields, 409 if the tracking number is taken
+ */
+const createShipment = async ({
+  order,
+  items,
+  carrier,
+  trackingNumber,
+  trackingUrl,
+  estimatedDelivery,
+  actor,
+  session = null,
+}) => {
+  const carrierCode = normalizeCarrier(carrier);
+  const tracking = String(trackingNumber || "").trim();
+
+  if (!carrierCode || !tracking) {
+    throw carrierError(
+      "Carrier and tracking number are required to ship an order",
+      400,
+    );
+  }
+
+  const eta = estimatedDelivery ? new Date(estimatedDelivery) : null;
+  if (eta && Number.isNaN(eta.getTime())) {
+    throw carrierError("Invalid estimated delivery date", 400);
+  }
+
+  const existing = await Shipment.exists({
+    carrier: carrierCode,
+    trackingNumber: tracking,
+  }).session(session);
+  if (existing) {
+    throw carrierError(
+      "This tracking number is already used by another shipment",
+      409,
+    );
+  }
+
+  const adapter = getCarrierAdapter(carrierCode);
+
+  const [shipment] = await Shipment.create(
+    [
+      {
+        order: order._id,
+        user: order.user._id || order.user,
+        items,
+        carrier: carrierCode,
+        trackingNumber: tracking,
+        trackingUrl: trackingUrl || adapter?.getTrackingUrl(tracking) || null,
+        estimatedDelivery: eta,
+        status: "IN_TRANSIT",
+        events: [
+          buildTrackingEvent(
+            {
+              status: "IN_TRANSIT",
+              description: `Handed over to ${adapter?.displayName || carrier.trim()}`,
+            },
+            "ADMIN",
+          ),
+        ],
+        shippedBy: actor.id,
+      },
+    ],
+    { session },
+  );
+
+  return shipment;
+};
+
+/**
+ * Append a tracking event to a shipment
+ * @description The push is atomic and, for carrier events, skipped when the
+ *              event id is already recorded. Events stay sorted by
+ *              `occurredAt`, and the shipment status follows the latest one, so
+ *              late-arriving older events do not roll the status back.
+ * @param {string} shipmentId
+ * @param {Object} event - See buildTrackingEvent
+ * @param {"ADMIN"|"CARRIER"} source
+ * @returns {Promise<{ shipment: import('mongoose').Document|null, added: boolean, statusChanged: boolean }>}
+ */
+const recordTrackingEvent = async (shipmentId, event, source) => {
+  const trackingEvent = buildTrackingEvent(event, source);
+
+  const filter = { _id: shipmentId };
+  if (trackingEvent.eventId) {
+    filter["events.eventId"] = { $ne: trackingEvent.eventId };
+  }
+
+  const updated = await Shipment.findOneAndUpdate(
+    filter,
+    {
+      $push: {
+        events: { $each: [trackingEvent], $sort: { occurredAt: 1 } },
+      },
+    },
+    { new: true },
+  );
+
+  if (!updated) {
+    return {
+      shipment: await Shipment.findById(shipmentId),
+      added: false,
+      statusChanged: false,
+    };
+  }
+
+  const previousStatus = updated.status;
+  const latest = updated.events[updated.events.length - 1];
+  const delivered = updated.events.find((e) => e.status === "DELIVERED");
+
+  updated.status = latest.status;
+  updated.deliveredAt = delivered ? delivered.occurredAt : null;
+  await updated.save();
+
+  return {
+    shipment: updated,
+    added: true,
+    statusChanged: updated.status !== previousStatus,
+  };
+};
+
+module.exports = {
+  carrierError,
+  normalizeCarrier,
+  getCarrierAdapter,
+  isCarrierWebhookEnabled,
+  createShipment,
+  recordTrackingEvent,
+};
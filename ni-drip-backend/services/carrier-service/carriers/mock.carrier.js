@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Local mock carrier
+ * @module services/carrierService/carriers/mockCarrier
+ * @description Stand-in for a real carrier integration, used in development
+ *              and tests. Ship an order with carrier "mock", then POST the
+ *              output of `buildWebhook` to `/api/shipment/webhook/mock` to move
+ *              the parcel along.
+ *
+ *              Like real carriers it speaks its own status vocabulary, which
+ *              `parseWebhook` maps onto SHIPMENT_STATUSES. Deliveries are signed
+ *              with `CARRIER_WEBHOOK_SECRET`; the carrier service registers
+ *              this adapter only when `CARRIER_MOCK_ENABLED=true`, and never in
+ *              production.
+ */
+
+const crypto = require("crypto");
+const {
+  signPayload,
+  verifySignature,
+} = require("../../../helpers/webhook-helper/webhook-signature.helper");
+
+/**
+ * Header carrying the webhook signature
+ * @type {string}
+ */
+const SIGNATURE_HEADER = "x-carrier-signature";
+
+/**
+ * Mock carrier status → shipment status
+ * @type {Object<string, string>}
+ */
+const STATUS_MAP = {
+  label_created: "LABEL_CREATED",
+  picked_up: "IN_TRANSIT",
+  in_transit: "IN_TRANSIT",
+  out_for_delivery: "OUT_FOR_DELIVERY",
+  delivered: "DELIVERED",
+  failed_attempt: "EXCEPTION",
+  delayed: "EXCEPTION",
+};
+
+const getSecret = () => {
+  if (!process.env.CARRIER_WEBHOOK_SECRET) {
+    throw new Error("CARRIER_WEBHOOK_SECRET is not set");
+  }
+  return process.env.CARRIER_WEBHOOK_SECRET;
+};
+
+const getTrackingUrl = () => null;
+
+/**
+ * Verify and normalize a webhook delivery
+ * @param {Buffer} rawBody
+ * @param {Object} headers
+ * @returns {Array<Object>|null} Normalized events, or null if the signature is invalid
+ */
+const parseWebhook = (rawBody, headers) => {
+  if (!verifySignature(rawBody, headers[SIGNATURE_HEADER], getSecret())) {
+    return null;
+  }
+
+  const payload = JSON.parse(rawBody.toString());
+
+  return (payload.events || [])
+    .filter((event) => STATUS_MAP[event.status])
+    .map((event) => ({
+      eventId: event.id,
+      trackingNumber: event.trackingNumber,
+      status: STATUS_MAP[event.status],
+      description: event.description || "",
+      location: event.location || "",
+      occurredAt: event.occurredAt,
+    }));
+};
+
+/**
+ * Build a signed webhook delivery for a parcel
+ * @param {string} trackingNumber
+ * @param {string} status - Mock carrier status, e.g. "out_for_delivery"
+ * @param {{ description?: string, location?: string, occurredAt?: string }} [details]
+ * @returns {{ body: string, headers: Object }} Raw body and headers to POST
+ */
+const buildWebhook = (trackingNumber, status, details = {}) => {
+  const body = JSON.stringify({
+    events: [
+      {
+        id: `mock_evt_${crypto.randomBytes(12).toString("hex")}`,
+        trackingNumber,
+        status,
+        description: details.description || "",
+        location: details.location || "",
+        occurredAt: details.occurredAt || new Date().toISOString(),
+      },
+    ],
+  });
+
+  return {
+    body,
+    headers: {
+      "Content-Type": "application/json",
+      [SIGNATURE_HEADER]: signPayload(body, getSecret()),
+    },
+  };
+};
+
+module.exports = {
+  name: "mock",
+  displayName: "Mock Carrier",
+  getTrackingUrl,
+  parseWebhook,
+  buildWebhook,
+};
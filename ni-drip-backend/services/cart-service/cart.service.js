@@ -0,0 +1,493 @@
+/**
+ * @fileoverview Cart revalidation and guest carts
+ * @module services/cartService
+ * @description Revalidation: `Cart.unitPrice` is captured when a product is added, while
+ *              checkout always charges the live price and reserves live
+ *              stock – the variant's for lines with a `variantId`.
+ *              `validateCart` brings every cart line back in line with its
+ *              product and reports each change as a notice, so the customer
+ *              sees it before checking out:
+ *
+ *              - PRICE_CHANGED       – `unitPrice` updated to the live price
+ *              - QUANTITY_REDUCED    – quantity lowered to the stock available
+ *              - UNAVAILABLE         – line removed (product deleted, INACTIVE,
+ *                                      variant removed or out of stock)
+ *
+ *              Guest carts: visitors keep a `GuestCart` keyed by a random token
+ *              (priced live, so only stock and availability can change). On
+ *              sign-in or registration it is merged into the user's `Cart`,
+ *              capping each line at the stock available.
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Cart = require("../../models/cart-model/cart.model");
+const Product = require("../../models/product-model/product.model");
+const GuestCart = require("../../models/guest-cart-model/guest-cart.model");
+const { syncUserCart } = require("../../helpers/cart-helper/cart-sync.helper");
+const {
+  getOffer,
+  requireOffer,
+  sameVariant,
+} = require("../../helpers/product-helper/variant.helper");
+
+/**
+ * Fields of the product returned with each cart line
+ * @type {string}
+ */
+const CART_PRODUCT_FIELDS =
+  "title price productImages stock status options variants";
+
+/**
+ * Days an untouched guest cart is kept
+ * @type {number}
+ */
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+/**
+ * Most lines a guest cart may hold
+ * @type {number}
+ */
+const GUEST_CART_MAX_LINES = 50;
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const cartError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Load live products by ID
+ * @param {ObjectId[]} productIds
+ * @returns {Promise<Map<string, Object>>} Lean products keyed by ID
+ */
+const loadProducts = async (productIds) => {
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select(CART_PRODUCT_FIELDS)
+    .lean();
+  return new Map(products.map((product) => [product._id.toString(), product]));
+};
+
+/**
+ * Can this line be put in a cart at all?
+ * @param {Object|null} product
+ * @param {Object|null} offer - From `getOffer` (null if the variant is gone)
+ * @returns {boolean}
+ */
+const isPurchasable = (product, offer) =>
+  Boolean(offer) && product.status === "ACTIVE" && offer.stock > 0;
+
+/**
+ * Product title with the variant, for notices ("Phone (Black / 128GB)")
+ * @param {Object} product
+ * @param {Object|null} offer
+ * @returns {string}
+ */
+const lineTitle = (product, offer) =>
+  offer?.label ? `${product.title} (${offer.label})` : product.title;
+
+/**
+ * Build the notice for a line that can no longer be bought
+ * @param {Object} item - Cart line
+ * @param {Object|null} product - Live product (null if deleted)
+ * @param {Object|null} offer - From `getOffer`
+ * @returns {Object}
+ */
+const unavailableNotice = (item, product, offer) => {
+  const reason = !product
+    ? "DELETED"
+    : product.status !== "ACTIVE"
+      ? "INACTIVE"
+      : !offer
+        ? "VARIANT_REMOVED"
+        : "OUT_OF_STOCK";
+  const title = product ? lineTitle(product, offer) : "A product";
+
+  const messages = {
+    OUT_OF_STOCK: `${title} is out of stock and was removed from your cart`,
+    VARIANT_REMOVED: `The option of ${title} you chose is no longer sold and was removed from your cart`,
+  };
+
+  return {
+    type: "UNAVAILABLE",
+    reason,
+    productId: item.productId.toString(),
+    variantId: item.variantId?.toString() || null,
+    title,
+    quantity: item.quantity,
+    message:
+      messages[reason] ||
+      `${title} is no longer available and was removed from your cart`,
+  };
+};
+
+/**
+ * Build the notice for a line lowered to the stock available
+ * @param {Object} item - Cart line
+ * @param {Object} product - Live product
+ * @param {Object} offer - From `getOffer`
+ * @param {number} requested - Quantity before the change
+ * @returns {Object}
+ */
+const quantityReducedNotice = (item, product, offer, requested) => {
+  const title = lineTitle(product, offer);
+  return {
+    type: "QUANTITY_REDUCED",
+    productId: item.productId.toString(),
+    variantId: item.variantId?.toString() || null,
+    title,
+    requested,
+    available: offer.stock,
+    message: `Only ${offer.stock} of ${title} left – quantity reduced from ${requested}`,
+  };
+};
+
+/**
+ * Revalidate a user's cart and apply the changes
+ * @param {string} userId
+ * @returns {Promise<{ items: Object[], notices: Object[], cartTotal: number, itemsCount: number }>}
+ *          `items` is the cart after the changes, shaped like `getCart` (product populated)
+ */
+const validateCart = async (userId) => {
+  const cartItems = await Cart.find({ userId }).sort({ createdAt: -1 });
+  const productsById = await loadProducts(
+    cartItems.map((item) => item.productId),
+  );
+
+  const items = [];
+  const notices = [];
+  let changed = false;
+
+  for (const item of cartItems) {
+    const productId = item.productId.toString();
+    const product = productsById.get(productId) || null;
+    const offer = getOffer(product, item.variantId);
+
+    if (!isPurchasable(product, offer)) {
+      notices.push(unavailableNotice(item, product, offer));
+      await Cart.deleteOne({ _id: item._id });
+      changed = true;
+      continue;
+    }
+
+    if (item.unitPrice !== offer.price) {
+      const title = lineTitle(product, offer);
+      notices.push({
+        type: "PRICE_CHANGED",
+        productId,
+        variantId: item.variantId?.toString() || null,
+        title,
+        oldPrice: item.unitPrice,
+        newPrice: offer.price,
+        message: `${title} ${
+          offer.price > item.unitPrice ? "went up" : "went down"
+        } from $${item.unitPrice.toFixed(2)} to $${offer.price.toFixed(2)}`,
+      });
+      item.unitPrice = offer.price;
+    }
+
+    if (item.quantity > offer.stock) {
+      notices.push(quantityReducedNotice(item, product, offer, item.quantity));
+      item.quantity = offer.stock;
+    }
+
+    if (item.isModified()) {
+      // pre("save") recomputes totalPrice
+      await item.save();
+      changed = true;
+    }
+
+    items.push({
+      ...item.toObject(),
+      productId: product,
+      variantLabel: offer.label,
+    });
+  }
+
+  if (changed) await syncUserCart(userId);
+
+  return {
+    items,
+    notices,
+    cartTotal: items.reduce((sum, item) => sum + item.totalPrice, 0),
+    itemsCount: items.reduce((sum, item) => sum + item.quantity, 0),
+  };
+};
+
+/**
+ * Look up a guest cart by token
+ * @param {string} [token]
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+const findGuestCart = async (token) => {
+  if (typeof token !== "string" || !/^[a-f0-9]{64}$/.test(token)) return null;
+  return GuestCart.findOne({ token });
+};
+
+/**
+ * Push back a guest cart's expiry and save it
+ * @param {import('mongoose').Document} guestCart
+ * @returns {Promise<void>}
+ */
+const touchGuestCart = async (guestCart) => {
+  guestCart.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 86400000);
+  await guestCart.save();
+};
+
+/**
+ * Load a guest cart, dropping lines that can no longer be bought and lowering
+ * quantities to the stock available
+ * @param {string} [token]
+ * @returns {Promise<{ items: Object[], notices: Object[], cartTotal: number, itemsCount: number }>}
+ *          `items` is shaped like `getCart` (product populated, live price);
+ *          an unknown token gives an empty cart
+ */
+const loadGuestCart = async (token) => {
+  const guestCart = await findGuestCart(token);
+  if (!guestCart)
+    return { items: [], notices: [], cartTotal: 0, itemsCount: 0 };
+
+  const productsById = await loadProducts(
+    guestCart.items.map((line) => line.productId),
+  );
+
+  const items = [];
+  const notices = [];
+  const kept = [];
+
+  for (const line of guestCart.items) {
+    const product = productsById.get(line.productId.toString()) || null;
+    const offer = getOffer(product, line.variantId);
+
+    if (!isPurchasable(product, offer)) {
+      notices.push(unavailableNotice(line, product, offer));
+      continue;
+    }
+
+    if (line.quantity > offer.stock) {
+      notices.push(quantityReducedNotice(line, product, offer, line.quantity));
+      line.quantity = offer.stock;
+    }
+
+    kept.push(line);
+    items.push({
+      productId: product,
+      variantId: line.variantId,
+      variantLabel: offer.label,
+      quantity: line.quantity,
+      unitPrice: offer.price,
+      totalPrice: line.quantity * offer.price,
+    });
+  }
+
+  if (notices.length) {
+    guestCart.items = kept;
+    await touchGuestCart(guestCart);
+  }
+
+  return {
+    items,
+    notices,
+    cartTotal: items.reduce((sum, item) => sum + item.totalPrice, 0),
+    itemsCount: items.reduce((sum, item) => sum + item.quantity, 0),
+  };
+};
+
+/**
+ * Add a product to a guest cart (or increase its quantity)
+ * @description Starts a new guest cart – with a new token – when `token` is
+ *              missing or unknown.
+ * @param {string} [token]
+ * @param {string} productId
+ * @param {number} quantity
+ * @param {string|null} [variantId] - Required for products with variants
+ * @returns {Promise<{ guestToken: string, cartItem: Object }>}
+ * @throws {Error} 404 if the product or variant can't be bought, 400 on bad
+ *                 quantity, a missing variant, insufficient stock or a full cart
+ */
+const addToGuestCart = async (token, productId, quantity, variantId) => {
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1) {
+    throw cartError("Quantity must be a whole number of at least 1", 400);
+  }
+
+  const product = mongoose.isValidObjectId(productId)
+    ? await Product.findById(productId).select(CART_PRODUCT_FIELDS).lean()
+    : null;
+  if (!product || product.status !== "ACTIVE") {
+    throw cartError("Product not found", 404);
+  }
+  const offer = requireOffer(product, variantId);
+  const lineVariantId = offer.variant?._id || null;
+
+  const guestCart =
+    (await findGuestCart(token)) ||
+    new GuestCart({ token: crypto.randomBytes(32).toString("hex"), items: [] });
+
+  let line = guestCart.items.find(
+    (item) =>
+      item.productId.toString() === productId.toString() &&
+      sameVariant(item, lineVariantId),
+  );
+  const newQuantity = (line?.quantity || 0) + qty;
+
+  if (newQuantity > offer.stock) {
+    throw cartError(
+      line
+        ? `Cannot add more – only ${offer.stock} in stock`
+        : `Only ${offer.stock} item(s) available in stock`,
+      400,
+    );
+  }
+
+  if (line) {
+    line.quantity = newQuantity;
+  } else {
+    if (guestCart.items.length >= GUEST_CART_MAX_LINES) {
+      throw cartError(
+        `A cart can hold at most ${GUEST_CART_MAX_LINES} different products`,
+        400,
+      );
+    }
+    guestCart.items.push({
+      productId: product._id,
+      variantId: lineVariantId,
+      quantity: newQuantity,
+    });
+    line = guestCart.items[guestCart.items.length - 1];
+  }
+
+  await touchGuestCart(guestCart);
+
+  return {
+    guestToken: guestCart.token,
+    cartItem: {
+      productId: product,
+      variantId: lineVariantId,
+      variantLabel: offer.label,
+      quantity: line.quantity,
+      unitPrice: offer.price,
+      totalPrice: line.quantity * offer.price,
+    },
+  };
+};
+
+/**
+ * Decrease a guest cart line by one (removing it at zero), or remove it
+ * @param {string} [token]
+ * @param {string} productId
+ * @param {{ removeAll?: boolean, variantId?: string|null }} [options]
+ *        `removeAll` removes the whole line; `variantId` picks the line of a
+ *        product with variants
+ * @returns {Promise<void>}
+ * @throws {Error} 404 if the product is not in the cart
+ */
+const decreaseGuestCartItem = async (
+  token,
+  productId,
+  { removeAll = false, variantId = null } = {},
+) => {
+  const guestCart = await findGuestCart(token);
+  const line = guestCart?.items.find(
+    (item) =>
+      item.productId.toString() === String(productId) &&
+      sameVariant(item, variantId),
+  );
+  if (!line) throw cartError("Item not found in cart", 404);
+
+  if (!removeAll && line.quantity > 1) {
+    line.quantity -= 1;
+  } else {
+    guestCart.items = guestCart.items.filter((item) => item !== line);
+  }
+
+  await touchGuestCart(guestCart);
+};
+
+/**
+ * Delete a guest cart
+ * @param {string} [token]
+ * @returns {Promise<void>}
+ */
+const clearGuestCart = async (token) => {
+  const guestCart = await findGuestCart(token);
+  if (guestCart) await GuestCart.deleteOne({ _id: guestCart._id });
+};
+
+/**
+ * Merge a guest cart into a user's cart, then delete it
+ * @description Quantities of products (and variants) already in the user's
+ *              cart are added together and capped at the stock available; lines that can't
+ *              be bought are dropped. Each cap or drop is reported as a notice.
+ * @param {string} userId
+ * @param {string} [token]
+ * @returns {Promise<{ merged: number, notices: Object[] }>}
+ */
+const mergeGuestCart = async (userId, token) => {
+  const guestCart = await findGuestCart(token);
+  if (!guestCart) return { merged: 0, notices: [] };
+
+  const productsById = await loadProducts(
+    guestCart.items.map((line) => line.productId),
+  );
+
+  const notices = [];
+  let merged = 0;
+
+  for (const line of guestCart.items) {
+    const productId = line.productId.toString();
+    const product = productsById.get(productId) || null;
+    const offer = getOffer(product, line.variantId);
+
+    if (!isPurchasable(product, offer)) {
+      notices.push(unavailableNotice(line, product, offer));
+      continue;
+    }
+
+    const variantId = line.variantId || null;
+    const cartItem = await Cart.findOne({ userId, productId, variantId });
+    const requested = (cartItem?.quantity || 0) + line.quantity;
+    const quantity = Math.min(requested, offer.stock);
+
+    if (quantity < requested) {
+      notices.push(quantityReducedNotice(line, product, offer, requested));
+    }
+
+    if (cartItem) {
+      cartItem.quantity = quantity;
+      cartItem.unitPrice = offer.price;
+      await cartItem.save();
+    } else {
+      await Cart.create({
+        userId,
+        productId,
+        variantId,
+        quantity,
+        unitPrice: offer.price,
+        totalPrice: quantity * offer.price,
+      });
+    }
+    merged += 1;
+  }
+
+  await GuestCart.deleteOne({ _id: guestCart._id });
+  if (merged) await syncUserCart(userId);
+
+  return { merged, notices };
+};
+
+module.exports = {
+  CART_PRODUCT_FIELDS,
+  validateCart,
+  loadGuestCart,
+  addToGuestCart,
+  decreaseGuestCartItem,
+  clearGuestCart,
+  mergeGuestCart,
+};
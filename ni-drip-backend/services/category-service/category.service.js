@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Category tree and product category resolution
+ * @module services/categoryService
+ * @description Products reference categories by ID (`Product.categories`)
+ *              and keep the names in `Product.category`, so search keeps
+ *              matching on names. Coupons and tax overrides are scoped by
+ *              category ID. A listing filtered by a category, like a coupon or
+ *              tax override scoped to one, includes its subcategories. The category
+ *              collection is small, so trees are built in memory.
+ */
+
+const mongoose = require("mongoose");
+const Category = require("../../models/category-model/category.model");
+const Coupon = require("../../models/coupon-model/coupon.model");
+const Product = require("../../models/product-model/product.model");
+const TaxRegion = require("../../models/tax-region-model/tax-region.model");
+const {
+  parseCategoryEntry,
+} = require("../../helpers/product-helper/product-query.helper");
+
+/** Deepest level a category may sit at (1 = top level) */
+const MAX_CATEGORY_DEPTH = 3;
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const categoryError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * URL-safe slug of a name ("TV & Audio" → "tv-and-audio")
+ * @param {string} text
+ * @returns {string}
+ */
+exports.slugify = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Values sent as an array, a JSON array or comma-separated text
+ * @param {*} value
+ * @returns {string[]}
+ */
+const parseList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  if (Array.isArray(value)) {
+    return value.map((item) => String(item).trim()).filter(Boolean);
+  }
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parseList(parsed);
+  } catch {
+    // plain text
+  }
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Does a category match an ID, slug or name (case-insensitive)?
+ * @param {Object} category
+ * @param {string} entry
+ * @returns {boolean}
+ */
+const matchesEntry = (category, entry) => {
+  const lowered = entry.toLowerCase();
+  return (
+    String(category._id) === entry ||
+    category.slug === lowered ||
+    category.name.toLowerCase() === lowered ||
+    category.slug === exports.slugify(entry)
+  );
+};
+
+/**
+ * Children of each category
+ * @param {Object[]} categories - Need `_id` and `parent`
+ * @returns {Map<string, string[]>} Parent ID → child IDs
+ */
+const indexChildren = (categories) => {
+  const children = new Map();
+  categories.forEach((category) => {
+    const parentId = String(category.parent || "");
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(String(category._id));
+  });
+  return children;
+};
+
+/**
+ * A category and all categories below it
+ * @param {Map<string, string[]>} children - From `indexChildren`
+ * @param {ObjectId|string} rootId
+ * @returns {Set<string>}
+ */
+const subtreeIds = (children, rootId) => {
+  const ids = new Set();
+  const pending = [String(rootId)];
+  while (pending.length) {
+    const id = pending.pop();
+    if (ids.has(id)) continue;
+    ids.add(id);
+    pending.push(...(children.get(id) || []));
+  }
+  return ids;
+};
+
+/**
+ * Find the category each entry (ID, slug or name) refers to
+ * @param {string[]} entries
+ * @returns {Promise<Object[]>} Distinct matches, in entry order
+ * @throws {Error} 400 for an entry matching no category
+ */
+const matchCategories = async (entries) => {
+  const all = await Category.find().select("name slug").lean();
+  const chosen = new Map();
+  entries.forEach((entry) => {
+    const match = all.find((item) => matchesEntry(item, entry));
+    if (!match) throw categoryError(`Unknown category: ${entry}`, 400);
+    chosen.set(String(match._id), match);
+  });
+  return [...chosen.values()];
+};
+
+/**
+ * Resolve the categories sent for a product
+ * @description `categories` holds IDs; `category` (names or slugs, as older
+ *              clients send it) is accepted too. Unknown entries are rejected
+ *              so typos can't create categories.
+ * @param {{ categories?: *, category?: * }} body
+ * @returns {Promise<{ categories: ObjectId[], category: string[] }|null>}
+ *          null when neither field was sent
+ * @throws {Error} 400 for an unknown category or an empty selection
+ */
+exports.resolveProductCategories = async ({ categories, category }) => {
+  if (categories === undefined && category === undefined) return null;
+
+  const entries = [
+    ...parseList(categories),
+    ...parseList(category).flatMap((entry) =>
+      entry.startsWith("[") ? parseCategoryEntry(entry) : [entry],
+    ),
+  ];
+  if (!entries.length) {
+    throw categoryError("At least one category is required", 400);
+  }
+
+  const chosen = await matchCategories(entries);
+
+  return {
+    categories: chosen.map((item) => item._id),
+    category: chosen.map((item) => item.name),
+  };
+};
+
+/**
+ * Resolve a list of categories (IDs, slugs or names) to IDs
+ * @param {*} value - Array, JSON array or comma-separated text
+ * @returns {Promise<ObjectId[]>} Empty for an empty list
+ * @throws {Error} 400 for an unknown category
+ */
+exports.resolveCategoryIds = async (value) => {
+  const entries = parseList(value);
+  if (!entries.length) return [];
+  return (await matchCategories(entries)).map((item) => item._id);
+};
+
+/**
+ * Expand category IDs to include every category below them
+ * @param {Array<ObjectId|string>} categoryIds
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<Set<string>>}
+ */
+exports.expandCategoryIds = async (categoryIds, session = null) => {
+  const ids = new Set();
+  if (!categoryIds?.length) return ids;
+
+  const all = await Category.find().select("parent").session(session).lean();
+  const children = indexChildren(all);
+  categoryIds.forEach((id) =>
+    subtreeIds(children, id).forEach((child) => ids.add(child)),
+  );
+  return ids;
+};
+
+/**
+ * Resolve a listing's `category` filter to category IDs
+ * @description Each comma-separated entry may be an ID, slug or name and
+ *              includes its subcategories. Entries matching no category are
+ *              left in `category` and matched against stored names (products
+ *              not yet migrated).
+ * @param {Object} query - `req.query`
+ * @returns {Promise<Object>} The query with `categoryIds` set
+ */
+exports.withCategoryScope = async (query) => {
+  const scoped = { ...query };
+  delete scoped.categoryIds;
+
+  const entries = parseList(query.category);
+  if (!entries.length) return scoped;
+
+  const all = await Category.find().select("name slug parent").lean();
+  const children = indexChildren(all);
+  const ids = new Set();
+  const unmatched = [];
+
+  entries.forEach((entry) => {
+    const match = all.find((item) => matchesEntry(item, entry));
+    if (match) subtreeIds(children, match._id).forEach((id) => ids.add(id));
+    else unmatched.push(entry);
+  });
+
+  scoped.category = unmatched.join(",");
+  scoped.categoryIds = [...ids].map((id) => new mongoose.Types.ObjectId(id));
+  return scoped;
+};
+
+/**
+ * Check a category's new parent
+ * @param {ObjectId|string|null} categoryId - The category moved (null when creating)
+ * @param {ObjectId|string|null} parentId
+ * @throws {Error} 404 if the parent doesn't exist, 400 for a cycle or a tree
+ *                 deeper than `MAX_CATEGORY_DEPTH`
+ */
+exports.validateParent = async (categoryId, parentId) => {
+  if (!parentId) return;
+  if (!mongoose.isValidObjectId(parentId)) {
+    throw categoryError("Invalid parent category", 400);
+  }
+
+  const all = await Category.find().select("parent").lean();
+  const parents = new Map(
+    all.map((item) => [String(item._id), String(item.parent || "")]),
+  );
+  if (!parents.has(String(parentId))) {
+    throw categoryError("Parent category not found", 404);
+  }
+
+  const children = indexChildren(all);
+  if (categoryId && subtreeIds(children, categoryId).has(String(parentId))) {
+    throw categoryError(
+      "A category can't be moved under itself or one of its subcategories",
+      400,
+    );
+  }
+
+  let parentDepth = 0;
+  for (let id = String(parentId); id; id = parents.get(id)) parentDepth += 1;
+
+  const heightOf = (id) =>
+    1 + Math.max(0, ...(children.get(id) || []).map(heightOf));
+  const height = categoryId ? heightOf(String(categoryId)) : 1;
+
+  if (parentDepth + height > MAX_CATEGORY_DEPTH) {
+    throw categoryError(
+      `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`,
+      400,
+    );
+  }
+};
+
+/**
+ * Rename a category on the products in it
+ * @description Coupons and tax overrides are scoped by ID, so they need no
+ *              update.
+ * @param {ObjectId} categoryId
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {Promise<void>}
+ */
+exports.renameInProducts = async (categoryId, oldName, newName) => {
+  if (oldName === newName) return;
+  await Product.updateMany(
+    { categories: categoryId },
+    { $set: { "category.$[name]": newName } },
+    { arrayFilters: [{ name: oldName }] },
+  );
+};
+
+/**
+ * Category tree with product counts
+ * @description Counts cover ACTIVE products and include subcategories (a
+ *              product in two subcategories counts once). `imageUrl` is the
+ *              category's image, or else a product image from its subtree.
+ * @param {{ includeInactive?: boolean }} [options] - Inactive categories are
+ *        left out (with their subcategories) unless set
+ * @returns {Promise<Object[]>} Top-level categories, each with `children`,
+ *          siblings by `sortOrder` then name
+ */
+exports.getCategoryTree = async ({ includeInactive = false } = {}) => {
+  const [categories, rows] = await Promise.all([
+    Category.find(includeInactive ? {} : { isActive: true })
+      .sort({ sortOrder: 1, name: 1 })
+      .lean(),
+    Product.aggregate([
+      { $match: { status: "ACTIVE" } },
+      { $unwind: "$categories" },
+      {
+        $group: {
+          _id: "$categories",
+          productIds: { $addToSet: "$_id" },
+          imageUrl: { $first: { $arrayElemAt: ["$productImages", 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const products = new Map(rows.map((row) => [String(row._id), row]));
+  const nodes = new Map(
+    categories.map((category) => [
+      String(category._id),
+      { ...category, children: [] },
+    ]),
+  );
+
+  const roots = [];
+  categories.forEach((category) => {
+    const node = nodes.get(String(category._id));
+    if (!category.parent) roots.push(node);
+    // A hidden parent hides its subtree
+    else nodes.get(String(category.parent))?.children.push(node);
+  });
+
+  const rollUp = (node) => {
+    const row = products.get(String(node._id));
+    const ids = new Set((row?.productIds || []).map(String));
+    let imageUrl = node.image || row?.imageUrl || null;
+    node.children.forEach((child) => {
+      rollUp(child).forEach((id) => ids.add(id));
+      imageUrl = imageUrl || child.imageUrl;
+    });
+    node.productCount = ids.size;
+    node.imageUrl = imageUrl;
+    return ids;
+  };
+  roots.forEach(rollUp);
+
+  return roots;
+};
+
+/**
+ * Why a category can't be deleted, if it can't
+ * @param {ObjectId} categoryId
+ * @returns {Promise<string|null>}
+ */
+exports.getDeleteBlocker = async (categoryId) => {
+  const [childCount, productCount, couponCount, regionCount] =
+    await Promise.all([
+      Category.countDocuments({ parent: categoryId }),
+      Product.countDocuments({ categories: categoryId }),
+      Coupon.countDocuments({ applicableCategories: categoryId }),
+      TaxRegion.countDocuments({ "categoryRates.category": categoryId }),
+    ]);
+  if (childCount) {
+    return `Move or delete its ${childCount} subcategor${childCount === 1 ? "y" : "ies"} first`;
+  }
+  if (productCount) {
+    return `Move its ${productCount} product${productCount === 1 ? "" : "s"} to another category first`;
+  }
+  if (couponCount) {
+    return `Remove it from the ${couponCount} coupon${couponCount === 1 ? "" : "s"} scoped to it first`;
+  }
+  if (regionCount) {
+    return `Remove its tax override from ${regionCount} tax region${regionCount === 1 ? "" : "s"} first`;
+  }
+  return null;
+};
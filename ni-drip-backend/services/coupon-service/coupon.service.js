@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Coupon evaluation and redemption
+ * @module services/couponService
+ * @description Evaluation is pure (no writes) so the cart can preview a
+ *              discount; redemption is a conditional update that enforces the
+ *              global and per-user limits and is meant to run inside the
+ *              checkout transaction.
+ */
+
+const mongoose = require("mongoose");
+const Coupon = require("../../models/coupon-model/coupon.model");
+const { expandCategoryIds } = require("../category-service/category.service");
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const couponError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Round to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Does a coupon's category / product scope include this product?
+ * @param {import('mongoose').Document} coupon
+ * @param {{ _id: ObjectId, categories: ObjectId[] }} product
+ * @param {Set<string>} categoryScope - The coupon's categories and their
+ *        subcategories (see `expandCategoryIds`)
+ * @returns {boolean}
+ */
+const isProductEligible = (coupon, product, categoryScope) => {
+  const hasProductScope = coupon.applicableProducts?.length > 0;
+  const hasCategoryScope = coupon.applicableCategories?.length > 0;
+
+  if (!hasProductScope && !hasCategoryScope) return true;
+
+  const inProducts =
+    hasProductScope &&
+    coupon.applicableProducts.some(
+      (id) => id.toString() === product._id.toString(),
+    );
+  const inCategories =
+    hasCategoryScope &&
+    (product.categories || []).some((categoryId) =>
+      categoryScope.has(String(categoryId)),
+    );
+
+  return inProducts || inCategories;
+};
+
+/**
+ * Compute the discount a coupon gives on a set of order lines
+ * @description Checks only what depends on the lines (minimum order, eligible
+ *              products), not dates or usage limits – so it also re-prices the
+ *              coupon of an order that is being edited. A coupon scoped to a
+ *              category also applies to products in its subcategories.
+ * @param {import('mongoose').Document} coupon
+ * @param {Array<{ product: Object, quantity: number }>} lines
+ *        `product` needs `_id`, `price` and `categories`
+ * @param {number} [shippingCost=0]
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<Object>} Line for `Order.discounts`
+ * @throws {Error} 400 when the coupon does not apply to the lines
+ */
+const calculateDiscount = async (
+  coupon,
+  lines,
+  shippingCost = 0,
+  session = null,
+) => {
+  const subtotal = lines.reduce(
+    (sum, line) => sum + line.product.price * line.quantity,
+    0,
+  );
+  if (subtotal < coupon.minOrderAmount) {
+    throw couponError(
+      `Add $${roundMoney(coupon.minOrderAmount - subtotal)} more to use this coupon (minimum order $${coupon.minOrderAmount})`,
+      400,
+    );
+  }
+
+  const categoryScope = await expandCategoryIds(
+    coupon.applicableCategories,
+    session,
+  );
+  const eligibleSubtotal = lines
+    .filter((line) => isProductEligible(coupon, line.product, categoryScope))
+    .reduce((sum, line) => sum + line.product.price * line.quantity, 0);
+
+  let amount = 0;
+
+  if (coupon.type === "FREE_SHIPPING") {
+    amount = Number(shippingCost) || 0;
+  } else {
+    if (eligibleSubtotal === 0) {
+      throw couponError(
+        "This coupon does not apply to any item in your cart",
+        400,
+      );
+    }
+
+    amount =
+      coupon.type === "PERCENTAGE"
+        ? (eligibleSubtotal * coupon.value) / 100
+        : coupon.value;
+
+    if (coupon.type === "PERCENTAGE" && coupon.maxDiscount !== null) {
+      amount = Math.min(amount, coupon.maxDiscount);
+    }
+    amount = Math.min(amount, eligibleSubtotal);
+  }
+
+  return {
+    coupon: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    description: coupon.description,
+    amount: roundMoney(amount),
+  };
+};
+
+/**
+ * Validate a coupon code against a set of order lines and compute its discount
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {string} params.userId
+ * @param {Array<{ product: Object, quantity: number }>} params.lines
+ *        `product` needs `_id`, `price` and `categories`
+ * @param {number} [params.shippingCost=0]
+ * @param {import('mongoose').ClientSession} [params.session]
+ * @returns {Promise<{ coupon: import('mongoose').Document, discount: Object }>}
+ *          `discount` is the line persisted in `Order.discounts`
+ * @throws {Error} 404 for unknown codes, 400 when the coupon does not apply
+ */
+const evaluateCoupon = async ({
+  code,
+  userId,
+  lines,
+  shippingCost = 0,
+  session = null,
+}) => {
+  const coupon = await Coupon.findOne({
+    code: code?.trim().toUpperCase(),
+  }).session(session);
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError("Invalid coupon code", 404);
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw couponError("This coupon is not active yet", 400);
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw couponError("This coupon has expired", 400);
+  }
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError("This coupon has reached its usage limit", 400);
+  }
+
+  const userRedemptions = coupon.redemptions.filter(
+    (redemption) => redemption.user.toString() === userId.toString(),
+  ).length;
+  if (coupon.perUserLimit !== null && userRedemptions >= coupon.perUserLimit) {
+    throw couponError("You have already used this coupon", 400);
+  }
+
+  return {
+    coupon,
+    discount: await calculateDiscount(coupon, lines, shippingCost, session),
+  };
+};
+
+/**
+ * Record a redemption, enforcing the usage limits atomically
+ * @param {import('mongoose').Document} coupon - Coupon returned by evaluateCoupon
+ * @param {string} userId
+ * @param {string} orderId
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<void>}
+ * @throws {Error} 400 if a concurrent checkout used up the coupon
+ */
+const redeemCoupon = async (coupon, userId, orderId, session = null) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      $and: [
+        {
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+          ],
+        },
+        {
+          $or: [
+            { perUserLimit: null },
+            {
+              $expr: {
+                $lt: [
+                  {
+                    $size: {
+                      $filter: {
+                        input: "$redemptions",
+                        cond: {
+                          $eq: [
+                            "$$this.user",
+                            new mongoose.Types.ObjectId(String(userId)),
+                          ],
+                        },
+                      },
+                    },
+                  },
+                  "$perUserLimit",
+                ],
+              },
+            },
+          ],
+        },
+      ],
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user: userId, order: orderId } },
+    },
+    { session },
+  );
+
+  if (!result.modifiedCount) {
+    throw couponError("This coupon is no longer available", 400);
+  }
+};
+
+/**
+ * Give back the redemption held by a cancelled order
+ * @param {string} orderId
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<void>}
+ */
+const releaseCoupon = async (orderId, session = null) => {
+  await Coupon.updateMany(
+    { "redemptions.order": orderId },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order: orderId } },
+    },
+    { session },
+  );
+};
+
+module.exports = {
+  couponError,
+  calculateDiscount,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
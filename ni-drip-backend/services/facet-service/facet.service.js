@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Specification facets for catalog listings
+ * @module services/facetService
+ * @description Counts products per specification value ("Charging Interface:
+ *              Type-C (12)") for the same filters as the listing. Facets are
+ *              multi-select, so a spec name's own counts ignore its own
+ *              selection – picking "Type-C" still shows how many products have
+ *              "Micro-USB" – while every other selection applies.
+ */
+
+const Product = require("../../models/product-model/product.model");
+const {
+  buildProductListQuery,
+  buildSpecConditions,
+} = require("../../helpers/product-helper/product-query.helper");
+const { withCategoryScope } = require("../category-service/category.service");
+
+/** Most facets returned (by number of products covered) */
+const MAX_FACETS = 15;
+
+/** Most values returned per facet (selected values are always kept) */
+const MAX_FACET_VALUES = 20;
+
+/**
+ * Count products per spec name/value
+ * @param {Object} match - Product filter
+ * @param {string} [onlyName] - Count this spec name only
+ * @returns {Promise<Array<{ name: string, value: string, count: number }>>}
+ */
+const countSpecValues = (match, onlyName) =>
+  Product.aggregate([
+    { $match: match },
+    { $unwind: "$specifications" },
+    { $unwind: "$specifications.items" },
+    {
+      $match: onlyName
+        ? { "specifications.items.name": onlyName }
+        : { "specifications.items.name": { $ne: "" } },
+    },
+    {
+      $group: {
+        _id: {
+          name: "$specifications.items.name",
+          value: "$specifications.items.value",
+        },
+        // A product can list a value under two sections
+        products: { $addToSet: "$_id" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        name: "$_id.name",
+        value: "$_id.value",
+        count: { $size: "$products" },
+      },
+    },
+  ]);
+
+/**
+ * Merge a filter with extra `$and` conditions
+ * @param {Object} filter
+ * @param {Object[]} conditions
+ * @returns {Object}
+ */
+const withConditions = (filter, conditions) =>
+  conditions.length ? { ...filter, $and: conditions } : filter;
+
+/**
+ * Specification facets for a listing
+ * @param {Object} query - Listing query (see `buildProductListQuery`);
+ *                         paging and sort are ignored
+ * @returns {Promise<{ facets: Array<{ name: string, values: Array<{ value: string, count: number, selected: boolean }> }>, total: number }>}
+ *          `total` is the number of products matching every filter
+ * @throws {Error} 400 for an invalid query parameter
+ */
+exports.getSpecFacets = async (query) => {
+  const { filter, specs } = buildProductListQuery(
+    await withCategoryScope(query),
+  );
+  const baseFilter = { ...filter };
+  delete baseFilter.$and;
+
+  const selectedNames = Object.keys(specs);
+  const [rows, total, ...selectedRows] = await Promise.all([
+    countSpecValues(filter),
+    Product.countDocuments(filter),
+    ...selectedNames.map((name) =>
+      countSpecValues(
+        withConditions(baseFilter, buildSpecConditions(specs, name)),
+        name,
+      ),
+    ),
+  ]);
+
+  // Selected names are counted without their own selection
+  const counts = rows.filter((row) => !selectedNames.includes(row.name));
+  selectedRows.forEach((nameRows) => counts.push(...nameRows));
+
+  const byName = new Map();
+  counts.forEach(({ name, value, count }) => {
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push({ value, count });
+  });
+
+  // Selected values stay visible even when nothing matches them any more
+  selectedNames.forEach((name) => {
+    if (!byName.has(name)) byName.set(name, []);
+    const values = byName.get(name);
+    specs[name].forEach((value) => {
+      if (!values.some((entry) => entry.value === value)) {
+        values.push({ value, count: 0 });
+      }
+    });
+  });
+
+  const facets = [...byName.entries()]
+    .map(([name, values]) => {
+      const selected = specs[name] || [];
+      const sorted = values
+        .map((entry) => ({
+          ...entry,
+          selected: selected.includes(entry.value),
+        }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+      return {
+        name,
+        values: sorted.filter(
+          (entry, index) => entry.selected || index < MAX_FACET_VALUES,
+        ),
+        covered: values.reduce((sum, entry) => sum + entry.count, 0),
+        isSelected: selected.length > 0,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.isSelected - a.isSelected ||
+        b.covered - a.covered ||
+        a.name.localeCompare(b.name),
+    )
+    .slice(0, Math.max(MAX_FACETS, selectedNames.length))
+    .map(({ name, values }) => ({ name, values }));
+
+  return { facets, total };
+};
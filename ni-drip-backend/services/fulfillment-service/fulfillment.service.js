@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Order fulfillment – shipping lines and deriving order status
+ * @module services/fulfillmentService
+ * @description An order can be shipped in several parcels. Each line's
+ *              `shippedQuantity` / `deliveredQuantity` is recomputed from the
+ *              order's shipments, and while the order is being fulfilled its
+ *              status follows the lines:
+ *              PROCESSING → PARTIALLY_SHIPPED → SHIPPED → DELIVERED.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const Shipment = require("../../models/shipment-model/shipment.model");
+const {
+  createShipment,
+  recordTrackingEvent,
+} = require("../carrier-service/carrier.service");
+const {
+  FULFILLMENT_FLOW,
+  buildStatusHistoryEntry,
+} = require("../../helpers/order-helper/order-status.helper");
+
+/**
+ * Order statuses that can still ship lines
+ * @type {string[]}
+ */
+const SHIPPABLE_STATUSES = ["PROCESSING", "PARTIALLY_SHIPPED"];
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const fulfillmentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Lines covered by a shipment (shipments created before split shipping have
+ * no items and cover the whole order)
+ * @param {import('mongoose').Document} order
+ * @param {import('mongoose').Document} shipment
+ * @returns {Array<{ item: ObjectId, quantity: number }>}
+ */
+const getShipmentLines = (order, shipment) =>
+  shipment.items?.length
+    ? shipment.items
+    : order.items.map((line) => ({ item: line._id, quantity: line.quantity }));
+
+/**
+ * Fulfillment status of one line from its quantities
+ * @param {Object} line - Order line
+ * @returns {string}
+ */
+const getLineStatus = (line) => {
+  if (line.deliveredQuantity >= line.quantity) return "DELIVERED";
+  if (line.shippedQuantity >= line.quantity) return "SHIPPED";
+  if (line.shippedQuantity > 0) return "PARTIALLY_SHIPPED";
+  return "UNFULFILLED";
+};
+
+/**
+ * Recompute every line's shipped / delivered quantities from the shipments
+ * @param {import('mongoose').Document} order - Modified in place
+ * @param {import('mongoose').Document[]} shipments - All shipments of the order
+ */
+const applyShipmentsToLines = (order, shipments) => {
+  const counts = new Map();
+
+  shipments.forEach((shipment) => {
+    getShipmentLines(order, shipment).forEach(({ item, quantity }) => {
+      const entry = counts.get(item.toString()) || {
+        shipped: 0,
+        delivered: 0,
+      };
+      entry.shipped += quantity;
+      if (shipment.status === "DELIVERED") entry.delivered += quantity;
+      counts.set(item.toString(), entry);
+    });
+  });
+
+  order.items.forEach((line) => {
+    const entry = counts.get(line._id.toString());
+    line.shippedQuantity = Math.min(entry?.shipped || 0, line.quantity);
+    line.deliveredQuantity = Math.min(entry?.delivered || 0, line.quantity);
+    line.fulfillmentStatus = getLineStatus(line);
+  });
+};
+
+/**
+ * Order status implied by the line states
+ * @param {import('mongoose').Document} order
+ * @returns {string|null} null while nothing has shipped
+ */
+const deriveFulfillmentStatus = (order) => {
+  const lines = order.items;
+
+  if (lines.every((line) => line.deliveredQuantity >= line.quantity)) {
+    return "DELIVERED";
+  }
+  if (lines.every((line) => line.shippedQuantity >= line.quantity)) {
+    return "SHIPPED";
+  }
+  if (lines.some((line) => line.shippedQuantity > 0)) {
+    return "PARTIALLY_SHIPPED";
+  }
+  return null;
+};
+
+/**
+ * Move the order forward to the status its lines imply
+ * @description Never moves backwards, and leaves orders outside the
+ *              fulfillment flow (cancelled, returned) untouched.
+ * @param {import('mongoose').Document} order - Modified in place
+ * @param {{ id: string, role: string }|null} actor - `req.user`, or null for carrier events
+ * @param {string} [note]
+ * @returns {boolean} Whether the status changed
+ */
+const advanceOrderStatus = (order, actor, note) => {
+  const derived = deriveFulfillmentStatus(order);
+  const current = FULFILLMENT_FLOW.indexOf(order.status);
+
+  if (
+    !derived ||
+    current === -1 ||
+    FULFILLMENT_FLOW.indexOf(derived) <= current
+  ) {
+    return false;
+  }
+
+  order.status = derived;
+  order.statusHistory.push(buildStatusHistoryEntry(derived, actor, note));
+  return true;
+};
+
+/**
+ * Resolve the requested lines into shipment items
+ * @param {import('mongoose').Document} order - With up-to-date line quantities
+ * @param {Array<{ itemId: string, quantity: number }>} [requested] - Omitted = everything not yet shipped
+ * @returns {Array<{ item: ObjectId, product: ObjectId, quantity: number }>}
+ * @throws {Error} 400 for unknown lines or quantities above what is left
+ */
+const resolveShipmentItems = (order, requested) => {
+  const remaining = (line) => line.quantity - line.shippedQuantity;
+  const toItem = (line, quantity) => ({
+    item: line._id,
+    product: line.product,
+    quantity,
+  });
+
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return order.items
+      .filter((line) => remaining(line) > 0)
+      .map((line) => toItem(line, remaining(line)));
+  }
+
+  const quantities = new Map();
+
+  requested.forEach(({ itemId, quantity }) => {
+    const line = mongoose.isValidObjectId(itemId)
+      ? order.items.id(itemId)
+      : null;
+    if (!line) {
+      throw fulfillmentError("Order line not found", 400);
+    }
+
+    const units = Number(quantity);
+    if (!Number.isInteger(units) || units < 1) {
+      throw fulfillmentError(
+        "Quantities must be whole numbers of at least 1",
+        400,
+      );
+    }
+
+    const key = line._id.toString();
+    quantities.set(key, (quantities.get(key) || 0) + units);
+  });
+
+  return [...quantities].map(([key, units]) => {
+    const line = order.items.id(key);
+    if (units > remaining(line)) {
+      throw fulfillmentError(
+        `Cannot ship ${units} – only ${remaining(line)} unit(s) of this line are left to ship`,
+        400,
+      );
+    }
+    return toItem(line, units);
+  });
+};
+
+/**
+ * Ship some or all of an order's remaining lines in one parcel
+ * @description Runs in a transaction, so concurrent shipments can never ship
+ *              more units than were ordered.
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {Array<{ itemId: string, quantity: number }>} [params.items] - Omitted = all remaining units
+ * @param {string} params.carrier
+ * @param {string} params.trackingNumber
+ * @param {string} [params.trackingUrl]
+ * @param {string|Date} [params.estimatedDelivery]
+ * @param {{ id: string, role: string }} params.actor
+ * @param {string} [params.note] - Stored with the status transition
+ * @returns {Promise<{ order: import('mongoose').Document, shipment: import('mongoose').Document, statusChanged: boolean }>}
+ * @throws {Error} 404 / 400 / 409 with `statusCode`
+ */
+const shipOrderItems = async ({
+  orderId,
+  items,
+  carrier,
+  trackingNumber,
+  trackingUrl,
+  estimatedDelivery,
+  actor,
+  note,
+}) => {
+  const session = await mongoose.startSession();
+  let order;
+  let shipment;
+  let statusChanged = false;
+
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+      if (!order) throw fulfillmentError("Order not found", 404);
+
+      if (!SHIPPABLE_STATUSES.includes(order.status)) {
+        throw fulfillmentError(`Cannot ship a ${order.status} order`, 400);
+      }
+
+      const shipments = await Shipment.find({ order: order._id }).session(
+        session,
+      );
+      applyShipmentsToLines(order, shipments);
+
+      const shipmentItems = resolveShipmentItems(order, items);
+      if (shipmentItems.length === 0) {
+        throw fulfillmentError("Every item of this order has shipped", 400);
+      }
+
+      shipment = await createShipment({
+        order,
+        items: shipmentItems,
+        carrier,
+        trackingNumber,
+        trackingUrl,
+        estimatedDelivery,
+        actor,
+        session,
+      });
+
+      applyShipmentsToLines(order, [...shipments, shipment]);
+      statusChanged = advanceOrderStatus(order, actor, note);
+      await order.save({ session });
+
+      await User.updateOne(
+        { _id: order.user, "orders.orderId": order._id },
+        { $set: { "orders.$.status": order.status } },
+        { session },
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return { order, shipment, statusChanged };
+};
+
+/**
+ * Re-derive an order's lines and status after one of its shipments changed
+ * @param {string} orderId
+ * @param {{ id: string, role: string }|null} actor
+ * @param {string} [note]
+ * @returns {Promise<{ order: import('mongoose').Document, statusChanged: boolean }|null>}
+ */
+const refreshOrderFulfillment = async (orderId, actor, note) => {
+  const order = await Order.findById(orderId);
+  if (!order) return null;
+
+  const shipments = await Shipment.find({ order: order._id });
+  applyShipmentsToLines(order, shipments);
+  const statusChanged = advanceOrderStatus(order, actor, note);
+  await order.save();
+
+  if (statusChanged) {
+    await User.updateOne(
+      { _id: order.user, "orders.orderId": order._id },
+      { $set: { "orders.$.status": order.status } },
+    );
+  }
+
+  return { order, statusChanged };
+};
+
+/**
+ * Mark every open shipment of an order delivered (manual DELIVERED update)
+ * @description Orders shipped before shipment tracking have no shipments;
+ *              their lines are marked delivered directly. The caller sets the
+ *              order status and saves.
+ * @param {import('mongoose').Document} order - Modified in place
+ * @returns {Promise<void>}
+ */
+const markShipmentsDelivered = async (order) => {
+  const shipments = await Shipment.find({ order: order._id });
+
+  if (shipments.length === 0) {
+    order.items.forEach((line) => {
+      line.shippedQuantity = line.quantity;
+      line.deliveredQuantity = line.quantity;
+      line.fulfillmentStatus = "DELIVERED";
+    });
+    return;
+  }
+
+  const delivered = [];
+  for (const shipment of shipments) {
+    if (shipment.status === "DELIVERED") {
+      delivered.push(shipment);
+      continue;
+    }
+
+    const result = await recordTrackingEvent(
+      shipment._id,
+      { status: "DELIVERED", description: "Marked delivered by admin" },
+      "ADMIN",
+    );
+    delivered.push(result.shipment);
+  }
+
+  applyShipmentsToLines(order, delivered);
+};
+
+module.exports = {
+  getShipmentLines,
+  applyShipmentsToLines,
+  shipOrderItems,
+  refreshOrderFulfillment,
+  markShipmentsDelivered,
+};
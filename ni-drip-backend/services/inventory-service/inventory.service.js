@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Inventory utilities (atomic stock reservation)
+ * @module services/inventoryService
+ * @description Stock changes are issued as conditional `$inc` updates so that
+ *              concurrent checkouts can never drive `Product.stock` below zero.
+ *              All functions accept an optional Mongoose session so they can
+ *              participate in a surrounding transaction.
+ *              For products with variants the variant's stock moves together
+ *              with `Product.stock` (their sum) in the same update.
+ */
+
+const Product = require("../../models/product-model/product.model");
+const { requireOffer } = require("../../helpers/product-helper/variant.helper");
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const inventoryError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Atomically decrement stock for one product (or one of its variants), only
+ * if enough is available
+ * @param {string} productId - Product to reserve
+ * @param {number} quantity  - Units to reserve (>= 1)
+ * @param {import('mongoose').ClientSession} [session]
+ * @param {string|null} [variantId] - Required for products with variants
+ * @returns {Promise<import('mongoose').Document>} Product after the decrement
+ *          (price the line with `getOffer(product, variantId)`)
+ * @throws {Error} 404 if the product or variant does not exist, 400 if it is
+ *                 INACTIVE, no variant was chosen or stock is insufficient
+ */
+const reserveStock = async (
+  productId,
+  quantity,
+  session = null,
+  variantId = null,
+) => {
+  const product = await Product.findOneAndUpdate(
+    variantId
+      ? {
+          _id: productId,
+          status: "ACTIVE",
+          variants: {
+            $elemMatch: { _id: variantId, stock: { $gte: quantity } },
+          },
+        }
+      : {
+          _id: productId,
+          status: "ACTIVE",
+          stock: { $gte: quantity },
+          "variants.0": { $exists: false },
+        },
+    variantId
+      ? { $inc: { "variants.$.stock": -quantity, stock: -quantity } }
+      : { $inc: { stock: -quantity } },
+    { new: true, session },
+  );
+
+  if (product) return product;
+
+  const existing = await Product.findById(productId)
+    .select("title price stock status options variants")
+    .session(session);
+
+  if (!existing) {
+    throw inventoryError(`Product with ID ${productId} not found`, 404);
+  }
+
+  if (existing.status !== "ACTIVE") {
+    throw inventoryError(`${existing.title} is no longer available`, 400);
+  }
+
+  const offer = requireOffer(existing, variantId);
+  const name = offer.label
+    ? `${existing.title} (${offer.label})`
+    : existing.title;
+  throw inventoryError(
+    `Insufficient stock for ${name} (only ${offer.stock} available)`,
+    400,
+  );
+};
+
+/**
+ * Return the units of every order line to stock
+ * @description Units of a variant that has since been removed (or of a plain
+ *              product that has since gained variants) can't go back to a
+ *              variant; they are added to the product's total `stock` instead
+ *              and a warning is logged so an admin can assign them to a
+ *              variant. Units of deleted products are dropped.
+ * @param {Array<{ product: ObjectId, variantId?: ObjectId|null, quantity: number }>} items - Order lines
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<void>}
+ */
+const releaseStock = async (items, session = null) => {
+  for (const item of items) {
+    const productId = item.product?._id || item.product;
+    const restocked = await Product.updateOne(
+      item.variantId
+        ? { _id: productId, "variants._id": item.variantId }
+        : { _id: productId, "variants.0": { $exists: false } },
+      item.variantId
+        ? { $inc: { "variants.$.stock": item.quantity, stock: item.quantity } }
+        : { $inc: { stock: item.quantity } },
+      { session },
+    );
+    if (restocked.matchedCount > 0) continue;
+
+    const kept = await Product.updateOne(
+      { _id: productId },
+      { $inc: { stock: item.quantity } },
+      { session },
+    );
+    if (kept.matchedCount > 0) {
+      console.warn(
+        `Restocked ${item.quantity} units of product ${productId} without a variant (${item.variantId ? "variant removed" : "product now has variants"}) – assign them to a variant`,
+      );
+    }
+  }
+};
+
+module.exports = {
+  inventoryError,
+  reserveStock,
+  releaseStock,
+};
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview Order invoices
+ * @module services/invoiceService
+ * @description Issues sequential invoice numbers, renders the branded PDF
+ *              invoice for an order and signs short-lived download links
+ *              (for clients that cannot send an Authorization header, such as
+ *              the mobile app opening the PDF in the browser).
+ */
+
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const PDFDocument = require("pdfkit");
+const Counter = require("../../models/counter-model/counter.model");
+const Order = require("../../models/order-model/order.model");
+const {
+  getOrderTotals,
+} = require("../../helpers/order-helper/order-totals.helper");
+
+const BRAND_COLOR = "#E32264";
+const TEXT_COLOR = "#333333";
+const MUTED_COLOR = "#777777";
+
+/**
+ * Lifetime of a signed invoice download link
+ * @type {string}
+ */
+const INVOICE_LINK_TTL = "10m";
+
+/**
+ * Issue the next invoice number ("INV-000042")
+ * @description Runs inside the caller's transaction, so an aborted payment
+ *              capture also rolls back its number and the sequence has no gaps.
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<string>}
+ */
+const nextInvoiceNumber = async (session = null) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: "invoice" },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  );
+
+  return `INV-${String(counter.seq).padStart(6, "0")}`;
+};
+
+/**
+ * Give an order its invoice number unless it already has one
+ * @description Called when the payment is captured, inside the same
+ *              transaction – checkout itself never takes the invoice counter.
+ * @param {ObjectId|string} orderId
+ * @param {import('mongoose').ClientSession} session
+ * @returns {Promise<string>}
+ */
+const assignInvoiceNumber = async (orderId, session) => {
+  const current = await Order.findById(orderId)
+    .select("invoiceNumber")
+    .session(session);
+
+  if (current.invoiceNumber) return current.invoiceNumber;
+
+  const invoiceNumber = await nextInvoiceNumber(session);
+  await Order.updateOne(
+    { _id: orderId },
+    { $set: { invoiceNumber } },
+    { session },
+  );
+
+  return invoiceNumber;
+};
+
+/**
+ * Make sure an order has an invoice number (unpaid orders, and orders placed
+ * before invoicing, get one the first time their invoice is requested)
+ * @param {import('mongoose').Document} order - Mutated with the number
+ * @returns {Promise<string>}
+ */
+const ensureInvoiceNumber = async (order) => {
+  if (order.invoiceNumber) return order.invoiceNumber;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      order.invoiceNumber = await assignInvoiceNumber(order._id, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return order.invoiceNumber;
+};
+
+/**
+ * Standard PDF fonts only cover Latin-1 – drop anything else (emoji flags etc.)
+ * @param {*} text
+ * @returns {string}
+ */
+const pdfText = (text) =>
+  String(text ?? "")
+    .replace(/[^\n\x20-\x7E\xA0-\xFF–—•]/g, "")
+    .trim();
+
+/**
+ * @param {number} amount
+ * @returns {string}
+ */
+const formatMoney = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+/**
+ * Render the invoice PDF for an order
+ * @param {import('mongoose').Document} order - Needs an invoice number,
+ *        populated `items.product` (title) and `user` (userName, email, phone)
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (order) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: {
+        Title: `Invoice ${order.invoiceNumber}`,
+        Author: "NIDRIP",
+      },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const totals = getOrderTotals(order);
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    // ── Header ──────────────────────────────────────────
+    doc
+      .fillColor(BRAND_COLOR)
+      .font("Helvetica-Bold")
+      .fontSize(26)
+      .text("NIDRIP", left, 50);
+    doc
+      .fillColor(MUTED_COLOR)
+      .font("Helvetica")
+      .fontSize(9)
+      .text("Electronics you can trust", left, 80)
+      .text(process.env.EMAIL_USER || "support@nidrip.com", left, 92);
+
+    doc
+      .fillColor(TEXT_COLOR)
+      .font("Helvetica-Bold")
+      .fontSize(18)
+      .text("INVOICE", left, 50, { align: "right" });
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(`Invoice No: ${order.invoiceNumber}`, left, 74, { align: "right" })
+      .text(
+        `Order: #${order._id.toString().slice(-6).toUpperCase()}`,
+        left,
+        86,
+        { align: "right" },
+      )
+      .text(`Date: ${formatDate(order.createdAt)}`, left, 98, {
+        align: "right",
+      });
+
+    doc
+      .moveTo(left, 120)
+      .lineTo(right, 120)
+      .strokeColor(BRAND_COLOR)
+      .lineWidth(1.5)
+      .stroke();
+
+    // ── Customer & payment ──────────────────────────────
+    doc
+      .fillColor(BRAND_COLOR)
+      .font("Helvetica-Bold")
+      .fontSize(10)
+      .text("BILL TO", left, 135)
+      .text("PAYMENT", 350, 135);
+
+    doc
+      .fillColor(TEXT_COLOR)
+      .font("Helvetica")
+      .fontSize(10)
+      .text(pdfText(order.user?.userName) || "Customer", left, 150, {
+        width: 280,
+      })
+      .text(pdfText(order.user?.email), { width: 280 })
+      .text(pdfText(order.user?.phone), { width: 280 })
+      .text(pdfText(order.shippingAddress), { width: 280 });
+    const customerBottom = doc.y;
+
+    doc
+      .text(order.paymentMethod.replace(/_/g, " "), 350, 150)
+      .text(`Status: ${order.paymentStatus}`, 350)
+      .text(
+        order.payment?.paidAt
+          ? `Paid: ${formatDate(order.payment.paidAt)}`
+          : "",
+        350,
+      );
+
+    // ── Items table ─────────────────────────────────────
+    const columns = [
+      { label: "Item", x: left, width: 220, align: "left" },
+      { label: "Qty", x: 275, width: 40, align: "right" },
+      { label: "Unit Price", x: 320, width: 70, align: "right" },
+      { label: "Tax", x: 395, width: 70, align: "right" },
+      { label: "Amount", x: 470, width: right - 470, align: "right" },
+    ];
+
+    let y = Math.max(customerBottom, doc.y) + 25;
+    doc.rect(left, y - 6, right - left, 22).fill("#F6F6F6");
+    doc.fillColor(TEXT_COLOR).font("Helvetica-Bold").fontSize(9);
+    columns.forEach((col) =>
+      doc.text(col.label, col.x, y, { width: col.width, align: col.align }),
+    );
+    y += 24;
+
+    doc.font("Helvetica").fontSize(9);
+    order.items.forEach((item) => {
+      if (y > doc.page.height - 200) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+
+      const title = [
+        pdfText(item.product?.title) || "Product",
+        item.variantLabel && pdfText(item.variantLabel),
+        item.sku && `SKU ${pdfText(item.sku)}`,
+      ]
+        .filter(Boolean)
+        .join("\n");
+      const rowHeight = Math.max(
+        doc.heightOfString(title, { width: columns[0].width }),
+        12,
+      );
+      const cells = [
+        title,
+        String(item.quantity),
+        formatMoney(item.priceAtPurchase),
+        item.taxAmount
+          ? `${formatMoney(item.taxAmount)} (${item.taxRate}%)`
+          : "—",
+        formatMoney(item.priceAtPurchase * item.quantity),
+      ];
+
+      cells.forEach((cell, index) =>
+        doc.text(cell, columns[index].x, y, {
+          width: columns[index].width,
+          align: columns[index].align,
+        }),
+      );
+
+      y += rowHeight + 10;
+      doc
+        .moveTo(left, y - 5)
+        .lineTo(right, y - 5)
+        .strokeColor("#EEEEEE")
+        .lineWidth(0.5)
+        .stroke();
+    });
+
+    // ── Totals ──────────────────────────────────────────
+    const totalRows = [["Subtotal", formatMoney(totals.subtotal)]];
+    (order.discounts || []).forEach((discount) =>
+      totalRows.push([
+        `Discount (${pdfText(discount.code)})`,
+        `-${formatMoney(discount.amount)}`,
+      ]),
+    );
+    totalRows.push([
+      `Tax${order.taxRegion ? ` (${pdfText(order.taxRegion)})` : ""}`,
+      formatMoney(totals.tax),
+    ]);
+    totalRows.push([
+      `Shipping${order.shippingZone ? ` (${pdfText(order.shippingZone)})` : ""}`,
+      formatMoney(totals.shipping),
+    ]);
+
+    y += 10;
+    doc.fontSize(10);
+    totalRows.forEach(([label, value]) => {
+      doc
+        .fillColor(MUTED_COLOR)
+        .text(label, 300, y, { width: 160, align: "right" });
+      doc
+        .fillColor(TEXT_COLOR)
+        .text(value, 470, y, { width: right - 470, align: "right" });
+      y += 16;
+    });
+
+    doc
+      .moveTo(300, y + 2)
+      .lineTo(right, y + 2)
+      .strokeColor(BRAND_COLOR)
+      .lineWidth(1)
+      .stroke();
+    y += 10;
+    doc
+      .fillColor(BRAND_COLOR)
+      .font("Helvetica-Bold")
+      .fontSize(12)
+      .text("Total", 300, y, { width: 160, align: "right" })
+      .text(formatMoney(totals.grandTotal), 470, y, {
+        width: right - 470,
+        align: "right",
+      });
+
+    if (order.refundedAmount > 0) {
+      doc
+        .fillColor(MUTED_COLOR)
+        .font("Helvetica")
+        .fontSize(9)
+        .text(`Refunded: ${formatMoney(order.refundedAmount)}`, 300, y + 20, {
+          width: right - 300,
+          align: "right",
+        });
+    }
+
+    // ── Footer ──────────────────────────────────────────
+    doc
+      .fillColor(MUTED_COLOR)
+      .font("Helvetica")
+      .fontSize(8)
+      .text(
+        "Thank you for shopping with NIDRIP. Please keep this invoice as proof of purchase for warranty claims.",
+        left,
+        doc.page.height - 90,
+        { width: right - left, align: "center" },
+      );
+
+    doc.end();
+  });
+
+/**
+ * Sign a short-lived link token for downloading one order's invoice
+ * @param {string} orderId
+ * @returns {string}
+ */
+const createInvoiceLinkToken = (orderId) =>
+  jwt.sign(
+    { orderId: orderId.toString(), purpose: "invoice" },
+    process.env.JWT_SECRET,
+    {
+      algorithm: "HS256",
+      expiresIn: INVOICE_LINK_TTL,
+    },
+  );
+
+/**
+ * Verify an invoice link token
+ * @param {string} token
+ * @returns {string|null} The order id it grants access to
+ */
+const verifyInvoiceLinkToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      algorithms: ["HS256"],
+    });
+    return decoded.purpose === "invoice" ? decoded.orderId : null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  INVOICE_LINK_TTL,
+  nextInvoiceNumber,
+  assignInvoiceNumber,
+  ensureInvoiceNumber,
+  renderInvoicePdf,
+  createInvoiceLinkToken,
+  verifyInvoiceLinkToken,
+};
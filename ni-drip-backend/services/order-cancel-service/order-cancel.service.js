@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Order cancellation
+ * @module services/orderCancelService
+ * @description One cancellation path for customers, SuperAdmins and the
+ *              auto-cancel job. The order is claimed with a conditional status
+ *              write before anything else happens, so concurrent cancellations
+ *              can't both pass the status check – stock and the coupon
+ *              redemption are released exactly once.
+ *
+ *              Card payments are settled with the provider only after the
+ *              cancellation has committed: a provider call can't be rolled back,
+ *              so it never runs inside a transaction that may still abort or be
+ *              retried. A settlement that fails is retried by the
+ *              settle-cancelled-payments job.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const { releaseStock } = require("../inventory-service/inventory.service");
+const { releaseCoupon } = require("../coupon-service/coupon.service");
+const {
+  settleCancelledPayment,
+} = require("../payment-service/payment.service");
+const {
+  buildStatusHistoryEntry,
+} = require("../../helpers/order-helper/order-status.helper");
+
+/**
+ * Payment statuses of a cancelled card order whose intent still has to be
+ * cancelled or refunded with the provider
+ * @type {string[]}
+ */
+const UNSETTLED_PAYMENT_STATUSES = ["PENDING", "FAILED", "PAID"];
+
+/**
+ * Whether cancelling the order involves a call to the payment provider
+ * @param {import('mongoose').Document} order
+ * @returns {boolean}
+ */
+const needsProviderSettlement = (order) =>
+  order.paymentMethod === "DEBIT_CARD" &&
+  Boolean(order.payment?.intentId) &&
+  UNSETTLED_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+/**
+ * Settle the card payment of a cancelled order with the provider
+ * @description Runs outside any transaction. The refund is keyed
+ *              `cancel_<orderId>` and cancelling an intent is idempotent, so a
+ *              retry after a partial failure never pays out twice. The result
+ *              is written only if the payment status is still the one settled,
+ *              so a concurrent settlement is not recorded twice.
+ * @param {import('mongoose').Document} order - Cancelled order, mutated with the result
+ * @returns {Promise<import('mongoose').Document>}
+ * @throws {Error} 502 if the provider call fails (the order stays unsettled)
+ */
+const settleCancelledOrderPayment = async (order) => {
+  if (!needsProviderSettlement(order)) return order;
+
+  const fromPaymentStatus = order.paymentStatus;
+  await settleCancelledPayment(order);
+
+  const result = await Order.updateOne(
+    { _id: order._id, status: "CANCELLED", paymentStatus: fromPaymentStatus },
+    {
+      $set: {
+        paymentStatus: order.paymentStatus,
+        refundedAmount: order.refundedAmount,
+        "payment.refunds": order.payment.refunds,
+      },
+    },
+  );
+
+  if (result.modifiedCount) {
+    await User.updateOne(
+      { _id: order.user, "orders.orderId": order._id },
+      { $set: { "orders.$.paymentStatus": order.paymentStatus } },
+    );
+  }
+
+  return order;
+};
+
+/**
+ * Cancel an order
+ * @description Runs in a transaction that starts by moving the order to
+ *              CANCELLED only if it is still in one of `fromStatuses`. A
+ *              concurrent cancellation (or a retried transaction) that loses
+ *              the claim changes nothing and gets null back. The claimed order
+ *              then has stock and coupon released, the transition recorded and
+ *              `User.orders` synced. Once that has committed, a card payment is
+ *              cancelled or refunded; if the provider fails the order stays
+ *              cancelled and the payment is left for the retry job.
+ * @param {Object} params
+ * @param {ObjectId|string} params.orderId
+ * @param {string[]} params.fromStatuses - Statuses the order may be cancelled from
+ * @param {Object} [params.filter]       - Extra conditions, e.g. `{ paymentStatus: { $ne: "PAID" } }`
+ * @param {Object|null} params.actor     - `req.user`, or null for system cancellations
+ * @param {string} [params.reason]       - Stored with the status transition
+ * @param {Object} [params.fields]       - Extra fields set on the order
+ * @returns {Promise<import('mongoose').Document|null>} Cancelled order, or null if it could not be claimed
+ */
+const claimAndCancelOrder = async ({
+  orderId,
+  fromStatuses,
+  filter = {},
+  actor,
+  reason,
+  fields = {},
+}) => {
+  const session = await mongoose.startSession();
+  let cancelled = null;
+
+  try {
+    await session.withTransaction(async () => {
+      cancelled = null;
+
+      const order = await Order.findOneAndUpdate(
+        { ...filter, _id: orderId, status: { $in: fromStatuses } },
+        { $set: { status: "CANCELLED" } },
+        { new: true, session },
+      );
+      if (!order) return;
+
+      // Orders without a card intent settle without calling the provider
+      if (!needsProviderSettlement(order)) {
+        await settleCancelledPayment(order);
+      }
+
+      await releaseStock(order.items, session);
+      await releaseCoupon(order._id, session);
+
+      Object.assign(order, fields);
+      order.statusHistory.push(
+        buildStatusHistoryEntry("CANCELLED", actor, reason),
+      );
+      await order.save({ session });
+
+      await User.updateOne(
+        { _id: order.user, "orders.orderId": order._id },
+        {
+          $set: {
+            "orders.$.status": "CANCELLED",
+            "orders.$.paymentStatus": order.paymentStatus,
+          },
+        },
+        { session },
+      );
+
+      cancelled = order;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (!cancelled) return null;
+
+  // Detach from the ended session so callers can keep using the document
+  cancelled.$session(null);
+
+  try {
+    await settleCancelledOrderPayment(cancelled);
+  } catch (error) {
+    console.error(
+      `Settle payment of cancelled order ${cancelled._id} error:`,
+      error.message,
+    );
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  UNSETTLED_PAYMENT_STATUSES,
+  settleCancelledOrderPayment,
+  claimAndCancelOrder,
+};
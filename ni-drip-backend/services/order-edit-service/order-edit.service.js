@@ -0,0 +1,442 @@
+/**
+ * @fileoverview Admin order edits before fulfillment
+ * @module services/orderEditService
+ * @description PENDING and PROCESSING orders can have lines added, removed or
+ *              re-quantified and their shipping address changed. Stock moves by
+ *              the difference only, and shipping, coupons, tax and totals are
+ *              re-priced – all in one transaction. Every edit is recorded in
+ *              `Order.editHistory`.
+ *
+ *              A card refund for a lowered total is only recorded as PENDING in
+ *              that transaction and issued once it has committed, keyed by the
+ *              edit's id – an aborted or retried edit never pays out, and no two
+ *              edits share a key. Refunds that fail are retried by the
+ *              issue-edit-refunds job.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const Product = require("../../models/product-model/product.model");
+const Coupon = require("../../models/coupon-model/coupon.model");
+const {
+  reserveStock,
+  releaseStock,
+} = require("../inventory-service/inventory.service");
+const { quoteShipping } = require("../shipping-service/shipping.service");
+const { calculateTax } = require("../tax-service/tax.service");
+const {
+  calculateDiscount,
+  releaseCoupon,
+} = require("../coupon-service/coupon.service");
+const { refundPayment } = require("../payment-service/payment.service");
+const {
+  roundCurrency,
+  buildOrderTotals,
+} = require("../../helpers/order-helper/order-totals.helper");
+const {
+  getOffer,
+  lineKey,
+  sameVariant,
+} = require("../../helpers/product-helper/variant.helper");
+
+/**
+ * Order statuses that can still be edited
+ * @type {string[]}
+ */
+const EDITABLE_STATUSES = ["PENDING", "PROCESSING"];
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const orderEditError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Validate the requested line changes
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} items
+ * @returns {Map<string, { productId: string, variantId: string|null, quantity: number }>}
+ *          Keyed by product and variant; quantity 0 removes the line
+ * @throws {Error} 400 for malformed lines
+ */
+const parseLineChanges = (items) => {
+  if (!Array.isArray(items)) {
+    throw orderEditError(
+      "items must be an array of { productId, variantId?, quantity }",
+      400,
+    );
+  }
+
+  const changes = new Map();
+
+  items.forEach(({ productId, variantId, quantity }) => {
+    if (!mongoose.isValidObjectId(productId)) {
+      throw orderEditError("Invalid product ID", 400);
+    }
+    if (variantId && !mongoose.isValidObjectId(variantId)) {
+      throw orderEditError("Invalid variant ID", 400);
+    }
+
+    const units = Number(quantity);
+    if (!Number.isInteger(units) || units < 0) {
+      throw orderEditError(
+        "Quantities must be whole numbers (0 removes the line)",
+        400,
+      );
+    }
+
+    const key = lineKey(productId, variantId);
+    if (changes.has(key)) {
+      throw orderEditError(
+        "Each product (or variant) can be listed only once",
+        400,
+      );
+    }
+    changes.set(key, {
+      productId: String(productId),
+      variantId: variantId ? String(variantId) : null,
+      quantity: units,
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Issue the pending card refund of one edit
+ * @description Runs outside any transaction. The provider refund is keyed
+ *              `edit_<editId>`, so retrying after a failure never refunds twice,
+ *              and the edit is marked ISSUED only while it is still PENDING.
+ * @param {import('mongoose').Document} order - Mutated with the refund
+ * @param {ObjectId|string} editId
+ * @returns {Promise<Object|null>} Refund record, or null if nothing was pending
+ * @throws {Error} 502 if the provider rejects the refund (the edit stays PENDING)
+ */
+const issueEditRefund = async (order, editId) => {
+  const edit = order.editHistory.id(editId);
+  if (edit?.refundStatus !== "PENDING") return null;
+
+  const refund = await refundPayment(
+    order,
+    edit.refundAmount,
+    `edit_${edit._id}`,
+  );
+  if (!refund) return null;
+
+  const result = await Order.updateOne(
+    {
+      _id: order._id,
+      editHistory: { $elemMatch: { _id: edit._id, refundStatus: "PENDING" } },
+    },
+    {
+      $set: {
+        "editHistory.$.refundStatus": "ISSUED",
+        "editHistory.$.refundId": refund.refundId,
+      },
+      $push: { "payment.refunds": refund },
+    },
+  );
+
+  if (result.modifiedCount) {
+    edit.refundStatus = "ISSUED";
+    edit.refundId = refund.refundId;
+    order.payment.refunds.push(refund);
+  }
+
+  return refund;
+};
+
+/**
+ * Edit a PENDING / PROCESSING order (SuperAdmin)
+ * @description Lines not listed in `items` stay as they are. Kept lines keep
+ *              their purchase price; added lines are priced at today's price
+ *              (of their variant, for products with variants).
+ *              A coupon that no longer applies is removed and its redemption
+ *              released. Paid card orders are refunded the difference when the
+ *              total drops (after the edit commits; if the provider fails the
+ *              edit stands and the refund stays PENDING for the retry job);
+ *              card orders cannot have their total raised.
+ * @param {Object} params
+ * @param {string} params.orderId
+ * @param {Array<{ productId: string, variantId?: string, quantity: number }>} [params.items] - Lines to add / change / remove
+ * @param {string} [params.shippingAddress]
+ * @param {{ id: string }} params.actor - SuperAdmin making the edit
+ * @param {string} [params.note]        - Reason, stored in the audit trail
+ * @returns {Promise<{ order: import('mongoose').Document, edit: Object }>}
+ * @throws {Error} 404 / 400 with `statusCode`
+ */
+const editOrder = async ({ orderId, items, shippingAddress, actor, note }) => {
+  const lineChanges = items === undefined ? new Map() : parseLineChanges(items);
+
+  const newAddress =
+    shippingAddress === undefined ? null : String(shippingAddress).trim();
+  if (shippingAddress !== undefined && !newAddress) {
+    throw orderEditError("Shipping address cannot be empty", 400);
+  }
+
+  const session = await mongoose.startSession();
+  let order;
+  let edit;
+
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+      if (!order) throw orderEditError("Order not found", 404);
+
+      if (!EDITABLE_STATUSES.includes(order.status)) {
+        throw orderEditError(
+          `Only PENDING or PROCESSING orders can be edited (order is ${order.status})`,
+          400,
+        );
+      }
+
+      const user = await User.findById(order.user).session(session);
+      if (!user) throw orderEditError("Customer not found", 404);
+
+      const productIds = [
+        ...new Set([
+          ...order.items.map((item) => item.product.toString()),
+          ...[...lineChanges.values()].map((change) => change.productId),
+        ]),
+      ];
+      const products = await Product.find({ _id: { $in: productIds } })
+        .select("title price category categories weight options variants")
+        .session(session);
+      const productById = new Map(
+        products.map((product) => [product._id.toString(), product]),
+      );
+
+      const changes = [];
+      const previousTotal = order.totalAmount;
+
+      // Only the difference moves stock; a failed reservation aborts the edit
+      for (const { productId, variantId, quantity } of lineChanges.values()) {
+        const line = order.items.find(
+          (item) =>
+            item.product.toString() === productId &&
+            sameVariant(item, variantId),
+        );
+        const current = line?.quantity || 0;
+        if (quantity === current) continue;
+
+        if (quantity > current) {
+          await reserveStock(productId, quantity - current, session, variantId);
+        } else {
+          await releaseStock(
+            [{ product: productId, variantId, quantity: current - quantity }],
+            session,
+          );
+        }
+
+        const product = productById.get(productId);
+        // Reserved above, so a new line's product and variant exist
+        const offer = line ? null : getOffer(product, variantId);
+        const variantLabel = line?.variantLabel || offer?.label || "";
+        const title = product?.title || "Deleted product";
+        const label = variantLabel ? `${title} (${variantLabel})` : title;
+
+        if (!line) {
+          order.items.push({
+            product: productId,
+            variantId,
+            sku: offer.sku,
+            variantLabel,
+            quantity,
+            priceAtPurchase: offer.price,
+          });
+          changes.push({
+            action: "ITEM_ADDED",
+            product: productId,
+            label,
+            to: String(quantity),
+          });
+        } else if (quantity === 0) {
+          order.items.pull(line._id);
+          changes.push({
+            action: "ITEM_REMOVED",
+            product: productId,
+            label,
+            from: String(current),
+          });
+        } else {
+          line.quantity = quantity;
+          changes.push({
+            action: "QUANTITY_CHANGED",
+            product: productId,
+            label,
+            from: String(current),
+            to: String(quantity),
+          });
+        }
+      }
+
+      if (order.items.length === 0) {
+        throw orderEditError(
+          "An order needs at least one item – cancel it instead",
+          400,
+        );
+      }
+
+      if (newAddress && newAddress !== order.shippingAddress) {
+        changes.push({
+          action: "ADDRESS_CHANGED",
+          label: "Shipping address",
+          from: order.shippingAddress,
+          to: newAddress,
+        });
+        order.shippingAddress = newAddress;
+      }
+
+      if (changes.length === 0) {
+        throw orderEditError("Nothing to change", 400);
+      }
+
+      // Priced like checkout, but at each line's purchase price
+      const lines = order.items.map((item) => {
+        const product = productById.get(item.product.toString());
+        return {
+          product: {
+            ...(product ? product.toObject() : { _id: item.product }),
+            price: item.priceAtPurchase,
+          },
+          quantity: item.quantity,
+        };
+      });
+
+      const shipping = await quoteShipping({
+        user,
+        lines,
+        shippingAddress: order.shippingAddress,
+      });
+
+      const discounts = [];
+      for (const discount of order.discounts) {
+        const coupon =
+          discount.coupon &&
+          (await Coupon.findById(discount.coupon).session(session));
+
+        // Deleted coupons keep the discount given at checkout
+        if (!coupon) {
+          discounts.push(discount.toObject());
+          continue;
+        }
+
+        try {
+          discounts.push(
+            await calculateDiscount(coupon, lines, shipping.cost, session),
+          );
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          await releaseCoupon(order._id, session);
+          changes.push({
+            action: "COUPON_REMOVED",
+            label: discount.code,
+            from: `-$${discount.amount}`,
+          });
+        }
+      }
+
+      const discountTotal = discounts.reduce(
+        (sum, discount) => sum + discount.amount,
+        0,
+      );
+
+      const tax = await calculateTax({
+        user,
+        lines,
+        shippingAddress: order.shippingAddress,
+        merchandiseDiscount: discounts
+          .filter((discount) => discount.type !== "FREE_SHIPPING")
+          .reduce((sum, discount) => sum + discount.amount, 0),
+        session,
+      });
+      order.items.forEach((item, index) => {
+        item.discountAmount = tax.lines[index].discount;
+        item.taxRate = tax.lines[index].rate;
+        item.taxAmount = tax.lines[index].amount;
+      });
+
+      const totals = buildOrderTotals({
+        subtotal: lines.reduce(
+          (sum, line) => sum + line.product.price * line.quantity,
+          0,
+        ),
+        discount: discountTotal,
+        tax: tax.total,
+        shipping: shipping.cost,
+      });
+
+      let refundAmount = 0;
+      const difference = roundCurrency(totals.grandTotal - previousTotal);
+
+      if (
+        difference !== 0 &&
+        order.paymentMethod === "DEBIT_CARD" &&
+        order.payment?.intentId
+      ) {
+        if (order.paymentStatus !== "PAID") {
+          throw orderEditError(
+            "The customer's card payment is for the current total – this edit would change it",
+            400,
+          );
+        }
+        if (difference > 0) {
+          throw orderEditError(
+            `This card order is already paid – edits cannot raise its total (by $${difference})`,
+            400,
+          );
+        }
+
+        // Issued after commit – a provider call can't be rolled back
+        refundAmount = -difference;
+      }
+
+      order.discounts = discounts;
+      order.shippingCost = shipping.cost;
+      order.shippingZone = shipping.zone.name;
+      order.taxRegion = tax.region || "";
+      order.totals = totals;
+      order.totalAmount = totals.grandTotal;
+
+      edit = {
+        _id: new mongoose.Types.ObjectId(),
+        editedBy: actor.id,
+        editedAt: new Date(),
+        note: note?.trim() || "",
+        changes,
+        previousTotal,
+        newTotal: totals.grandTotal,
+        refundAmount,
+        refundStatus: refundAmount > 0 ? "PENDING" : "NONE",
+      };
+      order.editHistory.push(edit);
+
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Detach from the ended session so the refund can update the document
+  order.$session(null);
+  edit = order.editHistory.id(edit._id);
+
+  try {
+    await issueEditRefund(order, edit._id);
+  } catch (error) {
+    console.error(`Edit refund for order ${order._id} error:`, error.message);
+  }
+
+  return { order, edit };
+};
+
+module.exports = {
+  issueEditRefund,
+  editOrder,
+};
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Payment provider layer
+ * @module services/paymentService
+ * @description Resolves the configured provider adapter and wraps it with the
+ *              order-level operations controllers need. Every adapter exposes
+ *              the same interface:
+ *              `createIntent`, `captureIntent`, `cancelIntent`, `refund`, `parseWebhook`.
+ *
+ *              The provider is chosen by `PAYMENT_PROVIDER` ("card" | "fake"),
+ *              which must be set explicitly. Leaving it unset disables card
+ *              payments (cash-on-delivery-only deployments): card checkout and
+ *              the payment routes answer 503. When it is set, the fake provider
+ *              is refused in production and `PAYMENT_WEBHOOK_SECRET` is
+ *              required – webhook signatures are never checked against a
+ *              default secret.
+ */
+
+/**
+ * Currency every intent is created in
+ * @type {string}
+ */
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "usd";
+
+/**
+ * Available adapters, loaded lazily so the card adapter's env is only
+ * required when it is actually selected
+ * @type {Object<string, () => Object>}
+ */
+const PROVIDERS = {
+  card: () => require("./providers/card.provider"),
+  fake: () => require("./providers/fake.provider"),
+};
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const paymentError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Resolve the configured payment provider adapter
+ * @param {string} [name] - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {Object} Provider adapter
+ * @throws {Error} If no provider is configured, it is unknown, or it is the
+ *                 fake provider in production
+ */
+const getPaymentProvider = (name) => {
+  const providerName = name || process.env.PAYMENT_PROVIDER;
+
+  if (!providerName) {
+    throw new Error("PAYMENT_PROVIDER is not set");
+  }
+
+  if (!PROVIDERS[providerName]) {
+    throw new Error(`Unknown payment provider: ${providerName}`);
+  }
+
+  if (providerName === "fake" && process.env.NODE_ENV === "production") {
+    throw new Error("The fake payment provider cannot be used in production");
+  }
+
+  return PROVIDERS[providerName]();
+};
+
+/**
+ * Whether card payments are enabled on this deployment
+ * @returns {boolean}
+ */
+const isCardPaymentEnabled = () => Boolean(process.env.PAYMENT_PROVIDER);
+
+/**
+ * Check the payment configuration at startup
+ * @description Called before the server starts listening. Only deployments
+ *              that enable card payments are checked: they fail immediately
+ *              with an unknown or unsafe provider or a missing webhook secret,
+ *              instead of accepting forged webhooks.
+ * @throws {Error} If card payments are enabled but misconfigured
+ */
+const assertPaymentConfig = () => {
+  if (!isCardPaymentEnabled()) return;
+
+  getPaymentProvider();
+
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error("PAYMENT_WEBHOOK_SECRET is not set");
+  }
+};
+
+/**
+ * Create a payment intent for a new order
+ * @description Keyed by the order id, so retrying (e.g. a retried transaction)
+ *              returns the same intent instead of creating another.
+ * @param {{ orderId: string, amount: number }} params
+ * @returns {Promise<{ provider: string, intentId: string, clientSecret: string }>}
+ * @throws {Error} 502 if the provider rejects the request
+ */
+const createPaymentIntent = async ({ orderId, amount }) => {
+  const provider = getPaymentProvider();
+
+  try {
+    const intent = await provider.createIntent({
+      amount,
+      currency: PAYMENT_CURRENCY,
+      orderId: orderId.toString(),
+      idempotencyKey: `order_${orderId}`,
+    });
+
+    return {
+      provider: provider.name,
+      intentId: intent.intentId,
+      clientSecret: intent.clientSecret,
+    };
+  } catch (error) {
+    console.error("Create payment intent error:", error.message);
+    throw paymentError(
+      "Payment could not be initiated. Please try again.",
+      502,
+    );
+  }
+};
+
+/**
+ * Capture an authorized card payment (manual capture mode)
+ * @param {import('mongoose').Document} order
+ * @returns {Promise<{ intentId: string, status: string }>}
+ */
+const capturePayment = async (order) => {
+  if (!order.payment?.intentId) {
+    throw paymentError("Order has no card payment to capture", 400);
+  }
+
+  try {
+    return await getPaymentProvider(order.payment.provider).captureIntent(
+      order.payment.intentId,
+    );
+  } catch (error) {
+    console.error("Capture payment error:", error.message);
+    throw paymentError("Payment could not be captured", 502);
+  }
+};
+
+/**
+ * Refund part of a paid card order
+ * @param {import('mongoose').Document} order
+ * @param {number} amount - Dollar amount to refund
+ * @param {string} idempotencyKey - Stable key for this refund (e.g. the return id)
+ * @returns {Promise<{ refundId: string, amount: number }|null>}
+ *          Refund record for `order.payment.refunds`, or null if the order was
+ *          not paid by card
+ */
+const refundPayment = async (order, amount, idempotencyKey) => {
+  if (
+    order.paymentMethod !== "DEBIT_CARD" ||
+    !order.payment?.intentId ||
+    !["PAID", "REFUNDED"].includes(order.paymentStatus) ||
+    amount <= 0
+  ) {
+    return null;
+  }
+
+  try {
+    const result = await getPaymentProvider(order.payment.provider).refund({
+      intentId: order.payment.intentId,
+      amount,
+      idempotencyKey,
+    });
+
+    return { refundId: result.refundId, amount, createdAt: new Date() };
+  } catch (error) {
+    console.error("Refund payment error:", error.message);
+    throw paymentError(
+      "Refund could not be issued by the payment provider",
+      502,
+    );
+  }
+};
+
+/**
+ * Settle the payment of an order that is being cancelled
+ * @description Paid card orders are refunded in full; unpaid card intents are
+ *              cancelled so they can no longer be confirmed. Sets
+ *              `order.paymentStatus` (and records any refund) on the document;
+ *              the caller saves it.
+ * @param {import('mongoose').Document} order
+ * @returns {Promise<void>}
+ */
+const settleCancelledPayment = async (order) => {
+  if (order.paymentMethod !== "DEBIT_CARD" || !order.payment?.intentId) {
+    order.paymentStatus = "CANCELLED";
+    return;
+  }
+
+  if (order.paymentStatus === "PAID") {
+    const refund = await refundPayment(
+      order,
+      order.totalAmount - (order.refundedAmount || 0),
+      `cancel_${order._id}`,
+    );
+
+    if (refund) {
+      order.payment.refunds.push(refund);
+      order.refundedAmount = (order.refundedAmount || 0) + refund.amount;
+    }
+    order.paymentStatus = "REFUNDED";
+    return;
+  }
+
+  try {
+    await getPaymentProvider(order.payment.provider).cancelIntent(
+      order.payment.intentId,
+    );
+  } catch (error) {
+    console.error("Cancel payment intent error:", error.message);
+    throw paymentError("Payment could not be cancelled", 502);
+  }
+
+  order.paymentStatus = "CANCELLED";
+};
+
+module.exports = {
+  paymentError,
+  getPaymentProvider,
+  isCardPaymentEnabled,
+  assertPaymentConfig,
+  createPaymentIntent,
+  capturePayment,
+  refundPayment,
+  settleCancelledPayment,
+};
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Card payment provider adapter
+ * @module services/paymentService/providers/cardProvider
+ * @description Talks to the card gateway's REST API. Amounts are sent in minor
+ *              units (cents) and every mutating call carries an
+ *              `Idempotency-Key`, so retried requests never charge twice.
+ *
+ * Required env:
+ * - PAYMENT_CARD_API_URL     – gateway base URL
+ * - PAYMENT_CARD_SECRET_KEY  – server-side API key
+ * - PAYMENT_WEBHOOK_SECRET   – secret used to sign webhook payloads
+ */
+
+const axios = require("axios");
+const {
+  verifySignature,
+} = require("../../../helpers/webhook-helper/webhook-signature.helper");
+
+/**
+ * Gateway event type → normalized event type
+ * @type {Object<string, string>}
+ */
+const EVENT_TYPES = {
+  "payment_intent.succeeded": "payment.succeeded",
+  "payment_intent.payment_failed": "payment.failed",
+};
+
+/**
+ * Header carrying the gateway's webhook signature
+ * @type {string}
+ */
+const SIGNATURE_HEADER = "x-payment-signature";
+
+const client = axios.create({
+  baseURL: process.env.PAYMENT_CARD_API_URL,
+  timeout: 10000,
+  headers: {
+    Authorization: `Bearer ${process.env.PAYMENT_CARD_SECRET_KEY}`,
+    "Content-Type": "application/json",
+  },
+});
+
+/**
+ * Convert a dollar amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+/**
+ * Create a payment intent the app confirms with the card details
+ * @param {{ amount: number, currency: string, orderId: string, idempotencyKey: string }} params
+ * @returns {Promise<{ intentId: string, clientSecret: string, status: string }>}
+ */
+const createIntent = async ({ amount, currency, orderId, idempotencyKey }) => {
+  const { data } = await client.post(
+    "/payment_intents",
+    {
+      amount: toMinorUnits(amount),
+      currency,
+      capture_method: process.env.PAYMENT_CAPTURE_METHOD || "automatic",
+      metadata: { orderId },
+    },
+    { headers: { "Idempotency-Key": idempotencyKey } },
+  );
+
+  return {
+    intentId: data.id,
+    clientSecret: data.client_secret,
+    status: data.status,
+  };
+};
+
+/**
+ * Capture a previously authorized intent (manual capture mode)
+ * @param {string} intentId
+ * @returns {Promise<{ intentId: string, status: string }>}
+ */
+const captureIntent = async (intentId) => {
+  const { data } = await client.post(
+    `/payment_intents/${intentId}/capture`,
+    {},
+    { headers: { "Idempotency-Key": `capture_${intentId}` } },
+  );
+
+  return { intentId: data.id, status: data.status };
+};
+
+/**
+ * Cancel an intent that has not been paid yet
+ * @param {string} intentId
+ * @returns {Promise<{ intentId: string, status: string }>}
+ */
+const cancelIntent = async (intentId) => {
+  const { data } = await client.post(
+    `/payment_intents/${intentId}/cancel`,
+    {},
+    { headers: { "Idempotency-Key": `cancel_${intentId}` } },
+  );
+
+  return { intentId: data.id, status: data.status };
+};
+
+/**
+ * Refund all or part of a paid intent
+ * @param {{ intentId: string, amount: number, idempotencyKey: string }} params
+ * @returns {Promise<{ refundId: string, status: string }>}
+ */
+const refund = async ({ intentId, amount, idempotencyKey }) => {
+  const { data } = await client.post(
+    "/refunds",
+    { payment_intent: intentId, amount: toMinorUnits(amount) },
+    { headers: { "Idempotency-Key": idempotencyKey } },
+  );
+
+  return { refundId: data.id, status: data.status };
+};
+
+/**
+ * Verify and normalize a webhook delivery
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {Object} headers - Request headers
+ * @returns {{ id: string, type: string, intentId: string, failureReason: string }|null}
+ *          Normalized event, or null if the signature is invalid
+ */
+const parseWebhook = (rawBody, headers) => {
+  if (
+    !verifySignature(
+      rawBody,
+      headers[SIGNATURE_HEADER],
+      process.env.PAYMENT_WEBHOOK_SECRET,
+    )
+  ) {
+    return null;
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  const intent = event.data?.object || {};
+
+  return {
+    id: event.id,
+    type: EVENT_TYPES[event.type] || event.type,
+    intentId: intent.id,
+    failureReason: intent.last_payment_error?.message || "",
+  };
+};
+
+module.exports = {
+  name: "card",
+  createIntent,
+  captureIntent,
+  cancelIntent,
+  refund,
+  parseWebhook,
+};
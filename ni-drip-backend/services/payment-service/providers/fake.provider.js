@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Local fake payment provider
+ * @module services/paymentService/providers/fakeProvider
+ * @description In-memory stand-in for the card gateway, used in development
+ *              and tests. It never talks to the network; `buildWebhook` produces
+ *              correctly signed deliveries to drive `/api/payment/webhook`.
+ *              Like the card adapter it signs with `PAYMENT_WEBHOOK_SECRET`.
+ */
+
+const crypto = require("crypto");
+const {
+  signPayload,
+  verifySignature,
+} = require("../../../helpers/webhook-helper/webhook-signature.helper");
+
+/**
+ * Header carrying the webhook signature
+ * @type {string}
+ */
+const SIGNATURE_HEADER = "x-payment-signature";
+
+/**
+ * Intents created during this process, keyed by intent id
+ * @type {Map<string, Object>}
+ */
+const intents = new Map();
+
+/**
+ * Idempotency key → intent id
+ * @type {Map<string, string>}
+ */
+const intentKeys = new Map();
+
+/**
+ * Idempotency key → refund already issued for it
+ * @type {Map<string, Object>}
+ */
+const refunds = new Map();
+
+const getSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error("PAYMENT_WEBHOOK_SECRET is not set");
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const randomId = (prefix) =>
+  `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+/**
+ * Fetch an intent or fail like the real gateway would
+ * @param {string} intentId
+ * @returns {Object}
+ */
+const getIntent = (intentId) => {
+  const intent = intents.get(intentId);
+  if (!intent) throw new Error(`No such payment intent: ${intentId}`);
+  return intent;
+};
+
+const createIntent = async ({ amount, currency, orderId, idempotencyKey }) => {
+  const existingId = intentKeys.get(idempotencyKey);
+  const intent = existingId
+    ? intents.get(existingId)
+    : {
+        id: randomId("fake_pi"),
+        clientSecret: randomId("fake_secret"),
+        amount,
+        currency,
+        orderId,
+        status: "requires_payment_method",
+        refunded: 0,
+      };
+
+  intents.set(intent.id, intent);
+  intentKeys.set(idempotencyKey, intent.id);
+
+  return {
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+    status: intent.status,
+  };
+};
+
+const captureIntent = async (intentId) => {
+  const intent = getIntent(intentId);
+  intent.status = "succeeded";
+  return { intentId, status: intent.status };
+};
+
+const cancelIntent = async (intentId) => {
+  const intent = getIntent(intentId);
+  intent.status = "canceled";
+  return { intentId, status: intent.status };
+};
+
+const refund = async ({ intentId, amount, idempotencyKey }) => {
+  if (refunds.has(idempotencyKey)) return refunds.get(idempotencyKey);
+
+  const intent = getIntent(intentId);
+  intent.refunded += Number(amount);
+
+  const result = { refundId: randomId("fake_re"), status: "succeeded" };
+  refunds.set(idempotencyKey, result);
+  return result;
+};
+
+const parseWebhook = (rawBody, headers) => {
+  if (!verifySignature(rawBody, headers[SIGNATURE_HEADER], getSecret())) {
+    return null;
+  }
+
+  const event = JSON.parse(rawBody.toString());
+
+  return {
+    id: event.id,
+    type: event.type,
+    intentId: event.intentId,
+    failureReason: event.failureReason || "",
+  };
+};
+
+/**
+ * Build a signed webhook delivery for an intent
+ * @param {string} intentId
+ * @param {"payment.succeeded"|"payment.failed"} type
+ * @param {string} [failureReason]
+ * @returns {{ body: string, headers: Object }} Raw body and headers to POST
+ */
+const buildWebhook = (intentId, type, failureReason = "") => {
+  const body = JSON.stringify({
+    id: randomId("fake_evt"),
+    type,
+    intentId,
+    failureReason,
+  });
+
+  return {
+    body,
+    headers: {
+      "Content-Type": "application/json",
+      [SIGNATURE_HEADER]: signPayload(body, getSecret()),
+    },
+  };
+};
+
+module.exports = {
+  name: "fake",
+  createIntent,
+  captureIntent,
+  cancelIntent,
+  refund,
+  parseWebhook,
+  buildWebhook,
+};
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Job: auto-cancel stale PENDING orders
+ * @module services/schedulerService/jobs/autoCancelOrders
+ * @description Orders that stay PENDING (never confirmed, never paid) hold
+ *              their stock indefinitely. Once older than
+ *              `ORDER_AUTO_CANCEL_HOURS` they are cancelled the same way a
+ *              customer cancellation works: the payment is settled, stock and
+ *              the coupon redemption are released, `User.orders` is synced and
+ *              the customer is emailed.
+ */
+
+const Order = require("../../../models/order-model/order.model");
+const {
+  claimAndCancelOrder,
+} = require("../../order-cancel-service/order-cancel.service");
+const {
+  sendOrderAutoCancelledEmail,
+} = require("../../../helpers/email-helper/email.helper");
+
+/**
+ * How long an order may stay PENDING before it is cancelled
+ * @type {number}
+ */
+const ORDER_AUTO_CANCEL_HOURS =
+  Number(process.env.ORDER_AUTO_CANCEL_HOURS) || 72;
+
+/**
+ * Most orders cancelled per run; the rest wait for the next tick
+ * @type {number}
+ */
+const BATCH_SIZE = 50;
+
+/**
+ * Cancel one stale order
+ * @description The order is claimed inside the cancellation transaction, so an
+ *              order confirmed, paid or cancelled in the meantime is left
+ *              alone and stock is never released twice.
+ * @param {ObjectId} orderId
+ * @param {string} reason - Stored with the status transition
+ * @returns {Promise<import('mongoose').Document|null>} Cancelled order, or null if skipped
+ */
+const cancelStaleOrder = (orderId, reason) =>
+  claimAndCancelOrder({
+    orderId,
+    fromStatuses: ["PENDING"],
+    filter: { paymentStatus: { $ne: "PAID" } },
+    actor: null,
+    reason,
+  });
+
+/**
+ * Cancel every PENDING, unpaid order older than the cut-off
+ * @returns {Promise<{ found: number, cancelled: number, failed: number }>}
+ */
+const run = async () => {
+  const cutoff = new Date(Date.now() - ORDER_AUTO_CANCEL_HOURS * 3600000);
+  const reason = `Not confirmed within ${ORDER_AUTO_CANCEL_HOURS} hours`;
+
+  const staleOrders = await Order.find({
+    status: "PENDING",
+    paymentStatus: { $ne: "PAID" },
+    createdAt: { $lte: cutoff },
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE)
+    .select("_id");
+
+  let cancelled = 0;
+  let failed = 0;
+
+  for (const { _id } of staleOrders) {
+    try {
+      const order = await cancelStaleOrder(_id, reason);
+      if (!order) continue;
+      cancelled += 1;
+
+      await order.populate([
+        { path: "user", select: "userName email" },
+        { path: "items.product", select: "title" },
+      ]);
+      await sendOrderAutoCancelledEmail(order, ORDER_AUTO_CANCEL_HOURS);
+    } catch (error) {
+      failed += 1;
+      console.error(`Auto-cancel order ${_id} error:`, error.message);
+    }
+  }
+
+  return { found: staleOrders.length, cancelled, failed };
+};
+
+module.exports = {
+  name: "auto-cancel-orders",
+  schedule: process.env.ORDER_AUTO_CANCEL_CRON || "*/15 * * * *",
+  lockTtlMs: 10 * 60 * 1000,
+  run,
+};
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Job: issue pending order-edit refunds
+ * @module services/schedulerService/jobs/issueEditRefunds
+ * @description An edit that lowers a paid card order's total records the
+ *              refund as PENDING and issues it once the edit has committed.
+ *              When that provider call fails (or the process stops in between)
+ *              the refund stays PENDING; this job retries it. Refunds are keyed
+ *              by the edit id, so a retry never refunds twice.
+ */
+
+const Order = require("../../../models/order-model/order.model");
+const {
+  issueEditRefund,
+} = require("../../order-edit-service/order-edit.service");
+
+/**
+ * Most orders processed per run; the rest wait for the next tick
+ * @type {number}
+ */
+const BATCH_SIZE = 50;
+
+/**
+ * Issue every PENDING edit refund
+ * @returns {Promise<{ found: number, issued: number, failed: number }>}
+ */
+const run = async () => {
+  const orders = await Order.find({ "editHistory.refundStatus": "PENDING" })
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let found = 0;
+  let issued = 0;
+  let failed = 0;
+
+  for (const order of orders) {
+    const pending = order.editHistory.filter(
+      (edit) => edit.refundStatus === "PENDING",
+    );
+
+    for (const edit of pending) {
+      found += 1;
+      try {
+        if (await issueEditRefund(order, edit._id)) issued += 1;
+      } catch (error) {
+        failed += 1;
+        console.error(
+          `Edit refund for order ${order._id} error:`,
+          error.message,
+        );
+      }
+    }
+  }
+
+  return { found, issued, failed };
+};
+
+module.exports = {
+  name: "issue-edit-refunds",
+  schedule: process.env.ISSUE_EDIT_REFUNDS_CRON || "*/10 * * * *",
+  lockTtlMs: 10 * 60 * 1000,
+  run,
+};
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Job: purge archived orders past the retention period
+ * @module services/schedulerService/jobs/purgeArchivedOrders
+ * @description The only place orders are deleted permanently. Orders archived
+ *              more than `ORDER_RETENTION_DAYS` ago are removed together with
+ *              their shipments, returns and `User.orders` entry.
+ */
+
+const Order = require("../../../models/order-model/order.model");
+const User = require("../../../models/user-model/user.model");
+const Shipment = require("../../../models/shipment-model/shipment.model");
+const Return = require("../../../models/return-model/return.model");
+
+/**
+ * How long archived orders are kept (7 years by default)
+ * @type {number}
+ */
+const ORDER_RETENTION_DAYS = Number(process.env.ORDER_RETENTION_DAYS) || 2555;
+
+/**
+ * Most orders purged per run; the rest wait for the next run
+ * @type {number}
+ */
+const BATCH_SIZE = 100;
+
+/**
+ * Permanently delete every order archived before the cut-off
+ * @returns {Promise<{ found: number, purged: number, failed: number }>}
+ */
+const run = async () => {
+  const cutoff = new Date(Date.now() - ORDER_RETENTION_DAYS * 86400000);
+
+  const expiredOrders = await Order.find({
+    archivedAt: { $ne: null, $lte: cutoff },
+  })
+    .limit(BATCH_SIZE)
+    .select("_id user");
+
+  let purged = 0;
+  let failed = 0;
+
+  for (const order of expiredOrders) {
+    try {
+      // Re-checked, in case the order was restored since it was selected
+      const result = await Order.deleteOne({
+        _id: order._id,
+        archivedAt: { $ne: null, $lte: cutoff },
+      });
+      if (!result.deletedCount) continue;
+
+      await Shipment.deleteMany({ order: order._id });
+      await Return.deleteMany({ order: order._id });
+      await User.updateOne(
+        { _id: order.user },
+        { $pull: { orders: { orderId: order._id } } },
+      );
+      purged += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(`Purge order ${order._id} error:`, error.message);
+    }
+  }
+
+  return { found: expiredOrders.length, purged, failed };
+};
+
+module.exports = {
+  name: "purge-archived-orders",
+  schedule: process.env.ORDER_PURGE_CRON || "30 3 * * *",
+  lockTtlMs: 30 * 60 * 1000,
+  run,
+};
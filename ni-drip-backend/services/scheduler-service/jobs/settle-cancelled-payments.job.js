@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Job: settle card payments of cancelled orders
+ * @module services/schedulerService/jobs/settleCancelledPayments
+ * @description A cancelled card order has its intent cancelled or its payment
+ *              refunded right after the cancellation commits. When that
+ *              provider call fails (or the process stops in between) the order
+ *              stays CANCELLED with an unsettled payment status; this job
+ *              retries the settlement. Refunds are keyed `cancel_<orderId>`, so
+ *              a retry never refunds twice.
+ */
+
+const Order = require("../../../models/order-model/order.model");
+const {
+  UNSETTLED_PAYMENT_STATUSES,
+  settleCancelledOrderPayment,
+} = require("../../order-cancel-service/order-cancel.service");
+
+/**
+ * Most orders settled per run; the rest wait for the next tick
+ * @type {number}
+ */
+const BATCH_SIZE = 50;
+
+/**
+ * Settle every cancelled card order whose payment is still open
+ * @returns {Promise<{ found: number, settled: number, failed: number }>}
+ */
+const run = async () => {
+  const orders = await Order.find({
+    status: "CANCELLED",
+    paymentMethod: "DEBIT_CARD",
+    "payment.intentId": { $ne: null },
+    paymentStatus: { $in: UNSETTLED_PAYMENT_STATUSES },
+  })
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let settled = 0;
+  let failed = 0;
+
+  for (const order of orders) {
+    try {
+      await settleCancelledOrderPayment(order);
+      settled += 1;
+    } catch (error) {
+      failed += 1;
+      console.error(
+        `Settle payment of cancelled order ${order._id} error:`,
+        error.message,
+      );
+    }
+  }
+
+  return { found: orders.length, settled, failed };
+};
+
+module.exports = {
+  name: "settle-cancelled-payments",
+  schedule: process.env.SETTLE_CANCELLED_PAYMENTS_CRON || "*/10 * * * *",
+  lockTtlMs: 10 * 60 * 1000,
+  run,
+};
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Background job scheduler
+ * @module services/schedulerService
+ * @description Runs the jobs in `./jobs` on their cron schedules. Every server
+ *              instance schedules every job, but a run only starts after
+ *              taking the job's lock in MongoDB, so each tick runs once across
+ *              instances. Every job module exports:
+ *              `name`, `schedule` (cron expression), `lockTtlMs` and `run()`.
+ *
+ *              Set `SCHEDULER_ENABLED=false` to keep an instance from running
+ *              jobs at all.
+ */
+
+const os = require("os");
+const cron = require("node-cron");
+const JobLock = require("../../models/job-lock-model/job-lock.model");
+
+/**
+ * Registered jobs
+ * @type {Object[]}
+ */
+const JOBS = [
+  require("./jobs/auto-cancel-orders.job"),
+  require("./jobs/purge-archived-orders.job"),
+  require("./jobs/settle-cancelled-payments.job"),
+  require("./jobs/issue-edit-refunds.job"),
+];
+
+/**
+ * Identifies this process in `JobLock.lockedBy`
+ * @type {string}
+ */
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Cron tasks started by this instance
+ * @type {import('node-cron').ScheduledTask[]}
+ */
+const tasks = [];
+
+/**
+ * Take a job's lock unless another instance holds an unexpired one
+ * @param {string} name
+ * @param {number} ttlMs - How long the lock is held if never released
+ * @returns {Promise<boolean>} Whether the lock was taken
+ */
+const acquireJobLock = async (name, ttlMs) => {
+  const now = new Date();
+
+  try {
+    await JobLock.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          lockedUntil: new Date(now.getTime() + ttlMs),
+          lockedBy: INSTANCE_ID,
+          lastStartedAt: now,
+        },
+      },
+      { upsert: true },
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with the existing, still-locked document
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Release a job's lock and record how the run ended
+ * @param {string} name
+ * @param {Error|null} error
+ * @returns {Promise<void>}
+ */
+const releaseJobLock = async (name, error) => {
+  await JobLock.updateOne(
+    { _id: name, lockedBy: INSTANCE_ID },
+    {
+      $set: {
+        lockedUntil: null,
+        lastFinishedAt: new Date(),
+        lastError: error ? error.message : "",
+      },
+    },
+  );
+};
+
+/**
+ * Run a job once, if its lock can be taken
+ * @param {Object} job - Job module
+ * @returns {Promise<boolean>} Whether this instance ran the job
+ */
+const runJob = async (job) => {
+  let locked = false;
+
+  try {
+    locked = await acquireJobLock(job.name, job.lockTtlMs);
+  } catch (error) {
+    console.error(`Job ${job.name} lock error:`, error.message);
+  }
+  if (!locked) return false;
+
+  let failure = null;
+  try {
+    const summary = await job.run();
+    if (summary) console.log(`Job ${job.name} finished:`, summary);
+  } catch (error) {
+    failure = error;
+    console.error(`Job ${job.name} error:`, error);
+  }
+
+  try {
+    await releaseJobLock(job.name, failure);
+  } catch (error) {
+    console.error(`Job ${job.name} unlock error:`, error.message);
+  }
+
+  return true;
+};
+
+/**
+ * Schedule every job (call once MongoDB is connected)
+ * @returns {void}
+ */
+const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === "false") {
+    console.log("Job scheduler disabled on this instance");
+    return;
+  }
+
+  JOBS.forEach((job) => {
+    if (!cron.validate(job.schedule)) {
+      console.error(`Job ${job.name} has an invalid schedule: ${job.schedule}`);
+      return;
+    }
+
+    tasks.push(
+      cron.schedule(job.schedule, () => runJob(job), {
+        name: job.name,
+        noOverlap: true,
+      }),
+    );
+  });
+
+  console.log(`Job scheduler started (${tasks.length} job(s))`);
+};
+
+/**
+ * Stop every scheduled job (graceful shutdown)
+ * @returns {void}
+ */
+const stopScheduler = () => {
+  tasks.splice(0).forEach((task) => task.stop());
+};
+
+module.exports = {
+  runJob,
+  startScheduler,
+  stopScheduler,
+};
@@ -0,0 +1,370 @@
+/**
+ * @fileoverview Product search and autocomplete
+ * @module services/productSearchService
+ * @description Search runs on the product text index (title, category,
+ *              specification values, description – weighted in that order)
+ *              and is ranked by text score. Typo tolerance and suggestions come
+ *              from a small in-memory vocabulary of the ACTIVE catalog: query
+ *              words the catalog doesn't contain are corrected to the closest
+ *              known word (1 edit for short words, 2 for longer ones). The
+ *              vocabulary is rebuilt after `SEARCH_INDEX_TTL_MS` or when a
+ *              product changes.
+ */
+
+const Product = require("../../models/product-model/product.model");
+const {
+  PRODUCT_LIST_FIELDS,
+  parseCategoryEntry,
+} = require("../../helpers/product-helper/product-query.helper");
+
+/** How long the vocabulary is reused before it is rebuilt */
+const SEARCH_INDEX_TTL_MS =
+  Number(process.env.SEARCH_INDEX_TTL_MS) || 5 * 60 * 1000;
+
+/** Longest query accepted, in characters */
+const MAX_QUERY_LENGTH = 100;
+
+/** Words too common to search or correct on */
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "for",
+  "in",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with",
+]);
+
+/** @type {{ builtAt: number, terms: Map<string, number>, titles: Object[], categories: string[] }|null} */
+let vocabulary = null;
+/** @type {Promise|null} Build in progress (shared by concurrent requests) */
+let building = null;
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const searchError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Split text into lower-case words (letters and digits, so "Type-C" gives
+ * "type" and "c", "IPX4" gives "ipx4")
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Validate and normalize a search query
+ * @param {*} query
+ * @returns {string}
+ * @throws {Error} 400 if missing or too long
+ */
+const normalizeQuery = (query) => {
+  const text = typeof query === "string" ? query.trim() : "";
+  if (!text) throw searchError("Search query is required", 400);
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw searchError(
+      `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`,
+      400,
+    );
+  }
+  return text;
+};
+
+/**
+ * Edit distance with adjacent transpositions ("hedaphones" → 1 edit), skipping
+ * pairs whose lengths alone differ by more than `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or `max + 1` if larger
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current[j] = value;
+    }
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Edits allowed when correcting a word of this length
+ * @param {number} length
+ * @returns {number}
+ */
+const allowedEdits = (length) => {
+  if (length < 3) return 0;
+  return length <= 5 ? 1 : 2;
+};
+
+/**
+ * Build the vocabulary from the ACTIVE catalog
+ * - terms: word → number of products containing it
+ * - titles: for product suggestions, most rated first
+ * - categories: distinct category names
+ * @returns {Promise<Object>}
+ */
+const buildVocabulary = async () => {
+  const products = await Product.find({ status: "ACTIVE" })
+    .select("title category description specifications totalRatings")
+    .sort({ totalRatings: -1, _id: 1 })
+    .lean();
+
+  const terms = new Map();
+  const categories = new Set();
+  const titles = [];
+
+  products.forEach((product) => {
+    const names = (product.category || []).flatMap(parseCategoryEntry);
+    names.forEach((name) => categories.add(name));
+
+    const specValues = (product.specifications || []).flatMap((section) =>
+      (section.items || []).map((item) => item.value),
+    );
+    const words = new Set(
+      tokenize(
+        [
+          product.title,
+          names.join(" "),
+          specValues.join(" "),
+          product.description,
+        ]
+          .filter(Boolean)
+          .join(" "),
+      ),
+    );
+    words.forEach((word) => {
+      if (!STOP_WORDS.has(word)) terms.set(word, (terms.get(word) || 0) + 1);
+    });
+
+    titles.push({
+      productId: product._id,
+      title: product.title,
+      words: tokenize(product.title),
+    });
+  });
+
+  return {
+    builtAt: Date.now(),
+    terms,
+    titles,
+    categories: [...categories].sort(),
+  };
+};
+
+/**
+ * Current vocabulary, rebuilt when stale
+ * @returns {Promise<Object>}
+ */
+const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabulary.builtAt < SEARCH_INDEX_TTL_MS) {
+    return vocabulary;
+  }
+  if (!building) {
+    building = buildVocabulary()
+      .then((built) => {
+        vocabulary = built;
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+  return building;
+};
+
+/**
+ * Drop the vocabulary so the next search rebuilds it (call after a product
+ * is added, updated or deleted)
+ */
+exports.invalidateSearchIndex = () => {
+  vocabulary = null;
+};
+
+/**
+ * Closest catalog word to a word the catalog doesn't contain
+ * @param {string} word
+ * @param {Map<string, number>} terms
+ * @returns {string} The word itself when known or nothing is close enough
+ */
+const correctWord = (word, terms) => {
+  if (terms.has(word) || STOP_WORDS.has(word)) return word;
+  const max = allowedEdits(word.length);
+  if (!max) return word;
+
+  let best = word;
+  let bestDistance = max + 1;
+  let bestCount = 0;
+  terms.forEach((count, term) => {
+    const distance = editDistance(word, term, max);
+    if (
+      distance < bestDistance ||
+      (distance === bestDistance && distance <= max && count > bestCount)
+    ) {
+      best = term;
+      bestDistance = distance;
+      bestCount = count;
+    }
+  });
+  return bestDistance <= max ? best : word;
+};
+
+/**
+ * Search ACTIVE products, ranked by relevance
+ * @param {Object} params
+ * @param {string} params.q
+ * @param {number} [params.page=1]
+ * @param {number} [params.limit=20] - At most 50
+ * @returns {Promise<{ products: Object[], correctedQuery: string|null, pagination: Object }>}
+ *          `correctedQuery` is set when misspelled words were searched as
+ *          their closest catalog word
+ * @throws {Error} 400 for a missing or too-long query
+ */
+exports.searchProducts = async ({ q, page, limit }) => {
+  const query = normalizeQuery(q);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 50);
+
+  const words = tokenize(query);
+  if (!words.length) throw searchError("Search query has no words", 400);
+
+  const { terms } = await getVocabulary();
+  const corrected = words.map((word) => correctWord(word, terms));
+  const wasCorrected = corrected.some((word, i) => word !== words[i]);
+
+  // Original words stay in so an exact (unindexed) match still scores
+  const filter = {
+    status: "ACTIVE",
+    $text: { $search: [...new Set([...words, ...corrected])].join(" ") },
+  };
+
+  const [products, total] = await Promise.all([
+    Product.find(filter, { score: { $meta: "textScore" } })
+      .select(PRODUCT_LIST_FIELDS)
+      .sort({ score: { $meta: "textScore" }, averageRating: -1, _id: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Product.countDocuments(filter),
+  ]);
+
+  return {
+    products,
+    correctedQuery: wasCorrected ? corrected.join(" ") : null,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+      hasMore: pageNumber * pageSize < total,
+    },
+  };
+};
+
+/**
+ * Autocomplete suggestions for a partly typed query. The last word is
+ * treated as a prefix; earlier words are typo-corrected.
+ * - query: the query completed with a catalog word ("wireless head" →
+ *   "wireless headphones")
+ * - category: matching category names
+ * - product: titles containing every word, the last one as a prefix
+ * @param {Object} params
+ * @param {string} params.q
+ * @param {number} [params.limit=8] - At most 20
+ * @returns {Promise<{ suggestions: Array<{ type: string, text: string, productId?: string }> }>}
+ * @throws {Error} 400 for a missing or too-long query
+ */
+exports.suggestSearches = async ({ q, limit }) => {
+  const query = normalizeQuery(q);
+  const max = Math.min(Math.max(parseInt(limit, 10) || 8, 1), 20);
+
+  const { terms, titles, categories } = await getVocabulary();
+  const words = tokenize(query);
+  if (!words.length) return { suggestions: [] };
+
+  const leading = words.slice(0, -1).map((word) => correctWord(word, terms));
+  const prefix = words[words.length - 1];
+
+  let completions = [...terms.entries()]
+    .filter(([term]) => term.startsWith(prefix) && term !== prefix)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([term]) => term);
+  if (terms.has(prefix)) completions.unshift(prefix);
+  // Nothing starts with what was typed – it's probably a typo
+  if (!completions.length) {
+    const fixed = correctWord(prefix, terms);
+    if (fixed !== prefix) completions = [fixed];
+  }
+  const lastWords = completions.length ? completions : [prefix];
+
+  const suggestions = [];
+  const seen = new Set();
+  const push = (suggestion) => {
+    const key = `${suggestion.type}:${suggestion.text.toLowerCase()}`;
+    if (seen.has(key) || suggestions.length >= max) return;
+    seen.add(key);
+    suggestions.push(suggestion);
+  };
+
+  completions.slice(0, 3).forEach((term) => {
+    push({ type: "query", text: [...leading, term].join(" ") });
+  });
+
+  const phrase = [...leading, prefix].join(" ");
+  categories
+    .filter((name) => name.startsWith(phrase) || name.includes(` ${phrase}`))
+    .slice(0, 2)
+    .forEach((name) => push({ type: "category", text: name }));
+
+  titles
+    .filter(
+      (entry) =>
+        leading.every((word) => entry.words.includes(word)) &&
+        entry.words.some((word) =>
+          lastWords.some((last) => word.startsWith(last)),
+        ),
+    )
+    .forEach((entry) =>
+      push({
+        type: "product",
+        text: entry.title,
+        productId: entry.productId,
+      }),
+    );
+
+  return { suggestions };
+};
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Shipping rate calculation
+ * @module services/shippingService
+ * @description Shipping is always priced server-side. The zone is resolved from
+ *              the delivery address, then the user's `preferredCity`, then the
+ *              default zone; the fee comes from the zone's tier table (by item
+ *              count or total weight) unless the free-shipping threshold is met.
+ */
+
+const ShippingZone = require("../../models/shipping-zone-model/shipping-zone.model");
+const {
+  matchDestination,
+} = require("../../helpers/location-helper/city-match.helper");
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const shippingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Pick the delivery address for a user (priority order)
+ * 1. Override from the request body
+ * 2. Last known geolocation address
+ * 3. Saved profile address
+ * @param {import('mongoose').Document} user
+ * @param {string} [overrideAddress]
+ * @returns {{ address: string|null, source: string|null }}
+ */
+const resolveShippingAddress = (user, overrideAddress) => {
+  if (overrideAddress?.trim()) {
+    return { address: overrideAddress.trim(), source: "manual_override" };
+  }
+  if (user.lastKnownLocation?.address?.trim()) {
+    return {
+      address: user.lastKnownLocation.address.trim(),
+      source: "geolocation",
+    };
+  }
+  if (user.address?.trim()) {
+    return { address: user.address.trim(), source: "profile_saved" };
+  }
+  return { address: null, source: null };
+};
+
+/**
+ * Find the zone that delivers to an address / preferred city
+ * @param {{ address?: string, preferredCity?: string }} destination
+ * @returns {Promise<import('mongoose').Document>}
+ * @throws {Error} 400 if no zone (and no default zone) covers the destination
+ */
+const resolveZone = async ({ address, preferredCity }) => {
+  const zones = await ShippingZone.find({ isActive: true });
+  const zone = matchDestination(zones, { address, preferredCity });
+
+  if (!zone) {
+    throw shippingError(
+      "Sorry, we don't deliver to this address yet. Please choose another delivery city.",
+      400,
+    );
+  }
+
+  return zone;
+};
+
+/**
+ * Price shipping for a set of order lines
+ * @param {Object} params
+ * @param {import('mongoose').Document} params.user
+ * @param {Array<{ product: Object, quantity: number }>} params.lines
+ *        `product` needs `price` (and `weight` for WEIGHT zones)
+ * @param {string} [params.shippingAddress] - Resolved delivery address
+ * @returns {Promise<Object>} Quote: zone, basis, measure, cost, free-shipping info
+ */
+const quoteShipping = async ({ user, lines, shippingAddress }) => {
+  const zone = await resolveZone({
+    address: shippingAddress,
+    preferredCity: user.preferredCity,
+  });
+
+  const subtotal = lines.reduce(
+    (sum, line) => sum + line.product.price * line.quantity,
+    0,
+  );
+  const measure =
+    zone.basis === "WEIGHT"
+      ? lines.reduce(
+          (sum, line) => sum + (line.product.weight || 0) * line.quantity,
+          0,
+        )
+      : lines.reduce((sum, line) => sum + line.quantity, 0);
+
+  const rate = zone.rates.find(
+    (tier) => measure >= tier.min && (tier.max === null || measure <= tier.max),
+  );
+  if (!rate) {
+    throw shippingError(
+      `No shipping rate configured for this order size in ${zone.name}`,
+      400,
+    );
+  }
+
+  const freeShippingApplied =
+    zone.freeShippingThreshold !== null &&
+    subtotal >= zone.freeShippingThreshold;
+
+  return {
+    zone: { _id: zone._id, name: zone.name },
+    basis: zone.basis,
+    measure: Math.round(measure * 100) / 100,
+    cost: freeShippingApplied ? 0 : rate.cost,
+    freeShippingApplied,
+    freeShippingThreshold: zone.freeShippingThreshold,
+    amountToFreeShipping:
+      zone.freeShippingThreshold !== null && !freeShippingApplied
+        ? Math.round((zone.freeShippingThreshold - subtotal) * 100) / 100
+        : 0,
+    estimatedDelivery: zone.estimatedDelivery,
+  };
+};
+
+module.exports = {
+  shippingError,
+  resolveShippingAddress,
+  resolveZone,
+  quoteShipping,
+};
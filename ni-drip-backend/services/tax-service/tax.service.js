@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Tax calculation
+ * @module services/taxService
+ * @description Tax is computed server-side per order line. The region comes from
+ *              the delivery address (then the user's `preferredCity`, then the
+ *              default region); a line uses the region rate unless one of the
+ *              product's categories (or a category above it) has an override.
+ *              Merchandise discounts are
+ *              spread across lines before tax; shipping is not taxed.
+ *              No matching region means no tax.
+ */
+
+const TaxRegion = require("../../models/tax-region-model/tax-region.model");
+const { expandCategoryIds } = require("../category-service/category.service");
+const {
+  matchDestination,
+} = require("../../helpers/location-helper/city-match.helper");
+const {
+  roundCurrency,
+} = require("../../helpers/order-helper/order-totals.helper");
+
+/**
+ * Find the tax region for an address / preferred city
+ * @param {{ address?: string, preferredCity?: string }} destination
+ * @returns {Promise<import('mongoose').Document|null>}
+ */
+const resolveTaxRegion = async ({ address, preferredCity }) => {
+  const regions = await TaxRegion.find({ isActive: true });
+  return matchDestination(regions, { address, preferredCity });
+};
+
+/**
+ * Expand a region's category overrides to the categories each one covers
+ * @param {import('mongoose').Document|null} region
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<Array<{ rate: number, scope: Set<string> }>>}
+ *          The override's category and its subcategories (see `expandCategoryIds`)
+ */
+const expandCategoryRates = async (region, session = null) => {
+  const categoryRates = [];
+
+  for (const entry of region?.categoryRates || []) {
+    categoryRates.push({
+      rate: entry.rate,
+      scope: await expandCategoryIds([entry.category], session),
+    });
+  }
+
+  return categoryRates;
+};
+
+/**
+ * Percentage rate for a product within a region
+ * @description When overrides for a category and one of its subcategories
+ *              both match, the subcategory's (narrower scope) wins.
+ * @param {import('mongoose').Document|null} region
+ * @param {{ categories?: ObjectId[] }} product
+ * @param {Array<{ rate: number, scope: Set<string> }>} categoryRates
+ *        From `expandCategoryRates`
+ * @returns {number}
+ */
+const getProductTaxRate = (region, product, categoryRates) => {
+  if (!region) return 0;
+
+  const categories = (product.categories || []).map(String);
+  const override = categoryRates
+    .filter((entry) => categories.some((id) => entry.scope.has(id)))
+    .sort((a, b) => a.scope.size - b.scope.size)[0];
+
+  return override ? override.rate : region.rate;
+};
+
+/**
+ * Tax a set of order lines
+ * @param {Object} params
+ * @param {import('mongoose').Document} params.user
+ * @param {Array<{ product: Object, quantity: number }>} params.lines
+ *        `product` needs `price` and `categories`
+ * @param {string} [params.shippingAddress]       - Resolved delivery address
+ * @param {number} [params.merchandiseDiscount=0] - Discount off the items (not shipping)
+ * @param {import('mongoose').ClientSession} [params.session]
+ * @returns {Promise<{ region: string|null, lines: Array<{ rate: number, discount: number, taxable: number, amount: number }>, total: number }>}
+ *          `lines` is aligned with the input lines; `discount` is the line's
+ *          share of the merchandise discount
+ */
+const calculateTax = async ({
+  user,
+  lines,
+  shippingAddress,
+  merchandiseDiscount = 0,
+  session = null,
+}) => {
+  const region = await resolveTaxRegion({
+    address: shippingAddress,
+    preferredCity: user.preferredCity,
+  });
+  const categoryRates = await expandCategoryRates(region, session);
+
+  const subtotal = lines.reduce(
+    (sum, line) => sum + line.product.price * line.quantity,
+    0,
+  );
+  const discount = Math.min(merchandiseDiscount, subtotal);
+
+  // Proportional discount share per line; the last line absorbs rounding
+  let discountLeft = discount;
+  const taxedLines = lines.map((line, index) => {
+    const amount = line.product.price * line.quantity;
+    const share =
+      index === lines.length - 1
+        ? discountLeft
+        : roundCurrency(subtotal > 0 ? (discount * amount) / subtotal : 0);
+    discountLeft = roundCurrency(discountLeft - share);
+
+    const rate = getProductTaxRate(region, line.product, categoryRates);
+    const taxable = roundCurrency(Math.max(amount - share, 0));
+
+    return {
+      rate,
+      discount: share,
+      taxable,
+      amount: roundCurrency((taxable * rate) / 100),
+    };
+  });
+
+  return {
+    region: region?.name || null,
+    lines: taxedLines,
+    total: roundCurrency(
+      taxedLines.reduce((sum, line) => sum + line.amount, 0),
+    ),
+  };
+};
+
+module.exports = {
+  resolveTaxRegion,
+  expandCategoryRates,
+  getProductTaxRate,
+  calculateTax,
+};
@@ -0,0 +1,514 @@
+/**
+ * @fileoverview Named wishlists, save-for-later and shared wishlists
+ * @module services/wishlistService
+ * @description Wishlists group a user's `Favorite` entries. Each user has a
+ *              DEFAULT list ("Favorites") and a SAVED_FOR_LATER list, created
+ *              on first use, plus up to `MAX_CUSTOM_WISHLISTS` lists of their
+ *              own. A product lives in one list at a time.
+ *
+ *              Items move between the cart and a wishlist with their quantity:
+ *              saving a cart line for later copies its quantity onto the
+ *              wishlist entry, and moving an entry to the cart adds that
+ *              quantity back (capped at the stock available).
+ *
+ *              A list can be shared read-only: sharing issues a random token,
+ *              and anyone holding it can view the list until it is revoked.
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Wishlist = require("../../models/wishlist-model/wishlist.model");
+const Favorite = require("../../models/favorite-model/favorite.model");
+const Cart = require("../../models/cart-model/cart.model");
+const Product = require("../../models/product-model/product.model");
+const { syncUserCart } = require("../../helpers/cart-helper/cart-sync.helper");
+const { requireOffer } = require("../../helpers/product-helper/variant.helper");
+const {
+  syncUserFavorites,
+} = require("../../helpers/favorite-helper/favorite-sync.helper");
+
+/**
+ * Fields of the product returned with each wishlist entry
+ * @type {string}
+ */
+const WISHLIST_PRODUCT_FIELDS =
+  "title price productImages status averageRating stock";
+
+/**
+ * Names of the lists every user has
+ * @type {Object<string, string>}
+ */
+const SYSTEM_WISHLIST_NAMES = {
+  DEFAULT: "Favorites",
+  SAVED_FOR_LATER: "Saved for later",
+};
+
+/**
+ * Most lists a user may create on top of the system lists
+ * @type {number}
+ */
+const MAX_CUSTOM_WISHLISTS = 20;
+
+/**
+ * Display order of the list kinds
+ * @type {string[]}
+ */
+const KIND_ORDER = ["DEFAULT", "SAVED_FOR_LATER", "CUSTOM"];
+
+/**
+ * Build an Error carrying the HTTP status the controller should respond with
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+const wishlistError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get (creating it on first use) one of the user's system lists
+ * @param {string} userId
+ * @param {"DEFAULT"|"SAVED_FOR_LATER"} kind
+ * @returns {Promise<Object>} Wishlist document
+ */
+const getSystemWishlist = async (userId, kind) => {
+  try {
+    return await Wishlist.findOneAndUpdate(
+      { userId, kind },
+      { $setOnInsert: { name: SYSTEM_WISHLIST_NAMES[kind] } },
+      { upsert: true, new: true },
+    );
+  } catch (error) {
+    // Two first requests raced to create it – the other one won
+    if (error.code === 11000) return Wishlist.findOne({ userId, kind });
+    throw error;
+  }
+};
+
+/**
+ * Get the user's DEFAULT list, moving entries that predate wishlists into it
+ * @param {string} userId
+ * @returns {Promise<Object>} Wishlist document
+ */
+const getDefaultWishlist = async (userId) => {
+  const wishlist = await getSystemWishlist(userId, "DEFAULT");
+  await Favorite.updateMany(
+    { userId, wishlistId: null },
+    { $set: { wishlistId: wishlist._id } },
+  );
+  return wishlist;
+};
+
+/**
+ * Find one of the user's lists
+ * @param {string} userId
+ * @param {string} wishlistId
+ * @returns {Promise<Object>} Wishlist document
+ * @throws 404 if it doesn't exist or belongs to someone else
+ */
+const findWishlist = async (userId, wishlistId) => {
+  const wishlist = mongoose.isValidObjectId(wishlistId)
+    ? await Wishlist.findOne({ _id: wishlistId, userId })
+    : null;
+  if (!wishlist) throw wishlistError("Wishlist not found", 404);
+  return wishlist;
+};
+
+/**
+ * Find the given list, or the DEFAULT list when none is given
+ * @param {string} userId
+ * @param {string} [wishlistId]
+ * @returns {Promise<Object>} Wishlist document
+ */
+const resolveWishlist = (userId, wishlistId) =>
+  wishlistId ? findWishlist(userId, wishlistId) : getDefaultWishlist(userId);
+
+/**
+ * Check a list name and that the user has no other list called the same
+ * @param {string} userId
+ * @param {*} name
+ * @param {ObjectId} [excludeId] - List being renamed
+ * @returns {Promise<string>} Trimmed name
+ */
+const validateWishlistName = async (userId, name, excludeId) => {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed) throw wishlistError("Wishlist name is required", 400);
+  if (trimmed.length > 40) {
+    throw wishlistError("Wishlist name cannot exceed 40 characters", 400);
+  }
+
+  const duplicate = await Wishlist.findOne({
+    userId,
+    name: trimmed,
+    ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+  }).collation({ locale: "en", strength: 2 });
+  if (duplicate) {
+    throw wishlistError(`You already have a wishlist named ${trimmed}`, 409);
+  }
+
+  return trimmed;
+};
+
+/**
+ * Shape a list for responses
+ * @param {Object} wishlist
+ * @param {number} [itemsCount]
+ * @returns {Object}
+ */
+const toWishlistSummary = (wishlist, itemsCount = 0) => ({
+  _id: wishlist._id,
+  name: wishlist.name,
+  kind: wishlist.kind,
+  itemsCount,
+  isShared: Boolean(wishlist.shareToken),
+  shareToken: wishlist.shareToken || null,
+  sharedAt: wishlist.sharedAt,
+  createdAt: wishlist.createdAt,
+});
+
+/**
+ * Get a user's lists with their item counts, system lists first
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+const listWishlists = async (userId) => {
+  await getDefaultWishlist(userId);
+  await getSystemWishlist(userId, "SAVED_FOR_LATER");
+
+  const [wishlists, counts] = await Promise.all([
+    Wishlist.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Favorite.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      { $group: { _id: "$wishlistId", itemsCount: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countsById = new Map(
+    counts.map((count) => [String(count._id), count.itemsCount]),
+  );
+
+  return wishlists
+    .sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind))
+    .map((wishlist) =>
+      toWishlistSummary(wishlist, countsById.get(String(wishlist._id)) || 0),
+    );
+};
+
+/**
+ * Create a named list
+ * @param {string} userId
+ * @param {string} name
+ * @returns {Promise<Object>} List summary
+ */
+const createWishlist = async (userId, name) => {
+  const trimmed = await validateWishlistName(userId, name);
+
+  const customCount = await Wishlist.countDocuments({ userId, kind: "CUSTOM" });
+  if (customCount >= MAX_CUSTOM_WISHLISTS) {
+    throw wishlistError(
+      `You can have at most ${MAX_CUSTOM_WISHLISTS} wishlists`,
+      400,
+    );
+  }
+
+  const wishlist = await Wishlist.create({ userId, name: trimmed });
+  return toWishlistSummary(wishlist);
+};
+
+/**
+ * Rename one of the user's own lists
+ * @param {string} userId
+ * @param {string} wishlistId
+ * @param {string} name
+ * @returns {Promise<Object>} List summary
+ */
+const renameWishlist = async (userId, wishlistId, name) => {
+  const wishlist = await findWishlist(userId, wishlistId);
+  if (wishlist.kind !== "CUSTOM") {
+    throw wishlistError(`${wishlist.name} can't be renamed`, 400);
+  }
+
+  wishlist.name = await validateWishlistName(userId, name, wishlist._id);
+  await wishlist.save();
+
+  const itemsCount = await Favorite.countDocuments({
+    userId,
+    wishlistId: wishlist._id,
+  });
+  return toWishlistSummary(wishlist, itemsCount);
+};
+
+/**
+ * Delete one of the user's own lists; its items move to the DEFAULT list
+ * @param {string} userId
+ * @param {string} wishlistId
+ * @returns {Promise<{ movedItems: number, movedTo: Object }>}
+ */
+const deleteWishlist = async (userId, wishlistId) => {
+  const wishlist = await findWishlist(userId, wishlistId);
+  if (wishlist.kind !== "CUSTOM") {
+    throw wishlistError(`${wishlist.name} can't be deleted`, 400);
+  }
+
+  const defaultWishlist = await getDefaultWishlist(userId);
+  const moved = await Favorite.updateMany(
+    { userId, wishlistId: wishlist._id },
+    { $set: { wishlistId: defaultWishlist._id } },
+  );
+  await Wishlist.deleteOne({ _id: wishlist._id });
+
+  return {
+    movedItems: moved.modifiedCount,
+    movedTo: { _id: defaultWishlist._id, name: defaultWishlist.name },
+  };
+};
+
+/**
+ * Move a favorited product to another of the user's lists
+ * @param {string} userId
+ * @param {string} productId
+ * @param {string} wishlistId - Target list
+ * @returns {Promise<{ favorite: Object, wishlist: Object }>}
+ */
+const moveFavorite = async (userId, productId, wishlistId) => {
+  const favorite = await Favorite.findOne({ userId, productId });
+  if (!favorite) {
+    throw wishlistError("Product not found in your wishlists", 404);
+  }
+
+  const wishlist = await findWishlist(userId, wishlistId);
+  favorite.wishlistId = wishlist._id;
+  await favorite.save();
+
+  return {
+    favorite: await favorite.populate("productId", WISHLIST_PRODUCT_FIELDS),
+    wishlist: toWishlistSummary(wishlist),
+  };
+};
+
+/**
+ * Move a cart line into a list, keeping its quantity and variant
+ * @description Defaults to the SAVED_FOR_LATER list. If the product is
+ *              already in a list it moves to the target and takes the cart
+ *              line's quantity and variant. A list entry holds one variant, so
+ *              saving a second variant of a product is refused while another
+ *              one is saved (its quantity would be lost). The entry is written
+ *              before the cart line is removed, so a failure never loses the
+ *              item.
+ * @param {string} userId
+ * @param {string} productId
+ * @param {string} [wishlistId]
+ * @param {string|null} [variantId] - Variant of the cart line
+ * @returns {Promise<{ favorite: Object, wishlist: Object }>}
+ * @throws {Error} 409 if another variant of the product is already saved
+ */
+const saveForLater = async (userId, productId, wishlistId, variantId) => {
+  const cartItem = await Cart.findOne({
+    userId,
+    productId,
+    variantId: variantId || null,
+  });
+  if (!cartItem) throw wishlistError("Item not found in cart", 404);
+
+  const wishlist = wishlistId
+    ? await findWishlist(userId, wishlistId)
+    : await getSystemWishlist(userId, "SAVED_FOR_LATER");
+
+  // Only matches an entry without a variant or with this one; an entry for
+  // another variant makes the upsert collide on the unique index instead
+  let favorite;
+  try {
+    favorite = await Favorite.findOneAndUpdate(
+      {
+        userId,
+        productId,
+        variantId: { $in: [null, cartItem.variantId] },
+      },
+      {
+        $set: {
+          wishlistId: wishlist._id,
+          quantity: cartItem.quantity,
+          variantId: cartItem.variantId,
+        },
+        $setOnInsert: { addedAt: new Date() },
+      },
+      { upsert: true, new: true, runValidators: true },
+    ).populate("productId", WISHLIST_PRODUCT_FIELDS);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw wishlistError(
+        "Another option of this product is already saved – move it to your cart first",
+        409,
+      );
+    }
+    throw error;
+  }
+
+  await Cart.deleteOne({ _id: cartItem._id });
+  await Promise.all([syncUserCart(userId), syncUserFavorites(userId)]);
+
+  return { favorite, wishlist: toWishlistSummary(wishlist) };
+};
+
+/**
+ * Move a wishlist entry into the cart with its quantity
+ * @description The quantity is added to any line already in the cart (for the
+ *              same variant) and capped at the stock available. Products that
+ *              can't be bought stay in the list.
+ * @param {string} userId
+ * @param {string} productId
+ * @param {string|null} [variantId] - Overrides the variant it was saved with
+ * @returns {Promise<{ cartItem: Object, requested: number, quantity: number, capped: boolean }>}
+ *          `quantity` is the cart line's quantity after the move
+ */
+const moveToCart = async (userId, productId, variantId) => {
+  const favorite = await Favorite.findOne({ userId, productId });
+  if (!favorite) {
+    throw wishlistError("Product not found in your wishlists", 404);
+  }
+
+  const product = await Product.findById(productId);
+  if (!product || product.status !== "ACTIVE") {
+    throw wishlistError(
+      `${product?.title || "This product"} is no longer available`,
+      400,
+    );
+  }
+  const offer = requireOffer(product, variantId || favorite.variantId);
+  if (offer.stock <= 0) {
+    throw wishlistError(`${product.title} is out of stock`, 400);
+  }
+  const lineVariantId = offer.variant?._id || null;
+
+  let cartItem = await Cart.findOne({
+    userId,
+    productId,
+    variantId: lineVariantId,
+  });
+  const requested = (cartItem?.quantity || 0) + favorite.quantity;
+  const quantity = Math.min(requested, offer.stock);
+
+  if (cartItem) {
+    cartItem.quantity = quantity;
+    cartItem.unitPrice = offer.price;
+    await cartItem.save();
+  } else {
+    cartItem = await Cart.create({
+      userId,
+      productId,
+      variantId: lineVariantId,
+      quantity,
+      unitPrice: offer.price,
+      totalPrice: quantity * offer.price,
+    });
+  }
+
+  await Favorite.deleteOne({ _id: favorite._id });
+  await Promise.all([syncUserCart(userId), syncUserFavorites(userId)]);
+
+  return {
+    cartItem: {
+      ...(await cartItem.populate("productId")).toJSON(),
+      variantLabel: offer.label,
+    },
+    requested,
+    quantity,
+    capped: quantity < requested,
+  };
+};
+
+/**
+ * Turn on read-only sharing for a list (keeps an existing token)
+ * @param {string} userId
+ * @param {string} wishlistId
+ * @returns {Promise<Object>} List summary including `shareToken`
+ */
+const shareWishlist = async (userId, wishlistId) => {
+  const wishlist = await findWishlist(userId, wishlistId);
+
+  if (!wishlist.shareToken) {
+    wishlist.shareToken = crypto.randomBytes(24).toString("hex");
+    wishlist.sharedAt = new Date();
+    await wishlist.save();
+  }
+
+  return toWishlistSummary(wishlist);
+};
+
+/**
+ * Turn off sharing; the old token stops working
+ * @param {string} userId
+ * @param {string} wishlistId
+ * @returns {Promise<Object>} List summary
+ */
+const unshareWishlist = async (userId, wishlistId) => {
+  const wishlist = await findWishlist(userId, wishlistId);
+
+  wishlist.shareToken = undefined;
+  wishlist.sharedAt = null;
+  await wishlist.save();
+
+  return toWishlistSummary(wishlist);
+};
+
+/**
+ * Read a shared list by its token
+ * @param {string} shareToken
+ * @returns {Promise<{ wishlist: Object, items: Object[] }>}
+ *          Only the list name, owner's display name and products are exposed
+ */
+const getSharedWishlist = async (shareToken) => {
+  const wishlist =
+    typeof shareToken === "string" && /^[a-f0-9]{48}$/.test(shareToken)
+      ? await Wishlist.findOne({ shareToken })
+          .populate("userId", "userName")
+          .lean()
+      : null;
+  if (!wishlist?.userId) throw wishlistError("Shared wishlist not found", 404);
+
+  // DEFAULT also holds entries that predate wishlists
+  const favorites = await Favorite.find({
+    userId: wishlist.userId._id,
+    wishlistId:
+      wishlist.kind === "DEFAULT"
+        ? { $in: [wishlist._id, null] }
+        : wishlist._id,
+  })
+    .populate("productId", WISHLIST_PRODUCT_FIELDS)
+    .sort({ addedAt: -1 })
+    .lean();
+
+  return {
+    wishlist: {
+      name: wishlist.name,
+      ownerName: wishlist.userId.userName,
+      sharedAt: wishlist.sharedAt,
+    },
+    items: favorites
+      .filter((fav) => fav.productId)
+      .map((fav) => ({
+        product: fav.productId,
+        quantity: fav.quantity,
+        addedAt: fav.addedAt,
+      })),
+  };
+};
+
+module.exports = {
+  WISHLIST_PRODUCT_FIELDS,
+  resolveWishlist,
+  getDefaultWishlist,
+  findWishlist,
+  listWishlists,
+  createWishlist,
+  renameWishlist,
+  deleteWishlist,
+  moveFavorite,
+  saveForLater,
+  moveToCart,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist,
+};
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview placeOrder – stock reservation under concurrency
+ * @description Checkout relies on multi-document transactions, so these run
+ *              against a single-node replica set from mongodb-memory-server.
+ *              The controller is called directly with a minimal req / res.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+
+// Required when the email helper is loaded; nothing is delivered in tests
+process.env.EMAIL_USER ??= "test@nidrip.test";
+process.env.EMAIL_PASS ??= "test";
+
+const Order = require("../../models/order-model/order.model");
+const User = require("../../models/user-model/user.model");
+const Cart = require("../../models/cart-model/cart.model");
+const Product = require("../../models/product-model/product.model");
+const ShippingZone = require("../../models/shipping-zone-model/shipping-zone.model");
+const {
+  placeOrder,
+} = require("../../controllers/order-controller/order.controller");
+
+let replSet;
+
+/**
+ * Call placeOrder as the given user
+ * @param {import('mongoose').Document} user
+ * @param {Object} [body]
+ * @returns {Promise<{ statusCode: number, body: Object }>}
+ */
+const callPlaceOrder = async (user, body = {}) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+
+  await placeOrder(
+    { user: { id: user._id.toString(), role: "USER" }, body },
+    res,
+  );
+
+  return res;
+};
+
+/**
+ * @param {string} title
+ * @param {number} stock
+ * @returns {Promise<import('mongoose').Document>}
+ */
+const createProduct = (title, stock) =>
+  Product.create({
+    title,
+    description: `${title} for tests`,
+    price: 10,
+    category: ["Accessories"],
+    stock,
+    addedBy: new mongoose.Types.ObjectId(),
+  });
+
+/**
+ * @param {string} name
+ * @param {Array<{ product: import('mongoose').Document, quantity: number }>} [cart]
+ * @returns {Promise<import('mongoose').Document>}
+ */
+const createUser = async (name, cart = []) => {
+  const userId = new mongoose.Types.ObjectId();
+  const lines = cart.map(({ product, quantity }) => ({
+    userId,
+    productId: product._id,
+    quantity,
+    unitPrice: product.price,
+    totalPrice: product.price * quantity,
+  }));
+
+  if (lines.length) await Cart.insertMany(lines);
+
+  return User.create({
+    _id: userId,
+    userName: name,
+    email: `${name}@nidrip.test`,
+    password: "hashed",
+    address: "1 Test Street, London",
+    cart: lines,
+  });
+};
+
+before(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(replSet.getUri());
+
+  // Collections can't be created implicitly by concurrent transactions
+  await Promise.all(
+    Object.values(mongoose.models).map((model) => model.init()),
+  );
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) =>
+      collection.deleteMany({}),
+    ),
+  );
+
+  await ShippingZone.create({
+    name: "Standard Shipping",
+    isDefault: true,
+    rates: [{ min: 0, max: null, cost: 0 }],
+  });
+});
+
+describe("placeOrder", () => {
+  it("sells the last units once when checkouts race for them", async () => {
+    const product = await createProduct("Last Units Cable", 3);
+    const buyers = await Promise.all(
+      Array.from({ length: 6 }, (_, index) => createUser(`buyer${index}`)),
+    );
+
+    const results = await Promise.all(
+      buyers.map((buyer) =>
+        callPlaceOrder(buyer, { productId: product._id.toString() }),
+      ),
+    );
+
+    const placed = results.filter((res) => res.statusCode === 201);
+    const rejected = results.filter((res) => res.statusCode === 400);
+    assert.equal(placed.length, 3);
+    assert.equal(rejected.length, 3);
+    for (const res of rejected) {
+      assert.match(res.body.message, /Insufficient stock/);
+    }
+
+    const { stock } = await Product.findById(product._id).lean();
+    assert.equal(stock, 0);
+    assert.equal(await Order.countDocuments(), 3);
+  });
+
+  it("rolls back the whole order when a line in the middle is out of stock", async () => {
+    const first = await createProduct("First Line", 5);
+    const soldOut = await createProduct("Sold Out Line", 1);
+    const last = await createProduct("Last Line", 5);
+    const user = await createUser("cartbuyer", [
+      { product: first, quantity: 2 },
+      { product: soldOut, quantity: 2 },
+      { product: last, quantity: 1 },
+    ]);
+
+    const res = await callPlaceOrder(user);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Insufficient stock for Sold Out Line/);
+
+    const stocks = await Product.find({
+      _id: { $in: [first._id, soldOut._id, last._id] },
+    }).lean();
+    const stockOf = (product) =>
+      stocks.find((doc) => doc._id.equals(product._id)).stock;
+    assert.equal(stockOf(first), 5);
+    assert.equal(stockOf(soldOut), 1);
+    assert.equal(stockOf(last), 5);
+
+    assert.equal(await Order.countDocuments(), 0);
+    assert.equal(await Cart.countDocuments({ userId: user._id }), 3);
+
+    const saved = await User.findById(user._id).lean();
+    assert.equal(saved.cart.length, 3);
+    assert.equal(saved.orders.length, 0);
+  });
+
+  it("rejects a payment method that is not text", async () => {
+    const product = await createProduct("Any Payment Cable", 2);
+    const user = await createUser("paymentbuyer");
+
+    const res = await callPlaceOrder(user, {
+      productId: product._id.toString(),
+      paymentMethod: { $ne: null },
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Invalid paymentMethod/);
+
+    const { stock } = await Product.findById(product._id).lean();
+    assert.equal(stock, 2);
+    assert.equal(await Order.countDocuments(), 0);
+  });
+});
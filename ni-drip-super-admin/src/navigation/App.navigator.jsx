@@ -29,6 +29,9 @@ import Dashboard from "../screens/dashboard/Main.dashboard";
 import Orders from "../screens/manage-orders/orders/Orders";
 import OrderDetails from "../screens/manage-orders/order-details/OrderDetails";
 
+// Returns Management
+import Returns from "../screens/manage-returns/Returns";
+
 // Users Management
 import Users from "../screens/manage-users/users/Users";
 import UserDetails from "../screens/manage-users/user-details/UserDetails";
@@ -39,9 +42,21 @@ import Products from "../screens/manage-products/products/Products";
 import ProductDetails from "../screens/manage-products/product-details/ProductDetails";
 import UpdateProduct from "../screens/manage-products/update-product/UpdateProduct";
 
+// Categories Management
+import Categories from "../screens/manage-categories/Categories";
+
 // Inventory Management
 import Inventory from "../screens/manage-inventory/Inventory";
 
+// Coupons Management
+import Coupons from "../screens/manage-coupons/Coupons";
+
+// Shipping Management
+import Shipping from "../screens/manage-shipping/Shipping";
+
+// Tax Management
+import Tax from "../screens/manage-tax/Tax";
+
 // Reviews Management
 import Reviews from "../screens/manage-reviews/Reviews";
 
@@ -87,6 +102,9 @@ const AppNavigator = () => {
           element={<OrderDetails />}
         />
 
+        {/* Returns Management */}
+        <Route path="returns/manage-returns" element={<Returns />} />
+
         {/* Users Management */}
         <Route path="users/manage-users" element={<Users />} />
         <Route
@@ -109,9 +127,21 @@ const AppNavigator = () => {
           element={<UpdateProduct />}
         />
 
+        {/* Categories Management */}
+        <Route path="categories/manage-categories" element={<Categories />} />
+
         {/* Inventory Management */}
         <Route path="inventory/manage-inventory" element={<Inventory />} />
 
+        {/* Coupons Management */}
+        <Route path="coupons/manage-coupons" element={<Coupons />} />
+
+        {/* Shipping Management */}
+        <Route path="shipping/manage-shipping" element={<Shipping />} />
+
+        {/* Tax Management */}
+        <Route path="tax/manage-tax" element={<Tax />} />
+
         {/* Reviews Management */}
         <Route path="reviews/manage-reviews" element={<Reviews />} />
 
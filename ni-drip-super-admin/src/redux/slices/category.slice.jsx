@@ -0,0 +1,269 @@
+/**
+ * @file category.slice.js
+ * @module Redux/Slices/Category
+ * @description
+ * Redux Toolkit slice managing the catalog category tree.
+ * * Core Features:
+ * - Full Retrieval: Fetches every category (inactive included) as a tree with product counts.
+ * - CRUD: Creates, updates (name, slug, parent, icon, image, order, visibility) and deletes categories.
+ * - Binary Data Support: Create and update send `multipart/form-data` for the cover image.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * Normalize an axios failure into the slice's rejection payload
+ * @param {Error} error
+ * @param {Function} rejectWithValue
+ */
+const rejectRequest = (error, rejectWithValue) => {
+  const backendError = error.response?.data;
+  return rejectWithValue({
+    message: backendError?.message || error.message,
+    success: false,
+    status: error.response?.status || 0,
+  });
+};
+
+/**
+ * @function getAllCategories
+ * @async
+ * @description Fetches the whole category tree.
+ */
+export const getAllCategories = createAsyncThunk(
+  "category/getAllCategories",
+  async (_, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/category/get-all-categories`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { allCategories, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        allCategories: allCategories || [],
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function createCategory
+ * @async
+ * @description Creates a category.
+ * @param {FormData} formData - name, slug, parent, icon, sortOrder, isActive, categoryImage
+ */
+export const createCategory = createAsyncThunk(
+  "category/createCategory",
+  async (formData, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/category/create-category`,
+        formData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "multipart/form-data",
+          },
+        },
+      );
+
+      const { message, success, newCategory } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        newCategory,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function updateCategory
+ * @async
+ * @description Updates a category.
+ * @param {{ categoryId: string, formData: FormData }} payload
+ */
+export const updateCategory = createAsyncThunk(
+  "category/updateCategory",
+  async ({ categoryId, formData }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/category/update-category/${categoryId}`,
+        formData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "multipart/form-data",
+          },
+        },
+      );
+
+      const { message, success, updatedCategory } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        updatedCategory,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function deleteCategory
+ * @async
+ * @description Deletes an empty category.
+ * @param {string} categoryId
+ */
+export const deleteCategory = createAsyncThunk(
+  "category/deleteCategory",
+  async (categoryId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/category/delete-category/${categoryId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        categoryId,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+const categorySlice = createSlice({
+  name: "category",
+  initialState: {
+    allCategories: [],
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearCategoryMessages: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  // Writes can move categories around the tree and change product counts,
+  // so screens refetch the tree after a successful write
+  extraReducers: (builder) => {
+    builder
+      /* Get All Categories Cases */
+      .addCase(getAllCategories.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getAllCategories.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allCategories = action.payload.allCategories;
+        state.success = true;
+      })
+      .addCase(getAllCategories.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch categories";
+        state.success = false;
+      })
+
+      /* Create Category Cases */
+      .addCase(createCategory.fulfilled, (state, action) => {
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(createCategory.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to create category";
+        state.success = false;
+      })
+
+      /* Update Category Cases */
+      .addCase(updateCategory.fulfilled, (state, action) => {
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(updateCategory.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update category";
+        state.success = false;
+      })
+
+      /* Delete Category Cases */
+      .addCase(deleteCategory.fulfilled, (state, action) => {
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(deleteCategory.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to delete category";
+        state.success = false;
+      });
+  },
+});
+
+export const { clearCategoryMessages } = categorySlice.actions;
+
+export default categorySlice.reducer;
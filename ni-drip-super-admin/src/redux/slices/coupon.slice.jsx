@@ -0,0 +1,277 @@
+/**
+ * @file coupon.slice.js
+ * @module Redux/Slices/Coupon
+ * @description
+ * Redux Toolkit slice managing discount coupons for the SuperAdmin panel.
+ * * Core Features:
+ * - Full Retrieval: Fetches every coupon with its usage counters.
+ * - CRUD: Creates, updates (including activate / deactivate) and deletes coupons.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * Normalize an axios failure into the slice's rejection payload
+ * @param {Error} error
+ * @param {Function} rejectWithValue
+ */
+const rejectRequest = (error, rejectWithValue) => {
+  const backendError = error.response?.data;
+  return rejectWithValue({
+    message: backendError?.message || error.message,
+    success: false,
+    status: error.response?.status || 0,
+  });
+};
+
+/**
+ * @function getAllCoupons
+ * @async
+ * @description Fetches the complete list of coupons.
+ */
+export const getAllCoupons = createAsyncThunk(
+  "coupon/getAllCoupons",
+  async (_, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/coupon/get-all-coupons`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { allCoupons, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        allCoupons: allCoupons || [],
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function createCoupon
+ * @async
+ * @description Creates a new coupon.
+ * @param {Object} couponData - Coupon fields (code, type, value, limits, scope, dates).
+ */
+export const createCoupon = createAsyncThunk(
+  "coupon/createCoupon",
+  async (couponData, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/coupon/create-coupon`,
+        couponData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, newCoupon } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        newCoupon,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function updateCoupon
+ * @async
+ * @description Updates an existing coupon.
+ * @param {{ couponId: string, couponData: Object }} payload
+ */
+export const updateCoupon = createAsyncThunk(
+  "coupon/updateCoupon",
+  async ({ couponId, couponData }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/coupon/update-coupon/${couponId}`,
+        couponData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, updatedCoupon } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        updatedCoupon,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function deleteCoupon
+ * @async
+ * @description Permanently deletes a coupon.
+ * @param {string} couponId
+ */
+export const deleteCoupon = createAsyncThunk(
+  "coupon/deleteCoupon",
+  async (couponId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/coupon/delete-coupon/${couponId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        couponId,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+const couponSlice = createSlice({
+  name: "coupons",
+  initialState: {
+    allCoupons: [],
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearCouponMessages: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      /* Get All Coupons Cases */
+      .addCase(getAllCoupons.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getAllCoupons.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allCoupons = action.payload.allCoupons;
+        state.success = true;
+      })
+      .addCase(getAllCoupons.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch coupons";
+        state.success = false;
+      })
+
+      /* Create Coupon Cases */
+      .addCase(createCoupon.fulfilled, (state, action) => {
+        state.allCoupons.unshift(action.payload.newCoupon);
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(createCoupon.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to create coupon";
+        state.success = false;
+      })
+
+      /* Update Coupon Cases */
+      .addCase(updateCoupon.fulfilled, (state, action) => {
+        const { updatedCoupon } = action.payload;
+        const index = state.allCoupons.findIndex(
+          (c) => c._id === updatedCoupon?._id,
+        );
+        if (index !== -1) {
+          state.allCoupons[index] = updatedCoupon;
+        }
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(updateCoupon.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update coupon";
+        state.success = false;
+      })
+
+      /* Delete Coupon Cases */
+      .addCase(deleteCoupon.fulfilled, (state, action) => {
+        state.allCoupons = state.allCoupons.filter(
+          (c) => c._id !== action.payload.couponId,
+        );
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(deleteCoupon.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to delete coupon";
+        state.success = false;
+      });
+  },
+});
+
+export const { clearCouponMessages } = couponSlice.actions;
+
+export default couponSlice.reducer;
@@ -5,8 +5,13 @@
  * Redux Toolkit slice managing the global state for customer orders.
  * * Core Features:
  * - Full Retrieval: Fetches the complete orders dataset for SuperAdmins.
+ * - Detail Retrieval: Fetches a single order with its populated status history.
  * - Secure Requests: Attaches Bearer tokens from localStorage.
  * - Dynamic Updates: Handles both Order Status and Payment Status updates.
+ * - Archive: Soft-deletes closed orders, lists the archive and restores from it.
+ * - Order Edits: Changes the lines / shipping address of unfulfilled orders.
+ * - Invoices: Downloads an order's PDF invoice.
+ * - Shipments: Fetches tracking timelines, ships selected lines and adds tracking events.
  * * @requires @reduxjs/toolkit
  * @requires axios
  */
@@ -22,11 +27,12 @@ const getToken = () => localStorage.getItem("authToken");
 /**
  * @function getAllOrders
  * @async
- * @description Fetches the complete list of orders from the database.
+ * @description Fetches the active orders, or only the archived ones.
+ * @param {{ archived?: boolean }} [options]
  */
 export const getAllOrders = createAsyncThunk(
   "order/getAllOrders",
-  async (_, { rejectWithValue }) => {
+  async ({ archived = false } = {}, { rejectWithValue }) => {
     const token = getToken();
     if (!token)
       return rejectWithValue({
@@ -39,6 +45,7 @@ export const getAllOrders = createAsyncThunk(
         `${BACKEND_API_URL}/order/get-all-orders`, // Ensure this matches your route
         {
           headers: { Authorization: `Bearer ${token}` },
+          params: archived ? { archived: true } : undefined,
         },
       );
 
@@ -62,15 +69,63 @@ export const getAllOrders = createAsyncThunk(
   },
 );
 
+/**
+ * @function getOrderById
+ * @async
+ * @description Fetches a single order, including its `statusHistory` timeline.
+ * @param {string} orderId
+ */
+export const getOrderById = createAsyncThunk(
+  "order/getOrderById",
+  async (orderId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/order/get-order-by-id/${orderId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { order, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        order,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
 /**
  * @function updateOrderStatus
  * @async
- * @description Updates the order status and/or payment status.
- * @param {{ orderId: string, status?: string, paymentStatus?: string }} payload
+ * @description Updates the order status and/or payment status. Moving to SHIPPED
+ * requires `shipment` ({ carrier, trackingNumber, estimatedDelivery? }).
+ * @param {{ orderId: string, status?: string, paymentStatus?: string, note?: string, shipment?: Object }} payload
  */
 export const updateOrderStatus = createAsyncThunk(
   "order/updateOrderStatus",
-  async ({ orderId, status, paymentStatus }, { rejectWithValue }) => {
+  async (
+    { orderId, status, paymentStatus, note, shipment },
+    { rejectWithValue },
+  ) => {
     const token = getToken();
 
     if (!token)
@@ -82,7 +137,7 @@ export const updateOrderStatus = createAsyncThunk(
     try {
       const response = await axios.put(
         `${BACKEND_API_URL}/order/action/update-order-status/${orderId}`,
-        { status, paymentStatus },
+        { status, paymentStatus, note, ...shipment },
         {
           headers: {
             Authorization: `Bearer ${token}`,
@@ -113,13 +168,62 @@ export const updateOrderStatus = createAsyncThunk(
 );
 
 /**
- * @function deleteOrder
+ * @function archiveOrder
  * @async
- * @description Permanently deletes an order and updates the local state.
+ * @description Archives (soft-deletes) a closed order and removes it from the active list.
+ * @param {{ orderId: string, reason: string }} payload
+ */
+export const archiveOrder = createAsyncThunk(
+  "order/archiveOrder",
+  async ({ orderId, reason }, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.put(
+        `${BACKEND_API_URL}/order/action/archive-order/${orderId}`,
+        { reason },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        orderId, // We return this to filter the state
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function restoreOrder
+ * @async
+ * @description Restores an archived order and removes it from the archive list.
  * @param {string} orderId
  */
-export const deleteOrder = createAsyncThunk(
-  "order/deleteOrder",
+export const restoreOrder = createAsyncThunk(
+  "order/restoreOrder",
   async (orderId, { rejectWithValue }) => {
     const token = getToken();
 
@@ -130,8 +234,9 @@ export const deleteOrder = createAsyncThunk(
       });
 
     try {
-      const response = await axios.delete(
-        `${BACKEND_API_URL}/order/delete-order/${orderId}`, // Match this to your backend route
+      const response = await axios.put(
+        `${BACKEND_API_URL}/order/action/restore-order/${orderId}`,
+        {},
         {
           headers: { Authorization: `Bearer ${token}` },
         },
@@ -144,7 +249,270 @@ export const deleteOrder = createAsyncThunk(
       return {
         success: true,
         message,
-        orderId, // We return this to filter the state
+        orderId,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function downloadOrderInvoice
+ * @async
+ * @description Fetches an order's PDF invoice and saves it through the browser.
+ * @param {string} orderId
+ */
+export const downloadOrderInvoice = createAsyncThunk(
+  "order/downloadOrderInvoice",
+  async (orderId, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/order/${orderId}/invoice`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+          responseType: "blob",
+        },
+      );
+
+      const fileName =
+        response.headers["content-disposition"]?.match(
+          /filename="(.+)"/,
+        )?.[1] || `invoice-${orderId}.pdf`;
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+
+      return {
+        success: true,
+        message: "Invoice downloaded",
+        orderId,
+      };
+    } catch (error) {
+      // Error bodies arrive as a Blob because of responseType
+      let backendError = error.response?.data;
+      if (backendError instanceof Blob) {
+        try {
+          backendError = JSON.parse(await backendError.text());
+        } catch {
+          backendError = null;
+        }
+      }
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function editOrder
+ * @async
+ * @description Edits a PENDING / PROCESSING order. Lines not listed are kept;
+ * quantity 0 removes a line. The server re-prices the order and emails the customer.
+ * @param {{ orderId: string, items?: Array<{ productId: string, quantity: number }>, shippingAddress?: string, note?: string }} payload
+ */
+export const editOrder = createAsyncThunk(
+  "order/editOrder",
+  async ({ orderId, ...changes }, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.put(
+        `${BACKEND_API_URL}/order/action/edit-order/${orderId}`,
+        changes,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, updatedOrder } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        orderId,
+        updatedOrder,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function getOrderShipments
+ * @async
+ * @description Fetches an order's shipments with their tracking events.
+ * @param {string} orderId
+ */
+export const getOrderShipments = createAsyncThunk(
+  "order/getOrderShipments",
+  async (orderId, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/shipment/get-order-shipments/${orderId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { message, success, shipments } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        orderId,
+        shipments: shipments || [],
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function createShipment
+ * @async
+ * @description Ships selected lines of an order in one parcel; the order moves
+ * to PARTIALLY_SHIPPED or SHIPPED server-side.
+ * @param {{ orderId: string, items: Array<{ itemId: string, quantity: number }>, carrier: string, trackingNumber: string, estimatedDelivery?: string, note?: string }} payload
+ */
+export const createShipment = createAsyncThunk(
+  "order/createShipment",
+  async ({ orderId, ...shipment }, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/shipment/action/create-shipment/${orderId}`,
+        shipment,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, newShipment, updatedOrder } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        orderId,
+        newShipment,
+        updatedOrder,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function addTrackingEvent
+ * @async
+ * @description Adds a tracking event to a shipment; a DELIVERED event marks its
+ * lines delivered (and the order, once every line is) server-side.
+ * @param {{ shipmentId: string, status: string, description?: string, location?: string, occurredAt?: string }} payload
+ */
+export const addTrackingEvent = createAsyncThunk(
+  "order/addTrackingEvent",
+  async ({ shipmentId, ...event }, { rejectWithValue }) => {
+    const token = getToken();
+
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/shipment/action/add-tracking-event/${shipmentId}`,
+        event,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, updatedShipment } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        updatedShipment,
       };
     } catch (error) {
       const backendError = error.response?.data;
@@ -161,6 +529,9 @@ const orderSlice = createSlice({
   name: "orders",
   initialState: {
     allOrders: [],
+    selectedOrder: null,
+    shipments: [],
+    shipmentsLoading: false,
     loading: false,
     error: null,
     message: null,
@@ -191,6 +562,23 @@ const orderSlice = createSlice({
         state.success = false;
       })
 
+      /* Get Order By ID Cases */
+      .addCase(getOrderById.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getOrderById.fulfilled, (state, action) => {
+        state.loading = false;
+        state.selectedOrder = action.payload.order;
+        state.success = true;
+      })
+      .addCase(getOrderById.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch order";
+        state.selectedOrder = null;
+        state.success = false;
+      })
+
       /* Update Order Status Cases */
       .addCase(updateOrderStatus.pending, (state) => {
         state.loading = true;
@@ -205,6 +593,9 @@ const orderSlice = createSlice({
         if (index !== -1) {
           state.allOrders[index] = updatedOrderStatus;
         }
+        if (state.selectedOrder?._id === orderId) {
+          state.selectedOrder = updatedOrderStatus;
+        }
 
         state.message = action.payload.message;
         state.success = true;
@@ -216,26 +607,101 @@ const orderSlice = createSlice({
         state.success = false;
       })
 
-      /* Delete Order Cases */
-      .addCase(deleteOrder.pending, (state) => {
-        state.loading = true;
-        state.error = null;
+      /* Edit Order Cases */
+      .addCase(editOrder.fulfilled, (state, action) => {
+        const { orderId, updatedOrder } = action.payload;
+
+        const index = state.allOrders.findIndex((o) => o._id === orderId);
+        if (index !== -1) {
+          state.allOrders[index] = updatedOrder;
+        }
+        if (state.selectedOrder?._id === orderId) {
+          state.selectedOrder = updatedOrder;
+        }
+
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(editOrder.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to edit order";
+        state.success = false;
       })
-      .addCase(deleteOrder.fulfilled, (state, action) => {
-        state.loading = false;
-        const deletedOrderId = action.payload.orderId;
 
-        // Remove the order from the local list immediately
+      /* Archive / Restore Order Cases */
+      .addCase(archiveOrder.fulfilled, (state, action) => {
+        // Remove the order from the active list immediately
         state.allOrders = state.allOrders.filter(
-          (order) => order._id !== deletedOrderId,
+          (order) => order._id !== action.payload.orderId,
         );
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(archiveOrder.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to archive order";
+        state.success = false;
+      })
+      .addCase(restoreOrder.fulfilled, (state, action) => {
+        // Remove the order from the archive list immediately
+        state.allOrders = state.allOrders.filter(
+          (order) => order._id !== action.payload.orderId,
+        );
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(restoreOrder.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to restore order";
+        state.success = false;
+      })
+
+      /* Get Order Shipments Cases */
+      .addCase(getOrderShipments.pending, (state) => {
+        state.shipmentsLoading = true;
+        state.shipments = [];
+      })
+      .addCase(getOrderShipments.fulfilled, (state, action) => {
+        state.shipmentsLoading = false;
+        state.shipments = action.payload.shipments;
+      })
+      .addCase(getOrderShipments.rejected, (state, action) => {
+        state.shipmentsLoading = false;
+        state.error = action.payload?.message || "Failed to fetch shipments";
+      })
+
+      /* Create Shipment Cases */
+      .addCase(createShipment.fulfilled, (state, action) => {
+        const { orderId, newShipment, updatedOrder } = action.payload;
+        state.shipments.push(newShipment);
+
+        const index = state.allOrders.findIndex((o) => o._id === orderId);
+        if (index !== -1) {
+          state.allOrders[index] = updatedOrder;
+        }
+        if (state.selectedOrder?._id === orderId) {
+          state.selectedOrder = updatedOrder;
+        }
 
         state.message = action.payload.message;
         state.success = true;
       })
-      .addCase(deleteOrder.rejected, (state, action) => {
-        state.loading = false;
-        state.error = action.payload?.message || "Failed to delete order";
+      .addCase(createShipment.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to create shipment";
+        state.success = false;
+      })
+
+      /* Add Tracking Event Cases */
+      .addCase(addTrackingEvent.fulfilled, (state, action) => {
+        const { updatedShipment } = action.payload;
+        const index = state.shipments.findIndex(
+          (s) => s._id === updatedShipment?._id,
+        );
+        if (index !== -1) {
+          state.shipments[index] = updatedShipment;
+        }
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(addTrackingEvent.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to add tracking event";
         state.success = false;
       });
   },
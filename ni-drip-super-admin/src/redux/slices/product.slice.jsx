@@ -5,6 +5,9 @@
  * Redux Toolkit slice managing the global state for product inventory.
  * * **Core Features:**
  * - **Full CRUD Support:** Handles creation, retrieval (all/single), partial updates, and deletion.
+ * - **Paginated Listing:** `getProductsPage` loads one filtered, sorted page (plus catalog counts) for
+ *   the products and inventory tables and the dashboard; `searchProducts` loads the first title matches
+ *   for product pickers. Nothing loads the whole catalog.
  * - **Binary Data Support:** Optimized for `multipart/form-data` to handle product image uploads.
  * - **Secure Requests:** Automatically retrieves and attaches Bearer tokens from `localStorage`.
  * - **Optimistic UI Updates:** Synchronizes the `products` list immediately upon successful deletion or modification.
@@ -77,14 +80,45 @@ export const addProduct = createAsyncThunk(
 );
 
 /**
- * @function getAllProducts
+ * Matches returned to a product picker
+ * @type {number}
+ */
+const PICKER_LIMIT = 20;
+
+/**
+ * Build the rejection payload for a failed request
+ * @param {Error} error
+ * @returns {{ message: string, success: boolean, status: number }}
+ */
+const toRejection = (error) => {
+  const backendError = error.response?.data;
+
+  if (backendError) {
+    return {
+      message: backendError.message,
+      success: backendError.success || false,
+      status: error.response?.status,
+    };
+  }
+
+  return {
+    message: error.message,
+    success: false,
+    status: 0,
+  };
+};
+
+/**
+ * @function searchProducts
  * @async
- * @description Fetches the complete list of products from the database.
- * @returns {Array<Object>} Array of all product records.
+ * @description Fetches the first products (every status) whose title contains
+ *              the search text, for the coupon and order-edit product pickers.
+ * @param {string} search - Title text; empty returns the newest products.
+ * @returns {{ products: Array<Object> }}
  */
-export const getAllProducts = createAsyncThunk(
-  "product/getAllProducts",
-  async (_, { rejectWithValue }) => {
+export const searchProducts = createAsyncThunk(
+  "product/searchProducts",
+  async (search, { rejectWithValue }) => {
     const token = getToken();
     if (!token) return rejectWithValue("Admin is not authenticated.");
 
@@ -93,38 +127,75 @@ export const getAllProducts = createAsyncThunk(
         `${BACKEND_API_URL}/product/get-all-products`,
         {
           headers: { Authorization: `Bearer ${token}` },
+          params: {
+            status: "ALL",
+            limit: PICKER_LIMIT,
+            ...(search && { search }),
+          },
         },
       );
 
-      const { allProducts, products, message, success } = response.data;
+      const { products, message, success } = response.data;
 
       if (!success) {
         throw new Error(message);
       }
 
-      return {
-        products: allProducts || products || response.data,
-        message: message,
-        success: true,
-      };
+      return { products, message, success };
     } catch (error) {
-      console.error("Error fetching products:", error.response?.data);
+      return rejectWithValue(toRejection(error));
+    }
+  },
+);
 
-      const backendError = error.response?.data;
+/**
+ * @function getProductsPage
+ * @async
+ * @description Fetches one page of the catalog for the products table.
+ * @param {Object} query - Listing filters: `search`, `category`, `status`
+ *        (ACTIVE | INACTIVE | ALL), `inStock`, `minPrice`, `maxPrice`,
+ *        `minRating`, `sort` and `page`.
+ * @returns {{ products: Array<Object>, pagination: Object, statusCounts: Object, stockUnits: number }}
+ *          `statusCounts` and `stockUnits` cover every page of the filtered catalog
+ */
+export const getProductsPage = createAsyncThunk(
+  "product/getProductsPage",
+  async (query, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token) return rejectWithValue("Admin is not authenticated.");
 
-      if (backendError) {
-        return rejectWithValue({
-          message: backendError.message,
-          success: backendError.success || false,
-          status: error.response?.status,
-        });
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/product/get-all-products`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+          params: { ...query, includeCounts: true },
+        },
+      );
+
+      const {
+        products,
+        pagination,
+        statusCounts,
+        stockUnits,
+        message,
+        success,
+      } = response.data;
+
+      if (!success) {
+        throw new Error(message);
       }
 
-      return rejectWithValue({
-        message: error.message,
-        success: false,
-        status: 0,
-      });
+      return {
+        products,
+        pagination,
+        statusCounts,
+        stockUnits,
+        message,
+        success,
+      };
+    } catch (error) {
+      return rejectWithValue(toRejection(error));
     }
   },
 );
@@ -283,6 +354,13 @@ const productSlice = createSlice({
   name: "products",
   initialState: {
     products: [],
+    productsPage: [],
+    productsPagination: null,
+    statusCounts: null,
+    stockUnits: null,
+    pageLoading: false,
+    productOptions: [],
+    optionsLoading: false,
     selectedProduct: null,
     loading: false,
     error: null,
@@ -322,24 +400,31 @@ const productSlice = createSlice({
         state.message = action.payload.message;
         state.success = action.payload.success || false;
       })
-      .addCase(getAllProducts.pending, (state) => {
-        state.loading = true;
+      .addCase(searchProducts.pending, (state) => {
+        state.optionsLoading = true;
+      })
+      .addCase(searchProducts.fulfilled, (state, action) => {
+        state.optionsLoading = false;
+        state.productOptions = action.payload.products;
+      })
+      .addCase(searchProducts.rejected, (state) => {
+        state.optionsLoading = false;
+        state.productOptions = [];
+      })
+      .addCase(getProductsPage.pending, (state) => {
+        state.pageLoading = true;
         state.error = null;
-        state.message = null;
-        state.success = null;
       })
-      .addCase(getAllProducts.fulfilled, (state, action) => {
-        state.loading = false;
-        state.products = action.payload.products;
-        state.selectedProduct = null;
-        state.message = action.payload.message;
-        state.success = action.payload.success;
+      .addCase(getProductsPage.fulfilled, (state, action) => {
+        state.pageLoading = false;
+        state.productsPage = action.payload.products;
+        state.productsPagination = action.payload.pagination;
+        state.statusCounts = action.payload.statusCounts;
+        state.stockUnits = action.payload.stockUnits;
       })
-      .addCase(getAllProducts.rejected, (state, action) => {
-        state.loading = false;
+      .addCase(getProductsPage.rejected, (state, action) => {
+        state.pageLoading = false;
         state.error = action.payload.message || action.payload;
-        state.message = action.payload.message || "Failed to fetch products";
-        state.success = action.payload.success || false;
       })
       .addCase(getProductById.pending, (state) => {
         state.loading = true;
@@ -374,6 +459,9 @@ const productSlice = createSlice({
         state.products = state.products.map((product) =>
           product._id === updatedProduct._id ? updatedProduct : product,
         );
+        state.productsPage = state.productsPage.map((product) =>
+          product._id === updatedProduct._id ? updatedProduct : product,
+        );
         if (state.selectedProduct?._id === updatedProduct._id) {
           state.selectedProduct = updatedProduct;
         }
@@ -393,6 +481,9 @@ const productSlice = createSlice({
       .addCase(deleteProduct.fulfilled, (state, action) => {
         state.loading = false;
         state.products = action.payload.products;
+        state.productsPage = state.productsPage.filter(
+          (product) => product._id !== action.payload.deletedProductId,
+        );
         state.message = action.payload.message;
         state.success = action.payload.success;
 
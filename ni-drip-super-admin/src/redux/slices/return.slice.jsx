@@ -0,0 +1,233 @@
+/**
+ * @file return.slice.js
+ * @module Redux/Slices/Return
+ * @description
+ * Redux Toolkit slice managing the global state for customer return requests (RMA).
+ * * Core Features:
+ * - Full Retrieval: Fetches every return request for SuperAdmins.
+ * - Review Workflow: Approves or rejects REQUESTED returns with an admin note.
+ * - Receiving: Marks APPROVED returns as received, which restocks the items server-side.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * @function getAllReturns
+ * @async
+ * @description Fetches the complete list of return requests.
+ */
+export const getAllReturns = createAsyncThunk(
+  "return/getAllReturns",
+  async (_, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/return/get-all-returns`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { allReturns, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        allReturns: allReturns || [],
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function reviewReturn
+ * @async
+ * @description Approves or rejects a REQUESTED return.
+ * @param {{ returnId: string, decision: "APPROVED"|"REJECTED", adminNote?: string }} payload
+ */
+export const reviewReturn = createAsyncThunk(
+  "return/reviewReturn",
+  async ({ returnId, decision, adminNote }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.put(
+        `${BACKEND_API_URL}/return/action/review-return/${returnId}`,
+        { decision, adminNote },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, updatedReturn } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        updatedReturn,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * @function receiveReturn
+ * @async
+ * @description Marks an APPROVED return as received; the backend restocks the items.
+ * @param {{ returnId: string, adminNote?: string }} payload
+ */
+export const receiveReturn = createAsyncThunk(
+  "return/receiveReturn",
+  async ({ returnId, adminNote }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.put(
+        `${BACKEND_API_URL}/return/action/receive-return/${returnId}`,
+        { adminNote },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, updatedReturn } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        updatedReturn,
+      };
+    } catch (error) {
+      const backendError = error.response?.data;
+      return rejectWithValue({
+        message: backendError?.message || error.message,
+        success: false,
+        status: error.response?.status || 0,
+      });
+    }
+  },
+);
+
+/**
+ * Swap an updated return into the list
+ * @param {Object} state
+ * @param {Object} updatedReturn
+ */
+const replaceReturn = (state, updatedReturn) => {
+  const index = state.allReturns.findIndex((r) => r._id === updatedReturn?._id);
+  if (index !== -1) {
+    state.allReturns[index] = updatedReturn;
+  }
+};
+
+const returnSlice = createSlice({
+  name: "returns",
+  initialState: {
+    allReturns: [],
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearReturnMessages: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      /* Get All Returns Cases */
+      .addCase(getAllReturns.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getAllReturns.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allReturns = action.payload.allReturns;
+        state.success = true;
+      })
+      .addCase(getAllReturns.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch returns";
+        state.success = false;
+      })
+
+      /* Review Return Cases */
+      .addCase(reviewReturn.fulfilled, (state, action) => {
+        replaceReturn(state, action.payload.updatedReturn);
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(reviewReturn.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to review return";
+        state.success = false;
+      })
+
+      /* Receive Return Cases */
+      .addCase(receiveReturn.fulfilled, (state, action) => {
+        replaceReturn(state, action.payload.updatedReturn);
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(receiveReturn.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to receive return";
+        state.success = false;
+      });
+  },
+});
+
+export const { clearReturnMessages } = returnSlice.actions;
+
+export default returnSlice.reducer;
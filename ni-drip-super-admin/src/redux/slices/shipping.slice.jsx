@@ -0,0 +1,286 @@
+/**
+ * @file shipping.slice.js
+ * @module Redux/Slices/Shipping
+ * @description
+ * Redux Toolkit slice managing shipping zones and their rate tiers.
+ * * Core Features:
+ * - Full Retrieval: Fetches every shipping zone.
+ * - CRUD: Creates, updates (cities, tiers, free-shipping threshold) and deletes zones.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * Normalize an axios failure into the slice's rejection payload
+ * @param {Error} error
+ * @param {Function} rejectWithValue
+ */
+const rejectRequest = (error, rejectWithValue) => {
+  const backendError = error.response?.data;
+  return rejectWithValue({
+    message: backendError?.message || error.message,
+    success: false,
+    status: error.response?.status || 0,
+  });
+};
+
+/**
+ * @function getAllZones
+ * @async
+ * @description Fetches all shipping zones.
+ */
+export const getAllZones = createAsyncThunk(
+  "shipping/getAllZones",
+  async (_, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/shipping/get-all-zones`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { allZones, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        allZones: allZones || [],
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function createZone
+ * @async
+ * @description Creates a shipping zone.
+ * @param {Object} zoneData - name, cities, basis, rates, freeShippingThreshold, ...
+ */
+export const createZone = createAsyncThunk(
+  "shipping/createZone",
+  async (zoneData, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/shipping/create-zone`,
+        zoneData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, newZone } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        newZone,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function updateZone
+ * @async
+ * @description Updates a shipping zone.
+ * @param {{ zoneId: string, zoneData: Object }} payload
+ */
+export const updateZone = createAsyncThunk(
+  "shipping/updateZone",
+  async ({ zoneId, zoneData }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/shipping/update-zone/${zoneId}`,
+        zoneData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, updatedZone } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        updatedZone,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function deleteZone
+ * @async
+ * @description Deletes a shipping zone.
+ * @param {string} zoneId
+ */
+export const deleteZone = createAsyncThunk(
+  "shipping/deleteZone",
+  async (zoneId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/shipping/delete-zone/${zoneId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        zoneId,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+const shippingSlice = createSlice({
+  name: "shipping",
+  initialState: {
+    allZones: [],
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearShippingMessages: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      /* Get All Zones Cases */
+      .addCase(getAllZones.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getAllZones.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allZones = action.payload.allZones;
+        state.success = true;
+      })
+      .addCase(getAllZones.rejected, (state, action) => {
+        state.loading = false;
+        state.error =
+          action.payload?.message || "Failed to fetch shipping zones";
+        state.success = false;
+      })
+
+      /* Create Zone Cases */
+      .addCase(createZone.fulfilled, (state, action) => {
+        const { newZone } = action.payload;
+        // The backend keeps a single default zone
+        if (newZone.isDefault) {
+          state.allZones.forEach((z) => (z.isDefault = false));
+        }
+        state.allZones.push(newZone);
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(createZone.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to create zone";
+        state.success = false;
+      })
+
+      /* Update Zone Cases */
+      .addCase(updateZone.fulfilled, (state, action) => {
+        const { updatedZone } = action.payload;
+        if (updatedZone.isDefault) {
+          state.allZones.forEach((z) => (z.isDefault = false));
+        }
+        const index = state.allZones.findIndex(
+          (z) => z._id === updatedZone?._id,
+        );
+        if (index !== -1) {
+          state.allZones[index] = updatedZone;
+        }
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(updateZone.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update zone";
+        state.success = false;
+      })
+
+      /* Delete Zone Cases */
+      .addCase(deleteZone.fulfilled, (state, action) => {
+        state.allZones = state.allZones.filter(
+          (z) => z._id !== action.payload.zoneId,
+        );
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(deleteZone.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to delete zone";
+        state.success = false;
+      });
+  },
+});
+
+export const { clearShippingMessages } = shippingSlice.actions;
+
+export default shippingSlice.reducer;
@@ -0,0 +1,285 @@
+/**
+ * @file tax.slice.js
+ * @module Redux/Slices/Tax
+ * @description
+ * Redux Toolkit slice managing tax regions and their rates.
+ * * Core Features:
+ * - Full Retrieval: Fetches every tax region.
+ * - CRUD: Creates, updates (cities, standard rate, category overrides) and deletes regions.
+ * * @requires @reduxjs/toolkit
+ * @requires axios
+ */
+
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+import CONFIG from "../config/Config.config";
+
+const { BACKEND_API_URL } = CONFIG;
+
+const getToken = () => localStorage.getItem("authToken");
+
+/**
+ * Normalize an axios failure into the slice's rejection payload
+ * @param {Error} error
+ * @param {Function} rejectWithValue
+ */
+const rejectRequest = (error, rejectWithValue) => {
+  const backendError = error.response?.data;
+  return rejectWithValue({
+    message: backendError?.message || error.message,
+    success: false,
+    status: error.response?.status || 0,
+  });
+};
+
+/**
+ * @function getAllRegions
+ * @async
+ * @description Fetches all tax regions.
+ */
+export const getAllRegions = createAsyncThunk(
+  "tax/getAllRegions",
+  async (_, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/tax/get-all-regions`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { allRegions, message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        allRegions: allRegions || [],
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function createRegion
+ * @async
+ * @description Creates a tax region.
+ * @param {Object} regionData - name, cities, rate, categoryRates, isDefault, ...
+ */
+export const createRegion = createAsyncThunk(
+  "tax/createRegion",
+  async (regionData, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.post(
+        `${BACKEND_API_URL}/tax/create-region`,
+        regionData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, newRegion } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        newRegion,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function updateRegion
+ * @async
+ * @description Updates a tax region.
+ * @param {{ regionId: string, regionData: Object }} payload
+ */
+export const updateRegion = createAsyncThunk(
+  "tax/updateRegion",
+  async ({ regionId, regionData }, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.patch(
+        `${BACKEND_API_URL}/tax/update-region/${regionId}`,
+        regionData,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "Content-Type": "application/json",
+          },
+        },
+      );
+
+      const { message, success, updatedRegion } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        updatedRegion,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+/**
+ * @function deleteRegion
+ * @async
+ * @description Deletes a tax region.
+ * @param {string} regionId
+ */
+export const deleteRegion = createAsyncThunk(
+  "tax/deleteRegion",
+  async (regionId, { rejectWithValue }) => {
+    const token = getToken();
+    if (!token)
+      return rejectWithValue({
+        message: "Admin is not authenticated.",
+        success: false,
+      });
+
+    try {
+      const response = await axios.delete(
+        `${BACKEND_API_URL}/tax/delete-region/${regionId}`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      const { message, success } = response.data;
+
+      if (!success) throw new Error(message);
+
+      return {
+        success: true,
+        message,
+        regionId,
+      };
+    } catch (error) {
+      return rejectRequest(error, rejectWithValue);
+    }
+  },
+);
+
+const taxSlice = createSlice({
+  name: "tax",
+  initialState: {
+    allRegions: [],
+    loading: false,
+    error: null,
+    message: null,
+    success: null,
+  },
+  reducers: {
+    clearTaxMessages: (state) => {
+      state.message = null;
+      state.error = null;
+      state.success = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      /* Get All Regions Cases */
+      .addCase(getAllRegions.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(getAllRegions.fulfilled, (state, action) => {
+        state.loading = false;
+        state.allRegions = action.payload.allRegions;
+        state.success = true;
+      })
+      .addCase(getAllRegions.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload?.message || "Failed to fetch tax regions";
+        state.success = false;
+      })
+
+      /* Create Region Cases */
+      .addCase(createRegion.fulfilled, (state, action) => {
+        const { newRegion } = action.payload;
+        // The backend keeps a single default region
+        if (newRegion.isDefault) {
+          state.allRegions.forEach((r) => (r.isDefault = false));
+        }
+        state.allRegions.push(newRegion);
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(createRegion.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to create region";
+        state.success = false;
+      })
+
+      /* Update Region Cases */
+      .addCase(updateRegion.fulfilled, (state, action) => {
+        const { updatedRegion } = action.payload;
+        if (updatedRegion.isDefault) {
+          state.allRegions.forEach((r) => (r.isDefault = false));
+        }
+        const index = state.allRegions.findIndex(
+          (r) => r._id === updatedRegion?._id,
+        );
+        if (index !== -1) {
+          state.allRegions[index] = updatedRegion;
+        }
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(updateRegion.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to update region";
+        state.success = false;
+      })
+
+      /* Delete Region Cases */
+      .addCase(deleteRegion.fulfilled, (state, action) => {
+        state.allRegions = state.allRegions.filter(
+          (r) => r._id !== action.payload.regionId,
+        );
+        state.message = action.payload.message;
+        state.success = true;
+      })
+      .addCase(deleteRegion.rejected, (state, action) => {
+        state.error = action.payload?.message || "Failed to delete region";
+        state.success = false;
+      });
+  },
+});
+
+export const { clearTaxMessages } = taxSlice.actions;
+
+export default taxSlice.reducer;
@@ -17,10 +17,15 @@ import { combineReducers } from "redux";
 import authReducer from "../slices/auth.slice";
 import superAdminReducer from "../slices/super-admin.slice";
 import productReducer from "../slices/product.slice";
+import categoryReducer from "../slices/category.slice";
 import reviewReducer from "../slices/review.slice";
 import supportReducer from "../slices/support.slice";
 import userReducer from "../slices/user.slice";
 import orderReducer from "../slices/order.slice";
+import returnReducer from "../slices/return.slice";
+import couponReducer from "../slices/coupon.slice";
+import shippingReducer from "../slices/shipping.slice";
+import taxReducer from "../slices/tax.slice";
 
 /**
  * A wrapper around localStorage to provide async-like
@@ -63,10 +68,15 @@ const rootReducer = combineReducers({
   auth: authReducer,
   superAdmin: superAdminReducer,
   products: productReducer,
+  categories: categoryReducer,
   reviews: reviewReducer,
   support: supportReducer,
   users: userReducer,
   orders: orderReducer,
+  returns: returnReducer,
+  coupons: couponReducer,
+  shipping: shippingReducer,
+  tax: taxReducer,
 });
 
 /**
@@ -7,8 +7,8 @@
  * - Connects to the `auth` slice to verify identity.
  * - Connects to the `products` slice to compute inventory metrics.
  * * **Workflow:**
- * - **Auto-Sync:** Triggers a global product fetch on mount if an authenticated user is detected.
- * - **Metric Calculation:** Derives `totalProducts` from the store for real-time display.
+ * - **Auto-Sync:** Requests the catalog counts (a one-product page) on mount if an authenticated user is detected.
+ * - **Metric Calculation:** Product and stock totals come from the API's counts, not from loading every product.
  * - **Navigation:** Provides quick-action routing to detailed management modules.
  * * @requires react-redux
  * @requires react-router-dom
@@ -18,7 +18,7 @@ import React, { useEffect, useMemo } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import Card from "../../utilities/card/Card.utility";
-import { getAllProducts } from "../../redux/slices/product.slice";
+import { getProductsPage } from "../../redux/slices/product.slice";
 import { getAllTickets } from "../../redux/slices/support.slice";
 import { getAllUsers } from "../../redux/slices/user.slice";
 import {getAllOrders} from '../../redux/slices/order.slice'
@@ -28,14 +28,14 @@ const Main = () => {
   const navigate = useNavigate();
 
   const user = useSelector((state) => state.auth.user);
-  const products = useSelector((state) => state.products.products || []);
+  const { statusCounts, stockUnits } = useSelector((state) => state.products);
   const support = useSelector((state) => state.support.allTickets || []);
   const allUsers = useSelector((state) => state.users.allUsers || []);
   const allOrders = useSelector((state) => state.orders.allOrders || []);
 
   useEffect(() => {
     if (user?.id) {
-      dispatch(getAllProducts());
+      dispatch(getProductsPage({ status: "ALL", limit: 1 }));
       dispatch(getAllTickets());
       dispatch(getAllUsers());
       dispatch(getAllOrders());
@@ -46,13 +46,10 @@ const Main = () => {
 
   const productStats = useMemo(() => {
     return {
-      totalTypes: products.length,
-      totalStockUnits: products.reduce(
-        (acc, curr) => acc + (Number(curr.stock) || 0),
-        0,
-      ),
+      totalTypes: (statusCounts?.ACTIVE || 0) + (statusCounts?.INACTIVE || 0),
+      totalStockUnits: stockUnits || 0,
     };
-  }, [products]);
+  }, [statusCounts, stockUnits]);
 
   const supportTicketStats = useMemo(() => {
     return {
@@ -0,0 +1,502 @@
+/**
+ * @file Categories.jsx
+ * @module Screens/Categories/Management
+ * @description
+ * The administrative dashboard for the catalog category tree.
+ * * **Key Features:**
+ * - **Tree Table:** Categories in display order, indented under their parents, with product counts (subcategories included).
+ * - **Category Editor:** A modal for name, slug, parent, app icon, cover image, sort order and visibility.
+ * - **Safe Deletes:** Only empty categories can be deleted; the API explains what still uses one.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ * @requires ../../redux/slices/category.slice
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import "./Categories.css";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getAllCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from "../../redux/slices/category.slice";
+import { flattenCategories, parentOptions } from "./categoryTree";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import PopOver from "../../utilities/pop-over/PopOver.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import Button from "../../utilities/button/Button.utility";
+import { toast } from "react-hot-toast";
+
+const EMPTY_FORM = {
+  name: "",
+  slug: "",
+  parent: "",
+  icon: "",
+  sortOrder: "0",
+  isActive: true,
+};
+
+const Categories = () => {
+  const dispatch = useDispatch();
+
+  const user = useSelector((state) => state.auth.user);
+  const tree = useSelector((state) => state.categories.allCategories || []);
+  const loading = useSelector((state) => state.categories.loading);
+
+  const [search, setSearch] = useState("");
+  const [activePopover, setActivePopover] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [imageFile, setImageFile] = useState(null);
+  const [imagePreview, setImagePreview] = useState("");
+  const [categoryToDelete, setCategoryToDelete] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const actionButtonRefs = useRef({});
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (user?.id) dispatch(getAllCategories());
+  }, [dispatch, user?.id]);
+
+  // A match keeps its ancestors visible so the tree still reads correctly
+  const visibleCategories = useMemo(() => {
+    const flat = flattenCategories(tree);
+    const term = search.trim().toLowerCase();
+    if (!term) return flat;
+
+    const matches = flat.filter(
+      (c) =>
+        c.name.toLowerCase().includes(term) ||
+        c.slug.toLowerCase().includes(term),
+    );
+    const ids = new Set(
+      matches.flatMap((c) => [...c.ancestors.map((a) => a._id), c._id]),
+    );
+    return flat.filter((c) => ids.has(c._id));
+  }, [tree, search]);
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const openCreateForm = (parent = null) => {
+    setEditingCategory(null);
+    setForm({ ...EMPTY_FORM, parent: parent?._id || "" });
+    setImageFile(null);
+    setImagePreview("");
+    setIsFormOpen(true);
+    setActivePopover(null);
+  };
+
+  const openEditForm = (category) => {
+    setEditingCategory(category);
+    setForm({
+      name: category.name,
+      slug: category.slug,
+      parent: category.parent || "",
+      icon: category.icon || "",
+      sortOrder: String(category.sortOrder ?? 0),
+      isActive: category.isActive,
+    });
+    setImageFile(null);
+    setImagePreview(category.image || "");
+    setIsFormOpen(true);
+    setActivePopover(null);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingCategory(null);
+    setForm(EMPTY_FORM);
+    setImageFile(null);
+    setImagePreview("");
+  };
+
+  const handleImageSelect = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setImageFile(file);
+    setImagePreview(URL.createObjectURL(file));
+  };
+
+  const handleSubmit = async () => {
+    if (!form.name.trim()) {
+      toast.error("Category name is required");
+      return;
+    }
+    if (form.sortOrder !== "" && isNaN(form.sortOrder)) {
+      toast.error("Sort order must be a number");
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append("name", form.name.trim());
+    formData.append("slug", form.slug.trim());
+    formData.append("parent", form.parent);
+    formData.append("icon", form.icon.trim());
+    formData.append("sortOrder", Number(form.sortOrder) || 0);
+    formData.append("isActive", form.isActive);
+    if (imageFile) {
+      formData.append("categoryImage", imageFile);
+    } else if (editingCategory?.image && !imagePreview) {
+      formData.append("removeImage", "true");
+    }
+
+    setSubmitting(true);
+
+    try {
+      const result = await dispatch(
+        editingCategory
+          ? updateCategory({ categoryId: editingCategory._id, formData })
+          : createCategory(formData),
+      );
+
+      if (result.meta.requestStatus === "fulfilled") {
+        toast.success(result.payload?.message || "Category saved");
+        closeForm();
+        dispatch(getAllCategories());
+      } else {
+        toast.error(result.payload?.message || "Failed to save category");
+      }
+    } catch {
+      toast.error("Unexpected error occurred");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleActive = async (category) => {
+    setActivePopover(null);
+
+    const formData = new FormData();
+    formData.append("isActive", !category.isActive);
+
+    const result = await dispatch(
+      updateCategory({ categoryId: category._id, formData }),
+    );
+
+    if (updateCategory.fulfilled.match(result)) {
+      toast.success(
+        `${category.name} ${category.isActive ? "hidden" : "shown"}`,
+      );
+      dispatch(getAllCategories());
+    } else {
+      toast.error(result.payload?.message || "Failed to update category");
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!categoryToDelete) return;
+    setSubmitting(true);
+
+    try {
+      const result = await dispatch(deleteCategory(categoryToDelete._id));
+
+      if (deleteCategory.fulfilled.match(result)) {
+        toast.success(result.payload?.message || "Category deleted");
+        setCategoryToDelete(null);
+        dispatch(getAllCategories());
+      } else {
+        toast.error(result.payload?.message || "Failed to delete category");
+      }
+    } catch {
+      toast.error("Unexpected error occurred");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getActionItems = (category) => [
+    {
+      label: "Edit Category",
+      icon: "fas fa-edit",
+      action: () => openEditForm(category),
+    },
+    ...(category.depth < 2
+      ? [
+          {
+            label: "Add Subcategory",
+            icon: "fas fa-level-down-alt",
+            action: () => openCreateForm(category),
+          },
+        ]
+      : []),
+    {
+      label: category.isActive ? "Hide Category" : "Show Category",
+      icon: category.isActive ? "fas fa-eye-slash" : "fas fa-eye",
+      action: () => handleToggleActive(category),
+    },
+    {
+      label: "Delete Category",
+      icon: "fas fa-trash",
+      type: "danger",
+      action: () => {
+        setCategoryToDelete(category);
+        setActivePopover(null);
+      },
+    },
+  ];
+
+  return (
+    <section id="categories">
+      <div className="categories-container">
+        <div className="categories-breadcrumb">
+          <div className="categories-header">
+            <h1 className="categories-title">Categories</h1>
+            <p className="categories-subtitle">
+              Organize the catalog into categories and subcategories
+            </p>
+          </div>
+
+          <div className="categories-actions">
+            <InputField
+              placeholder="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              width={300}
+              icon={<i className="fas fa-search"></i>}
+            />
+            <Button
+              title="Add Category"
+              width={170}
+              icon={<i className="fas fa-plus-circle"></i>}
+              onPress={() => openCreateForm()}
+            />
+          </div>
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Category</th>
+                    <th>Slug</th>
+                    <th>App Icon</th>
+                    <th>Products</th>
+                    <th>Order</th>
+                    <th>Status</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+
+                <tbody>
+                  {visibleCategories.map((category) => (
+                    <tr key={category._id}>
+                      <td>
+                        <div
+                          className="category-cell"
+                          style={{ paddingLeft: category.depth * 28 }}
+                        >
+                          {category.depth > 0 && (
+                            <i className="fas fa-level-up-alt fa-rotate-90 category-branch"></i>
+                          )}
+                          {category.imageUrl ? (
+                            <img
+                              src={category.imageUrl}
+                              alt={category.name}
+                              className="category-thumb"
+                            />
+                          ) : (
+                            <span className="category-thumb placeholder">
+                              <i className="fas fa-tags"></i>
+                            </span>
+                          )}
+                          <span className="category-name">{category.name}</span>
+                        </div>
+                      </td>
+                      <td className="category-slug">{category.slug}</td>
+                      <td className="category-slug">{category.icon || "—"}</td>
+                      <td>{category.productCount}</td>
+                      <td>{category.sortOrder}</td>
+                      <td>
+                        <span
+                          className={`status-badge ${category.isActive ? "active" : "inactive"}`}
+                        >
+                          {category.isActive ? "Visible" : "Hidden"}
+                        </span>
+                      </td>
+                      <td className="action-dots">
+                        <div className="popover-anchor">
+                          <button
+                            ref={(el) =>
+                              (actionButtonRefs.current[category._id] = el)
+                            }
+                            className="action-dots"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setActivePopover(
+                                activePopover === category._id
+                                  ? null
+                                  : category._id,
+                              );
+                            }}
+                          >
+                            <i className="fas fa-ellipsis-v"></i>
+                          </button>
+                          <PopOver
+                            isOpen={activePopover === category._id}
+                            onClose={() => setActivePopover(null)}
+                            items={getActionItems(category)}
+                            anchorRef={{
+                              current: actionButtonRefs.current[category._id],
+                            }}
+                            position="bottom"
+                          />
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {!loading && visibleCategories.length === 0 && (
+              <div className="no-categories-state">
+                <i className="fas fa-sitemap no-categories-icon"></i>
+                <h3>No Categories Found</h3>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={closeForm}
+        title={
+          editingCategory ? `Edit ${editingCategory.name}` : "Add Category"
+        }
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: closeForm,
+          },
+          {
+            label: editingCategory ? "Save Changes" : "Create Category",
+            className: "primary-btn",
+            onClick: handleSubmit,
+            loading: submitting,
+          },
+        ]}
+      >
+        <div className="category-form">
+          <InputField
+            label="Name"
+            value={form.name}
+            onChange={setField("name")}
+            required
+            fullWidth
+          />
+          <InputField
+            label="Slug (generated from the name if empty)"
+            value={form.slug}
+            onChange={setField("slug")}
+            fullWidth
+          />
+          <InputField
+            label="Parent"
+            dropdownOptions={parentOptions(tree, editingCategory?._id)}
+            selectedValue={form.parent}
+            onValueChange={setField("parent")}
+            fullWidth
+          />
+          <InputField
+            label="Sort order"
+            type="number"
+            value={form.sortOrder}
+            onChange={setField("sortOrder")}
+            fullWidth
+          />
+          <div className="category-form-full">
+            <InputField
+              label="App icon (MaterialCommunityIcons name, e.g. laptop)"
+              value={form.icon}
+              onChange={setField("icon")}
+              fullWidth
+            />
+          </div>
+
+          <div className="category-form-full category-image-field">
+            {imagePreview ? (
+              <div className="category-image-preview">
+                <img src={imagePreview} alt="Category cover" />
+                <button
+                  type="button"
+                  className="category-image-remove"
+                  onClick={() => {
+                    setImageFile(null);
+                    setImagePreview("");
+                  }}
+                >
+                  <i className="fas fa-times-circle"></i>
+                </button>
+              </div>
+            ) : (
+              <button
+                type="button"
+                className="category-image-upload"
+                onClick={() => fileInputRef.current?.click()}
+              >
+                <i className="fas fa-image"></i> Upload cover image
+              </button>
+            )}
+            <input
+              type="file"
+              ref={fileInputRef}
+              accept="image/*"
+              hidden
+              onChange={handleImageSelect}
+            />
+          </div>
+
+          <label className="category-active-toggle category-form-full">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) =>
+                setForm((prev) => ({ ...prev, isActive: e.target.checked }))
+              }
+            />
+            Visible in the app (hidden categories hide their subcategories)
+          </label>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={!!categoryToDelete}
+        onClose={() => setCategoryToDelete(null)}
+        title="Delete Category"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setCategoryToDelete(null),
+          },
+          {
+            label: "Delete",
+            className: "danger-btn",
+            onClick: handleDelete,
+            loading: submitting,
+          },
+        ]}
+      >
+        <p>
+          Delete category <strong>{categoryToDelete?.name}</strong>? Only
+          categories without subcategories or products can be deleted.
+        </p>
+      </Modal>
+    </section>
+  );
+};
+
+export default Categories;
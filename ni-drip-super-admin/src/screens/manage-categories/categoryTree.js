@@ -0,0 +1,61 @@
+/**
+ * @file categoryTree.js
+ * @module Screens/Categories/CategoryTree
+ * @description
+ * Helpers for the category tree returned by the API (nodes with `children`),
+ * shared by the category screen and the product forms' category picker.
+ */
+
+/**
+ * Categories in tree order, each with its depth (0 = top level) and its
+ * ancestors (top level first)
+ * @param {Object[]} tree
+ * @param {number} [depth=0]
+ * @param {Object[]} [ancestors=[]]
+ * @returns {Array<Object & { depth: number, ancestors: Object[] }>}
+ */
+export const flattenCategories = (tree, depth = 0, ancestors = []) =>
+  tree.flatMap((node) => [
+    { ...node, depth, ancestors },
+    ...flattenCategories(node.children || [], depth + 1, [
+      ...ancestors,
+      { _id: node._id, name: node.name },
+    ]),
+  ]);
+
+/**
+ * IDs of a category and every category below it
+ * @param {Object[]} tree
+ * @param {string} categoryId
+ * @returns {Set<string>}
+ */
+export const subtreeIds = (tree, categoryId) => {
+  const ids = new Set();
+  let inside = null;
+  flattenCategories(tree).forEach((node) => {
+    if (inside !== null && node.depth <= inside) inside = null;
+    if (node._id === categoryId) inside = node.depth;
+    if (inside !== null) ids.add(node._id);
+  });
+  return ids;
+};
+
+/**
+ * Dropdown options for a category's parent – a category can't sit under
+ * itself or its subcategories
+ * @param {Object[]} tree
+ * @param {string|null} [editingId]
+ * @returns {Array<{ value: string, label: string }>}
+ */
+export const parentOptions = (tree, editingId) => {
+  const excluded = editingId ? subtreeIds(tree, editingId) : new Set();
+  return [
+    { value: "", label: "None (top level)" },
+    ...flattenCategories(tree)
+      .filter((node) => !excluded.has(node._id))
+      .map((node) => ({
+        value: node._id,
+        label: `${"— ".repeat(node.depth)}${node.name}`,
+      })),
+  ];
+};
@@ -0,0 +1,670 @@
+/**
+ * @file Coupons.jsx
+ * @module Screens/Coupons/Management
+ * @description
+ * The administrative dashboard for discount coupons and promotions.
+ * * **Key Features:**
+ * - **Coupon Stats:** Summary cards for total, active, expired and redeemed coupons.
+ * - **Create / Edit Modal:** A single form covering type (percentage, fixed, free shipping), value, caps, minimum order, usage limits, validity window and category / product scoping. A category scope includes its subcategories; products are picked by searching the catalog.
+ * - **Quick Toggles:** Activate, deactivate or delete coupons from the row `PopOver`.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ * @requires ../../redux/slices/coupon.slice
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import "./Coupons.css";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getAllCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../../redux/slices/coupon.slice";
+import { searchProducts } from "../../redux/slices/product.slice";
+import { getAllCategories } from "../../redux/slices/category.slice";
+import { flattenCategories } from "../manage-categories/categoryTree";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import PopOver from "../../utilities/pop-over/PopOver.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import Button from "../../utilities/button/Button.utility";
+import { toast } from "react-hot-toast";
+
+const COUPON_TYPE_OPTIONS = [
+  { value: "PERCENTAGE", label: "Percentage off" },
+  { value: "FIXED", label: "Fixed amount off" },
+  { value: "FREE_SHIPPING", label: "Free shipping" },
+];
+
+const EMPTY_FORM = {
+  code: "",
+  description: "",
+  type: "PERCENTAGE",
+  value: "",
+  maxDiscount: "",
+  minOrderAmount: "",
+  usageLimit: "",
+  perUserLimit: "1",
+  applicableCategories: [],
+  applicableProducts: [],
+  startsAt: "",
+  expiresAt: "",
+};
+
+/**
+ * Convert a stored date into the `yyyy-mm-dd` value a date input expects
+ * @param {string|null} date
+ */
+const toDateInput = (date) => (date ? date.slice(0, 10) : "");
+
+const isExpired = (coupon) =>
+  !!coupon.expiresAt && new Date(coupon.expiresAt) < new Date();
+
+const Coupons = () => {
+  const dispatch = useDispatch();
+
+  const user = useSelector((state) => state.auth.user);
+  const coupons = useSelector((state) => state.coupons.allCoupons || []);
+  const loading = useSelector((state) => state.coupons.loading);
+  const productOptions = useSelector(
+    (state) => state.products.productOptions || [],
+  );
+  const categoryTree = useSelector(
+    (state) => state.categories.allCategories || [],
+  );
+  const categories = useMemo(
+    () => flattenCategories(categoryTree),
+    [categoryTree],
+  );
+
+  const [search, setSearch] = useState("");
+  const [activePopover, setActivePopover] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [couponToDelete, setCouponToDelete] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [productSearch, setProductSearch] = useState("");
+  // Titles of the scoped products, keyed by id (search results come and go)
+  const [productTitles, setProductTitles] = useState({});
+
+  const actionButtonRefs = useRef({});
+
+  useEffect(() => {
+    if (user?.id) {
+      dispatch(getAllCoupons());
+      dispatch(getAllCategories());
+    }
+  }, [dispatch, user?.id]);
+
+  useEffect(() => {
+    if (!isFormOpen) return;
+    const timer = setTimeout(
+      () => dispatch(searchProducts(productSearch.trim())),
+      400,
+    );
+    return () => clearTimeout(timer);
+  }, [dispatch, isFormOpen, productSearch]);
+
+  const filteredCoupons = useMemo(() => {
+    return coupons.filter(
+      (c) =>
+        c.code?.toLowerCase().includes(search.toLowerCase()) ||
+        c.description?.toLowerCase().includes(search.toLowerCase()),
+    );
+  }, [coupons, search]);
+
+  const stats = {
+    total: coupons.length,
+    active: coupons.filter((c) => c.isActive && !isExpired(c)).length,
+    expired: coupons.filter(isExpired).length,
+    redemptions: coupons.reduce((sum, c) => sum + (c.usedCount || 0), 0),
+  };
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const openCreateForm = () => {
+    setEditingCoupon(null);
+    setForm(EMPTY_FORM);
+    setProductSearch("");
+    setProductTitles({});
+    setIsFormOpen(true);
+  };
+
+  const openEditForm = (coupon) => {
+    setEditingCoupon(coupon);
+    setForm({
+      code: coupon.code,
+      description: coupon.description || "",
+      type: coupon.type,
+      value: coupon.value ?? "",
+      maxDiscount: coupon.maxDiscount ?? "",
+      minOrderAmount: coupon.minOrderAmount ?? "",
+      usageLimit: coupon.usageLimit ?? "",
+      perUserLimit: coupon.perUserLimit ?? "",
+      applicableCategories: (coupon.applicableCategories || []).map(
+        (c) => c._id || c,
+      ),
+      applicableProducts: (coupon.applicableProducts || []).map(
+        (p) => p._id || p,
+      ),
+      startsAt: toDateInput(coupon.startsAt),
+      expiresAt: toDateInput(coupon.expiresAt),
+    });
+    setProductSearch("");
+    setProductTitles(
+      Object.fromEntries(
+        (coupon.applicableProducts || []).map((p) => [
+          p._id || p,
+          p.title || "Product",
+        ]),
+      ),
+    );
+    setIsFormOpen(true);
+    setActivePopover(null);
+  };
+
+  const addScopedProduct = (e) => {
+    const productId = e.target.value;
+    const product = productOptions.find((p) => p._id === productId);
+    if (!product) return;
+    setProductTitles((prev) => ({ ...prev, [productId]: product.title }));
+    setForm((prev) => ({
+      ...prev,
+      applicableProducts: [...prev.applicableProducts, productId],
+    }));
+  };
+
+  const removeScopedProduct = (productId) =>
+    setForm((prev) => ({
+      ...prev,
+      applicableProducts: prev.applicableProducts.filter(
+        (id) => id !== productId,
+      ),
+    }));
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingCoupon(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async () => {
+    if (!form.code.trim()) {
+      toast.error("Coupon code is required");
+      return;
+    }
+    if (form.type !== "FREE_SHIPPING" && !(Number(form.value) > 0)) {
+      toast.error("Enter a discount value greater than 0");
+      return;
+    }
+
+    const couponData = {
+      ...form,
+      code: form.code.trim().toUpperCase(),
+      value: form.type === "FREE_SHIPPING" ? 0 : Number(form.value),
+      minOrderAmount: form.minOrderAmount || 0,
+    };
+
+    setSubmitting(true);
+
+    try {
+      const result = await dispatch(
+        editingCoupon
+          ? updateCoupon({ couponId: editingCoupon._id, couponData })
+          : createCoupon(couponData),
+      );
+
+      if (result.meta.requestStatus === "fulfilled") {
+        toast.success(result.payload?.message || "Coupon saved");
+        closeForm();
+      } else {
+        toast.error(result.payload?.message || "Failed to save coupon");
+      }
+    } catch {
+      toast.error("Unexpected error occurred");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleActive = async (coupon) => {
+    setActivePopover(null);
+
+    const result = await dispatch(
+      updateCoupon({
+        couponId: coupon._id,
+        couponData: { isActive: !coupon.isActive },
+      }),
+    );
+
+    if (updateCoupon.fulfilled.match(result)) {
+      toast.success(
+        `${coupon.code} ${coupon.isActive ? "deactivated" : "activated"}`,
+      );
+    } else {
+      toast.error(result.payload?.message || "Failed to update coupon");
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!couponToDelete) return;
+    setSubmitting(true);
+
+    try {
+      const result = await dispatch(deleteCoupon(couponToDelete._id));
+
+      if (deleteCoupon.fulfilled.match(result)) {
+        toast.success(result.payload?.message || "Coupon deleted");
+        setCouponToDelete(null);
+      } else {
+        toast.error(result.payload?.message || "Failed to delete coupon");
+      }
+    } catch {
+      toast.error("Unexpected error occurred");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getActionItems = (coupon) => [
+    {
+      label: "Edit Coupon",
+      icon: "fas fa-edit",
+      action: () => openEditForm(coupon),
+    },
+    {
+      label: coupon.isActive ? "Deactivate" : "Activate",
+      icon: coupon.isActive ? "fas fa-pause" : "fas fa-play",
+      action: () => handleToggleActive(coupon),
+    },
+    {
+      label: "Delete Coupon",
+      icon: "fas fa-trash",
+      type: "danger",
+      action: () => {
+        setCouponToDelete(coupon);
+        setActivePopover(null);
+      },
+    },
+  ];
+
+  const formatValue = (coupon) => {
+    if (coupon.type === "FREE_SHIPPING") return "Free shipping";
+    if (coupon.type === "PERCENTAGE") {
+      return `${coupon.value}%${coupon.maxDiscount ? ` (max $${coupon.maxDiscount})` : ""}`;
+    }
+    return `$${coupon.value}`;
+  };
+
+  const formatDate = (date) =>
+    date
+      ? new Date(date).toLocaleDateString("en-GB", {
+          day: "numeric",
+          month: "short",
+          year: "numeric",
+        })
+      : "—";
+
+  const getStatus = (coupon) => {
+    if (isExpired(coupon)) return "expired";
+    return coupon.isActive ? "active" : "inactive";
+  };
+
+  return (
+    <section id="coupons">
+      <div className="coupons-container">
+        <div className="coupons-breadcrumb">
+          <div className="coupons-header">
+            <h1 className="coupons-title">Coupons</h1>
+            <p className="coupons-subtitle">
+              Create and manage discount codes and promotions
+            </p>
+          </div>
+
+          <div className="search-wrapper">
+            <InputField
+              placeholder="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              width={350}
+              icon={<i className="fas fa-search"></i>}
+            />
+          </div>
+        </div>
+
+        <div className="stats-grid">
+          <div className="stat-card stat-total">
+            <h3>Total Coupons</h3>
+            <p className="stat-value">{stats.total}</p>
+          </div>
+          <div className="stat-card stat-active">
+            <h3>Active</h3>
+            <p className="stat-value">{stats.active}</p>
+          </div>
+          <div className="stat-card stat-expired">
+            <h3>Expired</h3>
+            <p className="stat-value">{stats.expired}</p>
+          </div>
+          <div className="stat-card stat-redemptions">
+            <h3>Redemptions</h3>
+            <p className="stat-value">{stats.redemptions}</p>
+          </div>
+
+          <div className="btn-container">
+            <Button
+              title="Add Coupon"
+              width={150}
+              icon={<i className="fas fa-plus-circle"></i>}
+              onPress={openCreateForm}
+            />
+          </div>
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Code</th>
+                    <th>Discount</th>
+                    <th>Min. Order</th>
+                    <th>Scope</th>
+                    <th>Usage</th>
+                    <th>Valid</th>
+                    <th>Status</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+
+                <tbody>
+                  {filteredCoupons.map((coupon) => (
+                    <tr key={coupon._id}>
+                      <td>
+                        <span className="coupon-code">{coupon.code}</span>
+                        {coupon.description && (
+                          <small className="coupon-description">
+                            {coupon.description}
+                          </small>
+                        )}
+                      </td>
+                      <td>{formatValue(coupon)}</td>
+                      <td>${coupon.minOrderAmount || 0}</td>
+                      <td className="coupon-scope">
+                        {coupon.applicableCategories?.length ||
+                        coupon.applicableProducts?.length
+                          ? [
+                              ...(coupon.applicableCategories || []).map(
+                                (c) => c.name || "Category",
+                              ),
+                              ...(coupon.applicableProducts || []).map(
+                                (p) => p.title || "Product",
+                              ),
+                            ].join(", ")
+                          : "All products"}
+                      </td>
+                      <td>
+                        {coupon.usedCount}
+                        {coupon.usageLimit ? ` / ${coupon.usageLimit}` : ""}
+                        <small className="coupon-description">
+                          {coupon.perUserLimit
+                            ? `${coupon.perUserLimit} per customer`
+                            : "No per-customer limit"}
+                        </small>
+                      </td>
+                      <td>
+                        {formatDate(coupon.startsAt)} –{" "}
+                        {formatDate(coupon.expiresAt)}
+                      </td>
+                      <td>
+                        <span className={`status-badge ${getStatus(coupon)}`}>
+                          {getStatus(coupon)}
+                        </span>
+                      </td>
+                      <td className="action-dots">
+                        <div className="popover-anchor">
+                          <button
+                            ref={(el) =>
+                              (actionButtonRefs.current[coupon._id] = el)
+                            }
+                            className="action-dots"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setActivePopover(
+                                activePopover === coupon._id
+                                  ? null
+                                  : coupon._id,
+                              );
+                            }}
+                          >
+                            <i className="fas fa-ellipsis-v"></i>
+                          </button>
+                          <PopOver
+                            isOpen={activePopover === coupon._id}
+                            onClose={() => setActivePopover(null)}
+                            items={getActionItems(coupon)}
+                            anchorRef={{
+                              current: actionButtonRefs.current[coupon._id],
+                            }}
+                            position="bottom"
+                          />
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {!loading && filteredCoupons.length === 0 && (
+              <div className="no-coupons-state">
+                <i className="fas fa-ticket-alt no-coupons-icon"></i>
+                <h3>No Coupons Found</h3>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={closeForm}
+        title={editingCoupon ? `Edit ${editingCoupon.code}` : "Add Coupon"}
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: closeForm,
+          },
+          {
+            label: editingCoupon ? "Save Changes" : "Create Coupon",
+            className: "primary-btn",
+            onClick: handleSubmit,
+            loading: submitting,
+          },
+        ]}
+      >
+        <div className="coupon-form">
+          <InputField
+            label="Code"
+            value={form.code}
+            onChange={setField("code")}
+            required
+            fullWidth
+          />
+          <InputField
+            label="Type"
+            dropdownOptions={COUPON_TYPE_OPTIONS}
+            selectedValue={form.type}
+            onValueChange={setField("type")}
+            fullWidth
+          />
+          {form.type !== "FREE_SHIPPING" && (
+            <InputField
+              label={
+                form.type === "PERCENTAGE" ? "Percent off" : "Amount off ($)"
+              }
+              type="number"
+              value={form.value}
+              onChange={setField("value")}
+              fullWidth
+            />
+          )}
+          {form.type === "PERCENTAGE" && (
+            <InputField
+              label="Max discount ($, optional)"
+              type="number"
+              value={form.maxDiscount}
+              onChange={setField("maxDiscount")}
+              fullWidth
+            />
+          )}
+          <InputField
+            label="Minimum order ($)"
+            type="number"
+            value={form.minOrderAmount}
+            onChange={setField("minOrderAmount")}
+            fullWidth
+          />
+          <InputField
+            label="Total uses (blank = unlimited)"
+            type="number"
+            value={form.usageLimit}
+            onChange={setField("usageLimit")}
+            fullWidth
+          />
+          <InputField
+            label="Uses per customer (blank = unlimited)"
+            type="number"
+            value={form.perUserLimit}
+            onChange={setField("perUserLimit")}
+            fullWidth
+          />
+          <InputField
+            label="Starts on"
+            type="date"
+            value={form.startsAt}
+            onChange={setField("startsAt")}
+            fullWidth
+          />
+          <InputField
+            label="Expires on"
+            type="date"
+            value={form.expiresAt}
+            onChange={setField("expiresAt")}
+            fullWidth
+          />
+          <div className="coupon-products">
+            <label htmlFor="coupon-categories">
+              Categories (optional, includes subcategories – hold Ctrl / Cmd to
+              select several)
+            </label>
+            <select
+              id="coupon-categories"
+              multiple
+              value={form.applicableCategories}
+              onChange={(e) =>
+                setForm((prev) => ({
+                  ...prev,
+                  applicableCategories: Array.from(
+                    e.target.selectedOptions,
+                    (option) => option.value,
+                  ),
+                }))
+              }
+            >
+              {categories.map((category) => (
+                <option key={category._id} value={category._id}>
+                  {`${"— ".repeat(category.depth)}${category.name}`}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="coupon-products">
+            <label>Products (optional)</label>
+            {form.applicableProducts.length > 0 && (
+              <div className="scoped-products">
+                {form.applicableProducts.map((productId) => (
+                  <span className="scoped-product" key={productId}>
+                    {productTitles[productId] || "Product"}
+                    <button
+                      type="button"
+                      onClick={() => removeScopedProduct(productId)}
+                      aria-label="Remove product"
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <InputField
+              placeholder="Search products by title"
+              value={productSearch}
+              onChange={(e) => setProductSearch(e.target.value)}
+              icon={<i className="fas fa-search"></i>}
+              fullWidth
+            />
+            <InputField
+              dropdownOptions={[
+                { value: "", label: "Add a product" },
+                ...productOptions
+                  .filter(
+                    (product) => !form.applicableProducts.includes(product._id),
+                  )
+                  .map((product) => ({
+                    value: product._id,
+                    label: product.title,
+                  })),
+              ]}
+              selectedValue=""
+              onValueChange={addScopedProduct}
+              fullWidth
+            />
+          </div>
+          <InputField
+            label="Description (shown to customers)"
+            value={form.description}
+            onChange={setField("description")}
+            multiline
+            rows={2}
+            fullWidth
+          />
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={!!couponToDelete}
+        onClose={() => setCouponToDelete(null)}
+        title="Delete Coupon"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setCouponToDelete(null),
+          },
+          {
+            label: "Delete",
+            className: "danger-btn",
+            onClick: handleDelete,
+            loading: submitting,
+          },
+        ]}
+      >
+        <p>
+          Delete coupon <strong>{couponToDelete?.code}</strong>? Orders that
+          already used it keep their discount.
+        </p>
+      </Modal>
+    </section>
+  );
+};
+
+export default Coupons;
@@ -4,6 +4,7 @@
  * @description
  * A specialized administrative interface for real-time stock level adjustments and auditing.
  * * **Core Functionality:**
+ * - **Server-side Listing:** One page of the catalog at a time (every status), searched by title on the API.
  * - **Inline Adjustments:** Direct increment/decrement buttons to modify product quantities without leaving the view.
  * - **Heuristic Status Calculation:** Dynamically assigns stock health labels (In Stock, Low Stock, Out of Stock) based on numerical thresholds.
  * - **Defensive Logic:** Prevents stock levels from dropping below zero using `Math.max(0, ...)`.
@@ -15,7 +16,7 @@
 import React, { useState, useEffect, useMemo } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import {
-  getAllProducts,
+  getProductsPage,
   updateProduct,
 } from "../../redux/slices/product.slice";
 import Loader from "../../utilities/loader/Loader.utility";
@@ -23,23 +24,44 @@ import InputField from "../../utilities/input-field/InputField.utility";
 import { toast } from "react-hot-toast";
 import "./Inventory.css";
 
+/** Products per inventory page */
+const PAGE_SIZE = 20;
+
 const Inventory = () => {
   const dispatch = useDispatch();
   const user = useSelector((state) => state.auth.user);
-  const { products = [], loading } = useSelector((state) => state.products);
+  const {
+    productsPage: products,
+    productsPagination: pagination,
+    pageLoading: loading,
+  } = useSelector((state) => state.products);
   const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(search.trim());
+      setPage(1);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const query = useMemo(
+    () => ({
+      status: "ALL",
+      page,
+      limit: PAGE_SIZE,
+      ...(debouncedSearch && { search: debouncedSearch }),
+    }),
+    [debouncedSearch, page],
+  );
 
   useEffect(() => {
     if (user?.id) {
-      dispatch(getAllProducts());
+      dispatch(getProductsPage(query));
     }
-  }, [dispatch, user?.id]);
-
-  const filteredProducts = useMemo(() => {
-    return products.filter((product) =>
-      product.title?.toLowerCase().includes(search.toLowerCase()),
-    );
-  }, [products, search]);
+  }, [dispatch, user?.id, query]);
 
   const handleStockUpdate = async (product, amount) => {
     const currentStock = parseInt(product.stock) || 0;
@@ -98,7 +120,7 @@ const Inventory = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredProducts.map((product) => {
+                  {products.map((product) => {
                     const isLowStock = product.stock > 0 && product.stock <= 5;
                     const isOutOfStock = product.stock <= 0;
 
@@ -170,12 +192,32 @@ const Inventory = () => {
                 </tbody>
               </table>
             )}
-            {!loading && filteredProducts.length === 0 && (
+            {!loading && products.length === 0 && (
               <div className="no-products-state">
                 <i className="fas fa-box-open no-products-icon"></i>
                 <h3>Not Found In Inventory</h3>
               </div>
             )}
+            {pagination?.totalPages > 1 && (
+              <div className="inventory-pager">
+                <button
+                  disabled={page <= 1 || loading}
+                  onClick={() => setPage(page - 1)}
+                >
+                  <i className="fas fa-chevron-left"></i>
+                </button>
+                <span>
+                  Page {pagination.page} of {pagination.totalPages} ·{" "}
+                  {pagination.total} products
+                </span>
+                <button
+                  disabled={!pagination.hasMore || loading}
+                  onClick={() => setPage(page + 1)}
+                >
+                  <i className="fas fa-chevron-right"></i>
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -8,29 +8,109 @@
  * - **Order Summary Grid:** Employs a refined two-column layout with sticky visuals for product imagery (if applicable) and a flowing content column for details.
  * - **Bento-style Metrics:** Curates key order insights (Total, Status, Payment) into an aesthetically pleasing, color-harmonized grid for intuitive scanning.
  * - **Itemized Breakdown:** Presents order items in a clean, expandable card format with thumbnails, quantities, and subtotals for enhanced readability.
- * - **Timeline Visualization:** Integrates a elegant status timeline to track order progression visually.
+ * - **Invoice Download:** Saves the order's PDF invoice (numbered server-side) from the header.
+ * - **Totals Breakdown:** Lists the stored itemized totals (subtotal, discounts, tax, shipping, grand total); older orders are rebuilt from their items.
+ * - **Archive History:** Archived orders list who archived / restored them, when and why.
+ * - **Order Editing:** PENDING / PROCESSING orders can have items added, removed or re-quantified and their address changed; the server re-prices the order, emails the customer and records the edit, listed under "Edit History". Products to add are found by searching the catalog.
+ * - **Timeline Visualization:** Renders the order's `statusHistory` (status, actor, note, time) as a vertical timeline.
+ * - **Split Shipments:** Each item shows how many units have shipped; "Create Shipment" ships selected quantities in one parcel (the order stays PARTIALLY_SHIPPED until everything has shipped).
+ * - **Shipment Tracking:** Shows each shipment's items, carrier, tracking number and tracking events; admins can add events (a DELIVERED event marks the shipment's items delivered).
  * **Technical Logic:**
- * - **State Hydration:** Leverages `location.state` for efficient data passing, minimizing redundant API fetches.
+ * - **State Hydration:** Leverages `location.state` for an instant first paint, then swaps in the `getOrderById` result with the populated status history.
  * - **Simulated Latency:** Incorporates an 800ms delay via `setTimeout` to synchronize with global loading animations for a polished UX.
  * - **Dynamic Rendering:** Handles multiple items gracefully, with responsive adjustments for varying screen sizes.
  * @requires react-router-dom
+ * @requires react-redux
  */
 
 import React, { useState, useEffect } from "react";
-import { useLocation, useNavigate } from "react-router-dom";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getOrderById,
+  downloadOrderInvoice,
+  getOrderShipments,
+  createShipment,
+  addTrackingEvent,
+  editOrder,
+} from "../../../redux/slices/order.slice";
+import { searchProducts } from "../../../redux/slices/product.slice";
 import Loader from "../../../utilities/loader/Loader.utility";
+import InputField from "../../../utilities/input-field/InputField.utility";
+import Modal from "../../../utilities/modal/Modal.utlity";
+import { toast } from "react-hot-toast";
 import "./OrderDetails.css";
 
+const TRACKING_STATUS_OPTIONS = [
+  { value: "LABEL_CREATED", label: "Label created" },
+  { value: "IN_TRANSIT", label: "In transit" },
+  { value: "OUT_FOR_DELIVERY", label: "Out for delivery" },
+  { value: "DELIVERED", label: "Delivered" },
+  { value: "EXCEPTION", label: "Exception / delayed" },
+];
+
+const EMPTY_EVENT = { status: "IN_TRANSIT", description: "", location: "" };
+
+const EMPTY_PACKAGE = {
+  carrier: "",
+  trackingNumber: "",
+  estimatedDelivery: "",
+};
+
+// Order statuses that can still ship items
+const SHIPPABLE_STATUSES = ["PROCESSING", "PARTIALLY_SHIPPED"];
+
+// Order statuses whose items / address can still be edited
+const EDITABLE_STATUSES = ["PENDING", "PROCESSING"];
+
+// Units of a line not yet in any shipment
+const getRemainingQuantity = (item) =>
+  item.quantity - (item.shippedQuantity || 0);
+
 const OrderDetails = () => {
   const location = useLocation();
   const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { orderId } = useParams();
+  const selectedOrder = useSelector((state) => state.orders.selectedOrder);
+  const shipments = useSelector((state) => state.orders.shipments);
+  const productOptions = useSelector(
+    (state) => state.products.productOptions || [],
+  );
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeImage, setActiveImage] = useState("");
+  const [downloading, setDownloading] = useState(false);
+  const [eventShipment, setEventShipment] = useState(null);
+  const [eventForm, setEventForm] = useState(EMPTY_EVENT);
+  const [savingEvent, setSavingEvent] = useState(false);
+  const [isShipmentModalOpen, setIsShipmentModalOpen] = useState(false);
+  const [packageForm, setPackageForm] = useState(EMPTY_PACKAGE);
+  const [lineQuantities, setLineQuantities] = useState({});
+  const [savingShipment, setSavingShipment] = useState(false);
+  const [isEditModalOpen, setIsEditModalOpen] = useState(false);
+  const [editQuantities, setEditQuantities] = useState({});
+  const [editAddress, setEditAddress] = useState("");
+  const [editNote, setEditNote] = useState("");
+  const [productToAdd, setProductToAdd] = useState("");
+  const [productSearch, setProductSearch] = useState("");
+  // Titles of added products, keyed by id (search results come and go)
+  const [addedTitles, setAddedTitles] = useState({});
+  const [savingEdit, setSavingEdit] = useState(false);
+
+  useEffect(() => {
+    if (orderId) {
+      dispatch(getOrderById(orderId));
+      dispatch(getOrderShipments(orderId));
+    }
+  }, [dispatch, orderId]);
 
   useEffect(() => {
     const timer = setTimeout(() => {
-      const data = location.state?.order || null;
+      const data =
+        selectedOrder?._id === orderId
+          ? selectedOrder
+          : location.state?.order || null;
       setOrder(data);
       if (
         data?.items?.length > 0 &&
@@ -41,7 +121,16 @@ const OrderDetails = () => {
       setLoading(false);
     }, 800);
     return () => clearTimeout(timer);
-  }, [location.state]);
+  }, [location.state, selectedOrder, orderId]);
+
+  useEffect(() => {
+    if (!isEditModalOpen) return;
+    const timer = setTimeout(
+      () => dispatch(searchProducts(productSearch.trim())),
+      400,
+    );
+    return () => clearTimeout(timer);
+  }, [dispatch, isEditModalOpen, productSearch]);
 
   if (loading)
     return (
@@ -58,14 +147,205 @@ const OrderDetails = () => {
       </div>
     );
 
-  const formatDate = (dateString) => {
+  const handleDownloadInvoice = async () => {
+    setDownloading(true);
+    const result = await dispatch(downloadOrderInvoice(order._id));
+    if (downloadOrderInvoice.rejected.match(result)) {
+      toast.error(result.payload?.message || "Failed to download invoice");
+    }
+    setDownloading(false);
+  };
+
+  const openEventForm = (shipment) => {
+    setEventForm(EMPTY_EVENT);
+    setEventShipment(shipment);
+  };
+
+  const setEventField = (field) => (e) =>
+    setEventForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleAddTrackingEvent = async () => {
+    setSavingEvent(true);
+    const result = await dispatch(
+      addTrackingEvent({ shipmentId: eventShipment._id, ...eventForm }),
+    );
+    if (addTrackingEvent.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setEventShipment(null);
+      // A DELIVERED event may have completed the order
+      dispatch(getOrderById(order._id));
+    } else {
+      toast.error(result.payload?.message || "Failed to add tracking event");
+    }
+    setSavingEvent(false);
+  };
+
+  const openShipmentForm = () => {
+    setPackageForm(EMPTY_PACKAGE);
+    setLineQuantities(
+      Object.fromEntries(
+        order.items.map((item) => [item._id, getRemainingQuantity(item)]),
+      ),
+    );
+    setIsShipmentModalOpen(true);
+  };
+
+  const setPackageField = (field) => (e) =>
+    setPackageForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const setLineQuantity = (itemId) => (e) =>
+    setLineQuantities((prev) => ({ ...prev, [itemId]: e.target.value }));
+
+  const handleCreateShipment = async () => {
+    const items = Object.entries(lineQuantities)
+      .map(([itemId, quantity]) => ({ itemId, quantity: Number(quantity) }))
+      .filter((line) => line.quantity > 0);
+
+    if (items.length === 0) {
+      toast.error("Select at least one item to ship");
+      return;
+    }
+    if (!packageForm.carrier.trim() || !packageForm.trackingNumber.trim()) {
+      toast.error("Carrier and tracking number are required");
+      return;
+    }
+
+    setSavingShipment(true);
+    const result = await dispatch(
+      createShipment({
+        orderId: order._id,
+        items,
+        ...packageForm,
+        estimatedDelivery: packageForm.estimatedDelivery || undefined,
+      }),
+    );
+    if (createShipment.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsShipmentModalOpen(false);
+    } else {
+      toast.error(result.payload?.message || "Failed to create shipment");
+    }
+    setSavingShipment(false);
+  };
+
+  // Quantities as placed, keyed by product id
+  const originalQuantities = Object.fromEntries(
+    order.items.map((item) => [
+      item.product?._id || item.product,
+      item.quantity,
+    ]),
+  );
+
+  const openEditForm = () => {
+    setEditQuantities(originalQuantities);
+    setProductSearch("");
+    setAddedTitles({});
+    setEditAddress(order.shippingAddress);
+    setEditNote("");
+    setProductToAdd("");
+    setIsEditModalOpen(true);
+  };
+
+  const setEditQuantity = (productId) => (e) =>
+    setEditQuantities((prev) => ({ ...prev, [productId]: e.target.value }));
+
+  const handleAddProduct = (e) => {
+    const productId = e.target.value;
+    setProductToAdd(productId);
+    const product = productOptions.find((p) => p._id === productId);
+    if (product && editQuantities[productId] === undefined) {
+      setEditQuantities((prev) => ({ ...prev, [productId]: 1 }));
+      setAddedTitles((prev) => ({ ...prev, [productId]: product.title }));
+    }
+  };
+
+  const getProductTitle = (productId) =>
+    order.items.find((item) => item.product?._id === productId)?.product
+      .title ||
+    addedTitles[productId] ||
+    "Product";
+
+  const handleEditOrder = async () => {
+    const items = Object.entries(editQuantities)
+      .filter(
+        ([productId, quantity]) =>
+          Number(quantity) !== (originalQuantities[productId] || 0),
+      )
+      .map(([productId, quantity]) => ({
+        productId,
+        quantity: Number(quantity),
+      }));
+    const addressChanged = editAddress.trim() !== order.shippingAddress;
+
+    if (items.length === 0 && !addressChanged) {
+      toast.error("Nothing has changed");
+      return;
+    }
+
+    setSavingEdit(true);
+    const result = await dispatch(
+      editOrder({
+        orderId: order._id,
+        ...(items.length > 0 && { items }),
+        ...(addressChanged && { shippingAddress: editAddress }),
+        note: editNote,
+      }),
+    );
+    if (editOrder.fulfilled.match(result)) {
+      toast.success(result.payload.message);
+      setIsEditModalOpen(false);
+    } else {
+      toast.error(result.payload?.message || "Failed to edit order");
+    }
+    setSavingEdit(false);
+  };
+
+  const describeEditChange = (change) => {
+    switch (change.action) {
+      case "ITEM_ADDED":
+        return `Added ${change.label} × ${change.to}`;
+      case "ITEM_REMOVED":
+        return `Removed ${change.label}`;
+      case "QUANTITY_CHANGED":
+        return `${change.label}: ${change.from} → ${change.to}`;
+      case "ADDRESS_CHANGED":
+        return `Address: ${change.to}`;
+      case "COUPON_REMOVED":
+        return `Coupon ${change.label} removed`;
+      default:
+        return change.label;
+    }
+  };
+
+  const formatDateTime = (dateString) => {
     return new Date(dateString).toLocaleString("en-GB", {
       day: "numeric",
+      month: "short",
       year: "numeric",
-      month: "long",
+      hour: "2-digit",
+      minute: "2-digit",
     });
   };
 
+  // Orders placed before tax support have no stored totals
+  const totals = order.totals || {
+    subtotal: order.items.reduce(
+      (sum, item) => sum + item.priceAtPurchase * item.quantity,
+      0,
+    ),
+    discount: (order.discounts || []).reduce((sum, d) => sum + d.amount, 0),
+    tax: 0,
+    shipping: order.shippingCost,
+    grandTotal: order.totalAmount,
+  };
+
+  const formatMoney = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+  // Orders placed before status tracking only have their creation date
+  const statusHistory = order.statusHistory?.length
+    ? order.statusHistory
+    : [{ status: "PENDING", changedAt: order.createdAt, note: "Order placed" }];
+
   return (
     <section id="order-details-screen">
       <div className="od-header-banner">
@@ -79,6 +359,18 @@ const OrderDetails = () => {
           <span className={`od-status-pill ${order.status.toLowerCase()}`}>
             {order.status}
           </span>
+          <button
+            className="invoice-btn"
+            onClick={handleDownloadInvoice}
+            disabled={downloading}
+          >
+            <i className="fas fa-file-invoice"></i>{" "}
+            {downloading
+              ? "Preparing..."
+              : order.invoiceNumber
+                ? `Invoice ${order.invoiceNumber}`
+                : "Download Invoice"}
+          </button>
         </div>
       </div>
 
@@ -114,7 +406,9 @@ const OrderDetails = () => {
             <div className="metrics-grid">
               <div className="metric-item color1">
                 <label>Total Amount</label>
-                <span className="price-text">${order.totalAmount}</span>
+                <span className="price-text">
+                  {formatMoney(totals.grandTotal)}
+                </span>
               </div>
               <div className="metric-item color2">
                 <label>Payment Status</label>
@@ -126,7 +420,7 @@ const OrderDetails = () => {
               </div>
               <div className="metric-item color4">
                 <label>Shipping Cost</label>
-                <span>${order.shippingCost}</span>
+                <span>{formatMoney(totals.shipping)}</span>
               </div>
             </div>
           </div>
@@ -154,7 +448,19 @@ const OrderDetails = () => {
           </div>
 
           <div className="od-section">
-            <h2 className="section-title">Order Items</h2>
+            <div className="section-header">
+              <h2 className="section-title">Order Items</h2>
+              {EDITABLE_STATUSES.includes(order.status) && (
+                <button className="invoice-btn" onClick={openEditForm}>
+                  <i className="fas fa-pen"></i> Edit Order
+                </button>
+              )}
+              {SHIPPABLE_STATUSES.includes(order.status) && (
+                <button className="invoice-btn" onClick={openShipmentForm}>
+                  <i className="fas fa-truck"></i> Create Shipment
+                </button>
+              )}
+            </div>
             <div className="items-container">
               {order.items?.map((item, idx) => (
                 <div className="item-card" key={idx}>
@@ -168,23 +474,348 @@ const OrderDetails = () => {
                     <p>Quantity: {item.quantity}</p>
                     <p>Price: ${item.priceAtPurchase}</p>
                     <p>Subtotal: ${item.quantity * item.priceAtPurchase}</p>
+                    {item.taxAmount > 0 && (
+                      <p>
+                        Tax ({item.taxRate}%): {formatMoney(item.taxAmount)}
+                      </p>
+                    )}
+                    {item.fulfillmentStatus && (
+                      <p>
+                        Fulfillment: {item.fulfillmentStatus.replace(/_/g, " ")}{" "}
+                        ({item.shippedQuantity || 0}/{item.quantity} shipped)
+                      </p>
+                    )}
                   </div>
                 </div>
               ))}
             </div>
           </div>
 
+          <div className="od-section">
+            <h2 className="section-title">Order Totals</h2>
+            <div className="info-box totals-box">
+              <div className="totals-row">
+                <small>Subtotal</small>
+                <p>{formatMoney(totals.subtotal)}</p>
+              </div>
+              {(order.discounts || []).map((discount, idx) => (
+                <div className="totals-row" key={idx}>
+                  <small>Discount ({discount.code})</small>
+                  <p>-{formatMoney(discount.amount)}</p>
+                </div>
+              ))}
+              <div className="totals-row">
+                <small>
+                  Tax{order.taxRegion ? ` (${order.taxRegion})` : ""}
+                </small>
+                <p>{formatMoney(totals.tax)}</p>
+              </div>
+              <div className="totals-row">
+                <small>
+                  Shipping{order.shippingZone ? ` (${order.shippingZone})` : ""}
+                </small>
+                <p>{formatMoney(totals.shipping)}</p>
+              </div>
+              <div className="totals-row grand-total">
+                <small>Grand Total</small>
+                <p>{formatMoney(totals.grandTotal)}</p>
+              </div>
+            </div>
+          </div>
+
+          {shipments.length > 0 && (
+            <div className="od-section">
+              <h2 className="section-title">Shipment Tracking</h2>
+              {shipments.map((shipment) => (
+                <div className="timeline-box shipment-box" key={shipment._id}>
+                  <div className="shipment-header">
+                    <div>
+                      <p className="shipment-carrier">
+                        {shipment.carrier.toUpperCase()} ·{" "}
+                        {shipment.trackingUrl ? (
+                          <a
+                            href={shipment.trackingUrl}
+                            target="_blank"
+                            rel="noreferrer"
+                          >
+                            {shipment.trackingNumber}
+                          </a>
+                        ) : (
+                          shipment.trackingNumber
+                        )}
+                      </p>
+                      <span className="timeline-meta">
+                        {shipment.status.replace(/_/g, " ")}
+                        {shipment.estimatedDelivery
+                          ? ` · ETA ${formatDateTime(shipment.estimatedDelivery)}`
+                          : ""}
+                      </span>
+                    </div>
+                    <button
+                      className="invoice-btn"
+                      onClick={() => openEventForm(shipment)}
+                    >
+                      <i className="fas fa-plus"></i> Add Event
+                    </button>
+                  </div>
+                  {shipment.items?.length > 0 && (
+                    <ul className="shipment-items">
+                      {shipment.items.map((line) => (
+                        <li key={line.item}>
+                          {line.quantity} × {line.product?.title || "Product"}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {[...shipment.events].reverse().map((event, idx) => (
+                    <div className="timeline-item" key={idx}>
+                      <small>{event.status.replace(/_/g, " ")}</small>
+                      <p>{formatDateTime(event.occurredAt)}</p>
+                      <span className="timeline-meta">
+                        {event.source === "CARRIER" ? "Carrier" : "Admin"}
+                        {event.location ? ` · ${event.location}` : ""}
+                        {event.description ? ` · ${event.description}` : ""}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {order.editHistory?.length > 0 && (
+            <div className="od-section">
+              <h2 className="section-title">Edit History</h2>
+              <div className="timeline-box">
+                {[...order.editHistory].reverse().map((edit, idx) => (
+                  <div className="timeline-item" key={idx}>
+                    <small>
+                      {formatMoney(edit.previousTotal)} →{" "}
+                      {formatMoney(edit.newTotal)}
+                      {edit.refundAmount > 0
+                        ? ` · ${edit.refundStatus === "PENDING" ? "refund pending" : "refunded"} ${formatMoney(edit.refundAmount)}`
+                        : ""}
+                    </small>
+                    <p>{edit.changes.map(describeEditChange).join(" · ")}</p>
+                    <span className="timeline-meta">
+                      {edit.editedBy?.userName || "Admin"} ·{" "}
+                      {formatDateTime(edit.editedAt)}
+                      {edit.note ? ` · ${edit.note}` : ""}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {order.archiveHistory?.length > 0 && (
+            <div className="od-section">
+              <h2 className="section-title">
+                Archive History{order.archivedAt ? " (archived)" : ""}
+              </h2>
+              <div className="timeline-box">
+                {[...order.archiveHistory].reverse().map((event, idx) => (
+                  <div className="timeline-item" key={idx}>
+                    <small>{event.action}</small>
+                    <p>{event.reason || "No reason given"}</p>
+                    <span className="timeline-meta">
+                      {event.actor?.userName || "Admin"} ·{" "}
+                      {formatDateTime(event.at)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="od-section">
             <h2 className="section-title">Order Timeline</h2>
             <div className="timeline-box">
-              <div className="timeline-item">
-                <small>Place At</small>
-                <p>{formatDate(order.createdAt)}</p>
-              </div>
+              {statusHistory.map((entry, idx) => (
+                <div className="timeline-item" key={idx}>
+                  <small>{entry.status}</small>
+                  <p>{formatDateTime(entry.changedAt)}</p>
+                  <span className="timeline-meta">
+                    {entry.actor?.userName ||
+                      (entry.actorModel === "SuperAdmin" ? "Admin" : "System")}
+                    {entry.note ? ` · ${entry.note}` : ""}
+                  </span>
+                </div>
+              ))}
             </div>
           </div>
         </div>
       </div>
+
+      <Modal
+        isOpen={Boolean(eventShipment)}
+        onClose={() => setEventShipment(null)}
+        title="Add Tracking Event"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setEventShipment(null),
+          },
+          {
+            label: "Add Event",
+            className: "primary-btn",
+            onClick: handleAddTrackingEvent,
+            loading: savingEvent,
+          },
+        ]}
+      >
+        <div className="tracking-event-form">
+          <InputField
+            label="Status"
+            dropdownOptions={TRACKING_STATUS_OPTIONS}
+            selectedValue={eventForm.status}
+            onValueChange={setEventField("status")}
+            fullWidth
+          />
+          <InputField
+            label="Description (e.g. Arrived at sorting facility)"
+            value={eventForm.description}
+            onChange={setEventField("description")}
+            fullWidth
+          />
+          <InputField
+            label="Location (optional)"
+            value={eventForm.location}
+            onChange={setEventField("location")}
+            fullWidth
+          />
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={isEditModalOpen}
+        onClose={() => setIsEditModalOpen(false)}
+        title="Edit Order"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsEditModalOpen(false),
+          },
+          {
+            label: "Save Changes",
+            className: "primary-btn",
+            onClick: handleEditOrder,
+            loading: savingEdit,
+          },
+        ]}
+      >
+        <div className="order-edit-form">
+          <p className="shipment-form-hint">
+            Set a quantity to 0 to remove an item. Kept items keep their
+            purchase price; added items use today&apos;s price.
+          </p>
+          {Object.keys(editQuantities).map((productId) => (
+            <InputField
+              key={productId}
+              label={getProductTitle(productId)}
+              type="number"
+              value={editQuantities[productId]}
+              onChange={setEditQuantity(productId)}
+              fullWidth
+            />
+          ))}
+          <InputField
+            placeholder="Search products by title"
+            value={productSearch}
+            onChange={(e) => setProductSearch(e.target.value)}
+            icon={<i className="fas fa-search"></i>}
+            fullWidth
+          />
+          <InputField
+            label="Add a product"
+            dropdownOptions={[
+              { value: "", label: "Select a product" },
+              ...productOptions
+                .filter((product) => editQuantities[product._id] === undefined)
+                .map((product) => ({
+                  value: product._id,
+                  label: `${product.title} ($${product.price}, ${product.stock} in stock)`,
+                })),
+            ]}
+            selectedValue={productToAdd}
+            onValueChange={handleAddProduct}
+            fullWidth
+          />
+          <InputField
+            label="Shipping address"
+            value={editAddress}
+            onChange={(e) => setEditAddress(e.target.value)}
+            fullWidth
+          />
+          <InputField
+            label="Note for the customer (optional)"
+            value={editNote}
+            onChange={(e) => setEditNote(e.target.value)}
+            fullWidth
+          />
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={isShipmentModalOpen}
+        onClose={() => setIsShipmentModalOpen(false)}
+        title="Create Shipment"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsShipmentModalOpen(false),
+          },
+          {
+            label: "Ship Items",
+            className: "primary-btn",
+            onClick: handleCreateShipment,
+            loading: savingShipment,
+          },
+        ]}
+      >
+        <div className="shipment-form">
+          <p className="shipment-form-hint">
+            Set how many units of each item go into this parcel (0 leaves it for
+            a later shipment).
+          </p>
+          {order.items
+            .filter((item) => getRemainingQuantity(item) > 0)
+            .map((item) => (
+              <InputField
+                key={item._id}
+                label={`${item.product.title} (${getRemainingQuantity(item)} left)`}
+                type="number"
+                value={lineQuantities[item._id] ?? ""}
+                onChange={setLineQuantity(item._id)}
+                fullWidth
+              />
+            ))}
+          <InputField
+            label="Carrier (e.g. DHL, or mock)"
+            value={packageForm.carrier}
+            onChange={setPackageField("carrier")}
+            required
+            fullWidth
+          />
+          <InputField
+            label="Tracking number"
+            value={packageForm.trackingNumber}
+            onChange={setPackageField("trackingNumber")}
+            required
+            fullWidth
+          />
+          <InputField
+            label="Estimated delivery (optional)"
+            type="date"
+            value={packageForm.estimatedDelivery}
+            onChange={setPackageField("estimatedDelivery")}
+            fullWidth
+          />
+        </div>
+      </Modal>
     </section>
   );
 };
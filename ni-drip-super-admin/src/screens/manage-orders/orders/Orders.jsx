@@ -7,6 +7,8 @@
  * - **KPI Stats Grid:** A top-level summary row using color-coded cards to display real-time counts of PENDING, SHIPPED, and DELIVERED orders.
  * - **Actionable Data Table:** A dense, responsive grid featuring contextual `PopOver` menus for each row to keep the UI clean while providing deep-link actions.
  * - **Workflow Modals:** Controlled confirmation overlays that manage state transitions for both Order and Payment statuses.
+ * - **Ship Form:** Moving an order to SHIPPED collects the carrier, tracking number and estimated delivery for a shipment of every remaining item.
+ * - **Archive:** Closed orders are archived (soft-deleted) with a reason instead of being deleted; the archive view lists them and restores them.
  * * **Technical Logic:**
  * - **Redux Integration:** Dispatches `getAllOrders` on mount and utilizes `updateOrderStatus` for persistent state changes.
  * - **State Machine Logic:** Implements `getNextOrderStatus` and `getNextPaymentStatus` to enforce a strictly sequential workflow (e.g., Pending -> Processing -> Shipped).
@@ -24,7 +26,8 @@ import { useNavigate } from "react-router-dom";
 import {
   getAllOrders,
   updateOrderStatus,
-  deleteOrder,
+  archiveOrder,
+  restoreOrder,
 } from "../../../redux/slices/order.slice";
 import Loader from "../../../utilities/loader/Loader.utility";
 import PopOver from "../../../utilities/pop-over/PopOver.utility";
@@ -32,6 +35,20 @@ import InputField from "../../../utilities/input-field/InputField.utility";
 import Modal from "../../../utilities/modal/Modal.utlity";
 import { toast } from "react-hot-toast";
 
+// Mirrors the server: only closed orders can be archived
+const ARCHIVABLE_STATUSES = [
+  "DELIVERED",
+  "CANCELLED",
+  "PARTIALLY_RETURNED",
+  "RETURNED",
+];
+
+const EMPTY_SHIPMENT = {
+  carrier: "",
+  trackingNumber: "",
+  estimatedDelivery: "",
+};
+
 const Orders = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
@@ -42,20 +59,25 @@ const Orders = () => {
   const loading = useSelector((state) => state.orders.loading);
   const [activePopover, setActivePopover] = useState(null);
   const [selectedOrder, setSelectedOrder] = useState(null);
-  const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
-  const [deletingOrder, setDeletingOrder] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [isArchiveModalOpen, setIsArchiveModalOpen] = useState(false);
+  const [archiveReason, setArchiveReason] = useState("");
+  const [archivingOrder, setArchivingOrder] = useState(false);
+  const [isRestoreModalOpen, setIsRestoreModalOpen] = useState(false);
+  const [restoringOrder, setRestoringOrder] = useState(false);
 
   const [isOrderStatusModalOpen, setIsOrderStatusModalOpen] = useState(false);
   const [isPaymentStatusModalOpen, setIsPaymentStatusModalOpen] =
     useState(false);
   const [updatingOrderStatus, setUpdatingOrderStatus] = useState(false);
   const [updatingPaymentStatus, setUpdatingPaymentStatus] = useState(false);
+  const [shipmentForm, setShipmentForm] = useState(EMPTY_SHIPMENT);
 
   useEffect(() => {
     if (user?.id) {
-      dispatch(getAllOrders());
+      dispatch(getAllOrders({ archived: showArchived }));
     }
-  }, [dispatch, user?.id]);
+  }, [dispatch, user?.id, showArchived]);
 
   const stats = {
     total: orders.length,
@@ -73,7 +95,10 @@ const Orders = () => {
   );
 
   const getNextOrderStatus = (currentStatus) => {
-    const flow = ["PENDING", "PROCESSING", "SHIPPED", "DELIVERED", "REFUNDED"];
+    // Mirrors the forward path of the server-side order lifecycle; a
+    // partially shipped order moves on by shipping its remaining items
+    if (currentStatus === "PARTIALLY_SHIPPED") return "SHIPPED";
+    const flow = ["PENDING", "PROCESSING", "SHIPPED", "DELIVERED"];
     const index = flow.indexOf(currentStatus);
     return index >= 0 && index < flow.length - 1 ? flow[index + 1] : null;
   };
@@ -91,8 +116,12 @@ const Orders = () => {
     ? getNextPaymentStatus(selectedOrder.paymentStatus)
     : null;
 
+  const setShipmentField = (field) => (e) =>
+    setShipmentForm((prev) => ({ ...prev, [field]: e.target.value }));
+
   const handleOpenOrderStatusModal = (order) => {
     setSelectedOrder(order);
+    setShipmentForm(EMPTY_SHIPMENT);
     setIsOrderStatusModalOpen(true);
     setActivePopover(null);
   };
@@ -107,12 +136,26 @@ const Orders = () => {
     if (!selectedOrder) return;
     const nextStatus = getNextOrderStatus(selectedOrder.status);
     if (!nextStatus) return;
+    const isShipping = nextStatus === "SHIPPED";
+    if (
+      isShipping &&
+      (!shipmentForm.carrier.trim() || !shipmentForm.trackingNumber.trim())
+    ) {
+      toast.error("Carrier and tracking number are required");
+      return;
+    }
     setUpdatingOrderStatus(true);
     try {
       const result = await dispatch(
         updateOrderStatus({
           orderId: selectedOrder._id,
           status: nextStatus,
+          ...(isShipping && {
+            shipment: {
+              ...shipmentForm,
+              estimatedDelivery: shipmentForm.estimatedDelivery || undefined,
+            },
+          }),
         }),
       );
       if (updateOrderStatus.fulfilled.match(result)) {
@@ -176,14 +219,31 @@ const Orders = () => {
         ),
     });
 
-    if (order.status !== "DELIVERED" && order.status !== "REFUNDED") {
+    if (showArchived) {
+      items.push({
+        label: "Restore Order",
+        icon: "fas fa-undo",
+        action: () => {
+          setSelectedOrder(order);
+          setIsRestoreModalOpen(true);
+          setActivePopover(null);
+        },
+      });
+      return items;
+    }
+
+    if (getNextOrderStatus(order.status)) {
       items.push({
         label: "Change Order Status",
         icon: "fas fa-sync",
         action: () => handleOpenOrderStatusModal(order),
       });
     }
-    if (order.paymentStatus !== "PAID" && order.paymentStatus !== "REFUNDED") {
+    if (
+      order.paymentMethod !== "DEBIT_CARD" &&
+      order.paymentStatus !== "PAID" &&
+      order.paymentStatus !== "REFUNDED"
+    ) {
       items.push({
         label: "Update Payment Status",
         icon: "fas fa-credit-card",
@@ -191,37 +251,67 @@ const Orders = () => {
       });
     }
 
-    items.push({
-      label: "Delete Order",
-      icon: "fas fa-trash",
-      type: "danger",
-      action: () => {
-        setSelectedOrder(order);
-        setIsDeleteModalOpen(true);
-        setActivePopover(null);
-      },
-    });
+    if (ARCHIVABLE_STATUSES.includes(order.status)) {
+      items.push({
+        label: "Archive Order",
+        icon: "fas fa-archive",
+        type: "danger",
+        action: () => {
+          setSelectedOrder(order);
+          setArchiveReason("");
+          setIsArchiveModalOpen(true);
+          setActivePopover(null);
+        },
+      });
+    }
     return items;
   };
 
-  const handleDeleteOrder = async () => {
+  const handleArchiveOrder = async () => {
     if (!selectedOrder) return;
+    if (archiveReason.trim().length < 5) {
+      toast.error("Please give a reason (at least 5 characters)");
+      return;
+    }
 
-    setDeletingOrder(true);
+    setArchivingOrder(true);
     try {
-      const result = await dispatch(deleteOrder(selectedOrder._id));
+      const result = await dispatch(
+        archiveOrder({ orderId: selectedOrder._id, reason: archiveReason }),
+      );
 
-      if (deleteOrder.fulfilled.match(result)) {
+      if (archiveOrder.fulfilled.match(result)) {
         toast.success(result.payload?.message);
-        setIsDeleteModalOpen(false);
+        setIsArchiveModalOpen(false);
         setSelectedOrder(null);
       } else {
-        toast.error(result.payload?.message || "Failed to delete order");
+        toast.error(result.payload?.message || "Failed to archive order");
       }
-    } catch (error) {
-      toast.error("An unexpected error occurred during deletion");
+    } catch {
+      toast.error("An unexpected error occurred while archiving");
     } finally {
-      setDeletingOrder(false);
+      setArchivingOrder(false);
+    }
+  };
+
+  const handleRestoreOrder = async () => {
+    if (!selectedOrder) return;
+
+    setRestoringOrder(true);
+    try {
+      const result = await dispatch(restoreOrder(selectedOrder._id));
+
+      if (restoreOrder.fulfilled.match(result)) {
+        toast.success(result.payload?.message);
+        setIsRestoreModalOpen(false);
+        setSelectedOrder(null);
+      } else {
+        toast.error(result.payload?.message || "Failed to restore order");
+      }
+    } catch {
+      toast.error("An unexpected error occurred while restoring");
+    } finally {
+      setRestoringOrder(false);
     }
   };
 
@@ -231,6 +321,8 @@ const Orders = () => {
         return "status-pending";
       case "processing":
         return "status-processing";
+      case "partially_shipped":
+        return "status-partially-shipped";
       case "shipped":
         return "status-shipped";
       case "delivered":
@@ -247,12 +339,28 @@ const Orders = () => {
       <div className="orders-container">
         <div className="orders-breadcrumb">
           <div className="orders-header-text">
-            <h1 className="orders-title">Orders</h1>
+            <h1 className="orders-title">
+              {showArchived ? "Archived Orders" : "Orders"}
+            </h1>
             <p className="orders-subtitle">
-              Manage and track all customer orders
+              {showArchived
+                ? "Closed orders kept for the retention period"
+                : "Manage and track all customer orders"}
             </p>
           </div>
           <div className="search-wrapper">
+            <button
+              className="archive-toggle-btn"
+              onClick={() => {
+                setShowArchived((prev) => !prev);
+                setActivePopover(null);
+              }}
+            >
+              <i
+                className={`fas ${showArchived ? "fa-arrow-left" : "fa-archive"}`}
+              ></i>{" "}
+              {showArchived ? "Active Orders" : "Archive"}
+            </button>
             <InputField
               placeholder="Search"
               value={search}
@@ -306,6 +414,7 @@ const Orders = () => {
                     <th>Payment</th>
                     <th>Total</th>
                     <th>Date</th>
+                    {showArchived && <th>Archived</th>}
                     <th>Actions</th>
                   </tr>
                 </thead>
@@ -334,6 +443,24 @@ const Orders = () => {
                           year: "numeric",
                         })}
                       </td>
+                      {showArchived && (
+                        <td>
+                          {new Date(order.archivedAt).toLocaleDateString(
+                            "en-GB",
+                            {
+                              day: "numeric",
+                              month: "short",
+                              year: "numeric",
+                            },
+                          )}
+                          <div className="archive-reason">
+                            {order.archiveReason}
+                            {order.archivedBy?.userName
+                              ? ` – ${order.archivedBy.userName}`
+                              : ""}
+                          </div>
+                        </td>
+                      )}
                       <td className="action-cell">
                         <button
                           ref={(el) =>
@@ -408,6 +535,36 @@ const Orders = () => {
         ) : (
           <p>This order cannot be moved forward.</p>
         )}
+        {nextOrderStatus === "SHIPPED" && (
+          <div className="ship-form">
+            <p className="ship-form-hint">
+              {selectedOrder?.status === "PARTIALLY_SHIPPED"
+                ? "The items that have not shipped yet go out in this shipment."
+                : "Every item goes out in this shipment. To ship selected items, use Create Shipment on the order details page."}
+            </p>
+            <InputField
+              label="Carrier (e.g. DHL, or mock)"
+              value={shipmentForm.carrier}
+              onChange={setShipmentField("carrier")}
+              required
+              fullWidth
+            />
+            <InputField
+              label="Tracking number"
+              value={shipmentForm.trackingNumber}
+              onChange={setShipmentField("trackingNumber")}
+              required
+              fullWidth
+            />
+            <InputField
+              label="Estimated delivery (optional)"
+              type="date"
+              value={shipmentForm.estimatedDelivery}
+              onChange={setShipmentField("estimatedDelivery")}
+              fullWidth
+            />
+          </div>
+        )}
       </Modal>
 
       <Modal
@@ -447,48 +604,75 @@ const Orders = () => {
         )}
       </Modal>
 
-      {/* Delete Confirmation Modal */}
+      {/* Archive Confirmation Modal */}
       <Modal
-        isOpen={isDeleteModalOpen}
-        onClose={() => setIsDeleteModalOpen(false)}
-        title="Confirm Delete"
+        isOpen={isArchiveModalOpen}
+        onClose={() => setIsArchiveModalOpen(false)}
+        title="Archive Order"
         buttons={[
           {
             label: "Cancel",
             className: "cancel-btn",
-            onClick: () => setIsDeleteModalOpen(false),
+            onClick: () => setIsArchiveModalOpen(false),
           },
           {
-            label: "Delete Permanently",
-            className: "danger-btn", // Ensure you have a red style for this
-            onClick: handleDeleteOrder,
-            loading: deletingOrder,
+            label: "Archive Order",
+            className: "danger-btn",
+            onClick: handleArchiveOrder,
+            loading: archivingOrder,
           },
         ]}
       >
-        <div className="delete-confirm-content">
+        <div className="archive-confirm-content">
           <p>
-            Are you sure you want to delete order
+            Archive order
             <strong>
               {selectedOrder?._id
                 ? ` #${selectedOrder._id.slice(-6).toUpperCase()}`
                 : ""}
             </strong>
-            ?
-          </p>
-          <p
-            className="warning-text"
-            style={{
-              color: "var(--danger-color)",
-              marginTop: "10px",
-              fontSize: "0.9rem",
-            }}
-          >
-            <i className="fas fa-exclamation-triangle"></i> This action is
-            permanent and will remove the order from the customer's history.
+            ? It will be hidden from the order list and from the customer's
+            history, and can be restored from the archive.
           </p>
+          <InputField
+            label="Reason"
+            value={archiveReason}
+            onChange={(e) => setArchiveReason(e.target.value)}
+            required
+            fullWidth
+          />
         </div>
       </Modal>
+
+      {/* Restore Confirmation Modal */}
+      <Modal
+        isOpen={isRestoreModalOpen}
+        onClose={() => setIsRestoreModalOpen(false)}
+        title="Restore Order"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setIsRestoreModalOpen(false),
+          },
+          {
+            label: "Restore",
+            className: "primary-btn",
+            onClick: handleRestoreOrder,
+            loading: restoringOrder,
+          },
+        ]}
+      >
+        <p>
+          Restore order
+          <strong>
+            {selectedOrder?._id
+              ? ` #${selectedOrder._id.slice(-6).toUpperCase()}`
+              : ""}
+          </strong>{" "}
+          to the active order list?
+        </p>
+      </Modal>
     </section>
   );
 };
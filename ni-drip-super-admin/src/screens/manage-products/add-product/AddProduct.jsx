@@ -4,9 +4,11 @@
  * @description
  * The interface for Super Admins to add new products to the catalog.
  * * **Key Capabilities:**
- * - **Form Handling:** Input fields for product details including title, description, price, stock, category, and specifications.
+ * - **Form Handling:** Input fields for product details including title, description, price, stock, and specifications.
+ * - **Categories:** Picked from the category tree (several allowed) and sent as category IDs.
  * - **Validation:** Client-side validation for all input fields to ensure data integrity before submission.
  * - **Image Uploads:** Support for uploading multiple product images with previews.
+ * - **Variants:** Optional options (e.g., Color, Storage) with a SKU, price and stock per combination; price and stock then follow the variants.
  * - **Submission Workflow:** Integration with Redux actions to handle product creation and provide user feedback.
  * * @requires react-redux
  * @requires react-router-dom
@@ -30,6 +32,13 @@ import InputField from "../../../utilities/input-field/InputField.utility";
 import Button from "../../../utilities/button/Button.utility";
 import { addProduct } from "../../../redux/slices/product.slice";
 import { toast } from "react-hot-toast";
+import VariantEditor from "../variant-editor/VariantEditor";
+import CategoryPicker from "../category-picker/CategoryPicker";
+import {
+  toVariantPayload,
+  validateVariants,
+  variantTotals,
+} from "../variant-editor/variantMatrix";
 
 const AddProduct = () => {
   const dispatch = useDispatch();
@@ -41,9 +50,15 @@ const AddProduct = () => {
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
   const [price, setPrice] = useState("");
-  const [category, setCategory] = useState("");
+  const [categoryIds, setCategoryIds] = useState([]);
   const [stock, setStock] = useState("");
+  const [weight, setWeight] = useState("");
   const [loading, setLoading] = useState(false);
+  const [variantOptions, setVariantOptions] = useState([]);
+  const [variantRows, setVariantRows] = useState([]);
+
+  const hasVariants = variantOptions.length > 0;
+  const totals = variantRows.length ? variantTotals(variantRows) : null;
 
   // Replacement for raw JSON string: Array of Objects
   const [specSections, setSpecSections] = useState([
@@ -104,16 +119,20 @@ const AddProduct = () => {
   const handleUploadProduct = async (event) => {
     event.preventDefault();
 
-    const categoryArray = category
-      .split(",")
-      .map((c) => c.trim())
-      .filter((c) => c !== "");
+    if (hasVariants) {
+      const variantError = validateVariants(variantOptions, variantRows);
+      if (variantError) {
+        toast.error(variantError);
+        return;
+      }
+    }
+
     const fields = {
       title,
       description,
-      price,
-      category: categoryArray,
-      stock,
+      price: hasVariants ? String(totals.price) : price,
+      category: categoryIds,
+      stock: hasVariants ? String(totals.stock) : stock,
     };
 
     const errors = validateFields(fields);
@@ -132,9 +151,19 @@ const AddProduct = () => {
       const formData = new FormData();
       formData.append("title", title);
       formData.append("description", description);
-      formData.append("price", price);
-      formData.append("stock", stock);
-      formData.append("category", JSON.stringify(categoryArray));
+      formData.append("price", fields.price);
+      formData.append("stock", fields.stock);
+      formData.append("weight", weight || 0);
+      formData.append("categories", JSON.stringify(categoryIds));
+
+      if (hasVariants) {
+        const { options, variants } = toVariantPayload(
+          variantOptions,
+          variantRows,
+        );
+        formData.append("options", JSON.stringify(options));
+        formData.append("variants", JSON.stringify(variants));
+      }
 
       // Clean up empty specifications before sending
       const filteredSpecs = specSections.filter((s) => s.section.trim() !== "");
@@ -180,8 +209,9 @@ const AddProduct = () => {
               </div>
               <div className="col-md-6 mb-3">
                 <InputField
-                  label="Price"
-                  value={price}
+                  label={hasVariants ? "Price (lowest variant)" : "Price"}
+                  value={hasVariants ? String(totals?.price ?? "") : price}
+                  editable={!hasVariants}
                   onChange={(e) => setPrice(e.target.value)}
                   icon={<i className="fas fa-money-bill"></i>}
                 />
@@ -191,18 +221,29 @@ const AddProduct = () => {
             <div className="row">
               <div className="col-md-6 mb-3">
                 <InputField
-                  label="Category (Comma separated)"
-                  value={category}
-                  onChange={(e) => setCategory(e.target.value)}
-                  icon={<i className="fas fa-tags"></i>}
+                  label={hasVariants ? "Stock (all variants)" : "Stock"}
+                  value={hasVariants ? String(totals?.stock ?? "") : stock}
+                  editable={!hasVariants}
+                  onChange={(e) => setStock(e.target.value)}
+                  icon={<i className="fas fa-truck"></i>}
                 />
               </div>
               <div className="col-md-6 mb-3">
                 <InputField
-                  label="Stock"
-                  value={stock}
-                  onChange={(e) => setStock(e.target.value)}
-                  icon={<i className="fas fa-truck"></i>}
+                  label="Weight (kg, for shipping)"
+                  type="number"
+                  value={weight}
+                  onChange={(e) => setWeight(e.target.value)}
+                  icon={<i className="fas fa-weight-hanging"></i>}
+                />
+              </div>
+            </div>
+
+            <div className="row">
+              <div className="col-12 mb-3">
+                <CategoryPicker
+                  selected={categoryIds}
+                  onChange={setCategoryIds}
                 />
               </div>
             </div>
@@ -309,6 +350,15 @@ const AddProduct = () => {
               ))}
             </div>
 
+            <VariantEditor
+              options={variantOptions}
+              rows={variantRows}
+              onOptionsChange={setVariantOptions}
+              onRowsChange={setVariantRows}
+              defaultPrice={price}
+              skuPrefix={title}
+            />
+
             <div className="images-upload-grid mb-4">
               {productImagePreviews.map((src, index) => (
                 <div className="img-preview-wrapper" key={index}>
@@ -0,0 +1,84 @@
+/**
+ * @file CategoryPicker.jsx
+ * @module Screens/Products/CategoryPicker
+ * @description
+ * Category selection shared by the Add and Update product forms.
+ * * **Key Capabilities:**
+ * - **Canonical List:** Categories come from the category tree, so products can't reference a misspelt category.
+ * - **Tree Layout:** Subcategories are indented under their parents; hidden categories are marked.
+ * - **Multi-select:** A product can be listed in several categories.
+ * * @param {Object} props
+ * @param {string[]} props.selected - Selected category IDs
+ * @param {Function} props.onChange - Called with the new list of IDs
+ */
+
+import React, { useEffect, useMemo } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { getAllCategories } from "../../../redux/slices/category.slice";
+import { flattenCategories } from "../../manage-categories/categoryTree";
+import "./CategoryPicker.css";
+
+const CategoryPicker = ({ selected, onChange }) => {
+  const dispatch = useDispatch();
+  const tree = useSelector((state) => state.categories.allCategories || []);
+  const loading = useSelector((state) => state.categories.loading);
+
+  useEffect(() => {
+    dispatch(getAllCategories());
+  }, [dispatch]);
+
+  const categories = useMemo(() => flattenCategories(tree), [tree]);
+
+  const toggle = (categoryId) => {
+    onChange(
+      selected.includes(categoryId)
+        ? selected.filter((id) => id !== categoryId)
+        : [...selected, categoryId],
+    );
+  };
+
+  return (
+    <div className="category-picker">
+      <div className="category-picker-label">
+        <i className="fas fa-tags"></i> Categories
+        {selected.length > 0 && (
+          <span className="category-picker-count">
+            {selected.length} selected
+          </span>
+        )}
+      </div>
+
+      {!loading && categories.length === 0 ? (
+        <p className="category-picker-empty">
+          No categories yet – add them under Manage Categories first.
+        </p>
+      ) : (
+        <div className="category-picker-list">
+          {categories.map((category) => (
+            <button
+              key={category._id}
+              type="button"
+              className={`category-picker-chip depth-${category.depth} ${
+                selected.includes(category._id) ? "selected" : ""
+              }`}
+              title={[...category.ancestors.map((a) => a.name), category.name]
+                .filter(Boolean)
+                .join(" › ")}
+              onClick={() => toggle(category._id)}
+            >
+              {selected.includes(category._id) && (
+                <i className="fas fa-check"></i>
+              )}
+              {category.name}
+              {!category.isActive && (
+                <span className="category-picker-hidden">hidden</span>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategoryPicker;
@@ -8,35 +8,44 @@
  * - **Sticky Layout:** Uses `position: sticky` on the visual column (Desktop) to keep the product image visible while scrolling through long specifications.
  * - **Bento-style Specs:** Groups core metrics (Price, SKU, Stock) into a color-coded grid for rapid data scanning.
  * * **Technical Logic:**
- * - **State Hydration:** Prioritizes data from `location.state` to eliminate extra API calls during navigation.
- * - **Simulated Latency:** Includes a 800ms `setTimeout` to ensure a smooth transition and consistent UX with the global loader.
+ * - **State Hydration:** Shows the list row passed in `location.state` immediately, then swaps in the
+ *   full product from `getProductById` (listings omit the description and specifications).
  * * @requires react-router-dom
+ * @requires react-redux
  */
 
 import React, { useState, useEffect } from "react";
-import { useLocation, useNavigate } from "react-router-dom";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { getProductById } from "../../../redux/slices/product.slice";
 import Loader from "../../../utilities/loader/Loader.utility";
 import "./ProductDetails.css";
 
 const ProductDetails = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const [product, setProduct] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const dispatch = useDispatch();
+  const { productId } = useParams();
+  const { selectedProduct, loading } = useSelector((state) => state.products);
   const [activeImage, setActiveImage] = useState("");
 
   useEffect(() => {
-    const timer = setTimeout(() => {
-      const data = location.state?.product || null;
-      setProduct(data);
-      if (data?.productImages?.length > 0)
-        setActiveImage(data.productImages[0]);
-      setLoading(false);
-    }, 800);
-    return () => clearTimeout(timer);
-  }, [location.state]);
+    if (productId) {
+      dispatch(getProductById(productId));
+    }
+  }, [productId, dispatch]);
 
-  if (loading)
+  const product =
+    selectedProduct?._id === productId
+      ? selectedProduct
+      : location.state?.product || null;
+
+  // Fall back to the first image until one is picked (or if it disappears)
+  const shownImage = product?.productImages?.includes(activeImage)
+    ? activeImage
+    : product?.productImages?.[0] || "";
+
+  if (!product && loading)
     return (
       <div className="pd-loader-wrapper">
         <Loader />
@@ -72,7 +81,7 @@ const ProductDetails = () => {
       <div className="pd-main-grid">
         <div className="pd-visuals">
           <div className="pd-main-card">
-            <img src={activeImage} alt="Main Product" className="pd-hero-img" />
+            <img src={shownImage} alt="Main Product" className="pd-hero-img" />
             <span className={`pd-status-pill ${product.status.toLowerCase()}`}>
               {product.status}
             </span>
@@ -81,7 +90,7 @@ const ProductDetails = () => {
             {product.productImages?.map((img, idx) => (
               <div
                 key={idx}
-                className={`pd-thumb ${activeImage === img ? "active" : ""}`}
+                className={`pd-thumb ${shownImage === img ? "active" : ""}`}
                 onClick={() => setActiveImage(img)}
               >
                 <img src={img} alt="thumbnail" />
@@ -113,6 +122,27 @@ const ProductDetails = () => {
             </div>
           </div>
 
+          {product.variants?.length > 0 && (
+            <div className="pd-section">
+              <h2 className="section-title">Variants</h2>
+              <div className="dynamic-specs-container">
+                {product.variants.map((variant) => (
+                  <div className="spec-row-item" key={variant._id}>
+                    <small>
+                      {variant.options
+                        .map((option) => option.value)
+                        .join(" / ")}{" "}
+                      · {variant.sku}
+                    </small>
+                    <p>
+                      ${variant.price} · {variant.stock} Units
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="pd-section description-box">
             <h2 className="section-title">Product Synopsis</h2>
             <p className="synopsis-text">{product.description}</p>
@@ -4,23 +4,27 @@
  * @description
  * The primary interface for Super Admins to view, filter, and moderate the product catalog.
  * * **Key Capabilities:**
- * - **Live Search:** Client-side filtering of the `products` state based on title matches.
+ * - **Server-side Listing:** One page at a time from the catalog API, with search, status,
+ *   stock, price, rating and category filters and a sort order. Filtering by a
+ *   category includes its subcategories.
  * - **Dynamic Actions:** Contextual popover menus per table row (View, Edit, Delete).
- * - **Inventory Metrics:** Aggregated stats for total and active product counts.
+ * - **Inventory Metrics:** Total and active counts for the current filters (from the API).
  * - **Destructive Workflows:** Implements a two-step verification (Modal confirmation) for product deletion.
  * * @requires react-redux
  * @requires react-router-dom
  * @requires react-hot-toast
  */
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import "./Products.css";
 import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import {
   deleteProduct,
-  getAllProducts,
+  getProductsPage,
 } from "../../../redux/slices/product.slice";
+import { getAllCategories } from "../../../redux/slices/category.slice";
+import { flattenCategories } from "../../manage-categories/categoryTree";
 import Loader from "../../../utilities/loader/Loader.utility";
 import InputField from "../../../utilities/input-field/InputField.utility";
 import PopOver from "../../../utilities/pop-over/PopOver.utility";
@@ -29,33 +33,121 @@ import { toast } from "react-hot-toast";
 import Button from "../../../utilities/button/Button.utility";
 import { useRef } from "react";
 
+/** Products per table page */
+const PAGE_SIZE = 20;
+
+const STATUS_OPTIONS = [
+  { value: "ALL", label: "All statuses" },
+  { value: "ACTIVE", label: "Active" },
+  { value: "INACTIVE", label: "Inactive" },
+];
+
+const STOCK_OPTIONS = [
+  { value: "ANY", label: "Any stock" },
+  { value: "true", label: "In stock" },
+  { value: "false", label: "Out of stock" },
+];
+
+const RATING_OPTIONS = [
+  { value: "ANY", label: "Any rating" },
+  { value: "4", label: "4★ & up" },
+  { value: "3", label: "3★ & up" },
+  { value: "2", label: "2★ & up" },
+];
+
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "popularity", label: "Most popular" },
+  { value: "rating", label: "Top rated" },
+  { value: "price_asc", label: "Price: low to high" },
+  { value: "price_desc", label: "Price: high to low" },
+];
+
+const INITIAL_FILTERS = {
+  status: "ALL",
+  inStock: "ANY",
+  minRating: "ANY",
+  category: "",
+  minPrice: "",
+  maxPrice: "",
+  sort: "newest",
+};
+
 const Products = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const actionButtonRefs = useRef({});
   const user = useSelector((state) => state.auth.user);
-  const products = useSelector((state) => state.products.products || []);
-  const loading = useSelector((state) => state.products.loading);
+  const {
+    productsPage: products,
+    productsPagination: pagination,
+    statusCounts,
+    pageLoading: loading,
+  } = useSelector((state) => state.products);
+  const categoryTree = useSelector(
+    (state) => state.categories.allCategories || [],
+  );
   const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [page, setPage] = useState(1);
   const [activePopover, setActivePopover] = useState(null);
   const [selectedProduct, setSelectedProduct] = useState(null);
   const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
   const [deleting, setDeleting] = useState(false);
 
+  useEffect(() => {
+    if (user?.id) dispatch(getAllCategories());
+  }, [dispatch, user?.id]);
+
+  const categoryOptions = useMemo(
+    () => [
+      { value: "", label: "All categories" },
+      ...flattenCategories(categoryTree).map((category) => ({
+        value: category.slug,
+        label: `${"— ".repeat(category.depth)}${category.name}`,
+      })),
+    ],
+    [categoryTree],
+  );
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(search.trim());
+      setPage(1);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // Empty and "ANY" filters are left out so the API applies its defaults
+  const query = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries({
+          ...filters,
+          search: debouncedSearch,
+          page,
+          limit: PAGE_SIZE,
+        }).filter(([, value]) => value !== "" && value !== "ANY"),
+      ),
+    [filters, debouncedSearch, page],
+  );
+
   useEffect(() => {
     if (user?.id) {
-      dispatch(getAllProducts());
+      dispatch(getProductsPage(query));
     }
-  }, [dispatch, user?.id]);
+  }, [dispatch, user?.id, query]);
 
-  const stats = {
-    total: products.length,
-    active: products.filter((p) => p.status === "ACTIVE").length,
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
   };
 
-  const filteredProducts = products.filter((product) =>
-    product.title?.toLowerCase().includes(search.toLowerCase()),
-  );
+  const stats = {
+    total: (statusCounts?.ACTIVE || 0) + (statusCounts?.INACTIVE || 0),
+    active: statusCounts?.ACTIVE || 0,
+  };
 
   const getActionItems = (product) => [
     {
@@ -105,6 +197,9 @@ const Products = () => {
         toast.success(message);
         setIsDeleteModalOpen(false);
         setSelectedProduct(null);
+        // Refill the page (or step back if it is now empty)
+        if (products.length === 1 && page > 1) setPage(page - 1);
+        else dispatch(getProductsPage(query));
       } else {
         const errorMsg = result.payload?.message;
         toast.error(errorMsg);
@@ -146,7 +241,7 @@ const Products = () => {
           <div className="stat-card stat-active">
             <h3>Active</h3>
             <p className="stat-value">{stats.active}</p>
-          </div>          
+          </div>
 
           <div className="btn-container">
             <Button
@@ -160,6 +255,51 @@ const Products = () => {
           </div>
         </div>
 
+        <div className="filters-bar">
+          <InputField
+            label="Status"
+            dropdownOptions={STATUS_OPTIONS}
+            selectedValue={filters.status}
+            onValueChange={(e) => updateFilter("status", e.target.value)}
+          />
+          <InputField
+            label="Stock"
+            dropdownOptions={STOCK_OPTIONS}
+            selectedValue={filters.inStock}
+            onValueChange={(e) => updateFilter("inStock", e.target.value)}
+          />
+          <InputField
+            label="Rating"
+            dropdownOptions={RATING_OPTIONS}
+            selectedValue={filters.minRating}
+            onValueChange={(e) => updateFilter("minRating", e.target.value)}
+          />
+          <InputField
+            label="Sort by"
+            dropdownOptions={SORT_OPTIONS}
+            selectedValue={filters.sort}
+            onValueChange={(e) => updateFilter("sort", e.target.value)}
+          />
+          <InputField
+            label="Category"
+            dropdownOptions={categoryOptions}
+            selectedValue={filters.category}
+            onValueChange={(e) => updateFilter("category", e.target.value)}
+          />
+          <InputField
+            label="Min price"
+            type="number"
+            value={filters.minPrice}
+            onChange={(e) => updateFilter("minPrice", e.target.value)}
+          />
+          <InputField
+            label="Max price"
+            type="number"
+            value={filters.maxPrice}
+            onChange={(e) => updateFilter("maxPrice", e.target.value)}
+          />
+        </div>
+
         <div className="table-card">
           <div className="table-responsive">
             {loading ? (
@@ -178,10 +318,10 @@ const Products = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredProducts.map((product) => (
+                  {products.map((product) => (
                     <tr key={product._id}>
                       <td className="product-name">{product.title}</td>
-                      <td>{product.category?.[0] || "N/A"}</td>
+                      <td>{product.category?.join(", ") || "N/A"}</td>
                       <td>
                         <span
                           className={`status-badge ${
@@ -231,12 +371,32 @@ const Products = () => {
                 </tbody>
               </table>
             )}
-            {!loading && filteredProducts.length === 0 && (
+            {!loading && products.length === 0 && (
               <div className="no-products-state">
                 <i className="fas fa-box-open no-products-icon"></i>
                 <h3>No Products Found</h3>
               </div>
             )}
+            {pagination?.totalPages > 1 && (
+              <div className="products-pager">
+                <button
+                  disabled={page <= 1 || loading}
+                  onClick={() => setPage(page - 1)}
+                >
+                  <i className="fas fa-chevron-left"></i>
+                </button>
+                <span>
+                  Page {pagination.page} of {pagination.totalPages} ·{" "}
+                  {pagination.total} products
+                </span>
+                <button
+                  disabled={!pagination.hasMore || loading}
+                  onClick={() => setPage(page + 1)}
+                >
+                  <i className="fas fa-chevron-right"></i>
+                </button>
+              </div>
+            )}
           </div>
         </div>
       </div>
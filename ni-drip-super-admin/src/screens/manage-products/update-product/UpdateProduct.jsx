@@ -12,6 +12,14 @@ import {
 } from "../../../redux/slices/product.slice";
 import { toast } from "react-hot-toast";
 import Loader from "../../../utilities/loader/Loader.utility";
+import VariantEditor from "../variant-editor/VariantEditor";
+import CategoryPicker from "../category-picker/CategoryPicker";
+import {
+  toVariantPayload,
+  validateVariants,
+  variantStateFromProduct,
+  variantTotals,
+} from "../variant-editor/variantMatrix";
 
 const UpdateProduct = () => {
   const { productId } = useParams();
@@ -28,12 +36,18 @@ const UpdateProduct = () => {
   const [title, setTitle] = useState("");
   const [description, setDescription] = useState("");
   const [price, setPrice] = useState("");
-  const [category, setCategory] = useState("");
+  const [categoryIds, setCategoryIds] = useState([]);
   const [stock, setStock] = useState("");
+  const [weight, setWeight] = useState("");
   const [specSections, setSpecSections] = useState([
     { section: "", items: [{ name: "", value: "" }] },
   ]);
   const [loading, setLoading] = useState(false);
+  const [variantOptions, setVariantOptions] = useState([]);
+  const [variantRows, setVariantRows] = useState([]);
+
+  const hasVariants = variantOptions.length > 0;
+  const totals = variantRows.length ? variantTotals(variantRows) : null;
 
   useEffect(() => {
     if (productId) {
@@ -47,7 +61,12 @@ const UpdateProduct = () => {
       setDescription(selectedProduct.description || "");
       setPrice(selectedProduct.price?.toString() || "");
       setStock(selectedProduct.stock?.toString() || "");
-      setCategory(selectedProduct.category?.join(", ") || "");
+      setWeight(selectedProduct.weight?.toString() || "");
+      setCategoryIds(selectedProduct.categories || []);
+
+      const variantState = variantStateFromProduct(selectedProduct);
+      setVariantOptions(variantState.options);
+      setVariantRows(variantState.rows);
 
       if (
         selectedProduct.specifications &&
@@ -137,16 +156,20 @@ const UpdateProduct = () => {
   const handleUpdateProduct = async (event) => {
     event.preventDefault();
 
-    const categoryArray = category
-      .split(",")
-      .map((c) => c.trim())
-      .filter((c) => c !== "");
+    if (hasVariants) {
+      const variantError = validateVariants(variantOptions, variantRows);
+      if (variantError) {
+        toast.error(variantError);
+        return;
+      }
+    }
+
     const fields = {
       title,
       description,
-      price,
-      category: categoryArray,
-      stock,
+      price: hasVariants ? String(totals.price) : price,
+      category: categoryIds,
+      stock: hasVariants ? String(totals.stock) : stock,
     };
 
     const errors = validateFields(fields);
@@ -160,9 +183,18 @@ const UpdateProduct = () => {
       const formData = new FormData();
       formData.append("title", title);
       formData.append("description", description);
-      formData.append("price", price);
-      formData.append("stock", stock);
-      formData.append("category", JSON.stringify(categoryArray));
+      formData.append("price", fields.price);
+      formData.append("stock", fields.stock);
+      formData.append("weight", weight || 0);
+      formData.append("categories", JSON.stringify(categoryIds));
+
+      // Always sent, so removing every option turns variants off
+      const { options, variants } = toVariantPayload(
+        variantOptions,
+        variantRows,
+      );
+      formData.append("options", JSON.stringify(options));
+      formData.append("variants", JSON.stringify(variants));
 
       const filteredSpecs = specSections.filter((s) => s.section.trim() !== "");
       formData.append("specifications", JSON.stringify(filteredSpecs));
@@ -217,8 +249,9 @@ const UpdateProduct = () => {
               </div>
               <div className="col-md-6 mb-3">
                 <InputField
-                  label="Price"
-                  value={price}
+                  label={hasVariants ? "Price (lowest variant)" : "Price"}
+                  value={hasVariants ? String(totals?.price ?? "") : price}
+                  editable={!hasVariants}
                   onChange={(e) => setPrice(e.target.value)}
                   icon={<i className="fas fa-money-bill"></i>}
                 />
@@ -228,18 +261,29 @@ const UpdateProduct = () => {
             <div className="row">
               <div className="col-md-6 mb-3">
                 <InputField
-                  label="Category (Comma separated)"
-                  value={category}
-                  onChange={(e) => setCategory(e.target.value)}
-                  icon={<i className="fas fa-tags"></i>}
+                  label={hasVariants ? "Stock (all variants)" : "Stock"}
+                  value={hasVariants ? String(totals?.stock ?? "") : stock}
+                  editable={!hasVariants}
+                  onChange={(e) => setStock(e.target.value)}
+                  icon={<i className="fas fa-truck"></i>}
                 />
               </div>
               <div className="col-md-6 mb-3">
                 <InputField
-                  label="Stock"
-                  value={stock}
-                  onChange={(e) => setStock(e.target.value)}
-                  icon={<i className="fas fa-truck"></i>}
+                  label="Weight (kg, for shipping)"
+                  type="number"
+                  value={weight}
+                  onChange={(e) => setWeight(e.target.value)}
+                  icon={<i className="fas fa-weight-hanging"></i>}
+                />
+              </div>
+            </div>
+
+            <div className="row">
+              <div className="col-12 mb-3">
+                <CategoryPicker
+                  selected={categoryIds}
+                  onChange={setCategoryIds}
                 />
               </div>
             </div>
@@ -344,6 +388,15 @@ const UpdateProduct = () => {
               ))}
             </div>
 
+            <VariantEditor
+              options={variantOptions}
+              rows={variantRows}
+              onOptionsChange={setVariantOptions}
+              onRowsChange={setVariantRows}
+              defaultPrice={price}
+              skuPrefix={title}
+            />
+
             <div className="images-upload-grid mb-4">
               {productImagePreviews.map((src, index) => (
                 <div className="img-preview-wrapper" key={index}>
@@ -0,0 +1,203 @@
+/**
+ * @file VariantEditor.jsx
+ * @module Screens/Products/VariantEditor
+ * @description
+ * Variant matrix shared by the Add and Update product forms.
+ * * **Key Capabilities:**
+ * - **Options:** Up to 3 options (e.g., Color, Storage), each with comma-separated values.
+ * - **Matrix:** "Generate Variants" creates a row per combination of values; existing rows keep their SKU, price and stock.
+ * - **Per-variant Data:** SKU, price and stock are edited per row.
+ * * @param {Object} props
+ * @param {Array<{ name: string, values: string }>} props.options
+ * @param {Object[]} props.rows - Variant rows (see `variantMatrix.js`)
+ * @param {Function} props.onOptionsChange
+ * @param {Function} props.onRowsChange
+ * @param {string} [props.defaultPrice] - Price of new rows
+ * @param {string} [props.skuPrefix] - Prefix of suggested SKUs (the product title)
+ */
+
+import React from "react";
+import { toast } from "react-hot-toast";
+import { MAX_OPTIONS, buildVariantRows } from "./variantMatrix";
+import "./VariantEditor.css";
+
+const VariantEditor = ({
+  options,
+  rows,
+  onOptionsChange,
+  onRowsChange,
+  defaultPrice,
+  skuPrefix,
+}) => {
+  const optionNames = rows.length ? Object.keys(rows[0].options) : [];
+
+  const addOption = () => {
+    if (options.length >= MAX_OPTIONS) {
+      toast.error(`A product can have at most ${MAX_OPTIONS} options.`);
+      return;
+    }
+    onOptionsChange([...options, { name: "", values: "" }]);
+  };
+
+  const removeOption = (index) => {
+    const updated = options.filter((_, i) => i !== index);
+    onOptionsChange(updated);
+    if (!updated.length) onRowsChange([]);
+  };
+
+  const handleOptionChange = (index, field, value) => {
+    onOptionsChange(
+      options.map((option, i) =>
+        i === index ? { ...option, [field]: value } : option,
+      ),
+    );
+  };
+
+  const generateRows = () => {
+    const generated = buildVariantRows(options, rows, {
+      price: defaultPrice,
+      skuPrefix,
+    });
+    if (!generated.length) {
+      toast.error("Give each option a name and at least one value.");
+      return;
+    }
+    onRowsChange(generated);
+  };
+
+  const handleRowChange = (index, field, value) => {
+    onRowsChange(
+      rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)),
+    );
+  };
+
+  const removeRow = (index) => {
+    onRowsChange(rows.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="variant-editor mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <h5 className="m-0">Variants</h5>
+        <button
+          type="button"
+          className="variant-add-option-btn"
+          onClick={addOption}
+        >
+          <i className="fas fa-plus-circle"></i> Add Option
+        </button>
+      </div>
+      <p className="variant-editor-hint">
+        Sell the product in options like Color or Storage. Each combination gets
+        its own SKU, price and stock, and the product's price and stock are
+        taken from its variants.
+      </p>
+
+      {options.map((option, index) => (
+        <div key={index} className="variant-option-row">
+          <input
+            type="text"
+            placeholder="Option (e.g., Color)"
+            value={option.name}
+            onChange={(e) => handleOptionChange(index, "name", e.target.value)}
+          />
+          <input
+            type="text"
+            placeholder="Values, comma separated (e.g., Black, White)"
+            value={option.values}
+            onChange={(e) =>
+              handleOptionChange(index, "values", e.target.value)
+            }
+          />
+          <button
+            type="button"
+            className="variant-remove-btn"
+            onClick={() => removeOption(index)}
+          >
+            <i className="fas fa-trash"></i>
+          </button>
+        </div>
+      ))}
+
+      {options.length > 0 && (
+        <button
+          type="button"
+          className="variant-generate-btn"
+          onClick={generateRows}
+        >
+          <i className="fas fa-th"></i> Generate Variants
+        </button>
+      )}
+
+      {rows.length > 0 && (
+        <div className="variant-table-wrapper">
+          <table className="variant-table">
+            <thead>
+              <tr>
+                {optionNames.map((name) => (
+                  <th key={name}>{name}</th>
+                ))}
+                <th>SKU</th>
+                <th>Price</th>
+                <th>Stock</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={Object.values(row.options).join("|")}>
+                  {optionNames.map((name) => (
+                    <td key={name} className="variant-option-value">
+                      {row.options[name]}
+                    </td>
+                  ))}
+                  <td>
+                    <input
+                      type="text"
+                      value={row.sku}
+                      onChange={(e) =>
+                        handleRowChange(index, "sku", e.target.value)
+                      }
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      value={row.price}
+                      onChange={(e) =>
+                        handleRowChange(index, "price", e.target.value)
+                      }
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={row.stock}
+                      onChange={(e) =>
+                        handleRowChange(index, "stock", e.target.value)
+                      }
+                    />
+                  </td>
+                  <td>
+                    <button
+                      type="button"
+                      className="variant-remove-btn"
+                      onClick={() => removeRow(index)}
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VariantEditor;
@@ -0,0 +1,186 @@
+/**
+ * @file variantMatrix.js
+ * @module Screens/Products/VariantMatrix
+ * @description
+ * Helpers behind the variant editor of the Add / Update product forms.
+ * * Option values are edited as comma-separated text ("Black, White"); every
+ * combination of the values becomes a variant row with its own SKU, price and
+ * stock. Rows are sent to the API as `options` and `variants` JSON fields.
+ */
+
+/** Most options a product can have (matches the API) */
+export const MAX_OPTIONS = 3;
+
+/**
+ * Split comma-separated values, dropping blanks and duplicates
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const splitValues = (text) => [
+  ...new Set(
+    String(text || "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean),
+  ),
+];
+
+/**
+ * Options with a name and at least one value, values split
+ * @param {Array<{ name: string, values: string }>} options
+ * @returns {Array<{ name: string, values: string[] }>}
+ */
+const parseOptions = (options) =>
+  options
+    .map((option) => ({
+      name: option.name.trim(),
+      values: splitValues(option.values),
+    }))
+    .filter((option) => option.name && option.values.length);
+
+/**
+ * @param {string[]} names
+ * @param {Object<string, string>} chosen
+ * @returns {string}
+ */
+const combinationKey = (names, chosen) =>
+  names.map((name) => chosen[name] ?? "").join("|");
+
+/**
+ * Rows for every combination of option values. Rows that still exist keep
+ * their SKU, price, stock and ID.
+ * @param {Array<{ name: string, values: string }>} options
+ * @param {Object[]} rows - Current rows
+ * @param {{ price?: string, skuPrefix?: string }} [defaults] - For new rows
+ * @returns {Object[]}
+ */
+export const buildVariantRows = (options, rows, defaults = {}) => {
+  const parsed = parseOptions(options);
+  if (!parsed.length) return [];
+
+  const names = parsed.map((option) => option.name);
+  const combinations = parsed.reduce(
+    (list, option) =>
+      list.flatMap((chosen) =>
+        option.values.map((value) => ({ ...chosen, [option.name]: value })),
+      ),
+    [{}],
+  );
+  const existing = new Map(
+    rows.map((row) => [combinationKey(names, row.options), row]),
+  );
+  const prefix = (defaults.skuPrefix || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+  return combinations.map(
+    (chosen) =>
+      existing.get(combinationKey(names, chosen)) || {
+        options: chosen,
+        sku: prefix
+          ? [prefix, ...Object.values(chosen)]
+              .join("-")
+              .toUpperCase()
+              .replace(/\s+/g, "")
+          : "",
+        price: defaults.price || "",
+        stock: "0",
+      },
+  );
+};
+
+/**
+ * Editor state for a product from the API
+ * @param {Object} product
+ * @returns {{ options: Array<{ name: string, values: string }>, rows: Object[] }}
+ */
+export const variantStateFromProduct = (product) => ({
+  options: (product.options || []).map((option) => ({
+    name: option.name,
+    values: option.values.join(", "),
+  })),
+  rows: (product.variants || []).map((variant) => ({
+    _id: variant._id,
+    options: Object.fromEntries(
+      variant.options.map((option) => [option.name, option.value]),
+    ),
+    sku: variant.sku,
+    price: String(variant.price),
+    stock: String(variant.stock),
+  })),
+});
+
+/**
+ * Check the options and rows before submitting
+ * @param {Array<{ name: string, values: string }>} options
+ * @param {Object[]} rows
+ * @returns {string|null} First problem found, or null
+ */
+export const validateVariants = (options, rows) => {
+  if (!options.length) return null;
+
+  const names = new Set();
+  for (const option of options) {
+    const name = option.name.trim();
+    if (!name) return "Every option needs a name";
+    if (names.has(name.toLowerCase())) {
+      return `Option "${name}" is listed twice`;
+    }
+    names.add(name.toLowerCase());
+    if (!splitValues(option.values).length) return `Add values for ${name}`;
+  }
+
+  // Rows may be removed, but each must still be a current combination
+  const parsed = parseOptions(options);
+  const isCurrent = (row) =>
+    Object.keys(row.options).length === parsed.length &&
+    parsed.every((option) => option.values.includes(row.options[option.name]));
+  if (!rows.length || !rows.every(isCurrent)) {
+    return "Options changed – generate the variants again";
+  }
+
+  const skus = new Set();
+  for (const row of rows) {
+    const label = Object.values(row.options).join(" / ");
+    const sku = row.sku.trim().toUpperCase();
+    if (!sku) return `${label}: SKU is required`;
+    if (skus.has(sku)) return `${label}: SKU ${row.sku.trim()} is used twice`;
+    skus.add(sku);
+    if (row.price === "" || isNaN(row.price) || Number(row.price) < 0) {
+      return `${label}: enter a valid price`;
+    }
+    if (!Number.isInteger(Number(row.stock)) || Number(row.stock) < 0) {
+      return `${label}: stock must be a whole number`;
+    }
+  }
+  return null;
+};
+
+/**
+ * `options` and `variants` as the API expects them
+ * @param {Array<{ name: string, values: string }>} options
+ * @param {Object[]} rows
+ * @returns {{ options: Object[], variants: Object[] }}
+ */
+export const toVariantPayload = (options, rows) => ({
+  options: parseOptions(options),
+  variants: rows.map((row) => ({
+    ...(row._id ? { _id: row._id } : {}),
+    options: row.options,
+    sku: row.sku.trim(),
+    price: Number(row.price),
+    stock: Number(row.stock),
+  })),
+});
+
+/**
+ * Price (lowest) and stock (sum) the product gets from its variants
+ * @param {Object[]} rows
+ * @returns {{ price: number, stock: number }}
+ */
+export const variantTotals = (rows) => ({
+  price: Math.min(...rows.map((row) => Number(row.price) || 0)),
+  stock: rows.reduce((sum, row) => sum + (Number(row.stock) || 0), 0),
+});
@@ -0,0 +1,382 @@
+/**
+ * @file Returns.jsx
+ * @module Screens/Returns/Management
+ * @description
+ * The administrative dashboard for customer return requests (RMA).
+ * * **Key Features:**
+ * - **Lifecycle Stats:** Summary cards for every return state (Requested, Approved, Received, Rejected).
+ * - **Review Workflow:** Approve or reject REQUESTED returns with an optional (required for rejection) admin note.
+ * - **Receiving:** Marks APPROVED returns as received; the backend restocks the items and updates the order to PARTIALLY_RETURNED / RETURNED.
+ * - **Dynamic Anchoring:** Uses a `useRef` map to anchor the row `PopOver` menus.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ * @requires ../../redux/slices/return.slice
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import "./Returns.css";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getAllReturns,
+  reviewReturn,
+  receiveReturn,
+} from "../../redux/slices/return.slice";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import PopOver from "../../utilities/pop-over/PopOver.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import { toast } from "react-hot-toast";
+
+/**
+ * Modal copy and button styling per admin action
+ */
+const ACTIONS = {
+  APPROVED: {
+    title: "Approve Return",
+    label: "Approve",
+    className: "primary-btn",
+  },
+  REJECTED: {
+    title: "Reject Return",
+    label: "Reject",
+    className: "danger-btn",
+  },
+  RECEIVED: {
+    title: "Receive Return",
+    label: "Mark Received",
+    className: "primary-btn",
+  },
+};
+
+const Returns = () => {
+  const dispatch = useDispatch();
+
+  const user = useSelector((state) => state.auth.user);
+  const returns = useSelector((state) => state.returns.allReturns || []);
+  const loading = useSelector((state) => state.returns.loading);
+
+  const [search, setSearch] = useState("");
+  const [activePopover, setActivePopover] = useState(null);
+  const [selectedReturn, setSelectedReturn] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [adminNote, setAdminNote] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const actionButtonRefs = useRef({});
+
+  useEffect(() => {
+    if (user?.id) dispatch(getAllReturns());
+  }, [dispatch, user?.id]);
+
+  const filteredReturns = useMemo(() => {
+    return returns.filter(
+      (r) =>
+        r._id?.toLowerCase().includes(search.toLowerCase()) ||
+        r.order?._id?.toLowerCase().includes(search.toLowerCase()) ||
+        r.user?.userName?.toLowerCase().includes(search.toLowerCase()),
+    );
+  }, [returns, search]);
+
+  const stats = {
+    total: returns.length,
+    requested: returns.filter((r) => r.status === "REQUESTED").length,
+    approved: returns.filter((r) => r.status === "APPROVED").length,
+    received: returns.filter((r) => r.status === "RECEIVED").length,
+    rejected: returns.filter((r) => r.status === "REJECTED").length,
+  };
+
+  const openActionModal = (returnRequest, action) => {
+    setSelectedReturn(returnRequest);
+    setPendingAction(action);
+    setAdminNote("");
+    setActivePopover(null);
+  };
+
+  const closeActionModal = () => {
+    setSelectedReturn(null);
+    setPendingAction(null);
+    setAdminNote("");
+  };
+
+  const handleConfirmAction = async () => {
+    if (!selectedReturn || !pendingAction) return;
+
+    if (pendingAction === "REJECTED" && !adminNote.trim()) {
+      toast.error("Please add a note explaining the rejection");
+      return;
+    }
+
+    setSubmitting(true);
+
+    try {
+      const thunk =
+        pendingAction === "RECEIVED"
+          ? receiveReturn({ returnId: selectedReturn._id, adminNote })
+          : reviewReturn({
+              returnId: selectedReturn._id,
+              decision: pendingAction,
+              adminNote,
+            });
+
+      const result = await dispatch(thunk);
+
+      if (result.meta.requestStatus === "fulfilled") {
+        toast.success(result.payload?.message || "Return updated");
+        closeActionModal();
+      } else {
+        toast.error(result.payload?.message || "Failed to update return");
+      }
+    } catch {
+      toast.error("Unexpected error occurred");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getActionItems = (returnRequest) => {
+    const items = [];
+
+    if (returnRequest.status === "REQUESTED") {
+      items.push({
+        label: "Approve Return",
+        icon: "fas fa-check",
+        action: () => openActionModal(returnRequest, "APPROVED"),
+      });
+      items.push({
+        label: "Reject Return",
+        icon: "fas fa-times",
+        type: "danger",
+        action: () => openActionModal(returnRequest, "REJECTED"),
+      });
+    }
+
+    if (returnRequest.status === "APPROVED") {
+      items.push({
+        label: "Mark as Received",
+        icon: "fas fa-box",
+        action: () => openActionModal(returnRequest, "RECEIVED"),
+      });
+    }
+
+    return items;
+  };
+
+  const formatReason = (reason) =>
+    (reason || "").replace(/_/g, " ").toLowerCase();
+
+  return (
+    <section id="returns">
+      <div className="returns-container">
+        <div className="returns-breadcrumb">
+          <div className="returns-header">
+            <h1 className="returns-title">Returns</h1>
+            <p className="returns-subtitle">
+              Review, approve and receive customer returns
+            </p>
+          </div>
+
+          <div className="search-wrapper">
+            <InputField
+              placeholder="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              width={350}
+              icon={<i className="fas fa-search"></i>}
+            />
+          </div>
+        </div>
+
+        <div className="stats-grid">
+          <div className="stat-card stat-total">
+            <h3>Total Returns</h3>
+            <p className="stat-value">{stats.total}</p>
+          </div>
+          <div className="stat-card stat-requested">
+            <h3>Requested</h3>
+            <p className="stat-value">{stats.requested}</p>
+          </div>
+          <div className="stat-card stat-approved">
+            <h3>Approved</h3>
+            <p className="stat-value">{stats.approved}</p>
+          </div>
+          <div className="stat-card stat-received">
+            <h3>Received</h3>
+            <p className="stat-value">{stats.received}</p>
+          </div>
+          <div className="stat-card stat-rejected">
+            <h3>Rejected</h3>
+            <p className="stat-value">{stats.rejected}</p>
+          </div>
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Return ID</th>
+                    <th>Order</th>
+                    <th>Customer</th>
+                    <th>Items</th>
+                    <th>Reason</th>
+                    <th>Refund</th>
+                    <th>Status</th>
+                    <th>Date</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+
+                <tbody>
+                  {filteredReturns.map((returnRequest) => (
+                    <tr key={returnRequest._id}>
+                      <td className="return-id">
+                        #{returnRequest._id.slice(-6).toUpperCase()}
+                      </td>
+                      <td>
+                        #
+                        {returnRequest.order?._id?.slice(-6).toUpperCase() ||
+                          "------"}
+                      </td>
+                      <td>{returnRequest.user?.userName || "Customer"}</td>
+                      <td>
+                        <ul className="return-items">
+                          {returnRequest.items.map((item, idx) => (
+                            <li key={idx}>
+                              {item.product?.title || "Product"} ×{" "}
+                              {item.quantity}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                      <td>
+                        <span className="reason">
+                          {formatReason(returnRequest.reason)}
+                        </span>
+                        {returnRequest.details && (
+                          <small className="reason-details">
+                            {returnRequest.details}
+                          </small>
+                        )}
+                      </td>
+                      <td className="refund">${returnRequest.refundAmount}</td>
+                      <td>
+                        <span
+                          className={`status-badge ${returnRequest.status.toLowerCase()}`}
+                        >
+                          {returnRequest.status}
+                        </span>
+                      </td>
+                      <td>
+                        {new Date(returnRequest.createdAt).toLocaleDateString(
+                          "en-GB",
+                          {
+                            day: "numeric",
+                            month: "short",
+                            year: "numeric",
+                          },
+                        )}
+                      </td>
+                      <td className="action-dots">
+                        {getActionItems(returnRequest).length > 0 && (
+                          <div className="popover-anchor">
+                            <button
+                              ref={(el) =>
+                                (actionButtonRefs.current[returnRequest._id] =
+                                  el)
+                              }
+                              className="action-dots"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                setActivePopover(
+                                  activePopover === returnRequest._id
+                                    ? null
+                                    : returnRequest._id,
+                                );
+                              }}
+                            >
+                              <i className="fas fa-ellipsis-v"></i>
+                            </button>
+                            <PopOver
+                              isOpen={activePopover === returnRequest._id}
+                              onClose={() => setActivePopover(null)}
+                              items={getActionItems(returnRequest)}
+                              anchorRef={{
+                                current:
+                                  actionButtonRefs.current[returnRequest._id],
+                              }}
+                              position="bottom"
+                            />
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {!loading && filteredReturns.length === 0 && (
+              <div className="no-returns-state">
+                <i className="fas fa-undo-alt no-returns-icon"></i>
+                <h3>No Returns Found</h3>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={!!pendingAction}
+        onClose={closeActionModal}
+        title={ACTIONS[pendingAction]?.title || "Update Return"}
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: closeActionModal,
+          },
+          {
+            label: ACTIONS[pendingAction]?.label || "Confirm",
+            className: ACTIONS[pendingAction]?.className || "primary-btn",
+            onClick: handleConfirmAction,
+            loading: submitting,
+          },
+        ]}
+      >
+        <p>
+          Return{" "}
+          <strong>
+            {selectedReturn?._id
+              ? `#${selectedReturn._id.slice(-6).toUpperCase()}`
+              : "#------"}
+          </strong>{" "}
+          – refund of <strong>${selectedReturn?.refundAmount ?? 0}</strong>.
+        </p>
+        {pendingAction === "RECEIVED" && (
+          <p className="modal-hint">
+            Returned items will be added back to stock.
+          </p>
+        )}
+        <InputField
+          placeholder={
+            pendingAction === "REJECTED"
+              ? "Reason for rejection (required)"
+              : "Note for the customer (optional)"
+          }
+          value={adminNote}
+          onChange={(e) => setAdminNote(e.target.value)}
+          multiline
+          rows={3}
+          fullWidth
+        />
+      </Modal>
+    </section>
+  );
+};
+
+export default Returns;
@@ -0,0 +1,512 @@
+/**
+ * @file Shipping.jsx
+ * @module Screens/Shipping/Management
+ * @description
+ * The administrative dashboard for shipping zones and rate tables.
+ * * **Key Features:**
+ * - **Zone Table:** Cities served, tier basis (item count or weight), rate tiers, free-shipping threshold and delivery estimate per zone.
+ * - **Zone Editor:** A modal with a dynamic tier editor (min / max / cost rows) and a default-zone switch.
+ * - **Server-Side Pricing:** Checkout and the mobile cart quote shipping from these zones; the client never sends a shipping cost.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ * @requires ../../redux/slices/shipping.slice
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import "./Shipping.css";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getAllZones,
+  createZone,
+  updateZone,
+  deleteZone,
+} from "../../redux/slices/shipping.slice";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import PopOver from "../../utilities/pop-over/PopOver.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import Button from "../../utilities/button/Button.utility";
+import { toast } from "react-hot-toast";
+
+const BASIS_OPTIONS = [
+  { value: "ITEM_COUNT", label: "Item count" },
+  { value: "WEIGHT", label: "Weight (kg)" },
+];
+
+const EMPTY_RATE = { min: "", max: "", cost: "" };
+
+const EMPTY_FORM = {
+  name: "",
+  cities: "",
+  basis: "ITEM_COUNT",
+  freeShippingThreshold: "",
+  estimatedDelivery: "",
+  isDefault: false,
+  rates: [{ min: "1", max: "", cost: "" }],
+};
+
+const Shipping = () => {
+  const dispatch = useDispatch();
+
+  const user = useSelector((state) => state.auth.user);
+  const zones = useSelector((state) => state.shipping.allZones || []);
+  const loading = useSelector((state) => state.shipping.loading);
+
+  const [search, setSearch] = useState("");
+  const [activePopover, setActivePopover] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingZone, setEditingZone] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [zoneToDelete, setZoneToDelete] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const actionButtonRefs = useRef({});
+
+  useEffect(() => {
+    if (user?.id) dispatch(getAllZones());
+  }, [dispatch, user?.id]);
+
+  const filteredZones = useMemo(() => {
+    return zones.filter(
+      (z) =>
+        z.name?.toLowerCase().includes(search.toLowerCase()) ||
+        z.cities?.some((c) => c.toLowerCase().includes(search.toLowerCase())),
+    );
+  }, [zones, search]);
+
+  const unit = (basis) => (basis === "WEIGHT" ? "kg" : "items");
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const setRateField = (index, field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      rates: prev.rates.map((rate, i) =>
+        i === index ? { ...rate, [field]: e.target.value } : rate,
+      ),
+    }));
+
+  const addRate = () =>
+    setForm((prev) => ({ ...prev, rates: [...prev.rates, EMPTY_RATE] }));
+
+  const removeRate = (index) =>
+    setForm((prev) => ({
+      ...prev,
+      rates: prev.rates.filter((_, i) => i !== index),
+    }));
+
+  const openCreateForm = () => {
+    setEditingZone(null);
+    setForm(EMPTY_FORM);
+    setIsFormOpen(true);
+  };
+
+  const openEditForm = (zone) => {
+    setEditingZone(zone);
+    setForm({
+      name: zone.name,
+      cities: (zone.cities || []).join(", "),
+      basis: zone.basis,
+      freeShippingThreshold: zone.freeShippingThreshold ?? "",
+      estimatedDelivery: zone.estimatedDelivery || "",
+      isDefault: zone.isDefault,
+      rates: zone.rates.map((rate) => ({
+        min: rate.min.toString(),
+        max: rate.max === null ? "" : rate.max.toString(),
+        cost: rate.cost.toString(),
+      })),
+    });
+    setIsFormOpen(true);
+    setActivePopover(null);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingZone(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async () => {
+    if (!form.name.trim()) {
+      toast.error("Zone name is required");
+      return;
+    }
+    if (
+      form.rates.length === 0 ||
+      form.rates.some((rate) => rate.min === "" || rate.cost === "")
+    ) {
+      toast.error("Every tier needs a minimum and a cost");
+      return;
+    }
+
+    const zoneData = {
+      name: form.name.trim(),
+      cities: form.cities
+        .split(",")
+        .map((c) => c.trim())
+        .filter(Boolean),
+      basis: form.basis,
+      freeShippingThreshold: form.freeShippingThreshold,
+      estimatedDelivery: form.estimatedDelivery,
+      isDefault: form.isDefault,
+      rates: form.rates
+        .map((rate) => ({
+          min: Number(rate.min),
+          max: rate.max === "" ? null : Number(rate.max),
+          cost: Number(rate.cost),
+        }))
+        .sort((a, b) => a.min - b.min),
+    };
+
+    setSubmitting(true);
+
+    try {
+      const result = await dispatch(
+        editingZone
+          ? updateZone({ zoneId: editingZone._id, zoneData })
+          : createZone(zoneData),
+      );
+
+      if (result.meta.requestStatus === "fulfilled") {
+        toast.success(result.payload?.message || "Zone saved");
+        closeForm();
+      } else {
+        toast.error(result.payload?.message || "Failed to save zone");
+      }
+    } catch {
+      toast.error("Unexpected error occurred");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleActive = async (zone) => {
+    setActivePopover(null);
+
+    const result = await dispatch(
+      updateZone({ zoneId: zone._id, zoneData: { isActive: !zone.isActive } }),
+    );
+
+    if (updateZone.fulfilled.match(result)) {
+      toast.success(`${zone.name} ${zone.isActive ? "disabled" : "enabled"}`);
+    } else {
+      toast.error(result.payload?.message || "Failed to update zone");
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!zoneToDelete) return;
+    setSubmitting(true);
+
+    try {
+      const result = await dispatch(deleteZone(zoneToDelete._id));
+
+      if (deleteZone.fulfilled.match(result)) {
+        toast.success(result.payload?.message || "Zone deleted");
+        setZoneToDelete(null);
+      } else {
+        toast.error(result.payload?.message || "Failed to delete zone");
+      }
+    } catch {
+      toast.error("Unexpected error occurred");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getActionItems = (zone) => [
+    {
+      label: "Edit Zone",
+      icon: "fas fa-edit",
+      action: () => openEditForm(zone),
+    },
+    {
+      label: zone.isActive ? "Disable Zone" : "Enable Zone",
+      icon: zone.isActive ? "fas fa-pause" : "fas fa-play",
+      action: () => handleToggleActive(zone),
+    },
+    {
+      label: "Delete Zone",
+      icon: "fas fa-trash",
+      type: "danger",
+      action: () => {
+        setZoneToDelete(zone);
+        setActivePopover(null);
+      },
+    },
+  ];
+
+  return (
+    <section id="shipping">
+      <div className="shipping-container">
+        <div className="shipping-breadcrumb">
+          <div className="shipping-header">
+            <h1 className="shipping-title">Shipping Zones</h1>
+            <p className="shipping-subtitle">
+              Manage delivery zones, rate tiers and free-shipping thresholds
+            </p>
+          </div>
+
+          <div className="shipping-actions">
+            <InputField
+              placeholder="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              width={300}
+              icon={<i className="fas fa-search"></i>}
+            />
+            <Button
+              title="Add Zone"
+              width={150}
+              icon={<i className="fas fa-plus-circle"></i>}
+              onPress={openCreateForm}
+            />
+          </div>
+        </div>
+
+        {!loading && zones.length > 0 && !zones.some((z) => z.isDefault) && (
+          <div className="shipping-warning">
+            <i className="fas fa-exclamation-triangle"></i> No default zone –
+            customers outside the listed cities cannot check out.
+          </div>
+        )}
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Zone</th>
+                    <th>Cities</th>
+                    <th>Rates</th>
+                    <th>Free Over</th>
+                    <th>Delivery</th>
+                    <th>Status</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+
+                <tbody>
+                  {filteredZones.map((zone) => (
+                    <tr key={zone._id}>
+                      <td>
+                        <span className="zone-name">{zone.name}</span>
+                        {zone.isDefault && (
+                          <span className="default-badge">Default</span>
+                        )}
+                      </td>
+                      <td className="zone-cities">
+                        {zone.cities?.length
+                          ? zone.cities.join(", ")
+                          : "Everywhere else"}
+                      </td>
+                      <td>
+                        <ul className="zone-rates">
+                          {zone.rates.map((rate, idx) => (
+                            <li key={idx}>
+                              {rate.max === null
+                                ? `${rate.min}+`
+                                : `${rate.min}–${rate.max}`}{" "}
+                              {unit(zone.basis)}: <strong>${rate.cost}</strong>
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                      <td>
+                        {zone.freeShippingThreshold !== null
+                          ? `$${zone.freeShippingThreshold}`
+                          : "—"}
+                      </td>
+                      <td>{zone.estimatedDelivery || "—"}</td>
+                      <td>
+                        <span
+                          className={`status-badge ${zone.isActive ? "active" : "inactive"}`}
+                        >
+                          {zone.isActive ? "Active" : "Disabled"}
+                        </span>
+                      </td>
+                      <td className="action-dots">
+                        <div className="popover-anchor">
+                          <button
+                            ref={(el) =>
+                              (actionButtonRefs.current[zone._id] = el)
+                            }
+                            className="action-dots"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setActivePopover(
+                                activePopover === zone._id ? null : zone._id,
+                              );
+                            }}
+                          >
+                            <i className="fas fa-ellipsis-v"></i>
+                          </button>
+                          <PopOver
+                            isOpen={activePopover === zone._id}
+                            onClose={() => setActivePopover(null)}
+                            items={getActionItems(zone)}
+                            anchorRef={{
+                              current: actionButtonRefs.current[zone._id],
+                            }}
+                            position="bottom"
+                          />
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {!loading && filteredZones.length === 0 && (
+              <div className="no-zones-state">
+                <i className="fas fa-shipping-fast no-zones-icon"></i>
+                <h3>No Shipping Zones Found</h3>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={closeForm}
+        title={editingZone ? `Edit ${editingZone.name}` : "Add Shipping Zone"}
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: closeForm,
+          },
+          {
+            label: editingZone ? "Save Changes" : "Create Zone",
+            className: "primary-btn",
+            onClick: handleSubmit,
+            loading: submitting,
+          },
+        ]}
+      >
+        <div className="zone-form">
+          <InputField
+            label="Zone name"
+            value={form.name}
+            onChange={setField("name")}
+            required
+            fullWidth
+          />
+          <InputField
+            label="Tiers based on"
+            dropdownOptions={BASIS_OPTIONS}
+            selectedValue={form.basis}
+            onValueChange={setField("basis")}
+            fullWidth
+          />
+          <div className="zone-form-full">
+            <InputField
+              label="Cities (comma separated, e.g. London, Paris)"
+              value={form.cities}
+              onChange={setField("cities")}
+              fullWidth
+            />
+          </div>
+          <InputField
+            label="Free shipping over ($, optional)"
+            type="number"
+            value={form.freeShippingThreshold}
+            onChange={setField("freeShippingThreshold")}
+            fullWidth
+          />
+          <InputField
+            label="Estimated delivery (e.g. 3-5 days)"
+            value={form.estimatedDelivery}
+            onChange={setField("estimatedDelivery")}
+            fullWidth
+          />
+
+          <label className="zone-default-toggle zone-form-full">
+            <input
+              type="checkbox"
+              checked={form.isDefault}
+              onChange={(e) =>
+                setForm((prev) => ({ ...prev, isDefault: e.target.checked }))
+              }
+            />
+            Default zone (used when no city matches)
+          </label>
+
+          <div className="zone-form-full">
+            <h4 className="tiers-title">Rate tiers ({unit(form.basis)})</h4>
+            {form.rates.map((rate, index) => (
+              <div className="tier-row" key={index}>
+                <InputField
+                  label="From"
+                  type="number"
+                  value={rate.min}
+                  onChange={setRateField(index, "min")}
+                  fullWidth
+                />
+                <InputField
+                  label="To (blank = no limit)"
+                  type="number"
+                  value={rate.max}
+                  onChange={setRateField(index, "max")}
+                  fullWidth
+                />
+                <InputField
+                  label="Cost ($)"
+                  type="number"
+                  value={rate.cost}
+                  onChange={setRateField(index, "cost")}
+                  fullWidth
+                />
+                <button
+                  type="button"
+                  className="tier-remove"
+                  onClick={() => removeRate(index)}
+                  disabled={form.rates.length === 1}
+                >
+                  <i className="fas fa-times"></i>
+                </button>
+              </div>
+            ))}
+            <button type="button" className="tier-add" onClick={addRate}>
+              <i className="fas fa-plus"></i> Add tier
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={!!zoneToDelete}
+        onClose={() => setZoneToDelete(null)}
+        title="Delete Shipping Zone"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setZoneToDelete(null),
+          },
+          {
+            label: "Delete",
+            className: "danger-btn",
+            onClick: handleDelete,
+            loading: submitting,
+          },
+        ]}
+      >
+        <p>
+          Delete zone <strong>{zoneToDelete?.name}</strong>? Customers in its
+          cities will fall back to the default zone.
+        </p>
+      </Modal>
+    </section>
+  );
+};
+
+export default Shipping;
@@ -0,0 +1,496 @@
+/**
+ * @file Tax.jsx
+ * @module Screens/Tax/Management
+ * @description
+ * The administrative dashboard for tax regions.
+ * * **Key Features:**
+ * - **Region Table:** Cities covered, standard rate and per-category overrides per region.
+ * - **Region Editor:** A modal with a dynamic override editor (category / rate rows) and a default-region switch. An override also covers the category's subcategories; the most specific one wins.
+ * - **Checkout Tax:** Orders are taxed per line from the region matching the delivery city; no matching region means no tax.
+ * * @requires react-redux
+ * @requires react-hot-toast
+ * @requires ../../redux/slices/tax.slice
+ * @requires ../../redux/slices/category.slice
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import "./Tax.css";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  getAllRegions,
+  createRegion,
+  updateRegion,
+  deleteRegion,
+} from "../../redux/slices/tax.slice";
+import { getAllCategories } from "../../redux/slices/category.slice";
+import { flattenCategories } from "../manage-categories/categoryTree";
+import Loader from "../../utilities/loader/Loader.utility";
+import InputField from "../../utilities/input-field/InputField.utility";
+import PopOver from "../../utilities/pop-over/PopOver.utility";
+import Modal from "../../utilities/modal/Modal.utlity";
+import Button from "../../utilities/button/Button.utility";
+import { toast } from "react-hot-toast";
+
+const EMPTY_OVERRIDE = { category: "", rate: "" };
+
+const EMPTY_FORM = {
+  name: "",
+  cities: "",
+  rate: "",
+  isDefault: false,
+  categoryRates: [],
+};
+
+const Tax = () => {
+  const dispatch = useDispatch();
+
+  const user = useSelector((state) => state.auth.user);
+  const regions = useSelector((state) => state.tax.allRegions || []);
+  const loading = useSelector((state) => state.tax.loading);
+  const categoryTree = useSelector(
+    (state) => state.categories.allCategories || [],
+  );
+  const categories = useMemo(
+    () => flattenCategories(categoryTree),
+    [categoryTree],
+  );
+
+  const [search, setSearch] = useState("");
+  const [activePopover, setActivePopover] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingRegion, setEditingRegion] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [regionToDelete, setRegionToDelete] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const actionButtonRefs = useRef({});
+
+  useEffect(() => {
+    if (user?.id) {
+      dispatch(getAllRegions());
+      dispatch(getAllCategories());
+    }
+  }, [dispatch, user?.id]);
+
+  const filteredRegions = useMemo(() => {
+    return regions.filter(
+      (r) =>
+        r.name?.toLowerCase().includes(search.toLowerCase()) ||
+        r.cities?.some((c) => c.toLowerCase().includes(search.toLowerCase())),
+    );
+  }, [regions, search]);
+
+  const setField = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const setOverrideField = (index, field) => (e) =>
+    setForm((prev) => ({
+      ...prev,
+      categoryRates: prev.categoryRates.map((entry, i) =>
+        i === index ? { ...entry, [field]: e.target.value } : entry,
+      ),
+    }));
+
+  const addOverride = () =>
+    setForm((prev) => ({
+      ...prev,
+      categoryRates: [...prev.categoryRates, EMPTY_OVERRIDE],
+    }));
+
+  const removeOverride = (index) =>
+    setForm((prev) => ({
+      ...prev,
+      categoryRates: prev.categoryRates.filter((_, i) => i !== index),
+    }));
+
+  const openCreateForm = () => {
+    setEditingRegion(null);
+    setForm(EMPTY_FORM);
+    setIsFormOpen(true);
+  };
+
+  const openEditForm = (region) => {
+    setEditingRegion(region);
+    setForm({
+      name: region.name,
+      cities: (region.cities || []).join(", "),
+      rate: region.rate.toString(),
+      isDefault: region.isDefault,
+      categoryRates: (region.categoryRates || []).map((entry) => ({
+        category: entry.category?._id || entry.category || "",
+        rate: entry.rate.toString(),
+      })),
+    });
+    setIsFormOpen(true);
+    setActivePopover(null);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingRegion(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSubmit = async () => {
+    if (!form.name.trim() || form.rate === "") {
+      toast.error("Region name and rate are required");
+      return;
+    }
+    if (
+      form.categoryRates.some((entry) => !entry.category || entry.rate === "")
+    ) {
+      toast.error("Every override needs a category and a rate");
+      return;
+    }
+
+    const regionData = {
+      name: form.name.trim(),
+      cities: form.cities
+        .split(",")
+        .map((c) => c.trim())
+        .filter(Boolean),
+      rate: Number(form.rate),
+      isDefault: form.isDefault,
+      categoryRates: form.categoryRates.map((entry) => ({
+        category: entry.category,
+        rate: Number(entry.rate),
+      })),
+    };
+
+    setSubmitting(true);
+
+    try {
+      const result = await dispatch(
+        editingRegion
+          ? updateRegion({ regionId: editingRegion._id, regionData })
+          : createRegion(regionData),
+      );
+
+      if (result.meta.requestStatus === "fulfilled") {
+        toast.success(result.payload?.message || "Region saved");
+        closeForm();
+      } else {
+        toast.error(result.payload?.message || "Failed to save region");
+      }
+    } catch {
+      toast.error("Unexpected error occurred");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleActive = async (region) => {
+    setActivePopover(null);
+
+    const result = await dispatch(
+      updateRegion({
+        regionId: region._id,
+        regionData: { isActive: !region.isActive },
+      }),
+    );
+
+    if (updateRegion.fulfilled.match(result)) {
+      toast.success(
+        `${region.name} ${region.isActive ? "disabled" : "enabled"}`,
+      );
+    } else {
+      toast.error(result.payload?.message || "Failed to update region");
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!regionToDelete) return;
+    setSubmitting(true);
+
+    try {
+      const result = await dispatch(deleteRegion(regionToDelete._id));
+
+      if (deleteRegion.fulfilled.match(result)) {
+        toast.success(result.payload?.message || "Region deleted");
+        setRegionToDelete(null);
+      } else {
+        toast.error(result.payload?.message || "Failed to delete region");
+      }
+    } catch {
+      toast.error("Unexpected error occurred");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getActionItems = (region) => [
+    {
+      label: "Edit Region",
+      icon: "fas fa-edit",
+      action: () => openEditForm(region),
+    },
+    {
+      label: region.isActive ? "Disable Region" : "Enable Region",
+      icon: region.isActive ? "fas fa-pause" : "fas fa-play",
+      action: () => handleToggleActive(region),
+    },
+    {
+      label: "Delete Region",
+      icon: "fas fa-trash",
+      type: "danger",
+      action: () => {
+        setRegionToDelete(region);
+        setActivePopover(null);
+      },
+    },
+  ];
+
+  return (
+    <section id="tax">
+      <div className="tax-container">
+        <div className="tax-breadcrumb">
+          <div className="tax-header">
+            <h1 className="tax-title">Tax Regions</h1>
+            <p className="tax-subtitle">
+              Manage regional tax rates and per-category overrides
+            </p>
+          </div>
+
+          <div className="tax-actions">
+            <InputField
+              placeholder="Search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              width={300}
+              icon={<i className="fas fa-search"></i>}
+            />
+            <Button
+              title="Add Region"
+              width={150}
+              icon={<i className="fas fa-plus-circle"></i>}
+              onPress={openCreateForm}
+            />
+          </div>
+        </div>
+
+        <div className="table-card">
+          <div className="table-responsive">
+            {loading ? (
+              <div className="loader-container">
+                <Loader />
+              </div>
+            ) : (
+              <table className="table custom-table">
+                <thead>
+                  <tr>
+                    <th>Region</th>
+                    <th>Cities</th>
+                    <th>Rate</th>
+                    <th>Category Overrides</th>
+                    <th>Status</th>
+                    <th className="text-center">Actions</th>
+                  </tr>
+                </thead>
+
+                <tbody>
+                  {filteredRegions.map((region) => (
+                    <tr key={region._id}>
+                      <td>
+                        <span className="region-name">{region.name}</span>
+                        {region.isDefault && (
+                          <span className="default-badge">Default</span>
+                        )}
+                      </td>
+                      <td className="region-cities">
+                        {region.cities?.length
+                          ? region.cities.join(", ")
+                          : "Everywhere else"}
+                      </td>
+                      <td className="region-rate">{region.rate}%</td>
+                      <td>
+                        {region.categoryRates?.length ? (
+                          <ul className="region-overrides">
+                            {region.categoryRates.map((entry, idx) => (
+                              <li key={idx}>
+                                {entry.category?.name || "Deleted category"}:{" "}
+                                <strong>{entry.rate}%</strong>
+                              </li>
+                            ))}
+                          </ul>
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                      <td>
+                        <span
+                          className={`status-badge ${region.isActive ? "active" : "inactive"}`}
+                        >
+                          {region.isActive ? "Active" : "Disabled"}
+                        </span>
+                      </td>
+                      <td className="action-dots">
+                        <div className="popover-anchor">
+                          <button
+                            ref={(el) =>
+                              (actionButtonRefs.current[region._id] = el)
+                            }
+                            className="action-dots"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setActivePopover(
+                                activePopover === region._id
+                                  ? null
+                                  : region._id,
+                              );
+                            }}
+                          >
+                            <i className="fas fa-ellipsis-v"></i>
+                          </button>
+                          <PopOver
+                            isOpen={activePopover === region._id}
+                            onClose={() => setActivePopover(null)}
+                            items={getActionItems(region)}
+                            anchorRef={{
+                              current: actionButtonRefs.current[region._id],
+                            }}
+                            position="bottom"
+                          />
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {!loading && filteredRegions.length === 0 && (
+              <div className="no-regions-state">
+                <i className="fas fa-percent no-regions-icon"></i>
+                <h3>No Tax Regions Found</h3>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <Modal
+        isOpen={isFormOpen}
+        onClose={closeForm}
+        title={editingRegion ? `Edit ${editingRegion.name}` : "Add Tax Region"}
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: closeForm,
+          },
+          {
+            label: editingRegion ? "Save Changes" : "Create Region",
+            className: "primary-btn",
+            onClick: handleSubmit,
+            loading: submitting,
+          },
+        ]}
+      >
+        <div className="region-form">
+          <InputField
+            label="Region name"
+            value={form.name}
+            onChange={setField("name")}
+            required
+            fullWidth
+          />
+          <InputField
+            label="Standard rate (%)"
+            type="number"
+            value={form.rate}
+            onChange={setField("rate")}
+            required
+            fullWidth
+          />
+          <div className="region-form-full">
+            <InputField
+              label="Cities (comma separated, e.g. London, Manchester)"
+              value={form.cities}
+              onChange={setField("cities")}
+              fullWidth
+            />
+          </div>
+
+          <label className="region-default-toggle region-form-full">
+            <input
+              type="checkbox"
+              checked={form.isDefault}
+              onChange={(e) =>
+                setForm((prev) => ({ ...prev, isDefault: e.target.checked }))
+              }
+            />
+            Default region (used when no city matches)
+          </label>
+
+          <div className="region-form-full">
+            <h4 className="overrides-title">Category overrides</h4>
+            {form.categoryRates.map((entry, index) => (
+              <div className="override-row" key={index}>
+                <select
+                  className="override-category"
+                  aria-label="Category"
+                  value={entry.category}
+                  onChange={setOverrideField(index, "category")}
+                >
+                  <option value="">Select a category</option>
+                  {categories.map((category) => (
+                    <option key={category._id} value={category._id}>
+                      {`${"— ".repeat(category.depth)}${category.name}`}
+                    </option>
+                  ))}
+                </select>
+                <InputField
+                  label="Rate (%)"
+                  type="number"
+                  value={entry.rate}
+                  onChange={setOverrideField(index, "rate")}
+                  fullWidth
+                />
+                <button
+                  type="button"
+                  className="override-remove"
+                  onClick={() => removeOverride(index)}
+                >
+                  <i className="fas fa-times"></i>
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="override-add"
+              onClick={addOverride}
+            >
+              <i className="fas fa-plus"></i> Add override
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={!!regionToDelete}
+        onClose={() => setRegionToDelete(null)}
+        title="Delete Tax Region"
+        buttons={[
+          {
+            label: "Cancel",
+            className: "cancel-btn",
+            onClick: () => setRegionToDelete(null),
+          },
+          {
+            label: "Delete",
+            className: "danger-btn",
+            onClick: handleDelete,
+            loading: submitting,
+          },
+        ]}
+      >
+        <p>
+          Delete region <strong>{regionToDelete?.name}</strong>? Orders from its
+          cities will be taxed by the default region instead.
+        </p>
+      </Modal>
+    </section>
+  );
+};
+
+export default Tax;
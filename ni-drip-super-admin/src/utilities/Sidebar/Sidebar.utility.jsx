@@ -48,6 +48,11 @@ const Sidebar = () => {
       path: "/super-admin/orders/manage-orders",
       icon: "fas fa-shopping-bag",
     },
+    {
+      name: "Manage Returns",
+      path: "/super-admin/returns/manage-returns",
+      icon: "fas fa-undo-alt",
+    },
     {
       name: "Manage Customers",
       path: "/super-admin/users/manage-users",
@@ -58,11 +63,31 @@ const Sidebar = () => {
       path: "/super-admin/products/manage-products",
       icon: "fas fa-box-open",
     },
+    {
+      name: "Manage Categories",
+      path: "/super-admin/categories/manage-categories",
+      icon: "fas fa-sitemap",
+    },
     {
       name: "Manage Stock",
       path: "/super-admin/inventory/manage-inventory",
       icon: "fas fa-warehouse",
     },
+    {
+      name: "Manage Coupons",
+      path: "/super-admin/coupons/manage-coupons",
+      icon: "fas fa-ticket-alt",
+    },
+    {
+      name: "Manage Shipping",
+      path: "/super-admin/shipping/manage-shipping",
+      icon: "fas fa-shipping-fast",
+    },
+    {
+      name: "Manage Tax",
+      path: "/super-admin/tax/manage-tax",
+      icon: "fas fa-percent",
+    },
     {
       name: "Manage Reviews",
       path: "/super-admin/reviews/manage-reviews",
@@ -43,11 +43,21 @@ import Favorites from '../screens/profile-screen/sub-screens/Favorites';
 // Product Category
 import ProductCategory from '../screens/products/product-category/ProductCategory';
 import ProductDetails from '../screens/products/product-detail/ProductDetails';
+import SearchResults from '../screens/products/search-results/SearchResults';
 import ProductReview from '../screens/products/product-review/ProductReview'
 
 // Cart 
 import Cart from '../screens/cart-screen/Cart'
 
+// Checkout Screens
+import CheckOut from '../screens/checkout/check-out/CheckOut';
+import OrderSuccess from '../screens/checkout/order-success/OrderSuccess';
+
+// Order Screens
+import OrderHistory from '../screens/orders/order-history/OrderHistory';
+import OrderDetails from '../screens/orders/order-details/OrderDetails';
+import OrderTracking from '../screens/orders/order-tracking/OrderTracking';
+
 const Stack = createNativeStackNavigator();
 
 const AppNavigator = () => {
@@ -135,6 +145,12 @@ const AppNavigator = () => {
           )}
         </Stack.Screen>
 
+        <Stack.Screen name="Search_Results">
+          {props => (
+            <SearchResults {...props} setStatusBarColor={setStatusBarColor} />
+          )}
+        </Stack.Screen>
+
          <Stack.Screen name="Product_Details">
           {props => (
             <ProductDetails {...props} setStatusBarColor={setStatusBarColor} />
@@ -154,6 +170,38 @@ const AppNavigator = () => {
           )}
         </Stack.Screen>
 
+        {/* --- CHECKOUT --- */}
+        <Stack.Screen name="Check_Out">
+          {props => (
+            <CheckOut {...props} setStatusBarColor={setStatusBarColor} />
+          )}
+        </Stack.Screen>
+
+        <Stack.Screen name="Order_Success" options={{ gestureEnabled: false }}>
+          {props => (
+            <OrderSuccess {...props} setStatusBarColor={setStatusBarColor} />
+          )}
+        </Stack.Screen>
+
+        {/* --- ORDERS --- */}
+        <Stack.Screen name="Order_History">
+          {props => (
+            <OrderHistory {...props} setStatusBarColor={setStatusBarColor} />
+          )}
+        </Stack.Screen>
+
+        <Stack.Screen name="Order_Details">
+          {props => (
+            <OrderDetails {...props} setStatusBarColor={setStatusBarColor} />
+          )}
+        </Stack.Screen>
+
+        <Stack.Screen name="Order_Tracking">
+          {props => (
+            <OrderTracking {...props} setStatusBarColor={setStatusBarColor} />
+          )}
+        </Stack.Screen>
+
       </Stack.Navigator>
     </>
   );
@@ -7,6 +7,8 @@
  * Handles:
  * - User registration (multipart/form-data support for profile pictures etc.)
  * - User login with JWT token storage in AsyncStorage
+ * - Guest cart hand-over: registration and login send the guest token so the
+ *   server merges the guest cart into the user's cart (see cart slice)
  * - Secure logout (server-side invalidation + local token clearance)
  * - Initial auth state check on app start (token validation + user fetch)
  *
@@ -30,6 +32,21 @@ import CONFIG from '../config/Config';
 
 const { BACKEND_API_URL } = CONFIG;
 
+/**
+ * Header carrying the guest cart token, if the visitor has a guest cart
+ * @returns {Promise<Object>}
+ */
+const getGuestCartHeaders = async () => {
+  const guestToken = await AsyncStorage.getItem('guestToken');
+  return guestToken ? { 'X-Guest-Token': guestToken } : {};
+};
+
+/**
+ * The server merged (or dropped) the guest cart – forget it locally
+ */
+const forgetGuestCart = () =>
+  AsyncStorage.multiRemove(['guestToken', 'guestCart']);
+
 /**
  * Register a new user (supports file upload e.g. profile picture)
  * @param {Object} formData - FormData object containing registration fields
@@ -41,17 +58,24 @@ export const registerUser = createAsyncThunk(
       const response = await axios.post(
         `${BACKEND_API_URL}/user/signup-user`,
         formData,
-        { headers: { 'Content-Type': 'multipart/form-data' } },
+        {
+          headers: {
+            'Content-Type': 'multipart/form-data',
+            ...(await getGuestCartHeaders()),
+          },
+        },
       );
 
-      const { message, success, user } = response.data;
+      const { message, success, user, cartMerge } = response.data;
 
       if (typeof success !== 'boolean') {
         throw new Error('Invalid registration response');
       }
 
+      if (cartMerge) await forgetGuestCart();
+
       // Return user if backend provides it; always return message
-      return { message, success, user: user ?? null };
+      return { message, success, user: user ?? null, cartMerge };
     } catch (error) {
       const backend = error.response?.data;
 
@@ -75,17 +99,19 @@ export const loginUser = createAsyncThunk(
       const response = await axios.post(
         `${BACKEND_API_URL}/user/signin-user`,
         loginData,
+        { headers: await getGuestCartHeaders() },
       );
 
-      const { token, user, message, success } = response.data;
+      const { token, user, message, success, cartMerge } = response.data;
 
       if (!success || !token || !user) {
         throw new Error('Invalid login response');
       }
 
       await AsyncStorage.setItem('authToken', token);
+      if (cartMerge) await forgetGuestCart();
 
-      return { user, token, message, success: true };
+      return { user, token, message, success: true, cartMerge };
     } catch (error) {
       const backend = error.response?.data;
 
@@ -1,37 +1,107 @@
+/**
+ * @file cart.slice.jsx
+ * @module Redux/Slices/Cart
+ * @description
+ * Redux Toolkit slice for the shopping cart.
+ * - Signed-in users use their server cart.
+ * - Visitors use a guest cart: the server issues a guest token on the first
+ *   add-to-cart, kept in AsyncStorage together with a copy of the cart, so the
+ *   cart survives app restarts (and is shown from the copy when offline).
+ *   Signing in or registering merges the guest cart into the user's cart.
+ * - Revalidation reports price, stock and availability changes as notices.
+ * - Items saved for later / moved from a wishlist update the cart in place.
+ * - Products with variants have one line per variant, so lines are matched by
+ *   product and `variantId`.
+ */
+
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import axios from 'axios';
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit';
 import CONFIG from '../config/Config';
+import { loginUser, registerUser } from './auth.slice';
+import { saveForLater, moveFavoriteToCart } from './favorite.slice';
 
 const { BACKEND_API_URL } = CONFIG;
 
-const getToken = async rejectWithValue => {
+/**
+ * Resolve which cart requests go to
+ * @returns {Promise<{ baseUrl: string, headers: Object, guest: boolean }>}
+ */
+const getCartRequest = async () => {
+  const token = await AsyncStorage.getItem('authToken');
+  if (token) {
+    return {
+      baseUrl: `${BACKEND_API_URL}/cart`,
+      headers: { Authorization: `Bearer ${token}` },
+      guest: false,
+    };
+  }
+
+  const guestToken = await AsyncStorage.getItem('guestToken');
+  return {
+    baseUrl: `${BACKEND_API_URL}/cart/guest`,
+    headers: guestToken ? { 'X-Guest-Token': guestToken } : {},
+    guest: true,
+  };
+};
+
+/**
+ * Keep the local copy of the guest cart in step with the server
+ * @param {Array} items
+ */
+const saveGuestCart = items =>
+  AsyncStorage.setItem('guestCart', JSON.stringify(items));
+
+const loadSavedGuestCart = async () => {
   try {
-    const token = await AsyncStorage.getItem('authToken');
-    if (!token) throw new Error('User is not authenticated.');
-    return token;
-  } catch (error) {
-    return rejectWithValue(error.message || 'Failed to fetch token.');
+    return JSON.parse((await AsyncStorage.getItem('guestCart')) || '[]');
+  } catch {
+    return [];
   }
 };
 
+/**
+ * Apply a change to the local copy of the guest cart
+ * @param {(items: Array) => Array} update
+ */
+const updateSavedGuestCart = async update =>
+  saveGuestCart(update(await loadSavedGuestCart()));
+
+/**
+ * Is this cart line for the given product and variant?
+ * @param {Object} item - Cart line (product populated)
+ * @param {string} productId
+ * @param {string|null} [variantId]
+ * @returns {boolean}
+ */
+export const isSameCartLine = (item, productId, variantId) =>
+  item.productId._id === productId &&
+  (item.variantId || null) === (variantId || null);
+
 export const addToCart = createAsyncThunk(
   'cart/addToCart',
-  async ({ productId, quantity = 1 }, { rejectWithValue }) => {
+  async (
+    { productId, variantId = null, quantity = 1 },
+    { rejectWithValue },
+  ) => {
     try {
-      const token = await getToken(rejectWithValue);
+      const { baseUrl, headers, guest } = await getCartRequest();
       const response = await axios.post(
-        `${BACKEND_API_URL}/cart/add-to-cart`,
-        { productId, quantity },
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
-        },
+        `${baseUrl}/add-to-cart`,
+        { productId, variantId, quantity },
+        { headers: { ...headers, 'Content-Type': 'application/json' } },
       );
 
-      return response.data.cartItem;
+      const { cartItem, guestToken } = response.data;
+      if (guest) {
+        await AsyncStorage.setItem('guestToken', guestToken);
+        await updateSavedGuestCart(items => [
+          cartItem,
+          ...items.filter(item => !isSameCartLine(item, productId, variantId)),
+        ]);
+      }
+
+      return cartItem;
     } catch (error) {
       return rejectWithValue(error.response?.data || error.message);
     }
@@ -40,19 +110,32 @@ export const addToCart = createAsyncThunk(
 
 export const decreaseCartItem = createAsyncThunk(
   'cart/decreaseCartItem',
-  async ({ productId }, { rejectWithValue }) => {
+  async ({ productId, variantId = null }, { rejectWithValue }) => {
     try {
-      const token = await getToken(rejectWithValue);
+      const { baseUrl, headers, guest } = await getCartRequest();
       const response = await axios.post(
-        `${BACKEND_API_URL}/cart/remove-from-cart`,
-        { productId },
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        },
+        `${baseUrl}/remove-from-cart`,
+        { productId, variantId },
+        { headers },
       );
-      return { productId, message: response.data.message };
+
+      if (guest) {
+        await updateSavedGuestCart(items =>
+          items
+            .map(item =>
+              isSameCartLine(item, productId, variantId)
+                ? {
+                    ...item,
+                    quantity: item.quantity - 1,
+                    totalPrice: item.totalPrice - item.unitPrice,
+                  }
+                : item,
+            )
+            .filter(item => item.quantity > 0),
+        );
+      }
+
+      return { productId, variantId, message: response.data.message };
     } catch (error) {
       return rejectWithValue(error.response?.data || error.message);
     }
@@ -61,19 +144,21 @@ export const decreaseCartItem = createAsyncThunk(
 
 export const removeProductFromCart = createAsyncThunk(
   'cart/removeProductFromCart',
-  async ({ productId }, { rejectWithValue }) => {
+  async ({ productId, variantId = null }, { rejectWithValue }) => {
     try {
-      const token = await getToken(rejectWithValue);
-      const response = await axios.post(
-        `${BACKEND_API_URL}/cart/remove-product-from-cart`,
-        { productId },
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        },
-      );
-      return { productId };
+      const { baseUrl, headers, guest } = await getCartRequest();
+      await axios.delete(`${baseUrl}/remove-product-from-cart`, {
+        headers,
+        data: { productId, variantId },
+      });
+
+      if (guest) {
+        await updateSavedGuestCart(items =>
+          items.filter(item => !isSameCartLine(item, productId, variantId)),
+        );
+      }
+
+      return { productId, variantId };
     } catch (error) {
       return rejectWithValue(error.response?.data || error.message);
     }
@@ -84,13 +169,10 @@ export const getAllCartItems = createAsyncThunk(
   'cart/getAllCartItems',
   async (_, { rejectWithValue }) => {
     try {
-      const token = await getToken(rejectWithValue);
-      const response = await axios.get(`${BACKEND_API_URL}/cart/get-cart`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
+      const { baseUrl, headers, guest } = await getCartRequest();
+      const response = await axios.get(`${baseUrl}/get-cart`, { headers });
 
+      if (guest) await saveGuestCart(response.data.items);
       return response.data.items;
     } catch (error) {
       return rejectWithValue(error.response?.data || error.message);
@@ -98,6 +180,64 @@ export const getAllCartItems = createAsyncThunk(
   },
 );
 
+/**
+ * Revalidate the cart against live prices and stock
+ * The server applies the changes (new prices, reduced quantities, unavailable
+ * lines removed) and returns one notice per change. Guest carts are always
+ * priced live; if the server can't be reached their local copy is shown.
+ * @returns {{ items: Array, notices: Array, valid: boolean, guest: boolean }}
+ */
+export const validateCart = createAsyncThunk(
+  'cart/validateCart',
+  async (_, { rejectWithValue }) => {
+    const { baseUrl, headers, guest } = await getCartRequest();
+
+    try {
+      const response = guest
+        ? await axios.get(`${baseUrl}/get-cart`, { headers })
+        : await axios.post(`${baseUrl}/validate-cart`, {}, { headers });
+
+      const { items, notices, valid } = response.data;
+      if (guest) await saveGuestCart(items);
+      return { items, notices, valid, guest };
+    } catch (error) {
+      if (guest && !error.response) {
+        return {
+          items: await loadSavedGuestCart(),
+          notices: [],
+          valid: false,
+          guest,
+        };
+      }
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  },
+);
+
+export const getShippingQuote = createAsyncThunk(
+  'cart/getShippingQuote',
+  async ({ shippingAddress } = {}, { rejectWithValue }) => {
+    try {
+      const token = await AsyncStorage.getItem('authToken');
+      const response = await axios.post(
+        `${BACKEND_API_URL}/shipping/get-shipping-quote`,
+        { shippingAddress },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+        },
+      );
+
+      const { quote, totals, taxRegion } = response.data;
+      return { quote, totals, taxRegion };
+    } catch (error) {
+      return rejectWithValue(error.response?.data || error.message);
+    }
+  },
+);
+
 const cartSlice = createSlice({
   name: 'cart',
   initialState: {
@@ -106,12 +246,26 @@ const cartSlice = createSlice({
     error: null,
     cartTotal: 0,
     itemsCount: 0,
+    shippingQuote: null,
+    checkoutTotals: null,
+    shippingLoading: false,
+    shippingError: null,
+    cartNotices: [],
+    validatingCart: false,
+    isGuest: false,
   },
   reducers: {
+    dismissCartNotices: state => {
+      state.cartNotices = [];
+    },
     clearLocalCart: state => {
       state.cartItems = [];
       state.cartTotal = 0;
       state.itemsCount = 0;
+      state.shippingQuote = null;
+      state.checkoutTotals = null;
+      state.shippingError = null;
+      state.cartNotices = [];
     },
   },
   extraReducers: builder => {
@@ -129,11 +283,30 @@ const cartSlice = createSlice({
         state.error = action.payload;
       })
 
+      .addCase(validateCart.pending, state => {
+        state.validatingCart = true;
+      })
+      .addCase(validateCart.fulfilled, (state, action) => {
+        state.validatingCart = false;
+        state.isGuest = action.payload.guest;
+        state.cartItems = action.payload.items;
+        // Keep earlier notices until dismissed – the server reports each change once
+        const seen = new Set(state.cartNotices.map(notice => notice.message));
+        state.cartNotices = [
+          ...state.cartNotices,
+          ...action.payload.notices.filter(notice => !seen.has(notice.message)),
+        ];
+      })
+      .addCase(validateCart.rejected, (state, action) => {
+        state.validatingCart = false;
+        state.error = action.payload;
+      })
+
       .addCase(addToCart.fulfilled, (state, action) => {
         state.loading = false;
         const newItem = action.payload;
-        const index = state.cartItems.findIndex(
-          item => item.productId._id === newItem.productId._id,
+        const index = state.cartItems.findIndex(item =>
+          isSameCartLine(item, newItem.productId._id, newItem.variantId),
         );
         if (index !== -1) {
           state.cartItems[index] = newItem;
@@ -143,9 +316,9 @@ const cartSlice = createSlice({
       })
 
       .addCase(decreaseCartItem.fulfilled, (state, action) => {
-        const { productId } = action.payload;
-        const index = state.cartItems.findIndex(
-          item => item.productId._id === productId,
+        const { productId, variantId } = action.payload;
+        const index = state.cartItems.findIndex(item =>
+          isSameCartLine(item, productId, variantId),
         );
         if (index !== -1) {
           if (state.cartItems[index].quantity > 1) {
@@ -159,12 +332,61 @@ const cartSlice = createSlice({
       })
 
       .addCase(removeProductFromCart.fulfilled, (state, action) => {
+        const { productId, variantId } = action.payload;
         state.cartItems = state.cartItems.filter(
-          item => item.productId._id !== action.payload.productId,
+          item => !isSameCartLine(item, productId, variantId),
         );
-      });
+      })
+
+      // Moved between the cart and a wishlist
+      .addCase(saveForLater.fulfilled, (state, action) => {
+        const { productId, variantId } = action.payload;
+        state.cartItems = state.cartItems.filter(
+          item => !isSameCartLine(item, productId, variantId),
+        );
+      })
+      .addCase(moveFavoriteToCart.fulfilled, (state, action) => {
+        const { cartItem } = action.payload;
+        const index = state.cartItems.findIndex(item =>
+          isSameCartLine(item, cartItem.productId._id, cartItem.variantId),
+        );
+        if (index !== -1) {
+          state.cartItems[index] = cartItem;
+        } else {
+          state.cartItems.unshift(cartItem);
+        }
+      })
+
+      .addCase(getShippingQuote.pending, state => {
+        state.shippingLoading = true;
+        state.shippingError = null;
+      })
+      .addCase(getShippingQuote.fulfilled, (state, action) => {
+        state.shippingLoading = false;
+        state.shippingQuote = action.payload.quote;
+        state.checkoutTotals = {
+          ...action.payload.totals,
+          taxRegion: action.payload.taxRegion,
+        };
+      })
+      .addCase(getShippingQuote.rejected, (state, action) => {
+        state.shippingLoading = false;
+        state.shippingQuote = null;
+        state.checkoutTotals = null;
+        state.shippingError =
+          action.payload?.message || 'Unable to calculate shipping';
+      })
+
+      // The guest cart was merged into the user's cart – show what changed
+      .addMatcher(
+        isAnyOf(loginUser.fulfilled, registerUser.fulfilled),
+        (state, action) => {
+          state.isGuest = false;
+          state.cartNotices = action.payload.cartMerge?.notices || [];
+        },
+      );
   },
 });
 
-export const { clearLocalCart } = cartSlice.actions;
+export const { clearLocalCart, dismissCartNotices } = cartSlice.actions;
 export default cartSlice.reducer;
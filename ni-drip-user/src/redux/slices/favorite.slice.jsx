@@ -3,15 +3,55 @@
  * @module Redux/Slices/Favorites
  * @description
  * Redux Toolkit slice managing user favorites/wishlist.
+ * - `favorites` holds every favorited product across all lists (each entry
+ *   carries its `wishlistId` and `quantity`), so heart icons stay correct.
+ * - `wishlists` holds the named lists: Favorites, Saved for later and the
+ *   user's own, with item counts and share state.
+ * - Items move between the cart and a list with their quantity; the cart
+ *   slice listens for `saveForLater` / `moveFavoriteToCart`.
  */
 
-import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import {
+  createSlice,
+  createAsyncThunk,
+  isPending,
+  isRejected,
+} from '@reduxjs/toolkit';
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import CONFIG from '../config/Config';
 
 const { BACKEND_API_URL } = CONFIG;
 
+/**
+ * Send an authorised request to the favorites API
+ * @param {string} method
+ * @param {string} path - Relative to `/favorite`
+ * @param {Object} [data]
+ * @returns {Promise<Object>} Response body
+ */
+const favoriteRequest = async (method, path, data) => {
+  const token = await AsyncStorage.getItem('authToken');
+  const response = await axios({
+    method,
+    url: `${BACKEND_API_URL}/favorite${path}`,
+    data,
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.data;
+};
+
+/**
+ * Build the rejection payload for a failed request
+ * @param {Error} error
+ * @param {string} fallback
+ * @returns {{ message: string, success: false }}
+ */
+const toRejection = (error, fallback) => ({
+  message: error.response?.data?.message || fallback,
+  success: false,
+});
+
 /**
  * Add product to favorites
  * @param {string} productId
@@ -91,8 +131,169 @@ export const getFavorites = createAsyncThunk(
   },
 );
 
+/**
+ * Get the user's wishlists with item counts
+ */
+export const getWishlists = createAsyncThunk(
+  'favorites/getWishlists',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await favoriteRequest('get', '/wishlists/get-wishlists');
+    } catch (error) {
+      return rejectWithValue(toRejection(error, 'Failed to fetch wishlists'));
+    }
+  },
+);
+
+/**
+ * Create a named wishlist
+ * @param {string} name
+ */
+export const createWishlist = createAsyncThunk(
+  'favorites/createWishlist',
+  async (name, { rejectWithValue }) => {
+    try {
+      return await favoriteRequest('post', '/wishlists/create-wishlist', {
+        name,
+      });
+    } catch (error) {
+      return rejectWithValue(toRejection(error, 'Failed to create wishlist'));
+    }
+  },
+);
+
+/**
+ * Rename a wishlist
+ * @param {{ wishlistId: string, name: string }} arg
+ */
+export const renameWishlist = createAsyncThunk(
+  'favorites/renameWishlist',
+  async ({ wishlistId, name }, { rejectWithValue }) => {
+    try {
+      return await favoriteRequest(
+        'patch',
+        `/wishlists/rename-wishlist/${wishlistId}`,
+        { name },
+      );
+    } catch (error) {
+      return rejectWithValue(toRejection(error, 'Failed to rename wishlist'));
+    }
+  },
+);
+
+/**
+ * Delete a wishlist – its items move to Favorites
+ * @param {string} wishlistId
+ */
+export const deleteWishlist = createAsyncThunk(
+  'favorites/deleteWishlist',
+  async (wishlistId, { rejectWithValue }) => {
+    try {
+      return await favoriteRequest(
+        'delete',
+        `/wishlists/delete-wishlist/${wishlistId}`,
+      );
+    } catch (error) {
+      return rejectWithValue(toRejection(error, 'Failed to delete wishlist'));
+    }
+  },
+);
+
+/**
+ * Turn sharing on or off for a wishlist
+ * @param {{ wishlistId: string, share: boolean }} arg
+ */
+export const setWishlistSharing = createAsyncThunk(
+  'favorites/setWishlistSharing',
+  async ({ wishlistId, share }, { rejectWithValue }) => {
+    try {
+      return await favoriteRequest(
+        share ? 'post' : 'delete',
+        `/wishlists/share-wishlist/${wishlistId}`,
+      );
+    } catch (error) {
+      return rejectWithValue(
+        toRejection(error, 'Failed to update wishlist sharing'),
+      );
+    }
+  },
+);
+
+/**
+ * Move a favorited product to another wishlist
+ * @param {{ productId: string, wishlistId: string }} arg
+ */
+export const moveFavorite = createAsyncThunk(
+  'favorites/move',
+  async ({ productId, wishlistId }, { rejectWithValue }) => {
+    try {
+      return await favoriteRequest('post', '/move-to-wishlist', {
+        productId,
+        wishlistId,
+      });
+    } catch (error) {
+      return rejectWithValue(toRejection(error, 'Failed to move item'));
+    }
+  },
+);
+
+/**
+ * Move a cart item into a wishlist with its quantity and variant
+ * @param {{ productId: string, variantId?: string, wishlistId?: string }} arg
+ *        Goes to Saved for later when `wishlistId` is omitted
+ */
+export const saveForLater = createAsyncThunk(
+  'favorites/saveForLater',
+  async ({ productId, variantId = null, wishlistId }, { rejectWithValue }) => {
+    try {
+      const data = await favoriteRequest('post', '/save-for-later', {
+        productId,
+        variantId,
+        wishlistId,
+      });
+      return { productId, variantId, ...data };
+    } catch (error) {
+      return rejectWithValue(
+        toRejection(error, 'Failed to save item for later'),
+      );
+    }
+  },
+);
+
+/**
+ * Move a wishlist item into the cart with its quantity
+ * @param {string} productId
+ */
+export const moveFavoriteToCart = createAsyncThunk(
+  'favorites/moveToCart',
+  async (productId, { rejectWithValue }) => {
+    try {
+      const data = await favoriteRequest('post', '/move-to-cart', {
+        productId,
+      });
+      return { productId, ...data };
+    } catch (error) {
+      return rejectWithValue(toRejection(error, 'Failed to move item to cart'));
+    }
+  },
+);
+
+/**
+ * Change a list's item count in place
+ * @param {Object} state
+ * @param {string} wishlistId
+ * @param {number} delta
+ */
+const adjustWishlistCount = (state, wishlistId, delta) => {
+  const wishlist = state.wishlists.find(list => list._id === wishlistId);
+  if (wishlist) wishlist.itemsCount = Math.max(0, wishlist.itemsCount + delta);
+};
+
 const initialState = {
   favorites: [],
+  wishlists: [],
+  wishlistsLoading: false,
+  wishlistActionLoading: false,
   loading: false,
   error: null,
   message: null,
@@ -124,6 +325,7 @@ const favoritesSlice = createSlice({
         state.message = action.payload.message;
         if (action.payload.favorite) {
           state.favorites.unshift(action.payload.favorite);
+          adjustWishlistCount(state, action.payload.favorite.wishlistId, 1);
         }
       })
       .addCase(addToFavorites.rejected, (state, action) => {
@@ -138,6 +340,10 @@ const favoritesSlice = createSlice({
         state.loading = false;
         state.success = true;
         state.message = action.payload.message;
+        const removed = state.favorites.find(
+          fav => fav.productId._id === action.meta.arg,
+        );
+        if (removed) adjustWishlistCount(state, removed.wishlistId, -1);
         state.favorites = state.favorites.filter(
           fav => fav.productId._id !== action.meta.arg,
         );
@@ -158,7 +364,126 @@ const favoritesSlice = createSlice({
       .addCase(getFavorites.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
-      });
+      })
+
+      .addCase(getWishlists.pending, state => {
+        state.wishlistsLoading = true;
+      })
+      .addCase(getWishlists.fulfilled, (state, action) => {
+        state.wishlistsLoading = false;
+        state.wishlists = action.payload.wishlists || [];
+      })
+      .addCase(getWishlists.rejected, (state, action) => {
+        state.wishlistsLoading = false;
+        state.error = action.payload;
+      })
+
+      .addCase(createWishlist.fulfilled, (state, action) => {
+        state.wishlistActionLoading = false;
+        state.wishlists.push(action.payload.wishlist);
+      })
+
+      .addCase(renameWishlist.fulfilled, (state, action) => {
+        state.wishlistActionLoading = false;
+        const { wishlist } = action.payload;
+        const index = state.wishlists.findIndex(
+          list => list._id === wishlist._id,
+        );
+        if (index !== -1) state.wishlists[index] = wishlist;
+      })
+
+      .addCase(deleteWishlist.fulfilled, (state, action) => {
+        state.wishlistActionLoading = false;
+        const wishlistId = action.meta.arg;
+        const { movedTo, movedItems } = action.payload;
+        state.wishlists = state.wishlists.filter(
+          list => list._id !== wishlistId,
+        );
+        adjustWishlistCount(state, movedTo._id, movedItems);
+        state.favorites.forEach(fav => {
+          if (fav.wishlistId === wishlistId) fav.wishlistId = movedTo._id;
+        });
+      })
+
+      .addCase(setWishlistSharing.fulfilled, (state, action) => {
+        state.wishlistActionLoading = false;
+        const { wishlist } = action.payload;
+        const index = state.wishlists.findIndex(
+          list => list._id === wishlist._id,
+        );
+        if (index !== -1) {
+          state.wishlists[index] = {
+            ...wishlist,
+            itemsCount: state.wishlists[index].itemsCount,
+          };
+        }
+      })
+
+      .addCase(moveFavorite.fulfilled, (state, action) => {
+        state.wishlistActionLoading = false;
+        const { favorite } = action.payload;
+        const index = state.favorites.findIndex(
+          fav => fav._id === favorite._id,
+        );
+        if (index !== -1) {
+          adjustWishlistCount(state, state.favorites[index].wishlistId, -1);
+          state.favorites[index] = favorite;
+        }
+        adjustWishlistCount(state, favorite.wishlistId, 1);
+      })
+
+      .addCase(saveForLater.fulfilled, (state, action) => {
+        state.wishlistActionLoading = false;
+        const { favorite } = action.payload;
+        const existing = state.favorites.find(fav => fav._id === favorite._id);
+        if (existing) adjustWishlistCount(state, existing.wishlistId, -1);
+        state.favorites = [
+          favorite,
+          ...state.favorites.filter(fav => fav._id !== favorite._id),
+        ];
+        adjustWishlistCount(state, favorite.wishlistId, 1);
+      })
+
+      .addCase(moveFavoriteToCart.fulfilled, (state, action) => {
+        state.wishlistActionLoading = false;
+        const moved = state.favorites.find(
+          fav => fav.productId?._id === action.payload.productId,
+        );
+        if (moved) adjustWishlistCount(state, moved.wishlistId, -1);
+        state.favorites = state.favorites.filter(
+          fav => fav.productId?._id !== action.payload.productId,
+        );
+      })
+
+      // List actions report their own outcome – only the spinner is shared
+      .addMatcher(
+        isPending(
+          createWishlist,
+          renameWishlist,
+          deleteWishlist,
+          setWishlistSharing,
+          moveFavorite,
+          saveForLater,
+          moveFavoriteToCart,
+        ),
+        state => {
+          state.wishlistActionLoading = true;
+        },
+      )
+      .addMatcher(
+        isRejected(
+          createWishlist,
+          renameWishlist,
+          deleteWishlist,
+          setWishlistSharing,
+          moveFavorite,
+          saveForLater,
+          moveFavoriteToCart,
+        ),
+        state => {
+          state.wishlistActionLoading = false;
+        },
+      );
   },
 });
 
@@ -0,0 +1,417 @@
+/**
+ * @file order.slice.jsx
+ * @module Redux/Slices/Order
+ * @description
+ * Redux Toolkit slice for the customer's orders.
+ * - Checkout: places the order for the cart. Every attempt carries an
+ *   `Idempotency-Key`, so retrying after a dropped connection can never
+ *   place the same order twice.
+ * - History: loads the customer's orders page by page, newest first,
+ *   optionally filtered by status.
+ * - Detail: loads one order and cancels it (PENDING orders only) with a reason.
+ * - Buy again: puts a past order's items back into the cart at today's prices.
+ * - Invoices: opens an order's PDF invoice through a short-lived signed link,
+ *   so the system browser / PDF viewer can download it without the auth header.
+ * - Tracking: loads an order's shipments with their tracking events.
+ */
+
+import { Linking } from 'react-native';
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import CONFIG from '../config/Config';
+
+const { BACKEND_API_URL } = CONFIG;
+
+/** Orders fetched per page in the order history */
+const ORDERS_PAGE_SIZE = 10;
+
+const getToken = async rejectWithValue => {
+  try {
+    const token = await AsyncStorage.getItem('authToken');
+    if (!token) throw new Error('User is not authenticated.');
+    return token;
+  } catch (error) {
+    return rejectWithValue(error.message || 'Failed to fetch token.');
+  }
+};
+
+/**
+ * Place an order for everything in the cart
+ * @param {{ shippingAddress?: string, paymentMethod: string, idempotencyKey: string }} payload
+ *        Reuse `idempotencyKey` when retrying after a network / server error;
+ *        use a new one once the server has answered.
+ * @returns {{ message: string, order: Object, payment: Object|null, summary: Object }}
+ */
+export const placeOrder = createAsyncThunk(
+  'order/placeOrder',
+  async (
+    { shippingAddress, paymentMethod, idempotencyKey },
+    { rejectWithValue },
+  ) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.post(
+        `${BACKEND_API_URL}/order/place-order`,
+        { shippingAddress, paymentMethod },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey,
+          },
+        },
+      );
+
+      const { message, order, payment, summary } = response.data;
+      return { message, order, payment, summary };
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message: backend?.message || error.message || 'Failed to place order',
+        status: error.response?.status || 0,
+        success: false,
+      });
+    }
+  },
+);
+
+/**
+ * Fetch one page of the customer's orders (newest first)
+ * @param {{ page?: number, status?: string }} [params] Page 1 replaces the
+ *        list, later pages are appended to it
+ * @returns {{ orders: Array, pagination: Object }}
+ */
+export const getMyOrders = createAsyncThunk(
+  'order/getMyOrders',
+  async ({ page = 1, status } = {}, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.get(
+        `${BACKEND_API_URL}/order/get-my-orders`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+          params: { page, limit: ORDERS_PAGE_SIZE, status },
+        },
+      );
+
+      return {
+        orders: response.data.orders || [],
+        pagination: response.data.pagination || { page, hasMore: false },
+      };
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message: backend?.message || error.message || 'Failed to load orders',
+        success: false,
+      });
+    }
+  },
+);
+
+/**
+ * Fetch a single order with its items, totals and status history
+ * @param {string} orderId
+ */
+export const getOrderById = createAsyncThunk(
+  'order/getOrderById',
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.get(
+        `${BACKEND_API_URL}/order/get-order-by-id/${orderId}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      return response.data.order;
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message: backend?.message || error.message || 'Failed to load order',
+        success: false,
+      });
+    }
+  },
+);
+
+/**
+ * Cancel a PENDING order
+ * @param {{ orderId: string, reason: string }} payload - reason: min 5 characters
+ * @returns {{ orderId: string, message: string, orderStatus: string, paymentStatus: string }}
+ */
+export const cancelOrder = createAsyncThunk(
+  'order/cancelOrder',
+  async ({ orderId, reason }, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.put(
+        `${BACKEND_API_URL}/order/action/cancel-order/${orderId}`,
+        { reasonForCancel: reason },
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+        },
+      );
+
+      return {
+        orderId,
+        message: response.data.message,
+        orderStatus: response.data.orderStatus,
+        paymentStatus: response.data.paymentStatus,
+      };
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message: backend?.message || error.message || 'Failed to cancel order',
+        success: false,
+      });
+    }
+  },
+);
+
+/**
+ * Add the items of a past order back into the cart
+ * @param {string} orderId
+ * @returns {{ message: string, added: Array, skipped: Array }} `skipped` lists
+ *          unavailable / reduced lines with a `message` each
+ */
+export const reorderOrder = createAsyncThunk(
+  'order/reorderOrder',
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.post(
+        `${BACKEND_API_URL}/order/${orderId}/reorder`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      return {
+        orderId,
+        message: response.data.message,
+        added: response.data.added || [],
+        skipped: response.data.skipped || [],
+      };
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message: backend?.message || error.message || 'Failed to reorder',
+        skipped: backend?.skipped || [],
+        success: false,
+      });
+    }
+  },
+);
+
+/**
+ * Open the PDF invoice of an order
+ * @param {string} orderId
+ */
+export const openOrderInvoice = createAsyncThunk(
+  'order/openOrderInvoice',
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.get(
+        `${BACKEND_API_URL}/order/${orderId}/invoice-link`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      await Linking.openURL(
+        `${BACKEND_API_URL}/order/${orderId}/invoice?token=${encodeURIComponent(
+          response.data.token,
+        )}`,
+      );
+
+      return { orderId };
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message: backend?.message || error.message || 'Failed to open invoice',
+        success: false,
+      });
+    }
+  },
+);
+
+/**
+ * Fetch the shipments (and tracking timeline) of an order
+ * @param {string} orderId
+ */
+export const getOrderShipments = createAsyncThunk(
+  'order/getOrderShipments',
+  async (orderId, { rejectWithValue }) => {
+    try {
+      const token = await getToken(rejectWithValue);
+      const response = await axios.get(
+        `${BACKEND_API_URL}/shipment/get-order-shipments/${orderId}`,
+        { headers: { Authorization: `Bearer ${token}` } },
+      );
+
+      return {
+        orderId,
+        orderStatus: response.data.orderStatus,
+        shipments: response.data.shipments || [],
+      };
+    } catch (error) {
+      const backend = error.response?.data;
+      return rejectWithValue({
+        message:
+          backend?.message || error.message || 'Failed to load tracking info',
+        success: false,
+      });
+    }
+  },
+);
+
+const orderSlice = createSlice({
+  name: 'order',
+  initialState: {
+    placingOrder: false,
+    placeOrderError: null,
+    lastOrder: null,
+    orders: [],
+    ordersPage: 0,
+    ordersHasMore: false,
+    ordersLoading: false,
+    ordersLoadingMore: false,
+    ordersError: null,
+    currentOrder: null,
+    orderLoading: false,
+    orderError: null,
+    cancellingOrder: false,
+    reorderingId: null,
+    invoiceLoading: false,
+    shipments: [],
+    shipmentsOrderStatus: null,
+    shipmentsLoading: false,
+    shipmentsError: null,
+    error: null,
+  },
+  reducers: {},
+  extraReducers: builder => {
+    builder
+      .addCase(placeOrder.pending, state => {
+        state.placingOrder = true;
+        state.placeOrderError = null;
+      })
+      .addCase(placeOrder.fulfilled, (state, action) => {
+        state.placingOrder = false;
+        state.lastOrder = action.payload.order;
+        state.orders = [action.payload.order, ...state.orders];
+      })
+      .addCase(placeOrder.rejected, (state, action) => {
+        state.placingOrder = false;
+        state.placeOrderError =
+          action.payload?.message || 'Failed to place order';
+      })
+
+      .addCase(getMyOrders.pending, (state, action) => {
+        if ((action.meta.arg?.page || 1) > 1) state.ordersLoadingMore = true;
+        else state.ordersLoading = true;
+        state.ordersError = null;
+      })
+      .addCase(getMyOrders.fulfilled, (state, action) => {
+        const { orders, pagination } = action.payload;
+        state.ordersLoading = false;
+        state.ordersLoadingMore = false;
+        state.ordersPage = pagination.page;
+        state.ordersHasMore = pagination.hasMore;
+
+        if (pagination.page > 1) {
+          // Orders placed meanwhile shift pages – skip ones already listed
+          const listed = new Set(state.orders.map(order => order._id));
+          state.orders = [
+            ...state.orders,
+            ...orders.filter(order => !listed.has(order._id)),
+          ];
+        } else {
+          state.orders = orders;
+        }
+      })
+      .addCase(getMyOrders.rejected, (state, action) => {
+        state.ordersLoading = false;
+        state.ordersLoadingMore = false;
+        state.ordersError = action.payload?.message || 'Failed to load orders';
+      })
+
+      .addCase(getOrderById.pending, (state, action) => {
+        state.orderLoading = true;
+        state.orderError = null;
+        if (state.currentOrder?._id !== action.meta.arg) {
+          state.currentOrder = null;
+        }
+      })
+      .addCase(getOrderById.fulfilled, (state, action) => {
+        state.orderLoading = false;
+        state.currentOrder = action.payload;
+      })
+      .addCase(getOrderById.rejected, (state, action) => {
+        state.orderLoading = false;
+        state.orderError = action.payload?.message || 'Failed to load order';
+      })
+
+      .addCase(cancelOrder.pending, state => {
+        state.cancellingOrder = true;
+      })
+      .addCase(cancelOrder.fulfilled, (state, action) => {
+        const { orderId, orderStatus, paymentStatus } = action.payload;
+        state.cancellingOrder = false;
+
+        if (state.currentOrder?._id === orderId) {
+          state.currentOrder.status = orderStatus;
+          state.currentOrder.paymentStatus = paymentStatus;
+        }
+        const listed = state.orders.find(order => order._id === orderId);
+        if (listed) {
+          listed.status = orderStatus;
+          listed.paymentStatus = paymentStatus;
+        }
+      })
+      .addCase(cancelOrder.rejected, state => {
+        state.cancellingOrder = false;
+      })
+
+      .addCase(reorderOrder.pending, (state, action) => {
+        state.reorderingId = action.meta.arg;
+      })
+      .addCase(reorderOrder.fulfilled, state => {
+        state.reorderingId = null;
+      })
+      .addCase(reorderOrder.rejected, state => {
+        state.reorderingId = null;
+      })
+
+      .addCase(openOrderInvoice.pending, state => {
+        state.invoiceLoading = true;
+        state.error = null;
+      })
+      .addCase(openOrderInvoice.fulfilled, state => {
+        state.invoiceLoading = false;
+      })
+      .addCase(openOrderInvoice.rejected, (state, action) => {
+        state.invoiceLoading = false;
+        state.error = action.payload?.message || 'Failed to open invoice';
+      })
+
+      .addCase(getOrderShipments.pending, state => {
+        state.shipmentsLoading = true;
+        state.shipmentsError = null;
+      })
+      .addCase(getOrderShipments.fulfilled, (state, action) => {
+        state.shipmentsLoading = false;
+        state.shipments = action.payload.shipments;
+        state.shipmentsOrderStatus = action.payload.orderStatus;
+      })
+      .addCase(getOrderShipments.rejected, (state, action) => {
+        state.shipmentsLoading = false;
+        state.shipments = [];
+        state.shipmentsError =
+          action.payload?.message || 'Failed to load tracking info';
+      });
+  },
+});
+
+export default orderSlice.reducer;
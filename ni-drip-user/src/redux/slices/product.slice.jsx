@@ -5,7 +5,15 @@
  * Redux Toolkit slice managing product data and catalog operations.
  *
  * Handles:
- * - Fetching all products from the backend via JWT-authorized requests
+ * - Fetching the catalog one page at a time with filters and sort (the catalog
+ *   is public, so guests can browse; the JWT is sent when signed in). List
+ *   items are lightweight – `getProductById` loads reviews and specifications.
+ * - Category tree (visible categories with subcategories, product counts and
+ *   cover images) for the dashboard
+ * - Specification facets ("Charging Interface: Type-C (12)") for the same
+ *   filters as the listing, with multi-select spec filters
+ * - Relevance-ranked search (typo-tolerant, with a "did you mean" query) and
+ *   autocomplete suggestions while typing
  * - State management for product listing (loading, success, and error states)
  * - AsyncStorage integration for token retrieval during API calls
  * - Global product state storage for cross-component access
@@ -17,8 +25,9 @@
  * - Manual state clearance for clean navigation
  *
  * Exports:
- * - Thunks: getAllProducts
- * - Action: clearProductState
+ * - Thunks: getAllProducts, getCategoryTree, getSpecFacets, getProductById,
+ *   searchProducts, getSearchSuggestions
+ * - Actions: clearProductState, clearSearchSuggestions
  * - Reducer: default export for store configuration
  */
 
@@ -29,31 +38,60 @@ import CONFIG from '../config/Config';
 
 const { BACKEND_API_URL } = CONFIG;
 
+/** Products per catalog page */
+const PAGE_SIZE = 20;
+
+/**
+ * Build the request headers (the JWT is optional – the catalog is public)
+ * @returns {Promise<Object>}
+ */
+const getCatalogHeaders = async () => {
+  const token = await AsyncStorage.getItem('authToken');
+  return {
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    'Content-Type': 'application/json',
+  };
+};
+
+/**
+ * Turn a listing query into request params – the spec selection is sent as
+ * JSON and left out when empty
+ * @param {Object} query
+ * @returns {Object}
+ */
+const toCatalogParams = ({ specs, ...query }) => ({
+  ...query,
+  ...(specs && Object.keys(specs).length
+    ? { specs: JSON.stringify(specs) }
+    : {}),
+});
+
+/**
+ * Fetch one page of the catalog
+ * @param {Object} [query]
+ * @param {string} [query.category]
+ * @param {number} [query.minPrice]
+ * @param {number} [query.maxPrice]
+ * @param {boolean} [query.inStock]
+ * @param {number} [query.minRating]
+ * @param {Object<string, string[]>} [query.specs] - Spec name → allowed values
+ * @param {string} [query.sort] - newest | price_asc | price_desc | rating | popularity
+ * @param {number} [query.page=1] - Pages after the first are appended
+ */
 export const getAllProducts = createAsyncThunk(
   'product/getAllProducts',
-  async (_, { rejectWithValue }) => {
+  async (query = {}, { rejectWithValue }) => {
     try {
-      const token = await AsyncStorage.getItem('authToken');
-
-      if (!token) {
-        return rejectWithValue({
-          message: 'Authentication token missing.',
-          success: false,
-        });
-      }
-
       const response = await axios.get(
         `${BACKEND_API_URL}/product/get-all-products`,
         {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Content-Type': 'application/json',
-          },
+          headers: await getCatalogHeaders(),
+          params: { limit: PAGE_SIZE, ...toCatalogParams(query) },
           timeout: 10000,
         },
       );
 
-      const { allProducts, products, message, success } = response.data;
+      const { products, pagination, message, success } = response.data;
 
       if (success === false) {
         return rejectWithValue({
@@ -63,7 +101,8 @@ export const getAllProducts = createAsyncThunk(
       }
 
       return {
-        products: allProducts || products || [],
+        products: products || [],
+        pagination,
         message: message || 'Success',
         success: true,
       };
@@ -78,8 +117,147 @@ export const getAllProducts = createAsyncThunk(
   },
 );
 
+/**
+ * Fetch the visible category tree – each node has its product count, a cover
+ * image and its `children`
+ */
+export const getCategoryTree = createAsyncThunk(
+  'product/getCategoryTree',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/category/get-category-tree`,
+        { headers: await getCatalogHeaders(), timeout: 10000 },
+      );
+      return response.data.categories || [];
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || error.message || 'Network Error',
+        success: false,
+      });
+    }
+  },
+);
+
+/**
+ * Fetch spec facets (values with product counts) for a listing's filters
+ * @param {Object} query - Same filters as `getAllProducts`
+ */
+export const getSpecFacets = createAsyncThunk(
+  'product/getSpecFacets',
+  async (query = {}, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/product/get-spec-facets`,
+        {
+          headers: await getCatalogHeaders(),
+          params: toCatalogParams(query),
+          timeout: 10000,
+        },
+      );
+      return response.data;
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || error.message || 'Network Error',
+        success: false,
+      });
+    }
+  },
+);
+
+/**
+ * Fetch a single product with its reviews and specifications
+ * @param {string} productId
+ */
+export const getProductById = createAsyncThunk(
+  'product/getProductById',
+  async (productId, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/product/get-product-by-id/${productId}`,
+        { headers: await getCatalogHeaders(), timeout: 10000 },
+      );
+      return response.data.product;
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || error.message || 'Network Error',
+        success: false,
+      });
+    }
+  },
+);
+
+/**
+ * Search the catalog, most relevant first
+ * @param {Object} params
+ * @param {string} params.q
+ * @param {number} [params.page=1] - Pages after the first are appended
+ */
+export const searchProducts = createAsyncThunk(
+  'product/searchProducts',
+  async ({ q, page = 1 }, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(`${BACKEND_API_URL}/product/search`, {
+        params: { q, page, limit: PAGE_SIZE },
+        headers: await getCatalogHeaders(),
+        timeout: 10000,
+      });
+      return response.data;
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || error.message || 'Network Error',
+        success: false,
+      });
+    }
+  },
+);
+
+/**
+ * Autocomplete suggestions for a partly typed search
+ * @param {string} q
+ */
+export const getSearchSuggestions = createAsyncThunk(
+  'product/getSearchSuggestions',
+  async (q, { rejectWithValue }) => {
+    try {
+      const response = await axios.get(
+        `${BACKEND_API_URL}/product/search/suggestions`,
+        { params: { q }, headers: await getCatalogHeaders(), timeout: 5000 },
+      );
+      return response.data.suggestions || [];
+    } catch (error) {
+      return rejectWithValue({
+        message:
+          error.response?.data?.message || error.message || 'Network Error',
+        success: false,
+      });
+    }
+  },
+);
+
 const initialState = {
   products: [],
+  pagination: null,
+  loadingMore: false,
+  categories: [],
+  categoriesLoading: false,
+  facets: [],
+  facetsTotal: 0,
+  facetsLoading: false,
+  facetsRequestId: null,
+  currentProduct: null,
+  productLoading: false,
+  searchResults: [],
+  searchPagination: null,
+  correctedQuery: null,
+  searchLoading: false,
+  searchLoadingMore: false,
+  suggestions: [],
+  suggestionsRequestId: null,
   loading: false,
   error: null,
   message: null,
@@ -97,25 +275,124 @@ const productSlice = createSlice({
       state.error = null;
       state.message = null;
     },
+
+    clearSearchSuggestions: state => {
+      state.suggestions = [];
+      state.suggestionsRequestId = null;
+    },
   },
   extraReducers: builder => {
     builder
-      .addCase(getAllProducts.pending, state => {
-        state.loading = true;
+      .addCase(getAllProducts.pending, (state, action) => {
+        if (action.meta.arg?.page > 1) state.loadingMore = true;
+        else state.loading = true;
         state.error = null;
       })
       .addCase(getAllProducts.fulfilled, (state, action) => {
+        const { products, pagination } = action.payload;
         state.loading = false;
-        state.products = action.payload.products;
+        state.loadingMore = false;
+        if (pagination?.page > 1) {
+          const seen = new Set(state.products.map(product => product._id));
+          state.products.push(
+            ...products.filter(product => !seen.has(product._id)),
+          );
+        } else {
+          state.products = products;
+        }
+        state.pagination = pagination || null;
         state.message = action.payload.message;
         state.error = null;
       })
       .addCase(getAllProducts.rejected, (state, action) => {
         state.loading = false;
+        state.loadingMore = false;
+        state.error = action.payload;
+      })
+
+      .addCase(getCategoryTree.pending, state => {
+        state.categoriesLoading = true;
+      })
+      .addCase(getCategoryTree.fulfilled, (state, action) => {
+        state.categoriesLoading = false;
+        state.categories = action.payload;
+      })
+      .addCase(getCategoryTree.rejected, (state, action) => {
+        state.categoriesLoading = false;
+        state.error = action.payload;
+      })
+
+      // Only the latest request's facets are kept (selections change quickly)
+      .addCase(getSpecFacets.pending, (state, action) => {
+        state.facetsLoading = true;
+        state.facetsRequestId = action.meta.requestId;
+      })
+      .addCase(getSpecFacets.fulfilled, (state, action) => {
+        if (state.facetsRequestId !== action.meta.requestId) return;
+        state.facetsLoading = false;
+        state.facets = action.payload.facets || [];
+        state.facetsTotal = action.payload.total || 0;
+      })
+      .addCase(getSpecFacets.rejected, (state, action) => {
+        if (state.facetsRequestId !== action.meta.requestId) return;
+        state.facetsLoading = false;
         state.error = action.payload;
+      })
+
+      .addCase(getProductById.pending, state => {
+        state.productLoading = true;
+      })
+      .addCase(getProductById.fulfilled, (state, action) => {
+        state.productLoading = false;
+        state.currentProduct = action.payload;
+      })
+      .addCase(getProductById.rejected, state => {
+        state.productLoading = false;
+      })
+
+      .addCase(searchProducts.pending, (state, action) => {
+        if (action.meta.arg.page > 1) state.searchLoadingMore = true;
+        else state.searchLoading = true;
+      })
+      .addCase(searchProducts.fulfilled, (state, action) => {
+        const { products, pagination, correctedQuery } = action.payload;
+        state.searchLoading = false;
+        state.searchLoadingMore = false;
+        if (pagination?.page > 1) {
+          const seen = new Set(state.searchResults.map(product => product._id));
+          state.searchResults.push(
+            ...products.filter(product => !seen.has(product._id)),
+          );
+        } else {
+          state.searchResults = products;
+          state.correctedQuery = correctedQuery || null;
+        }
+        state.searchPagination = pagination || null;
+      })
+      .addCase(searchProducts.rejected, (state, action) => {
+        state.searchLoading = false;
+        state.searchLoadingMore = false;
+        state.error = action.payload;
+      })
+
+      // Only the latest request's suggestions are kept (typing is faster
+      // than the network)
+      .addCase(getSearchSuggestions.pending, (state, action) => {
+        state.suggestionsRequestId = action.meta.requestId;
+      })
+      .addCase(getSearchSuggestions.fulfilled, (state, action) => {
+        if (state.suggestionsRequestId === action.meta.requestId) {
+          state.suggestions = action.payload;
+        }
+      })
+      .addCase(getSearchSuggestions.rejected, (state, action) => {
+        if (state.suggestionsRequestId === action.meta.requestId) {
+          state.suggestions = [];
+        }
       });
   },
 });
 
-export const { setProducts, clearProductState } = productSlice.actions;
+export const { setProducts, clearProductState, clearSearchSuggestions } =
+  productSlice.actions;
 export default productSlice.reducer;
@@ -80,8 +80,10 @@ const Signin = () => {
           text2: message,
         });
 
+        // Guests sent here from the cart go back to it (now merged)
         setTimeout(() => {
-          navigation.replace('Main');
+          if (navigation.canGoBack()) navigation.goBack();
+          else navigation.replace('Main');
         }, 1200);
 
         setEmail('');
@@ -277,6 +279,16 @@ const Signin = () => {
                   <Text style={styles.signupLink}>Signup</Text>
                 </TouchableOpacity>
               </View>
+
+              {!navigation.canGoBack() ? (
+                <TouchableOpacity
+                  onPress={() => navigation.replace('Main')}
+                  activeOpacity={0.7}
+                  style={styles.guestContainer}
+                >
+                  <Text style={styles.guestLink}>Continue as guest</Text>
+                </TouchableOpacity>
+              ) : null}
             </Animatable.View>
           </ScrollView>
         </KeyboardAvoidingView>
@@ -399,4 +411,16 @@ const styles = StyleSheet.create({
     color: theme.colors.primary,
     fontFamily: theme.typography.bold,
   },
+
+  guestContainer: {
+    alignSelf: 'center',
+    marginTop: height * 0.025,
+  },
+
+  guestLink: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.dark,
+    fontFamily: theme.typography.semiBold,
+    textDecorationLine: 'underline',
+  },
 });
@@ -2,9 +2,17 @@
  * @fileoverview Shopping Cart Screen
  * @module screens/cart/CartScreen
  * @description Displays cart items, handles quantity updates, removal, and checkout navigation.
+ *              Shipping and tax are quoted by the backend, which returns the same
+ *              itemized totals (subtotal, tax, shipping, total) the order will store.
+ *              The cart is revalidated against live prices and stock whenever the
+ *              screen is focused and again before checkout; price changes, reduced
+ *              quantities and removed items are listed above the items.
+ *              Guests keep a guest cart; checking out sends them to sign in,
+ *              which merges it into their account cart. Signed-in users can move
+ *              a line to their Saved for later list with its quantity.
  */
 
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useCallback, useEffect, useState, useRef } from 'react';
 import {
   StyleSheet,
   View,
@@ -18,7 +26,7 @@ import {
   TouchableOpacity,
 } from 'react-native';
 import { useDispatch, useSelector } from 'react-redux';
-import { useNavigation } from '@react-navigation/native';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
 import Toast from 'react-native-toast-message';
 import { theme } from '../../styles/Themes';
@@ -28,18 +36,61 @@ import CartCard from '../../utilities/custom-components/card/cart-card/CartCard'
 import Loader from '../../utilities/custom-components/loader/Loader.utility';
 import Button from '../../utilities/custom-components/button/Button.utility';
 import {
-  getAllCartItems,
   addToCart,
   decreaseCartItem,
   removeProductFromCart,
+  getShippingQuote,
+  validateCart,
+  dismissCartNotices,
 } from '../../redux/slices/cart.slice';
+import { saveForLater } from '../../redux/slices/favorite.slice';
 
 const { width, height } = Dimensions.get('window');
 
+/**
+ * The chosen variant of a cart line, if its product has variants
+ * @param {Object} item - Cart line (product populated)
+ * @returns {Object|null}
+ */
+const getLineVariant = item =>
+  item.variantId
+    ? item.productId.variants?.find(
+        variant => variant._id === item.variantId,
+      ) || null
+    : null;
+
+/**
+ * Live unit price of a cart line – the variant's price for variant lines
+ * @param {Object} item
+ * @returns {number}
+ */
+const getLinePrice = item =>
+  getLineVariant(item)?.price ?? item.productId?.price ?? 0;
+
+/**
+ * Icon per cart change notice type
+ * @type {Object<string, string>}
+ */
+const NOTICE_ICONS = {
+  PRICE_CHANGED: 'tag-outline',
+  QUANTITY_REDUCED: 'package-down',
+  UNAVAILABLE: 'cart-remove',
+};
+
 const Cart = () => {
   const dispatch = useDispatch();
   const navigation = useNavigation();
-  const { cartItems, loading } = useSelector(state => state.cart);
+  const {
+    cartItems,
+    loading,
+    shippingQuote,
+    checkoutTotals,
+    shippingLoading,
+    shippingError,
+    cartNotices,
+    validatingCart,
+    isGuest,
+  } = useSelector(state => state.cart);
 
   const [refreshing, setRefreshing] = useState(false);
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -47,9 +98,14 @@ const Cart = () => {
 
   useEffect(() => {
     StatusBar.setBackgroundColor(theme.colors.primary);
-    dispatch(getAllCartItems());
   }, []);
 
+  useFocusEffect(
+    useCallback(() => {
+      dispatch(validateCart());
+    }, [dispatch]),
+  );
+
   useEffect(() => {
     if (!loading && cartItems?.length === 0) {
       Animated.parallel([
@@ -67,8 +123,19 @@ const Cart = () => {
     }
   }, [loading, cartItems]);
 
-  const handleIncrease = async productId => {
-    const result = await dispatch(addToCart({ productId, quantity: 1 }));
+  const cartSignature = cartItems
+    .map(item => `${item.productId?._id}:${item.variantId}:${item.quantity}`)
+    .join('|');
+
+  useEffect(() => {
+    // Shipping is quoted against the account's address – none for guests
+    if (cartItems.length > 0 && !isGuest) dispatch(getShippingQuote());
+  }, [cartSignature, cartItems.length, isGuest, dispatch]);
+
+  const handleIncrease = async (productId, variantId) => {
+    const result = await dispatch(
+      addToCart({ productId, variantId, quantity: 1 }),
+    );
     if (addToCart.fulfilled.match(result)) {
       Toast.show({
         type: 'success',
@@ -78,8 +145,8 @@ const Cart = () => {
     }
   };
 
-  const handleDecrease = async productId => {
-    const result = await dispatch(decreaseCartItem({ productId }));
+  const handleDecrease = async (productId, variantId) => {
+    const result = await dispatch(decreaseCartItem({ productId, variantId }));
     if (decreaseCartItem.fulfilled.match(result)) {
       Toast.show({
         type: 'success',
@@ -89,8 +156,10 @@ const Cart = () => {
     }
   };
 
-  const handleRemove = async productId => {
-    const result = await dispatch(removeProductFromCart({ productId }));
+  const handleRemove = async (productId, variantId) => {
+    const result = await dispatch(
+      removeProductFromCart({ productId, variantId }),
+    );
     if (removeProductFromCart.fulfilled.match(result)) {
       Toast.show({
         type: 'error',
@@ -100,31 +169,80 @@ const Cart = () => {
     }
   };
 
+  // Moves the line, with its quantity, to the Saved for later list
+  const handleSaveForLater = async (productId, variantId) => {
+    const result = await dispatch(saveForLater({ productId, variantId }));
+    if (saveForLater.fulfilled.match(result)) {
+      Toast.show({
+        type: 'success',
+        text1: 'Saved for later',
+        text2: result.payload.message,
+      });
+    } else {
+      Toast.show({
+        type: 'error',
+        text1: 'Not saved',
+        text2: result.payload?.message,
+      });
+    }
+  };
+
   const handleRefresh = async () => {
     setRefreshing(true);
-    await dispatch(getAllCartItems());
+    await dispatch(validateCart());
     setRefreshing(false);
   };
 
-  const shippingFee = 50;
+  const shippingFee = shippingQuote?.cost ?? 0;
   const itemTotal = cartItems.reduce(
-    (sum, item) => sum + (item.productId?.price || 0) * item.quantity,
+    (sum, item) => sum + getLinePrice(item) * item.quantity,
     0,
   );
-  const totalAmount = itemTotal + (cartItems.length > 0 ? shippingFee : 0);
+  const taxAmount = checkoutTotals?.tax ?? 0;
+  const totalAmount =
+    checkoutTotals?.grandTotal ??
+    itemTotal + (cartItems.length > 0 ? shippingFee : 0);
 
-  const handleNavigateCheckOut = () => {
+  const handleNavigateCheckOut = async () => {
     if (cartItems.length === 0) return;
-    navigation.navigate('CheckOut', {
-      cartItems: cartItems.map(item => ({
-        productId: item.productId._id,
-        title: item.productId.title,
-        quantity: item.quantity,
-        price: item.productId.price,
-      })),
-      totalAmount,
-      shippingFee,
-    });
+
+    const result = await dispatch(validateCart());
+    if (validateCart.rejected.match(result)) {
+      Toast.show({
+        type: 'error',
+        text1: 'Could not check your cart',
+        text2: result.payload?.message || 'Please try again',
+      });
+      return;
+    }
+    if (!result.payload.valid) {
+      Toast.show({
+        type: 'error',
+        text1: 'Your cart has changed',
+        text2: 'Please review the changes before checking out',
+      });
+      return;
+    }
+
+    if (result.payload.guest) {
+      Toast.show({
+        type: 'success',
+        text1: 'Sign in to check out',
+        text2: 'Your cart will be kept',
+      });
+      navigation.navigate('Signin');
+      return;
+    }
+
+    if (!shippingQuote) {
+      Toast.show({
+        type: 'error',
+        text1: 'Shipping unavailable',
+        text2: shippingError || 'Shipping is still being calculated',
+      });
+      return;
+    }
+    navigation.navigate('Check_Out');
   };
 
   return (
@@ -139,20 +257,80 @@ const Cart = () => {
         <>
           <FlatList
             data={cartItems}
-            keyExtractor={item => item.productId._id}
+            keyExtractor={item =>
+              `${item.productId._id}:${item.variantId || ''}`
+            }
+            ListHeaderComponent={
+              cartNotices.length > 0 ? (
+                <View style={styles.noticeCard}>
+                  <View style={styles.noticeHeader}>
+                    <Text style={styles.noticeTitle}>
+                      Your cart was updated
+                    </Text>
+                    <TouchableOpacity
+                      onPress={() => dispatch(dismissCartNotices())}
+                      hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                    >
+                      <MaterialCommunityIcons
+                        name="close"
+                        size={width * 0.05}
+                        color={theme.colors.dark}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                  {cartNotices.map(notice => (
+                    <View key={notice.message} style={styles.noticeRow}>
+                      <MaterialCommunityIcons
+                        name={
+                          NOTICE_ICONS[notice.type] || 'information-outline'
+                        }
+                        size={width * 0.045}
+                        color={
+                          notice.type === 'UNAVAILABLE'
+                            ? theme.colors.error
+                            : theme.colors.primary
+                        }
+                      />
+                      <Text style={styles.noticeText}>{notice.message}</Text>
+                    </View>
+                  ))}
+                </View>
+              ) : null
+            }
             renderItem={({ item }) => (
-              <CartCard
-                title={item.productId.title}
-                price={item.productId.price}
-                imageUrl={
-                  item.productId.productImages?.[0] ||
-                  item.productId.productImage
-                }
-                quantity={item.quantity}
-                onIncrease={() => handleIncrease(item.productId._id)}
-                onDecrease={() => handleDecrease(item.productId._id)}
-                onRemove={() => handleRemove(item.productId._id)}
-              />
+              <View>
+                <CartCard
+                  title={item.productId.title}
+                  subtitle={item.variantLabel}
+                  price={getLinePrice(item)}
+                  imageUrl={
+                    getLineVariant(item)?.images?.[0] ||
+                    item.productId.productImages?.[0] ||
+                    item.productId.productImage
+                  }
+                  quantity={item.quantity}
+                  onIncrease={() =>
+                    handleIncrease(item.productId._id, item.variantId)
+                  }
+                  onDecrease={() =>
+                    handleDecrease(item.productId._id, item.variantId)
+                  }
+                  onRemove={() =>
+                    handleRemove(item.productId._id, item.variantId)
+                  }
+                />
+                {!isGuest ? (
+                  <TouchableOpacity
+                    onPress={() =>
+                      handleSaveForLater(item.productId._id, item.variantId)
+                    }
+                    activeOpacity={0.7}
+                    style={styles.saveForLaterBtn}
+                  >
+                    <Text style={styles.saveForLaterText}>Save for later</Text>
+                  </TouchableOpacity>
+                ) : null}
+              </View>
             )}
             contentContainerStyle={styles.listContainer}
             showsVerticalScrollIndicator={false}
@@ -172,19 +350,66 @@ const Cart = () => {
             </View>
 
             <View style={styles.summaryRow}>
-              <Text style={styles.summaryLabel}>Shipping</Text>
-              <Text style={styles.summaryValue}>${shippingFee.toFixed(2)}</Text>
+              <Text style={styles.summaryLabel}>
+                Shipping
+                {shippingQuote?.zone?.name
+                  ? ` (${shippingQuote.zone.name})`
+                  : ''}
+              </Text>
+              <Text style={styles.summaryValue}>
+                {shippingLoading
+                  ? '...'
+                  : shippingQuote?.freeShippingApplied
+                  ? 'FREE'
+                  : shippingQuote
+                  ? `$${shippingFee.toFixed(2)}`
+                  : '--'}
+              </Text>
+            </View>
+
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>
+                Tax
+                {checkoutTotals?.taxRegion
+                  ? ` (${checkoutTotals.taxRegion})`
+                  : ''}
+              </Text>
+              <Text style={styles.summaryValue}>
+                {shippingLoading ? '...' : `$${taxAmount.toFixed(2)}`}
+              </Text>
             </View>
 
+            {isGuest ? (
+              <Text style={styles.shippingNote}>
+                Shipping and tax are calculated after you sign in
+              </Text>
+            ) : shippingError ? (
+              <Text style={styles.shippingNote}>{shippingError}</Text>
+            ) : shippingQuote?.amountToFreeShipping > 0 ? (
+              <Text style={styles.shippingNote}>
+                Add ${shippingQuote.amountToFreeShipping.toFixed(2)} more for
+                free shipping
+              </Text>
+            ) : shippingQuote?.estimatedDelivery ? (
+              <Text style={styles.shippingNote}>
+                Estimated delivery: {shippingQuote.estimatedDelivery}
+              </Text>
+            ) : null}
+
             <View style={[styles.summaryRow, styles.totalRow]}>
               <Text style={styles.totalLabel}>Total Amount</Text>
               <Text style={styles.totalValue}>${totalAmount.toFixed(2)}</Text>
             </View>
 
             <Button
-              title={`Checkout (${cartItems.length} items)`}
+              title={
+                isGuest
+                  ? 'Sign in to checkout'
+                  : `Checkout (${cartItems.length} items)`
+              }
               backgroundColor={theme.colors.primary}
               onPress={handleNavigateCheckOut}
+              loading={validatingCart && !refreshing}
               style={styles.checkoutBtn}
             />
           </View>
@@ -239,11 +464,60 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
 
+  saveForLaterBtn: {
+    alignSelf: 'flex-end',
+    marginTop: -(height * 0.004),
+    marginBottom: height * 0.008,
+    paddingHorizontal: width * 0.02,
+  },
+
+  saveForLaterText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.primary,
+  },
+
   listContainer: {
     padding: width * 0.04,
     paddingBottom: height * 0.3,
   },
 
+  noticeCard: {
+    backgroundColor: '#FFF4FA',
+    borderRadius: theme.borderRadius.large,
+    borderWidth: 1,
+    borderColor: theme.colors.primary,
+    padding: width * 0.04,
+    marginBottom: height * 0.015,
+  },
+
+  noticeHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: height * 0.008,
+  },
+
+  noticeTitle: {
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+  },
+
+  noticeRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: width * 0.02,
+    marginTop: height * 0.006,
+  },
+
+  noticeText: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.xs - 2,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+  },
+
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -323,6 +597,13 @@ const styles = StyleSheet.create({
     fontFamily: theme.typography.semiBold,
   },
 
+  shippingNote: {
+    color: theme.colors.primary,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    marginBottom: height * 0.01,
+  },
+
   totalRow: {
     marginTop: height * 0.015,
     paddingTop: height * 0.015,
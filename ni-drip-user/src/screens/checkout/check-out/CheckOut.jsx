@@ -0,0 +1,554 @@
+/**
+ * @fileoverview Checkout Screen
+ * @module screens/checkout/CheckOutScreen
+ * @description Reviews the cart lines, lets the customer pick a delivery
+ *              address (current location, saved address or another one) and a
+ *              payment method, and places the order. Shipping, tax and totals
+ *              are re-quoted by the backend whenever the address changes.
+ *              If an item ran out of stock in the meantime the cart is refreshed
+ *              and the customer is sent back to review it.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Dimensions,
+  StatusBar,
+  ScrollView,
+  Text,
+  TouchableOpacity,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import Toast from 'react-native-toast-message';
+import { theme } from '../../../styles/Themes';
+import { globalStyles } from '../../../styles/GlobalStyles';
+import Header from '../../../utilities/custom-components/header/header/Header';
+import Button from '../../../utilities/custom-components/button/Button.utility';
+import InputField from '../../../utilities/custom-components/input-field/InputField.utility';
+import {
+  getShippingQuote,
+  clearLocalCart,
+  validateCart,
+} from '../../../redux/slices/cart.slice';
+import { getUser } from '../../../redux/slices/user.slice';
+import { placeOrder } from '../../../redux/slices/order.slice';
+
+const { width, height } = Dimensions.get('window');
+
+const PAYMENT_METHODS = [
+  {
+    value: 'PAY_ON_DELIVERY',
+    label: 'Cash on delivery',
+    icon: 'cash',
+  },
+  {
+    value: 'DEBIT_CARD',
+    label: 'Debit card',
+    icon: 'credit-card-outline',
+  },
+];
+
+/**
+ * One key per checkout attempt – the server replays the first response for
+ * a repeated key instead of placing a second order
+ */
+const createIdempotencyKey = () =>
+  `checkout-${Date.now().toString(36)}-${Math.random()
+    .toString(36)
+    .slice(2, 12)}`;
+
+const isStockError = (status, message = '') =>
+  status === 404 || (status === 400 && /stock|available/i.test(message));
+
+const CheckOut = () => {
+  const dispatch = useDispatch();
+  const navigation = useNavigation();
+  const authUser = useSelector(state => state.auth.user);
+  const profile = useSelector(state => state.user.user);
+  const {
+    cartItems,
+    shippingQuote,
+    checkoutTotals,
+    shippingLoading,
+    shippingError,
+  } = useSelector(state => state.cart);
+  const { placingOrder } = useSelector(state => state.order);
+
+  const locationAddress = profile?.lastKnownLocation?.address?.trim() || '';
+  const savedAddress = profile?.address?.trim() || '';
+
+  const addressOptions = [
+    locationAddress && {
+      value: 'LOCATION',
+      label: 'Current location',
+      icon: 'crosshairs-gps',
+      address: locationAddress,
+    },
+    savedAddress && {
+      value: 'SAVED',
+      label: 'Saved address',
+      icon: 'home-outline',
+      address: savedAddress,
+    },
+    {
+      value: 'OTHER',
+      label: 'Another address',
+      icon: 'map-marker-plus-outline',
+      address: null,
+    },
+  ].filter(Boolean);
+
+  const [addressChoice, setAddressChoice] = useState(null);
+  const [customAddress, setCustomAddress] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('PAY_ON_DELIVERY');
+  const [stockError, setStockError] = useState(null);
+  const idempotencyKey = useRef(createIdempotencyKey());
+
+  // Defaults to the last known location, then the saved address
+  const selectedOption =
+    addressOptions.find(option => option.value === addressChoice) ||
+    addressOptions[0];
+  const shippingAddress =
+    selectedOption.value === 'OTHER'
+      ? customAddress.trim()
+      : selectedOption.address;
+
+  useEffect(() => {
+    StatusBar.setBackgroundColor(theme.colors.primary);
+    dispatch(validateCart());
+    if (authUser?.id) dispatch(getUser(authUser.id));
+  }, [dispatch, authUser?.id]);
+
+  // Re-quote whenever the destination changes (typed addresses once settled)
+  useEffect(() => {
+    if (cartItems.length === 0 || !shippingAddress) return undefined;
+
+    const timer = setTimeout(
+      () => dispatch(getShippingQuote({ shippingAddress })),
+      selectedOption.value === 'OTHER' ? 600 : 0,
+    );
+    return () => clearTimeout(timer);
+  }, [shippingAddress, selectedOption.value, cartItems.length, dispatch]);
+
+  // A changed request is a new attempt – it needs its own key
+  useEffect(() => {
+    idempotencyKey.current = createIdempotencyKey();
+  }, [shippingAddress, paymentMethod]);
+
+  const itemTotal = cartItems.reduce(
+    (sum, item) => sum + (item.productId?.price || 0) * item.quantity,
+    0,
+  );
+  const shippingFee = shippingQuote?.cost ?? 0;
+  const taxAmount = checkoutTotals?.tax ?? 0;
+  const totalAmount = checkoutTotals?.grandTotal ?? itemTotal + shippingFee;
+
+  const canPlaceOrder =
+    cartItems.length > 0 &&
+    Boolean(shippingAddress) &&
+    Boolean(shippingQuote) &&
+    !shippingLoading &&
+    !shippingError;
+
+  const handlePlaceOrder = async () => {
+    if (!shippingAddress) {
+      Toast.show({
+        type: 'error',
+        text1: 'Delivery address required',
+        text2: 'Choose or enter where we should deliver your order',
+      });
+      return;
+    }
+
+    setStockError(null);
+    const result = await dispatch(
+      placeOrder({
+        shippingAddress,
+        paymentMethod,
+        idempotencyKey: idempotencyKey.current,
+      }),
+    );
+
+    if (placeOrder.fulfilled.match(result)) {
+      dispatch(clearLocalCart());
+      navigation.replace('Order_Success', result.payload);
+      return;
+    }
+
+    const { message, status } = result.payload || {};
+
+    // The server answered, so the next attempt is a new request; network and
+    // server errors keep the key so a retry is recognised
+    if (status && status < 500 && status !== 409) {
+      idempotencyKey.current = createIdempotencyKey();
+    }
+
+    if (isStockError(status, message)) {
+      // Revalidating applies the stock change and leaves a notice on the cart
+      setStockError(message);
+      dispatch(validateCart());
+      return;
+    }
+
+    Toast.show({
+      type: 'error',
+      text1: 'Order not placed',
+      text2: message || 'Please try again',
+    });
+  };
+
+  const renderOption = (option, selected, onPress) => (
+    <TouchableOpacity
+      key={option.value}
+      style={[styles.option, selected && styles.optionSelected]}
+      onPress={onPress}
+      activeOpacity={0.8}
+    >
+      <MaterialCommunityIcons
+        name={option.icon}
+        size={width * 0.06}
+        color={selected ? theme.colors.primary : theme.colors.dark}
+      />
+      <View style={styles.optionText}>
+        <Text style={styles.optionLabel}>{option.label}</Text>
+        {option.address ? (
+          <Text style={styles.optionAddress} numberOfLines={2}>
+            {option.address}
+          </Text>
+        ) : null}
+      </View>
+      <MaterialCommunityIcons
+        name={selected ? 'radiobox-marked' : 'radiobox-blank'}
+        size={width * 0.055}
+        color={theme.colors.primary}
+      />
+    </TouchableOpacity>
+  );
+
+  if (cartItems.length === 0) {
+    return (
+      <View style={[globalStyles.container]}>
+        <Header title="Checkout" onPressLeft={() => navigation.goBack()} />
+        <View style={styles.emptyContainer}>
+          <MaterialCommunityIcons
+            name="cart-outline"
+            size={width * 0.2}
+            color={theme.colors.primary}
+          />
+          <Text style={styles.emptyTitle}>Your cart is empty</Text>
+          <Button
+            title="Back to cart"
+            onPress={() => navigation.goBack()}
+            width={width * 0.5}
+            backgroundColor={theme.colors.primary}
+            style={styles.emptyBtn}
+          />
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[globalStyles.container]}>
+      <Header title="Checkout" onPressLeft={() => navigation.goBack()} />
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        {stockError ? (
+          <View style={styles.stockBanner}>
+            <Text style={styles.stockBannerText}>{stockError}</Text>
+            <Button
+              title="Review cart"
+              onPress={() => navigation.goBack()}
+              width={width * 0.4}
+              backgroundColor={theme.colors.error}
+              textColor={theme.colors.white}
+            />
+          </View>
+        ) : null}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>
+            Items ({cartItems.reduce((sum, item) => sum + item.quantity, 0)})
+          </Text>
+          {cartItems.map(item => (
+            <View key={item.productId._id} style={styles.lineRow}>
+              <Text style={styles.lineTitle} numberOfLines={1}>
+                {item.productId.title} × {item.quantity}
+              </Text>
+              <Text style={styles.lineAmount}>
+                ${(item.productId.price * item.quantity).toFixed(2)}
+              </Text>
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Delivery address</Text>
+          {addressOptions.map(option =>
+            renderOption(option, option.value === selectedOption.value, () =>
+              setAddressChoice(option.value),
+            ),
+          )}
+          {selectedOption.value === 'OTHER' ? (
+            <InputField
+              value={customAddress}
+              onChangeText={setCustomAddress}
+              placeholder="Street, city, postcode"
+              multiline
+            />
+          ) : null}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Payment method</Text>
+          {PAYMENT_METHODS.map(option =>
+            renderOption(option, option.value === paymentMethod, () =>
+              setPaymentMethod(option.value),
+            ),
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>Subtotal</Text>
+            <Text style={styles.summaryValue}>${itemTotal.toFixed(2)}</Text>
+          </View>
+
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>
+              Shipping
+              {shippingQuote?.zone?.name ? ` (${shippingQuote.zone.name})` : ''}
+            </Text>
+            <Text style={styles.summaryValue}>
+              {shippingLoading
+                ? '...'
+                : shippingQuote?.freeShippingApplied
+                ? 'FREE'
+                : shippingQuote
+                ? `$${shippingFee.toFixed(2)}`
+                : '--'}
+            </Text>
+          </View>
+
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>
+              Tax
+              {checkoutTotals?.taxRegion
+                ? ` (${checkoutTotals.taxRegion})`
+                : ''}
+            </Text>
+            <Text style={styles.summaryValue}>
+              {shippingLoading ? '...' : `$${taxAmount.toFixed(2)}`}
+            </Text>
+          </View>
+
+          {shippingError ? (
+            <Text style={styles.shippingNote}>{shippingError}</Text>
+          ) : shippingQuote?.estimatedDelivery ? (
+            <Text style={styles.shippingNote}>
+              Estimated delivery: {shippingQuote.estimatedDelivery}
+            </Text>
+          ) : null}
+
+          <View style={[styles.summaryRow, styles.totalRow]}>
+            <Text style={styles.totalLabel}>Total</Text>
+            <Text style={styles.totalValue}>${totalAmount.toFixed(2)}</Text>
+          </View>
+        </View>
+      </ScrollView>
+
+      <View style={styles.footer}>
+        <Button
+          title={`Place order · $${totalAmount.toFixed(2)}`}
+          onPress={handlePlaceOrder}
+          loading={placingOrder}
+          disabled={!canPlaceOrder || placingOrder}
+          backgroundColor={theme.colors.primary}
+          style={styles.placeOrderBtn}
+        />
+      </View>
+    </View>
+  );
+};
+
+export default CheckOut;
+
+const styles = StyleSheet.create({
+  scrollContainer: {
+    padding: width * 0.04,
+    paddingBottom: height * 0.15,
+  },
+
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingBottom: height * 0.1,
+  },
+
+  emptyTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+    marginTop: height * 0.02,
+  },
+
+  emptyBtn: {
+    marginTop: height * 0.03,
+  },
+
+  stockBanner: {
+    backgroundColor: '#FDECEF',
+    borderRadius: theme.borderRadius.large,
+    padding: width * 0.04,
+    marginBottom: height * 0.02,
+    alignItems: 'flex-start',
+    gap: height * 0.01,
+  },
+
+  stockBannerText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.error,
+  },
+
+  section: {
+    backgroundColor: theme.colors.white,
+    borderRadius: theme.borderRadius.large,
+    padding: width * 0.05,
+    marginBottom: height * 0.02,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 6,
+  },
+
+  sectionTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+    marginBottom: height * 0.012,
+  },
+
+  lineRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: height * 0.008,
+  },
+
+  lineTitle: {
+    flex: 1,
+    marginRight: width * 0.03,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+  },
+
+  lineAmount: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+  },
+
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1.5,
+    borderColor: theme.colors.gray,
+    borderRadius: theme.borderRadius.large,
+    padding: width * 0.035,
+    marginBottom: height * 0.012,
+    gap: width * 0.03,
+  },
+
+  optionSelected: {
+    borderColor: theme.colors.primary,
+  },
+
+  optionText: {
+    flex: 1,
+  },
+
+  optionLabel: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+  },
+
+  optionAddress: {
+    fontSize: theme.typography.fontSize.xs - 2,
+    fontFamily: theme.typography.regular,
+    color: theme.colors.dark,
+    opacity: 0.7,
+  },
+
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: height * 0.01,
+  },
+
+  summaryLabel: {
+    color: theme.colors.dark,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+  },
+
+  summaryValue: {
+    color: theme.colors.dark,
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.semiBold,
+  },
+
+  shippingNote: {
+    color: theme.colors.primary,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    marginBottom: height * 0.01,
+  },
+
+  totalRow: {
+    marginTop: height * 0.01,
+    paddingTop: height * 0.015,
+    borderTopWidth: 1,
+    borderTopColor: '#EEE',
+  },
+
+  totalLabel: {
+    fontSize: theme.typography.fontSize.lg,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+  },
+
+  totalValue: {
+    fontSize: theme.typography.fontSize.lg,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.primary,
+  },
+
+  footer: {
+    position: 'absolute',
+    bottom: 0,
+    width: '100%',
+    backgroundColor: theme.colors.white,
+    padding: width * 0.05,
+    elevation: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -10 },
+    shadowOpacity: 0.1,
+    shadowRadius: 10,
+  },
+
+  placeOrderBtn: {
+    borderRadius: theme.borderRadius.medium,
+    height: height * 0.07,
+  },
+});
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Order Success Screen
+ * @module screens/checkout/OrderSuccessScreen
+ * @description Confirmation shown after an order is placed. Summarises the
+ *              order and links to its invoice, tracking and the order history.
+ *              Expects `route.params` to be the place-order response
+ *              (`order`, `payment`, `summary`, `message`).
+ */
+
+import React, { useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Dimensions,
+  StatusBar,
+  ScrollView,
+  Text,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import Toast from 'react-native-toast-message';
+import { theme } from '../../../styles/Themes';
+import { globalStyles } from '../../../styles/GlobalStyles';
+import Button from '../../../utilities/custom-components/button/Button.utility';
+import { openOrderInvoice } from '../../../redux/slices/order.slice';
+
+const { width, height } = Dimensions.get('window');
+
+const PAYMENT_LABELS = {
+  PAY_ON_DELIVERY: 'Cash on delivery',
+  DEBIT_CARD: 'Debit card',
+};
+
+const OrderSuccess = ({ navigation, route }) => {
+  const dispatch = useDispatch();
+  const { invoiceLoading } = useSelector(state => state.order);
+  const { order, payment, summary, message } = route.params || {};
+
+  useEffect(() => {
+    StatusBar.setBackgroundColor(theme.colors.primary);
+  }, []);
+
+  if (!order) return null;
+
+  const shortId = order._id.slice(-8).toUpperCase();
+  const total = summary?.totalAmount ?? order.totalAmount ?? 0;
+  const itemsCount =
+    summary?.itemsCount ??
+    order.items?.reduce((sum, item) => sum + item.quantity, 0) ??
+    0;
+
+  const handleOpenInvoice = async () => {
+    const result = await dispatch(openOrderInvoice(order._id));
+    if (openOrderInvoice.rejected.match(result)) {
+      Toast.show({
+        type: 'error',
+        text1: 'Invoice unavailable',
+        text2: result.payload?.message,
+      });
+    }
+  };
+
+  // Nothing to go back to – the cart has been turned into this order
+  const goTo = routeName =>
+    navigation.reset({
+      index: routeName === 'Main' ? 0 : 1,
+      routes:
+        routeName === 'Main'
+          ? [{ name: 'Main' }]
+          : [
+              { name: 'Main' },
+              {
+                name: routeName,
+                params:
+                  routeName === 'Order_Tracking'
+                    ? { orderId: order._id }
+                    : undefined,
+              },
+            ],
+    });
+
+  return (
+    <View style={[globalStyles.container]}>
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        showsVerticalScrollIndicator={false}
+      >
+        <View style={styles.iconCircle}>
+          <MaterialCommunityIcons
+            name="check"
+            size={width * 0.14}
+            color={theme.colors.white}
+          />
+        </View>
+
+        <Text style={styles.title}>Order placed!</Text>
+        <Text style={styles.subtitle}>
+          {message || 'Thank you for shopping with us.'}
+        </Text>
+
+        <View style={styles.card}>
+          <View style={styles.row}>
+            <Text style={styles.label}>Order</Text>
+            <Text style={styles.value}>#{shortId}</Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>Items</Text>
+            <Text style={styles.value}>{itemsCount}</Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>Payment</Text>
+            <Text style={styles.value}>
+              {PAYMENT_LABELS[order.paymentMethod] || order.paymentMethod}
+            </Text>
+          </View>
+          {summary?.usedShippingAddress || order.shippingAddress ? (
+            <View style={styles.addressBlock}>
+              <Text style={styles.label}>Delivering to</Text>
+              <Text style={styles.address}>
+                {summary?.usedShippingAddress || order.shippingAddress}
+              </Text>
+            </View>
+          ) : null}
+          <View style={[styles.row, styles.totalRow]}>
+            <Text style={styles.totalLabel}>Total</Text>
+            <Text style={styles.totalValue}>${Number(total).toFixed(2)}</Text>
+          </View>
+        </View>
+
+        {payment?.clientSecret ? (
+          <Text style={styles.paymentNote}>
+            The order is confirmed as soon as the card payment succeeds – you
+            can follow it under My orders.
+          </Text>
+        ) : null}
+
+        <View style={styles.actions}>
+          <Button
+            title="Track order"
+            iconName="truck"
+            onPress={() => goTo('Order_Tracking')}
+            backgroundColor={theme.colors.primary}
+            style={styles.actionBtn}
+          />
+          <Button
+            title="View invoice"
+            iconName="file-text"
+            onPress={handleOpenInvoice}
+            loading={invoiceLoading}
+            backgroundColor={theme.colors.white}
+            textColor={theme.colors.primary}
+            style={[styles.actionBtn, styles.outlineBtn]}
+          />
+          <Button
+            title="My orders"
+            iconName="list"
+            onPress={() => goTo('Order_History')}
+            backgroundColor={theme.colors.white}
+            textColor={theme.colors.primary}
+            style={[styles.actionBtn, styles.outlineBtn]}
+          />
+          <Button
+            title="Continue shopping"
+            onPress={() => goTo('Main')}
+            backgroundColor={theme.colors.secondary}
+            style={styles.actionBtn}
+          />
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+export default OrderSuccess;
+
+const styles = StyleSheet.create({
+  scrollContainer: {
+    alignItems: 'center',
+    padding: width * 0.05,
+    paddingTop: height * 0.08,
+  },
+
+  iconCircle: {
+    width: width * 0.25,
+    height: width * 0.25,
+    borderRadius: width * 0.125,
+    backgroundColor: theme.colors.success,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  title: {
+    marginTop: height * 0.025,
+    fontSize: theme.typography.fontSize.xl,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+  },
+
+  subtitle: {
+    marginTop: height * 0.01,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+    opacity: 0.7,
+    textAlign: 'center',
+  },
+
+  card: {
+    width: '100%',
+    marginTop: height * 0.03,
+    backgroundColor: theme.colors.white,
+    borderRadius: theme.borderRadius.large,
+    padding: width * 0.05,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 6,
+  },
+
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: height * 0.01,
+  },
+
+  label: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+    opacity: 0.7,
+  },
+
+  value: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+  },
+
+  addressBlock: {
+    marginBottom: height * 0.01,
+  },
+
+  address: {
+    marginTop: height * 0.004,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+  },
+
+  totalRow: {
+    marginTop: height * 0.005,
+    paddingTop: height * 0.015,
+    borderTopWidth: 1,
+    borderTopColor: '#EEE',
+  },
+
+  totalLabel: {
+    fontSize: theme.typography.fontSize.lg,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+  },
+
+  totalValue: {
+    fontSize: theme.typography.fontSize.lg,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.primary,
+  },
+
+  paymentNote: {
+    marginTop: height * 0.02,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.primary,
+    textAlign: 'center',
+  },
+
+  actions: {
+    width: '100%',
+    marginTop: height * 0.03,
+    gap: height * 0.015,
+  },
+
+  actionBtn: {
+    width: '100%',
+    borderRadius: theme.borderRadius.medium,
+  },
+
+  outlineBtn: {
+    borderWidth: 1.5,
+    borderColor: theme.colors.primary,
+  },
+});
@@ -7,15 +7,16 @@
  * - Displays a curated list of electronic and appliance categories (Laptops, Smartphones, etc.).
  * - Handles real-time location detection and permission management to provide localized services.
  * - Integrates with Redux for fetching and filtering global product data.
- * - Provides search functionality to filter available categories dynamically.
+ * - Product search bar with autocomplete suggestions (queries, categories, products)
+ *   as you type; submitting opens the relevance-ranked search results.
  * Features:
  * - Automated Geolocation: Requests and updates user coordinates on component mount.
- * - Dynamic Category Extraction: Parses product metadata to count and display relevant categories.
+ * - Category Summary: Product counts and cover images per category come from the backend.
  * - Responsive UI: Utilizes a dual-column FlatList for an elegant, modern shopping experience.
  * - Theme Integration: Uses global theme colors and typography for brand consistency.
  */
 
-import React, { useEffect, useState, useMemo } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   StyleSheet,
   View,
@@ -24,6 +25,7 @@ import {
   FlatList,
   Text,
   Pressable,
+  Keyboard,
   PermissionsAndroid,
   Platform,
   RefreshControl,
@@ -36,35 +38,21 @@ import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityI
 import InputField from '../../utilities/custom-components/input-field/InputField.utility';
 import CategoryCard from '../../utilities/custom-components/card/category-card/CategoryCard';
 import { useDispatch, useSelector } from 'react-redux';
-import { getAllProducts } from '../../redux/slices/product.slice';
+import {
+  getCategoryTree,
+  getSearchSuggestions,
+  clearSearchSuggestions,
+} from '../../redux/slices/product.slice';
 import { getUser, updateLocation } from '../../redux/slices/user.slice';
 import { useNavigation } from '@react-navigation/native';
 
 const { width, height } = Dimensions.get('window');
 
-const ALLOWED_CATEGORIES = [
-  'laptops',
-  'smartphones',
-  'refrigerators',
-  'washingmachines',
-  'xbox',
-  'consoles',
-  'playstations',
-  'televisions',
-];
-
-const extractCategories = product => {
-  const result = [];
-  if (!product?.category) return result;
-  product.category.forEach(c => {
-    try {
-      const parsed = JSON.parse(c);
-      if (Array.isArray(parsed)) {
-        parsed.forEach(p => p && result.push(p));
-      }
-    } catch {}
-  });
-  return result;
+/** Icon per suggestion type */
+const SUGGESTION_ICONS = {
+  query: 'magnify',
+  category: 'shape-outline',
+  product: 'package-variant-closed',
 };
 
 const Home = () => {
@@ -74,17 +62,32 @@ const Home = () => {
 
   const user = useSelector(state => state.auth.user);
   const profile = useSelector(state => state.user.user);
-  const AllProducts = useSelector(state => state.product.products || []);
-  const loading = useSelector(state => state.product.loading || false);
+  const categories = useSelector(state => state.product.categories || []);
+  const loading = useSelector(
+    state => state.product.categoriesLoading || false,
+  );
+  const suggestions = useSelector(state => state.product.suggestions || []);
 
   useEffect(() => {
+    // Guests browse the catalog too
+    dispatch(getCategoryTree());
     if (user?.id) {
-      dispatch(getAllProducts());
       dispatch(getUser(user.id));
       requestLocationPermission();
     }
   }, [dispatch, user]);
 
+  // Suggestions once typing pauses
+  useEffect(() => {
+    const q = searchQuery.trim();
+    if (q.length < 2) {
+      dispatch(clearSearchSuggestions());
+      return;
+    }
+    const timer = setTimeout(() => dispatch(getSearchSuggestions(q)), 250);
+    return () => clearTimeout(timer);
+  }, [dispatch, searchQuery]);
+
   useEffect(() => {
     StatusBar.setBarStyle('light-content');
     StatusBar.setTranslucent(true);
@@ -131,33 +134,33 @@ const Home = () => {
     );
   };
 
-  const categoriesData = useMemo(() => {
-    const map = {};
-    AllProducts.forEach(p => {
-      const cats = extractCategories(p);
-      cats.forEach(cat => {
-        if (!ALLOWED_CATEGORIES.includes(cat)) return;
-        if (!map[cat]) {
-          map[cat] = {
-            title: cat,
-            itemCount: 0,
-            imageUrl: p.productImages?.[0] || null,
-          };
-        }
-        map[cat].itemCount += 1;
-        if (!map[cat].imageUrl && p.productImages?.[0]) {
-          map[cat].imageUrl = p.productImages[0];
-        }
-      });
-    });
-    return ALLOWED_CATEGORIES.map(c => map[c]).filter(Boolean);
-  }, [AllProducts]);
+  const resetSearch = () => {
+    Keyboard.dismiss();
+    setSearchQuery('');
+    dispatch(clearSearchSuggestions());
+  };
 
-  const filteredCategories = useMemo(() => {
-    if (!searchQuery) return categoriesData;
-    const q = searchQuery.toLowerCase();
-    return categoriesData.filter(c => c.title.toLowerCase().includes(q));
-  }, [searchQuery, categoriesData]);
+  const submitSearch = query => {
+    const q = (query ?? searchQuery).trim();
+    if (!q) return;
+    resetSearch();
+    navigation.navigate('Search_Results', { query: q });
+  };
+
+  const handleSuggestionPress = suggestion => {
+    if (suggestion.type === 'product') {
+      resetSearch();
+      // The details screen loads the rest of the product by id
+      navigation.navigate('Product_Details', {
+        product: { _id: suggestion.productId, title: suggestion.text },
+      });
+    } else if (suggestion.type === 'category') {
+      resetSearch();
+      navigation.navigate('Product_Category', { category: suggestion.text });
+    } else {
+      submitSearch(suggestion.text);
+    }
+  };
 
   const EmptyState = () => (
     <Animatable.View
@@ -177,13 +180,9 @@ const Home = () => {
           color="#CBD5E1"
         />
       </Animatable.View>
-      <Text style={styles.emptyTitle}>
-        {searchQuery ? 'No matching categories' : 'No categories available'}
-      </Text>
+      <Text style={styles.emptyTitle}>No categories available</Text>
       <Text style={styles.emptySubtitle}>
-        {searchQuery
-          ? 'Try a different search term'
-          : 'New categories are added regularly – check back soon!'}
+        New categories are added regularly – check back soon!
       </Text>
       <Animatable.View animation="fadeInUp" delay={400} duration={600}>
         <Text style={styles.emptyHint}>
@@ -201,12 +200,13 @@ const Home = () => {
       easing="ease-out-cubic"
     >
       <CategoryCard
-        title={item.title}
+        title={item.name}
         imageUrl={item.imageUrl}
-        itemCount={item.itemCount}
+        itemCount={item.productCount}
         onPress={() => {
           navigation.navigate('Product_Category', {
-            category: item.title,
+            category: item.slug,
+            title: item.name,
           });
         }}
       />
@@ -247,9 +247,11 @@ const Home = () => {
 
       <View style={styles.searchSection}>
         <InputField
-          placeholder="Search categories..."
+          placeholder="Search products..."
           value={searchQuery}
           onChangeText={setSearchQuery}
+          onSubmitEditing={() => submitSearch()}
+          returnKeyType="search"
           leftIcon={
             <MaterialCommunityIcons
               name="magnify"
@@ -257,7 +259,43 @@ const Home = () => {
               color={theme.colors.darkGray}
             />
           }
+          rightIcon={
+            searchQuery ? (
+              <MaterialCommunityIcons
+                name="close-circle"
+                size={width * 0.055}
+                color={theme.colors.gray}
+              />
+            ) : null
+          }
+          onRightIconPress={resetSearch}
         />
+
+        {searchQuery.trim().length >= 2 && suggestions.length > 0 && (
+          <View style={styles.suggestions}>
+            {suggestions.map(suggestion => (
+              <Pressable
+                key={`${suggestion.type}:${
+                  suggestion.productId || suggestion.text
+                }`}
+                style={styles.suggestionRow}
+                onPress={() => handleSuggestionPress(suggestion)}
+              >
+                <MaterialCommunityIcons
+                  name={SUGGESTION_ICONS[suggestion.type] || 'magnify'}
+                  size={20}
+                  color={theme.colors.gray}
+                />
+                <Text style={styles.suggestionText} numberOfLines={1}>
+                  {suggestion.text}
+                </Text>
+                {suggestion.type === 'category' && (
+                  <Text style={styles.suggestionType}>Category</Text>
+                )}
+              </Pressable>
+            ))}
+          </View>
+        )}
       </View>
 
       <View style={styles.content}>
@@ -274,8 +312,8 @@ const Home = () => {
         </View>
 
         <FlatList
-          data={filteredCategories}
-          keyExtractor={item => item.title}
+          data={categories}
+          keyExtractor={item => item._id}
           numColumns={2}
           columnWrapperStyle={styles.columnWrapper}
           contentContainerStyle={styles.list}
@@ -283,7 +321,7 @@ const Home = () => {
           refreshControl={
             <RefreshControl
               refreshing={loading}
-              onRefresh={() => dispatch(getAllProducts())}
+              onRefresh={() => dispatch(getCategoryTree())}
               colors={[theme.colors.primary]}
               tintColor={theme.colors.primary}
             />
@@ -337,6 +375,45 @@ const styles = StyleSheet.create({
   searchSection: {
     paddingHorizontal: width * 0.02,
     marginTop: height * 0.025,
+    zIndex: 10,
+  },
+
+  suggestions: {
+    position: 'absolute',
+    top: '100%',
+    left: width * 0.04,
+    right: width * 0.04,
+    backgroundColor: theme.colors.white,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    paddingVertical: height * 0.006,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 12,
+    elevation: 8,
+  },
+
+  suggestionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: height * 0.012,
+    paddingHorizontal: width * 0.04,
+  },
+
+  suggestionText: {
+    flex: 1,
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.medium,
+    color: '#0F172A',
+    marginLeft: width * 0.03,
+  },
+
+  suggestionType: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.gray,
   },
 
   content: {
@@ -0,0 +1,560 @@
+/**
+ * @fileoverview Order Details Screen
+ * @module screens/orders/OrderDetailsScreen
+ * @description Shows one order: status, items, delivery address, totals and
+ *              the status timeline, with links to its invoice and tracking.
+ *              PENDING orders can be cancelled with a reason (min 5 characters).
+ *              Expects `route.params.orderId`.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Dimensions,
+  StatusBar,
+  ScrollView,
+  Text,
+  Image,
+  RefreshControl,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import Toast from 'react-native-toast-message';
+import { theme } from '../../../styles/Themes';
+import { globalStyles } from '../../../styles/GlobalStyles';
+import Header from '../../../utilities/custom-components/header/header/Header';
+import Loader from '../../../utilities/custom-components/loader/Loader.utility';
+import Button from '../../../utilities/custom-components/button/Button.utility';
+import Modal from '../../../utilities/custom-components/modal/Modal.utility';
+import InputField from '../../../utilities/custom-components/input-field/InputField.utility';
+import OrderStatusChip from '../../../utilities/custom-components/order-status-chip/OrderStatusChip.utility';
+import {
+  getOrderById,
+  cancelOrder,
+  openOrderInvoice,
+} from '../../../redux/slices/order.slice';
+
+const { width, height } = Dimensions.get('window');
+
+const PAYMENT_LABELS = {
+  PAY_ON_DELIVERY: 'Cash on delivery',
+  DEBIT_CARD: 'Debit card',
+};
+
+const formatStatus = status => (status || '').replace(/_/g, ' ');
+
+const formatDateTime = date =>
+  new Date(date).toLocaleString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const formatMoney = amount => `$${Number(amount || 0).toFixed(2)}`;
+
+const OrderDetails = () => {
+  const dispatch = useDispatch();
+  const navigation = useNavigation();
+  const { orderId } = useRoute().params || {};
+  const {
+    currentOrder,
+    orderLoading,
+    orderError,
+    cancellingOrder,
+    invoiceLoading,
+  } = useSelector(state => state.order);
+
+  const [refreshing, setRefreshing] = useState(false);
+  const [showCancelModal, setShowCancelModal] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+
+  const order = currentOrder?._id === orderId ? currentOrder : null;
+
+  useEffect(() => {
+    StatusBar.setBackgroundColor(theme.colors.primary);
+    if (orderId) dispatch(getOrderById(orderId));
+  }, [dispatch, orderId]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await dispatch(getOrderById(orderId));
+    setRefreshing(false);
+  };
+
+  const handleOpenInvoice = async () => {
+    const result = await dispatch(openOrderInvoice(orderId));
+    if (openOrderInvoice.rejected.match(result)) {
+      Toast.show({
+        type: 'error',
+        text1: 'Invoice unavailable',
+        text2: result.payload?.message,
+      });
+    }
+  };
+
+  const handleCancelOrder = async () => {
+    const reason = cancelReason.trim();
+    if (reason.length < 5) {
+      Toast.show({
+        type: 'error',
+        text1: 'Reason required',
+        text2: 'Tell us why you are cancelling (at least 5 characters)',
+      });
+      return;
+    }
+
+    const result = await dispatch(cancelOrder({ orderId, reason }));
+
+    if (cancelOrder.fulfilled.match(result)) {
+      setShowCancelModal(false);
+      setCancelReason('');
+      Toast.show({ type: 'success', text1: result.payload.message });
+      // Reload for the new timeline entry and payment status
+      dispatch(getOrderById(orderId));
+    } else {
+      Toast.show({
+        type: 'error',
+        text1: 'Order not cancelled',
+        text2: result.payload?.message,
+      });
+    }
+  };
+
+  if (!order) {
+    return (
+      <View style={[globalStyles.container]}>
+        <Header title="Order Details" onPressLeft={() => navigation.goBack()} />
+        <View style={styles.centerContainer}>
+          {orderLoading ? (
+            <Loader />
+          ) : (
+            <>
+              <MaterialCommunityIcons
+                name="package-variant-remove"
+                size={width * 0.2}
+                color={theme.colors.primary}
+              />
+              <Text style={styles.emptyTitle}>
+                {orderError || 'Order not found'}
+              </Text>
+            </>
+          )}
+        </View>
+      </View>
+    );
+  }
+
+  const totals = order.totals || {
+    subtotal: order.items.reduce(
+      (sum, item) => sum + item.priceAtPurchase * item.quantity,
+      0,
+    ),
+    discount: 0,
+    tax: 0,
+    shipping: order.shippingCost || 0,
+    grandTotal: order.totalAmount,
+  };
+  const couponCodes = (order.discounts || [])
+    .map(discount => discount.code)
+    .join(', ');
+  const history = [...(order.statusHistory || [])].reverse();
+
+  return (
+    <View style={[globalStyles.container]}>
+      <Header
+        title={`Order #${order._id.slice(-6).toUpperCase()}`}
+        onPressLeft={() => navigation.goBack()}
+      />
+
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        showsVerticalScrollIndicator={false}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={handleRefresh}
+            colors={[theme.colors.primary]}
+          />
+        }
+      >
+        <View style={styles.card}>
+          <View style={styles.rowBetween}>
+            <OrderStatusChip status={order.status} />
+            <Text style={styles.metaText}>
+              {formatDateTime(order.createdAt)}
+            </Text>
+          </View>
+          <View style={[styles.rowBetween, styles.rowSpacing]}>
+            <Text style={styles.label}>Payment</Text>
+            <Text style={styles.value}>
+              {PAYMENT_LABELS[order.paymentMethod] || order.paymentMethod} ·{' '}
+              {formatStatus(order.paymentStatus)}
+            </Text>
+          </View>
+          {order.invoiceNumber ? (
+            <View style={styles.rowBetween}>
+              <Text style={styles.label}>Invoice</Text>
+              <Text style={styles.value}>{order.invoiceNumber}</Text>
+            </View>
+          ) : null}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Items</Text>
+          {order.items.map(item => (
+            <View key={item._id} style={styles.itemRow}>
+              {item.product?.productImages?.[0] ? (
+                <Image
+                  source={{ uri: item.product.productImages[0] }}
+                  style={styles.itemImage}
+                />
+              ) : (
+                <View style={[styles.itemImage, styles.itemImagePlaceholder]}>
+                  <MaterialCommunityIcons
+                    name="image-off-outline"
+                    size={width * 0.06}
+                    color={theme.colors.gray}
+                  />
+                </View>
+              )}
+              <View style={styles.itemInfo}>
+                <Text style={styles.itemTitle} numberOfLines={2}>
+                  {item.product?.title || 'Product no longer available'}
+                </Text>
+                <Text style={styles.metaText}>
+                  {item.quantity} × {formatMoney(item.priceAtPurchase)}
+                  {item.fulfillmentStatus &&
+                  item.fulfillmentStatus !== 'UNFULFILLED'
+                    ? ` · ${formatStatus(item.fulfillmentStatus)}`
+                    : ''}
+                </Text>
+                {item.returnedQuantity > 0 ? (
+                  <Text style={styles.metaText}>
+                    {item.returnedQuantity} returned
+                  </Text>
+                ) : null}
+              </View>
+              <Text style={styles.value}>
+                {formatMoney(item.priceAtPurchase * item.quantity)}
+              </Text>
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Delivery address</Text>
+          <Text style={styles.addressText}>{order.shippingAddress}</Text>
+          {order.shippingZone ? (
+            <Text style={styles.metaText}>Zone: {order.shippingZone}</Text>
+          ) : null}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Summary</Text>
+          <View style={styles.rowBetween}>
+            <Text style={styles.label}>Subtotal</Text>
+            <Text style={styles.value}>{formatMoney(totals.subtotal)}</Text>
+          </View>
+          {totals.discount > 0 ? (
+            <View style={styles.rowBetween}>
+              <Text style={styles.label}>
+                Discount{couponCodes ? ` (${couponCodes})` : ''}
+              </Text>
+              <Text style={styles.value}>-{formatMoney(totals.discount)}</Text>
+            </View>
+          ) : null}
+          <View style={styles.rowBetween}>
+            <Text style={styles.label}>Shipping</Text>
+            <Text style={styles.value}>{formatMoney(totals.shipping)}</Text>
+          </View>
+          <View style={styles.rowBetween}>
+            <Text style={styles.label}>
+              Tax{order.taxRegion ? ` (${order.taxRegion})` : ''}
+            </Text>
+            <Text style={styles.value}>{formatMoney(totals.tax)}</Text>
+          </View>
+          <View style={[styles.rowBetween, styles.totalRow]}>
+            <Text style={styles.totalLabel}>Total</Text>
+            <Text style={styles.totalValue}>
+              {formatMoney(order.totalAmount)}
+            </Text>
+          </View>
+          {order.refundedAmount > 0 ? (
+            <View style={styles.rowBetween}>
+              <Text style={styles.label}>Refunded</Text>
+              <Text style={styles.value}>
+                {formatMoney(order.refundedAmount)}
+              </Text>
+            </View>
+          ) : null}
+        </View>
+
+        {history.length > 0 ? (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Timeline</Text>
+            {history.map((entry, index) => (
+              <View key={entry._id || index} style={styles.timelineRow}>
+                <View
+                  style={[
+                    styles.timelineDot,
+                    index === 0 && styles.timelineDotActive,
+                  ]}
+                />
+                <View style={styles.timelineInfo}>
+                  <Text style={styles.value}>{formatStatus(entry.status)}</Text>
+                  <Text style={styles.metaText}>
+                    {formatDateTime(entry.changedAt)}
+                  </Text>
+                  {entry.note ? (
+                    <Text style={styles.timelineNote}>{entry.note}</Text>
+                  ) : null}
+                </View>
+              </View>
+            ))}
+          </View>
+        ) : null}
+
+        <View style={styles.actions}>
+          {order.status !== 'PENDING' && order.status !== 'CANCELLED' ? (
+            <Button
+              title="Track order"
+              iconName="truck"
+              onPress={() =>
+                navigation.navigate('Order_Tracking', { orderId: order._id })
+              }
+              backgroundColor={theme.colors.primary}
+              style={styles.actionBtn}
+            />
+          ) : null}
+          <Button
+            title="View invoice"
+            iconName="file-text"
+            onPress={handleOpenInvoice}
+            loading={invoiceLoading}
+            backgroundColor={theme.colors.white}
+            textColor={theme.colors.primary}
+            style={[styles.actionBtn, styles.outlineBtn]}
+          />
+          {order.status === 'PENDING' ? (
+            <Button
+              title="Cancel order"
+              iconName="x-circle"
+              onPress={() => setShowCancelModal(true)}
+              backgroundColor={theme.colors.error}
+              textColor={theme.colors.white}
+              style={styles.actionBtn}
+            />
+          ) : null}
+        </View>
+      </ScrollView>
+
+      <Modal
+        isOpen={showCancelModal}
+        onClose={() => setShowCancelModal(false)}
+        title="Cancel Order"
+        subtitle={
+          order.paymentStatus === 'PAID'
+            ? 'Your card payment will be refunded.'
+            : 'Items will be released and the order closed.'
+        }
+        buttons={[
+          {
+            label: 'Keep order',
+            variant: 'secondary',
+            onClick: () => setShowCancelModal(false),
+          },
+          {
+            label: 'Cancel order',
+            variant: 'danger',
+            loading: cancellingOrder,
+            onClick: handleCancelOrder,
+          },
+        ]}
+      >
+        <InputField
+          placeholder="Why are you cancelling?"
+          value={cancelReason}
+          onChangeText={setCancelReason}
+          multiline
+        />
+      </Modal>
+    </View>
+  );
+};
+
+export default OrderDetails;
+
+const styles = StyleSheet.create({
+  scrollContainer: {
+    padding: width * 0.04,
+    paddingBottom: height * 0.05,
+  },
+
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingBottom: height * 0.1,
+  },
+
+  emptyTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+    marginTop: height * 0.02,
+    textAlign: 'center',
+  },
+
+  card: {
+    backgroundColor: theme.colors.white,
+    borderRadius: theme.borderRadius.large,
+    padding: width * 0.05,
+    marginBottom: height * 0.02,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 6,
+  },
+
+  sectionTitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+    marginBottom: height * 0.012,
+  },
+
+  rowBetween: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: height * 0.008,
+  },
+
+  rowSpacing: {
+    marginTop: height * 0.012,
+  },
+
+  label: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+    opacity: 0.7,
+  },
+
+  value: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+  },
+
+  metaText: {
+    fontSize: theme.typography.fontSize.xs - 2,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+    opacity: 0.7,
+  },
+
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: height * 0.015,
+  },
+
+  itemImage: {
+    width: width * 0.14,
+    height: width * 0.14,
+    borderRadius: theme.borderRadius.medium,
+    marginRight: width * 0.03,
+  },
+
+  itemImagePlaceholder: {
+    backgroundColor: '#F1F5F9',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  itemInfo: {
+    flex: 1,
+    marginRight: width * 0.02,
+  },
+
+  itemTitle: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+  },
+
+  addressText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+    marginBottom: height * 0.005,
+  },
+
+  totalRow: {
+    marginTop: height * 0.005,
+    paddingTop: height * 0.012,
+    borderTopWidth: 1,
+    borderTopColor: '#EEE',
+  },
+
+  totalLabel: {
+    fontSize: theme.typography.fontSize.md,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+  },
+
+  totalValue: {
+    fontSize: theme.typography.fontSize.md,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.primary,
+  },
+
+  timelineRow: {
+    flexDirection: 'row',
+    marginBottom: height * 0.015,
+  },
+
+  timelineDot: {
+    width: width * 0.03,
+    height: width * 0.03,
+    borderRadius: width * 0.015,
+    backgroundColor: theme.colors.gray,
+    marginTop: height * 0.006,
+    marginRight: width * 0.03,
+  },
+
+  timelineDotActive: {
+    backgroundColor: theme.colors.primary,
+  },
+
+  timelineInfo: {
+    flex: 1,
+  },
+
+  timelineNote: {
+    fontSize: theme.typography.fontSize.xs - 2,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+    marginTop: height * 0.004,
+  },
+
+  actions: {
+    gap: height * 0.015,
+  },
+
+  actionBtn: {
+    width: '100%',
+    borderRadius: theme.borderRadius.medium,
+  },
+
+  outlineBtn: {
+    borderWidth: 1.5,
+    borderColor: theme.colors.primary,
+  },
+});
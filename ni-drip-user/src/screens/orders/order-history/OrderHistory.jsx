@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Order History Screen
+ * @module screens/orders/OrderHistoryScreen
+ * @description Lists the customer's orders (newest first, loaded a page at a
+ *              time as the list scrolls) with their status, items and total,
+ *              optionally filtered by status. Tapping an order opens its detail
+ *              screen. "Buy again" puts an order's items back into the cart at
+ *              today's prices and reports any that could not be added.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Dimensions,
+  StatusBar,
+  FlatList,
+  Text,
+  RefreshControl,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation } from '@react-navigation/native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import Toast from 'react-native-toast-message';
+import { theme } from '../../../styles/Themes';
+import { globalStyles } from '../../../styles/GlobalStyles';
+import Header from '../../../utilities/custom-components/header/header/Header';
+import Loader from '../../../utilities/custom-components/loader/Loader.utility';
+import Button from '../../../utilities/custom-components/button/Button.utility';
+import OrderStatusChip from '../../../utilities/custom-components/order-status-chip/OrderStatusChip.utility';
+import { getMyOrders, reorderOrder } from '../../../redux/slices/order.slice';
+import { getAllCartItems } from '../../../redux/slices/cart.slice';
+
+const { width, height } = Dimensions.get('window');
+
+/**
+ * Status filters above the list (null = all orders)
+ * @type {Array<{ label: string, value: string|null }>}
+ */
+const STATUS_FILTERS = [
+  { label: 'All', value: null },
+  { label: 'Pending', value: 'PENDING' },
+  { label: 'Processing', value: 'PROCESSING' },
+  { label: 'Shipped', value: 'SHIPPED' },
+  { label: 'Delivered', value: 'DELIVERED' },
+  { label: 'Cancelled', value: 'CANCELLED' },
+  { label: 'Returned', value: 'RETURNED' },
+];
+
+const formatDate = date =>
+  new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  });
+
+const OrderHistory = () => {
+  const dispatch = useDispatch();
+  const navigation = useNavigation();
+  const {
+    orders,
+    ordersPage,
+    ordersHasMore,
+    ordersLoading,
+    ordersLoadingMore,
+    ordersError,
+    reorderingId,
+  } = useSelector(state => state.order);
+
+  const [refreshing, setRefreshing] = useState(false);
+  const [statusFilter, setStatusFilter] = useState(null);
+
+  useEffect(() => {
+    StatusBar.setBackgroundColor(theme.colors.primary);
+  }, []);
+
+  useEffect(() => {
+    dispatch(getMyOrders({ page: 1, status: statusFilter }));
+  }, [dispatch, statusFilter]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await dispatch(getMyOrders({ page: 1, status: statusFilter }));
+    setRefreshing(false);
+  };
+
+  const handleLoadMore = () => {
+    if (!ordersHasMore || ordersLoading || ordersLoadingMore) return;
+    dispatch(getMyOrders({ page: ordersPage + 1, status: statusFilter }));
+  };
+
+  const handleBuyAgain = async orderId => {
+    const result = await dispatch(reorderOrder(orderId));
+
+    if (reorderOrder.fulfilled.match(result)) {
+      const { message, skipped } = result.payload;
+      dispatch(getAllCartItems());
+      Toast.show({
+        type: 'success',
+        text1: message,
+        text2: skipped.map(line => line.message).join('\n') || undefined,
+        onPress: () => navigation.navigate('Cart'),
+      });
+    } else {
+      const { message, skipped = [] } = result.payload || {};
+      Toast.show({
+        type: 'error',
+        text1: message || 'Failed to reorder',
+        text2: skipped.map(line => line.message).join('\n') || undefined,
+      });
+    }
+  };
+
+  const renderOrder = ({ item: order }) => {
+    const [firstItem, ...otherItems] = order.items;
+
+    return (
+      <TouchableOpacity
+        style={styles.orderCard}
+        activeOpacity={0.8}
+        onPress={() =>
+          navigation.navigate('Order_Details', { orderId: order._id })
+        }
+      >
+        <View style={styles.orderHeader}>
+          <Text style={styles.orderId}>
+            #{order._id.slice(-6).toUpperCase()}
+          </Text>
+          <OrderStatusChip status={order.status} />
+        </View>
+
+        <Text style={styles.orderMeta}>{formatDate(order.createdAt)}</Text>
+        <Text style={styles.orderItems} numberOfLines={1}>
+          {firstItem?.product?.title || 'Item'} × {firstItem?.quantity}
+          {otherItems.length > 0 ? ` + ${otherItems.length} more` : ''}
+        </Text>
+
+        <View style={styles.orderFooter}>
+          <Text style={styles.orderTotal}>
+            ${Number(order.totalAmount || 0).toFixed(2)}
+          </Text>
+          <Button
+            title="Buy again"
+            onPress={() => handleBuyAgain(order._id)}
+            loading={reorderingId === order._id}
+            disabled={Boolean(reorderingId) && reorderingId !== order._id}
+            width={width * 0.36}
+            iconName="shopping-cart"
+            backgroundColor={theme.colors.primary}
+            textColor={theme.colors.white}
+          />
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={[globalStyles.container]}>
+      <Header title="My Orders" onPressLeft={() => navigation.goBack()} />
+
+      <View>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.filterRow}
+        >
+          {STATUS_FILTERS.map(filter => {
+            const selected = filter.value === statusFilter;
+            return (
+              <TouchableOpacity
+                key={filter.label}
+                style={[styles.filterChip, selected && styles.filterChipActive]}
+                onPress={() => setStatusFilter(filter.value)}
+              >
+                <Text
+                  style={[
+                    styles.filterText,
+                    selected && styles.filterTextActive,
+                  ]}
+                >
+                  {filter.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      </View>
+
+      {ordersLoading && !refreshing ? (
+        <View style={styles.loaderContainer}>
+          <Loader />
+        </View>
+      ) : (
+        <FlatList
+          data={orders}
+          keyExtractor={order => order._id}
+          renderItem={renderOrder}
+          contentContainerStyle={styles.listContainer}
+          showsVerticalScrollIndicator={false}
+          onEndReached={handleLoadMore}
+          onEndReachedThreshold={0.4}
+          ListFooterComponent={
+            ordersLoadingMore ? (
+              <ActivityIndicator
+                color={theme.colors.primary}
+                style={styles.footerLoader}
+              />
+            ) : null
+          }
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={handleRefresh}
+              colors={[theme.colors.primary]}
+            />
+          }
+          ListEmptyComponent={
+            <View style={styles.emptyContainer}>
+              <MaterialCommunityIcons
+                name="package-variant-closed"
+                size={width * 0.2}
+                color={theme.colors.primary}
+              />
+              <Text style={styles.emptyTitle}>
+                {ordersError || (statusFilter ? 'No orders' : 'No orders yet')}
+              </Text>
+              {!ordersError ? (
+                <Text style={styles.emptySubtitle}>
+                  {statusFilter
+                    ? 'No orders with this status.'
+                    : 'Orders you place will appear here.'}
+                </Text>
+              ) : null}
+            </View>
+          }
+        />
+      )}
+    </View>
+  );
+};
+
+export default OrderHistory;
+
+const styles = StyleSheet.create({
+  loaderContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  listContainer: {
+    padding: width * 0.04,
+    paddingBottom: height * 0.05,
+  },
+
+  filterRow: {
+    paddingHorizontal: width * 0.04,
+    paddingTop: height * 0.015,
+    gap: width * 0.02,
+  },
+
+  filterChip: {
+    paddingHorizontal: width * 0.04,
+    paddingVertical: height * 0.008,
+    borderRadius: 20,
+    borderWidth: 1.5,
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.white,
+  },
+
+  filterChipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+
+  filterText: {
+    fontSize: theme.typography.fontSize.xs - 2,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.primary,
+  },
+
+  filterTextActive: {
+    color: theme.colors.white,
+  },
+
+  footerLoader: {
+    marginVertical: height * 0.02,
+  },
+
+  emptyContainer: {
+    alignItems: 'center',
+    paddingTop: height * 0.15,
+  },
+
+  emptyTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+    marginTop: height * 0.02,
+  },
+
+  emptySubtitle: {
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+    marginTop: height * 0.01,
+    textAlign: 'center',
+    paddingHorizontal: width * 0.1,
+  },
+
+  orderCard: {
+    backgroundColor: theme.colors.white,
+    borderRadius: theme.borderRadius.large,
+    padding: width * 0.05,
+    marginBottom: height * 0.02,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 6,
+  },
+
+  orderHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+
+  orderId: {
+    fontSize: theme.typography.fontSize.md,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+  },
+
+  orderMeta: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+    opacity: 0.7,
+    marginTop: height * 0.005,
+  },
+
+  orderItems: {
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+    marginTop: height * 0.01,
+  },
+
+  orderFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: height * 0.015,
+  },
+
+  orderTotal: {
+    fontSize: theme.typography.fontSize.md,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+  },
+});
@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Order Tracking Screen
+ * @module screens/orders/OrderTrackingScreen
+ * @description Shows the shipments of an order (an order may ship in several
+ *              parcels) with their items, carrier, tracking number, estimated
+ *              delivery and a timeline of tracking events (latest first).
+ *              Expects `route.params.orderId`.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Dimensions,
+  StatusBar,
+  Text,
+  RefreshControl,
+  ScrollView,
+  TouchableOpacity,
+  Linking,
+} from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { theme } from '../../../styles/Themes';
+import { globalStyles } from '../../../styles/GlobalStyles';
+import Header from '../../../utilities/custom-components/header/header/Header';
+import Loader from '../../../utilities/custom-components/loader/Loader.utility';
+import { getOrderShipments } from '../../../redux/slices/order.slice';
+
+const { width, height } = Dimensions.get('window');
+
+/**
+ * Icon per tracking status
+ * @type {Object<string, string>}
+ */
+const STATUS_ICONS = {
+  LABEL_CREATED: 'tag-outline',
+  IN_TRANSIT: 'truck-fast-outline',
+  OUT_FOR_DELIVERY: 'map-marker-radius-outline',
+  DELIVERED: 'package-variant-closed-check',
+  EXCEPTION: 'alert-circle-outline',
+};
+
+const formatStatus = status => (status || '').replace(/_/g, ' ');
+
+const formatDateTime = date =>
+  new Date(date).toLocaleString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const OrderTracking = () => {
+  const dispatch = useDispatch();
+  const navigation = useNavigation();
+  const { orderId } = useRoute().params || {};
+  const { shipments, shipmentsOrderStatus, shipmentsLoading, shipmentsError } =
+    useSelector(state => state.order);
+
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    StatusBar.setBackgroundColor(theme.colors.primary);
+    if (orderId) dispatch(getOrderShipments(orderId));
+  }, [dispatch, orderId]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await dispatch(getOrderShipments(orderId));
+    setRefreshing(false);
+  };
+
+  const renderShipment = shipment => {
+    const events = [...shipment.events].reverse();
+
+    return (
+      <View key={shipment._id} style={styles.shipmentCard}>
+        <View style={styles.shipmentHeader}>
+          <MaterialCommunityIcons
+            name={STATUS_ICONS[shipment.status] || 'truck-outline'}
+            size={width * 0.08}
+            color={theme.colors.primary}
+          />
+          <View style={styles.shipmentInfo}>
+            <Text style={styles.shipmentStatus}>
+              {formatStatus(shipment.status)}
+            </Text>
+            <Text style={styles.shipmentMeta}>
+              {shipment.carrier.toUpperCase()} · {shipment.trackingNumber}
+            </Text>
+            {shipment.estimatedDelivery && shipment.status !== 'DELIVERED' ? (
+              <Text style={styles.shipmentMeta}>
+                Estimated delivery:{' '}
+                {new Date(shipment.estimatedDelivery).toLocaleDateString(
+                  'en-GB',
+                )}
+              </Text>
+            ) : null}
+          </View>
+        </View>
+
+        {shipment.items?.length > 0 ? (
+          <View style={styles.shipmentItems}>
+            {shipment.items.map(line => (
+              <Text key={line.item} style={styles.shipmentItemText}>
+                {line.quantity} × {line.product?.title || 'Product'}
+              </Text>
+            ))}
+          </View>
+        ) : null}
+
+        {shipment.trackingUrl ? (
+          <TouchableOpacity
+            style={styles.carrierLink}
+            onPress={() => Linking.openURL(shipment.trackingUrl)}
+          >
+            <Text style={styles.carrierLinkText}>Open carrier tracking</Text>
+          </TouchableOpacity>
+        ) : null}
+
+        {events.map((event, index) => (
+          <View key={index} style={styles.eventRow}>
+            <View style={styles.eventMarker}>
+              <View
+                style={[styles.eventDot, index === 0 && styles.eventDotActive]}
+              />
+              {index < events.length - 1 ? (
+                <View style={styles.eventLine} />
+              ) : null}
+            </View>
+            <View style={styles.eventBody}>
+              <Text
+                style={[
+                  styles.eventStatus,
+                  index === 0 && styles.eventStatusActive,
+                ]}
+              >
+                {formatStatus(event.status)}
+              </Text>
+              {event.description ? (
+                <Text style={styles.eventText}>{event.description}</Text>
+              ) : null}
+              <Text style={styles.eventTime}>
+                {formatDateTime(event.occurredAt)}
+                {event.location ? ` · ${event.location}` : ''}
+              </Text>
+            </View>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  return (
+    <View style={[globalStyles.container]}>
+      <Header title="Track Order" onPressLeft={() => navigation.goBack()} />
+
+      {shipmentsLoading && !refreshing ? (
+        <View style={styles.loaderContainer}>
+          <Loader />
+        </View>
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.listContainer}
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={handleRefresh}
+              colors={[theme.colors.primary]}
+            />
+          }
+        >
+          {shipments.length > 0 ? (
+            shipments.map(renderShipment)
+          ) : (
+            <View style={styles.emptyContainer}>
+              <MaterialCommunityIcons
+                name="truck-outline"
+                size={width * 0.2}
+                color={theme.colors.primary}
+              />
+              <Text style={styles.emptyTitle}>
+                {shipmentsError || 'Not shipped yet'}
+              </Text>
+              {!shipmentsError ? (
+                <Text style={styles.emptySubtitle}>
+                  {shipmentsOrderStatus === 'CANCELLED'
+                    ? 'This order was cancelled.'
+                    : 'Tracking details will appear here once your order ships.'}
+                </Text>
+              ) : null}
+            </View>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+export default OrderTracking;
+
+const styles = StyleSheet.create({
+  loaderContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+
+  listContainer: {
+    padding: width * 0.04,
+    paddingBottom: height * 0.05,
+  },
+
+  emptyContainer: {
+    alignItems: 'center',
+    paddingTop: height * 0.15,
+  },
+
+  emptyTitle: {
+    fontSize: theme.typography.fontSize.lg,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+    marginTop: height * 0.02,
+  },
+
+  emptySubtitle: {
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+    marginTop: height * 0.01,
+    textAlign: 'center',
+    paddingHorizontal: width * 0.1,
+  },
+
+  shipmentCard: {
+    backgroundColor: theme.colors.white,
+    borderRadius: theme.borderRadius.large,
+    padding: width * 0.05,
+    marginBottom: height * 0.02,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 6,
+  },
+
+  shipmentHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: height * 0.02,
+  },
+
+  shipmentInfo: {
+    marginLeft: width * 0.03,
+    flex: 1,
+  },
+
+  shipmentStatus: {
+    fontSize: theme.typography.fontSize.md,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+  },
+
+  shipmentMeta: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+    opacity: 0.7,
+  },
+
+  shipmentItems: {
+    marginBottom: height * 0.015,
+  },
+
+  shipmentItemText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+  },
+
+  carrierLink: {
+    alignSelf: 'flex-start',
+    marginBottom: height * 0.02,
+  },
+
+  carrierLinkText: {
+    color: theme.colors.primary,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.bold,
+  },
+
+  eventRow: {
+    flexDirection: 'row',
+  },
+
+  eventMarker: {
+    alignItems: 'center',
+    width: width * 0.06,
+  },
+
+  eventDot: {
+    width: width * 0.03,
+    height: width * 0.03,
+    borderRadius: width * 0.015,
+    backgroundColor: theme.colors.gray,
+    marginTop: height * 0.006,
+  },
+
+  eventDotActive: {
+    backgroundColor: theme.colors.primary,
+  },
+
+  eventLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: theme.colors.gray,
+  },
+
+  eventBody: {
+    flex: 1,
+    paddingLeft: width * 0.02,
+    paddingBottom: height * 0.02,
+  },
+
+  eventStatus: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+    opacity: 0.7,
+  },
+
+  eventStatusActive: {
+    color: theme.colors.primary,
+    opacity: 1,
+  },
+
+  eventText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.dark,
+  },
+
+  eventTime: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.light,
+    color: theme.colors.dark,
+    opacity: 0.6,
+  },
+});
@@ -2,8 +2,11 @@
  * @component ProductCategory
  * @description A specialized screen that filters and displays products based on a selected category.
  * * * Key Features:
- * - Dynamic Filtering: Uses `useMemo` to efficiently filter the global product state
- * based on category arrays (handling JSON-parsed string inputs).
+ * - Server-side Listing: Fetches the category one page at a time from the catalog API,
+ * loading the next page as the list nears its end.
+ * - Sorting: Newest, popularity, rating and price chips re-query the backend.
+ * - Spec Filters: A filter sheet lists specification facets ("Type-C (12)") for the
+ * category; several values can be picked and counts update as they are.
  * - Grid Layout: Renders products in a two-column responsive grid using `FlatList`.
  * - Empty States: Provides visual feedback using `MaterialCommunityIcons` when no
  * products match the selected category.
@@ -12,11 +15,12 @@
  * @param {Object} props.route - React Navigation route object.
  * @param {Object} props.route.params - Route parameters.
  * @param {string} props.route.params.category - The category slug/name passed from the previous screen.
+ * @param {string} [props.route.params.title] - Display name; defaults to the capitalised `category`.
  * @param {Object} props.navigation - React Navigation prop used to navigate to "ProductDetails".
  * * @returns {React.JSX.Element}
  */
 
-import React, { useMemo } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import {
   StyleSheet,
   View,
@@ -24,29 +28,223 @@ import {
   Text,
   Dimensions,
   RefreshControl,
+  ScrollView,
+  TouchableOpacity,
 } from 'react-native';
 import * as Animatable from 'react-native-animatable';
-import { useSelector } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import { theme } from '../../../styles/Themes';
 import Header from '../../../utilities/custom-components/header/header/Header';
 import ProductCard from '../../../utilities/custom-components/card/product-card/ProductCard';
 import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import Loader from '../../../utilities/custom-components/loader/Loader.utility';
+import Modal from '../../../utilities/custom-components/modal/Modal.utility';
+import {
+  getAllProducts,
+  getSpecFacets,
+} from '../../../redux/slices/product.slice';
 
 const { width, height } = Dimensions.get('window');
 
+/**
+ * Sort chips, keyed by the catalog API's sort values
+ * @type {Array<{ value: string, label: string }>}
+ */
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'popularity', label: 'Popular' },
+  { value: 'rating', label: 'Top rated' },
+  { value: 'price_asc', label: 'Price: Low to High' },
+  { value: 'price_desc', label: 'Price: High to Low' },
+];
+
+/**
+ * Add or remove one value from a spec selection
+ * @param {Object<string, string[]>} specs
+ * @param {string} name
+ * @param {string} value
+ * @returns {Object<string, string[]>}
+ */
+const toggleSpecValue = (specs, name, value) => {
+  const values = specs[name] || [];
+  const next = values.includes(value)
+    ? values.filter(item => item !== value)
+    : [...values, value];
+  const { [name]: _removed, ...rest } = specs;
+  return next.length ? { ...rest, [name]: next } : rest;
+};
+
 const ProductCategory = ({ route, navigation }) => {
-  const { category } = route.params;
-  const allProducts = useSelector(state => state.product.products || []);
-  const loading = useSelector(state => state.product.loading || false);
+  const { category, title } = route.params;
+  const dispatch = useDispatch();
+  const {
+    products,
+    pagination,
+    loading,
+    loadingMore,
+    facets,
+    facetsTotal,
+    facetsLoading,
+  } = useSelector(state => state.product);
+  const [sort, setSort] = useState('newest');
+  const [specs, setSpecs] = useState({});
+  const [draftSpecs, setDraftSpecs] = useState({});
+  const [filtersOpen, setFiltersOpen] = useState(false);
+
+  const selectedCount = Object.values(specs).reduce(
+    (sum, values) => sum + values.length,
+    0,
+  );
+
+  const categoryTitle =
+    title || category.charAt(0).toUpperCase() + category.slice(1);
+
+  const loadPage = useCallback(
+    page => dispatch(getAllProducts({ category, sort, specs, page })),
+    [dispatch, category, sort, specs],
+  );
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
 
-  const categoryTitle = category.charAt(0).toUpperCase() + category.slice(1);
+  // Counts follow the selection in the sheet before it is applied
+  useEffect(() => {
+    if (filtersOpen) {
+      dispatch(getSpecFacets({ category, specs: draftSpecs }));
+    }
+  }, [dispatch, category, draftSpecs, filtersOpen]);
 
-  const filteredProducts = useMemo(() => {
-    return allProducts.filter(p => {
-      const cats = p.category?.map(c => JSON.parse(c)).flat() || [];
-      return cats.includes(category);
-    });
-  }, [allProducts, category]);
+  const openFilters = () => {
+    setDraftSpecs(specs);
+    setFiltersOpen(true);
+  };
+
+  const applyFilters = () => {
+    setSpecs(draftSpecs);
+    setFiltersOpen(false);
+  };
+
+  const handleEndReached = () => {
+    if (pagination?.hasMore && !loading && !loadingMore) {
+      loadPage(pagination.page + 1);
+    }
+  };
+
+  const renderSortChips = () => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      style={styles.sortScroll}
+      contentContainerStyle={styles.sortRow}
+    >
+      <TouchableOpacity
+        onPress={openFilters}
+        activeOpacity={0.8}
+        style={[styles.sortChip, styles.filterChip]}
+      >
+        <MaterialCommunityIcons
+          name="tune-variant"
+          size={16}
+          color={theme.colors.white}
+        />
+        <Text style={[styles.sortChipText, styles.sortChipTextActive]}>
+          {selectedCount ? `Filters (${selectedCount})` : 'Filters'}
+        </Text>
+      </TouchableOpacity>
+      {SORT_OPTIONS.map(option => {
+        const isActive = option.value === sort;
+        return (
+          <TouchableOpacity
+            key={option.value}
+            onPress={() => setSort(option.value)}
+            activeOpacity={0.8}
+            style={[styles.sortChip, isActive && styles.sortChipActive]}
+          >
+            <Text
+              style={[
+                styles.sortChipText,
+                isActive && styles.sortChipTextActive,
+              ]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </ScrollView>
+  );
+
+  const renderFilterSheet = () => (
+    <Modal
+      isOpen={filtersOpen}
+      onClose={() => setFiltersOpen(false)}
+      title="Filters"
+      subtitle={
+        facetsLoading
+          ? 'Counting products...'
+          : `${facetsTotal} ${facetsTotal === 1 ? 'product' : 'products'} match`
+      }
+      buttons={[
+        {
+          label: 'Clear',
+          variant: 'secondary',
+          onClick: () => setDraftSpecs({}),
+          disabled: !Object.keys(draftSpecs).length,
+        },
+        { label: 'Apply', onClick: applyFilters },
+      ]}
+    >
+      <ScrollView
+        style={styles.facetScroll}
+        showsVerticalScrollIndicator={false}
+      >
+        {!facetsLoading && facets.length === 0 && (
+          <Text style={styles.facetEmpty}>
+            No specifications to filter by in this category
+          </Text>
+        )}
+        {facets.map(facet => (
+          <View key={facet.name} style={styles.facetGroup}>
+            <Text style={styles.facetName}>{facet.name}</Text>
+            <View style={styles.facetValues}>
+              {facet.values.map(entry => {
+                const isSelected = (draftSpecs[facet.name] || []).includes(
+                  entry.value,
+                );
+                return (
+                  <TouchableOpacity
+                    key={entry.value}
+                    activeOpacity={0.8}
+                    disabled={!isSelected && entry.count === 0}
+                    onPress={() =>
+                      setDraftSpecs(prev =>
+                        toggleSpecValue(prev, facet.name, entry.value),
+                      )
+                    }
+                    style={[
+                      styles.facetChip,
+                      isSelected && styles.sortChipActive,
+                      !isSelected && entry.count === 0 && styles.facetDisabled,
+                    ]}
+                  >
+                    <Text
+                      style={[
+                        styles.facetChipText,
+                        isSelected && styles.sortChipTextActive,
+                      ]}
+                    >
+                      {entry.value} ({entry.count})
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+        ))}
+      </ScrollView>
+    </Modal>
+  );
 
   const EmptyState = () => (
     <Animatable.View
@@ -66,9 +264,15 @@ const ProductCategory = ({ route, navigation }) => {
           color="#CBD5E1"
         />
       </Animatable.View>
-      <Text style={styles.emptyTitle}>No products in {categoryTitle}</Text>
+      <Text style={styles.emptyTitle}>
+        {selectedCount
+          ? 'No products match these filters'
+          : `No products in ${categoryTitle}`}
+      </Text>
       <Text style={styles.emptySubtitle}>
-        Check back later or explore other categories
+        {selectedCount
+          ? 'Try removing a filter'
+          : 'Check back later or explore other categories'}
       </Text>
       <Animatable.View animation="fadeInUp" delay={400} duration={600}>
         <Text style={styles.emptyHint}>New arrivals are added daily!</Text>
@@ -100,8 +304,11 @@ const ProductCategory = ({ route, navigation }) => {
         title={categoryTitle}
       />
 
+      {renderSortChips()}
+      {renderFilterSheet()}
+
       <FlatList
-        data={filteredProducts}
+        data={loading ? [] : products}
         keyExtractor={item => item._id}
         numColumns={2}
         columnWrapperStyle={styles.columnWrapper}
@@ -110,13 +317,22 @@ const ProductCategory = ({ route, navigation }) => {
         refreshControl={
           <RefreshControl
             refreshing={loading}
-            onRefresh={() => {}}
+            onRefresh={() => loadPage(1)}
             colors={[theme.colors.primary]}
             tintColor={theme.colors.primary}
           />
         }
         renderItem={renderProduct}
-        ListEmptyComponent={<EmptyState />}
+        onEndReached={handleEndReached}
+        onEndReachedThreshold={0.5}
+        ListEmptyComponent={loading ? null : <EmptyState />}
+        ListFooterComponent={
+          loadingMore ? (
+            <View style={styles.footerLoader}>
+              <Loader size="small" />
+            </View>
+          ) : null
+        }
       />
     </View>
   );
@@ -130,6 +346,100 @@ const styles = StyleSheet.create({
     backgroundColor: '#F8FAFC',
   },
 
+  sortScroll: {
+    flexGrow: 0,
+  },
+
+  sortRow: {
+    paddingHorizontal: width * 0.03,
+    paddingTop: height * 0.015,
+    gap: width * 0.02,
+  },
+
+  sortChip: {
+    paddingHorizontal: width * 0.035,
+    paddingVertical: height * 0.008,
+    borderRadius: 20,
+    borderWidth: 1.5,
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.white,
+  },
+
+  filterChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: width * 0.01,
+    backgroundColor: theme.colors.secondary,
+    borderColor: theme.colors.secondary,
+  },
+
+  facetScroll: {
+    maxHeight: height * 0.45,
+    alignSelf: 'stretch',
+  },
+
+  facetEmpty: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: '#64748B',
+    textAlign: 'center',
+  },
+
+  facetGroup: {
+    marginBottom: height * 0.02,
+  },
+
+  facetName: {
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.bold,
+    color: theme.colors.dark,
+    marginBottom: height * 0.01,
+  },
+
+  facetValues: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: width * 0.02,
+  },
+
+  facetChip: {
+    paddingHorizontal: width * 0.03,
+    paddingVertical: height * 0.006,
+    borderRadius: 16,
+    borderWidth: 1.5,
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.white,
+  },
+
+  facetChipText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.primary,
+  },
+
+  facetDisabled: {
+    opacity: 0.4,
+  },
+
+  sortChipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+
+  sortChipText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.primary,
+  },
+
+  sortChipTextActive: {
+    color: theme.colors.white,
+  },
+
+  footerLoader: {
+    paddingVertical: height * 0.02,
+    alignItems: 'center',
+  },
+
   list: {
     paddingHorizontal: width * 0.02,
     paddingTop: height * 0.025,
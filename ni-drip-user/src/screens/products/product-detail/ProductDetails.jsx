@@ -18,28 +18,85 @@ import {
   removeFromFavorites,
 } from '../../../redux/slices/favorite.slice';
 import { addToCart } from '../../../redux/slices/cart.slice';
-import { setProducts } from '../../../redux/slices/product.slice';
+import {
+  setProducts,
+  getProductById,
+} from '../../../redux/slices/product.slice';
 import { theme } from '../../../styles/Themes';
 import Button from '../../../utilities/custom-components/button/Button.utility';
 import Toast from 'react-native-toast-message';
 
 const { width, height } = Dimensions.get('window');
 
+/**
+ * The variant matching every chosen option value, if all are chosen
+ * @param {Object} product
+ * @param {Object<string, string>} chosen - Option name → value
+ * @returns {Object|null}
+ */
+const findVariant = (product, chosen) =>
+  product.variants?.find(variant =>
+    variant.options.every(option => chosen[option.name] === option.value),
+  ) || null;
+
+/**
+ * Can this value be picked with the other chosen values? (some variant of the
+ * combination is in stock)
+ * @param {Object} product
+ * @param {Object<string, string>} chosen
+ * @param {string} name
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValueAvailable = (product, chosen, name, value) =>
+  product.variants.some(
+    variant =>
+      variant.stock > 0 &&
+      variant.options.every(option =>
+        option.name === name
+          ? option.value === value
+          : !chosen[option.name] || chosen[option.name] === option.value,
+      ),
+  );
+
 const ProductDetails = () => {
   const route = useRoute();
   const navigation = useNavigation();
-  const { product } = route.params;
-
-  console.log('Product', product);
+  const { product: listProduct } = route.params;
 
   const dispatch = useDispatch();
+  // List items are lightweight – show them at once, then the full product
+  // (reviews, specifications) once it has loaded
+  const currentProduct = useSelector(state => state.product.currentProduct);
+  const product =
+    currentProduct?._id === listProduct._id
+      ? { ...listProduct, ...currentProduct }
+      : listProduct;
+
+  useEffect(() => {
+    dispatch(getProductById(listProduct._id));
+  }, [dispatch, listProduct]);
+
   const favorites = useSelector(state => state.favorites.favorites || []);
   const isFavorite = favorites.some(fav => fav.productId?._id === product._id);
   const { loading: cartLoading } = useSelector(state => state.cart);
 
   const [activeSlide, setActiveSlide] = useState(0);
+  const [chosenOptions, setChosenOptions] = useState({});
   const heartRef = useRef(null);
 
+  // Variant products are bought per variant – its price, stock and images
+  // apply once every option is chosen
+  const hasVariants = product.variants?.length > 0;
+  const selectedVariant = hasVariants
+    ? findVariant(product, chosenOptions)
+    : null;
+  const price = selectedVariant?.price ?? product.price;
+  const stock = hasVariants ? selectedVariant?.stock ?? 0 : product.stock;
+  const missingOption = hasVariants
+    ? product.options?.find(option => !chosenOptions[option.name])
+    : null;
+
   useEffect(() => {
     if (route.params?.product) {
       setProducts(route.params.product);
@@ -74,10 +131,28 @@ const ProductDetails = () => {
     }
   };
 
+  const handleChooseOption = (name, value) => {
+    setChosenOptions(prev => ({ ...prev, [name]: value }));
+    setActiveSlide(0);
+  };
+
   const handleAddToCart = async () => {
+    if (missingOption) {
+      Toast.show({
+        type: 'info',
+        text1: 'Choose an option',
+        text2: `Please choose a ${missingOption.name.toLowerCase()} first.`,
+      });
+      return;
+    }
+
     try {
       const resultAction = await dispatch(
-        addToCart({ productId: product._id, quantity: 1 }),
+        addToCart({
+          productId: product._id,
+          variantId: selectedVariant?._id,
+          quantity: 1,
+        }),
       );
 
       if (addToCart.fulfilled.match(resultAction)) {
@@ -101,7 +176,9 @@ const ProductDetails = () => {
   };
 
   const images =
-    product.productImages?.length > 0
+    selectedVariant?.images?.length > 0
+      ? selectedVariant.images
+      : product.productImages?.length > 0
       ? product.productImages
       : ['https://via.placeholder.com/400'];
 
@@ -144,6 +221,7 @@ const ProductDetails = () => {
       <ScrollView showsVerticalScrollIndicator={false} bounces={false}>
         <View style={styles.imageBox}>
           <ScrollView
+            key={selectedVariant?._id || 'product'}
             horizontal
             pagingEnabled
             showsHorizontalScrollIndicator={false}
@@ -167,7 +245,9 @@ const ProductDetails = () => {
         </View>
 
         <View style={styles.infoSection}>
-          <Text style={styles.priceText}>${product.price?.toFixed(2)}</Text>
+          <Text style={styles.priceText}>
+            {hasVariants && !selectedVariant ? 'From ' : ''}${price?.toFixed(2)}
+          </Text>
           <Text style={styles.productTitle}>{product.title}</Text>
 
           <View style={styles.ratingRow}>
@@ -187,6 +267,54 @@ const ProductDetails = () => {
               {product.totalReviews || 0} Ratings
             </Text>
           </View>
+
+          {hasVariants &&
+            product.options?.map(option => (
+              <View key={option.name} style={styles.optionGroup}>
+                <Text style={styles.optionName}>
+                  {option.name}
+                  {chosenOptions[option.name] ? (
+                    <Text style={styles.optionChosen}>
+                      {'  '}
+                      {chosenOptions[option.name]}
+                    </Text>
+                  ) : null}
+                </Text>
+                <View style={styles.optionValues}>
+                  {option.values.map(value => {
+                    const isChosen = chosenOptions[option.name] === value;
+                    const isAvailable = isValueAvailable(
+                      product,
+                      chosenOptions,
+                      option.name,
+                      value,
+                    );
+                    return (
+                      <TouchableOpacity
+                        key={value}
+                        activeOpacity={0.7}
+                        onPress={() => handleChooseOption(option.name, value)}
+                        style={[
+                          styles.optionChip,
+                          isChosen && styles.optionChipActive,
+                          !isAvailable && styles.optionChipUnavailable,
+                        ]}
+                      >
+                        <Text
+                          style={[
+                            styles.optionChipText,
+                            isChosen && styles.optionChipTextActive,
+                            !isAvailable && styles.optionChipTextUnavailable,
+                          ]}
+                        >
+                          {value}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            ))}
         </View>
 
         <View style={styles.gap} />
@@ -303,14 +431,16 @@ const ProductDetails = () => {
             size={width * 0.06}
             color={theme.colors.secondary}
           />
-          <Text style={styles.stockLabel}>Stock {product.stock}</Text>
+          <Text style={styles.stockLabel}>
+            {missingOption ? 'Choose options' : `Stock ${stock}`}
+          </Text>
         </View>
 
         <View style={styles.buttonGroup}>
           <Button
             title={cartLoading ? 'Adding...' : 'Add to Cart'}
             onPress={handleAddToCart}
-            disabled={cartLoading || product.stock < 1} // Disable if out of stock or loading
+            disabled={cartLoading || (!missingOption && stock < 1)} // Disable if out of stock or loading
             width={100}
             backgroundColor={theme.colors.gray}
             textColor={theme.colors.dark}
@@ -487,6 +617,62 @@ const styles = StyleSheet.create({
     fontFamily: theme.typography.medium,
   },
 
+  optionGroup: {
+    marginTop: height * 0.02,
+  },
+
+  optionName: {
+    fontSize: theme.typography.fontSize.sm,
+    color: theme.colors.dark,
+    fontFamily: theme.typography.bold,
+    marginBottom: height * 0.01,
+  },
+
+  optionChosen: {
+    color: '#718096',
+    fontFamily: theme.typography.medium,
+  },
+
+  optionValues: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: width * 0.02,
+  },
+
+  optionChip: {
+    paddingHorizontal: width * 0.04,
+    paddingVertical: height * 0.008,
+    borderRadius: theme.borderRadius.large,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    backgroundColor: theme.colors.white,
+  },
+
+  optionChipActive: {
+    borderColor: theme.colors.primary,
+    backgroundColor: '#FDF2F8',
+  },
+
+  optionChipUnavailable: {
+    borderStyle: 'dashed',
+  },
+
+  optionChipText: {
+    fontSize: theme.typography.fontSize.xs,
+    color: theme.colors.dark,
+    fontFamily: theme.typography.medium,
+  },
+
+  optionChipTextActive: {
+    color: theme.colors.primary,
+    fontFamily: theme.typography.bold,
+  },
+
+  optionChipTextUnavailable: {
+    color: '#A0AEC0',
+    textDecorationLine: 'line-through',
+  },
+
   gap: {
     height: height * 0.012,
   },
@@ -0,0 +1,208 @@
+/**
+ * @component SearchResults
+ * @description Lists catalog products matching a search, most relevant first.
+ * * * Key Features:
+ * - Server-side Search: Title, category, specification values and description are
+ * searched by the backend, which also corrects typos.
+ * - Did You Mean: When words were corrected, a note shows the query that was searched.
+ * - Infinite Scroll: The next page loads as the list nears its end.
+ * - Grid Layout: Same two-column `ProductCard` grid as the category screen.
+ * * * @param {Object} props
+ * @param {Object} props.route - React Navigation route object.
+ * @param {Object} props.route.params - Route parameters.
+ * @param {string} props.route.params.query - The search text entered on the dashboard.
+ * @param {Object} props.navigation - React Navigation prop used to navigate to "Product_Details".
+ * * @returns {React.JSX.Element}
+ */
+
+import React, { useCallback, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  FlatList,
+  Text,
+  Dimensions,
+  RefreshControl,
+} from 'react-native';
+import * as Animatable from 'react-native-animatable';
+import { useDispatch, useSelector } from 'react-redux';
+import { theme } from '../../../styles/Themes';
+import Header from '../../../utilities/custom-components/header/header/Header';
+import ProductCard from '../../../utilities/custom-components/card/product-card/ProductCard';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import Loader from '../../../utilities/custom-components/loader/Loader.utility';
+import { searchProducts } from '../../../redux/slices/product.slice';
+
+const { width, height } = Dimensions.get('window');
+
+const SearchResults = ({ route, navigation }) => {
+  const { query } = route.params;
+  const dispatch = useDispatch();
+  const {
+    searchResults,
+    searchPagination,
+    correctedQuery,
+    searchLoading,
+    searchLoadingMore,
+  } = useSelector(state => state.product);
+
+  const loadPage = useCallback(
+    page => dispatch(searchProducts({ q: query, page })),
+    [dispatch, query],
+  );
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  const handleEndReached = () => {
+    if (searchPagination?.hasMore && !searchLoading && !searchLoadingMore) {
+      loadPage(searchPagination.page + 1);
+    }
+  };
+
+  const renderEmptyState = () => (
+    <Animatable.View
+      animation="fadeIn"
+      duration={800}
+      style={styles.emptyContainer}
+    >
+      <MaterialCommunityIcons name="text-search" size={120} color="#CBD5E1" />
+      <Text style={styles.emptyTitle}>No results for "{query}"</Text>
+      <Text style={styles.emptySubtitle}>
+        Check the spelling or try a more general term
+      </Text>
+    </Animatable.View>
+  );
+
+  const renderProduct = ({ item, index }) => (
+    <Animatable.View
+      animation="fadeInUp"
+      delay={Math.min(index, 10) * 80}
+      duration={600}
+      easing="ease-out-cubic"
+    >
+      <ProductCard
+        product={item}
+        onPress={() =>
+          navigation.navigate('Product_Details', { product: item })
+        }
+      />
+    </Animatable.View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Header logo={require('../../../assets/logo/logo.png')} title="Search" />
+
+      {!searchLoading && (
+        <View style={styles.summary}>
+          <Text style={styles.summaryText} numberOfLines={1}>
+            {searchPagination?.total || 0} results for "{query}"
+          </Text>
+          {correctedQuery && (
+            <Text style={styles.correctedText} numberOfLines={1}>
+              Including results for "{correctedQuery}"
+            </Text>
+          )}
+        </View>
+      )}
+
+      <FlatList
+        data={searchLoading ? [] : searchResults}
+        keyExtractor={item => item._id}
+        numColumns={2}
+        columnWrapperStyle={styles.columnWrapper}
+        contentContainerStyle={styles.list}
+        showsVerticalScrollIndicator={false}
+        refreshControl={
+          <RefreshControl
+            refreshing={searchLoading}
+            onRefresh={() => loadPage(1)}
+            colors={[theme.colors.primary]}
+            tintColor={theme.colors.primary}
+          />
+        }
+        renderItem={renderProduct}
+        onEndReached={handleEndReached}
+        onEndReachedThreshold={0.5}
+        ListEmptyComponent={searchLoading ? null : renderEmptyState()}
+        ListFooterComponent={
+          searchLoadingMore ? (
+            <View style={styles.footerLoader}>
+              <Loader size="small" />
+            </View>
+          ) : null
+        }
+      />
+    </View>
+  );
+};
+
+export default SearchResults;
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+  },
+
+  summary: {
+    paddingHorizontal: width * 0.04,
+    paddingTop: height * 0.015,
+  },
+
+  summaryText: {
+    fontSize: theme.typography.fontSize.sm,
+    fontFamily: theme.typography.bold,
+    color: '#0F172A',
+  },
+
+  correctedText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.primary,
+    marginTop: height * 0.004,
+  },
+
+  footerLoader: {
+    paddingVertical: height * 0.02,
+    alignItems: 'center',
+  },
+
+  list: {
+    paddingHorizontal: width * 0.02,
+    paddingTop: height * 0.02,
+    paddingBottom: height * 0.08,
+  },
+
+  columnWrapper: {
+    justifyContent: 'space-between',
+    marginBottom: height * 0.02,
+  },
+
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: width * 0.1,
+    marginTop: height * 0.1,
+  },
+
+  emptyTitle: {
+    fontSize: theme.typography.fontSize.xl,
+    fontFamily: theme.typography.bold,
+    color: '#1E293B',
+    marginTop: height * 0.03,
+    textAlign: 'center',
+  },
+
+  emptySubtitle: {
+    fontSize: theme.typography.fontSize.md,
+    fontFamily: theme.typography.medium,
+    color: '#64748B',
+    marginTop: height * 0.015,
+    textAlign: 'center',
+    lineHeight: 24,
+  },
+});
@@ -1,7 +1,11 @@
 /**
  * @fileoverview Favorites (Wishlist) Screen
  * @module screens/favorites/FavoritesScreen
- * @description Displays user's bookmarked products with the ability to remove items or move them to cart.
+ * @description Displays user's bookmarked products grouped into wishlists
+ *              (Favorites, Saved for later and the user's own named lists).
+ *              Items can be removed, moved to another list or moved to the
+ *              cart with their quantity. Long-press a list to share it
+ *              through a read-only link, rename it or delete it.
  */
 
 import React, { useEffect, useState, useRef } from 'react';
@@ -15,6 +19,8 @@ import {
   Animated,
   RefreshControl,
   TouchableOpacity,
+  ScrollView,
+  Share,
 } from 'react-native';
 import { useDispatch, useSelector } from 'react-redux';
 import { useNavigation } from '@react-navigation/native';
@@ -25,30 +31,84 @@ import { globalStyles } from '../../../styles/GlobalStyles';
 import Header from '../../../utilities/custom-components/header/header/Header';
 import CartCard from '../../../utilities/custom-components/card/cart-card/CartCard';
 import Loader from '../../../utilities/custom-components/loader/Loader.utility';
+import Modal from '../../../utilities/custom-components/modal/Modal.utility';
+import InputField from '../../../utilities/custom-components/input-field/InputField.utility';
 import {
   getFavorites,
+  getWishlists,
   removeFromFavorites,
   resetFavoritesState,
+  createWishlist,
+  renameWishlist,
+  deleteWishlist,
+  setWishlistSharing,
+  moveFavorite,
+  moveFavoriteToCart,
 } from '../../../redux/slices/favorite.slice';
-import { addToCart } from '../../../redux/slices/cart.slice';
 import Button from '../../../utilities/custom-components/button/Button.utility';
+import CONFIG from '../../../redux/config/Config';
 
 const { width, height } = Dimensions.get('window');
 
+/**
+ * Empty-state copy per list kind
+ * @type {Object<string, { title: string, subtitle: string }>}
+ */
+const EMPTY_COPY = {
+  DEFAULT: {
+    title: 'Your Wishlist is Empty',
+    subtitle: 'Tap the heart icon on any product to save it for later.',
+  },
+  SAVED_FOR_LATER: {
+    title: 'Nothing Saved for Later',
+    subtitle: 'Items you save from your cart show up here.',
+  },
+  CUSTOM: {
+    title: 'This List is Empty',
+    subtitle: 'Move items here from your other lists.',
+  },
+};
+
+/**
+ * Read-only link to a shared list
+ * @param {string} shareToken
+ * @returns {string}
+ */
+const getShareLink = shareToken =>
+  `${CONFIG.BACKEND_API_URL}/favorite/shared/${shareToken}`;
+
 const Favorites = () => {
   const dispatch = useDispatch();
   const navigation = useNavigation();
-  const { favorites, loading, error, message, success } = useSelector(
-    state => state.favorites,
-  );
+  const {
+    favorites,
+    wishlists,
+    loading,
+    wishlistActionLoading,
+    error,
+    message,
+    success,
+  } = useSelector(state => state.favorites);
 
   const [refreshing, setRefreshing] = useState(false);
+  const [selectedListId, setSelectedListId] = useState(null);
+  // 'create' | 'rename' | 'options' | 'delete' | 'move'
+  const [activeModal, setActiveModal] = useState(null);
+  const [listName, setListName] = useState('');
+  const [movingProductId, setMovingProductId] = useState(null);
   const fadeAnim = useRef(new Animated.Value(0)).current;
 
+  const selectedList =
+    wishlists.find(list => list._id === selectedListId) || wishlists[0];
+  const listItems = selectedList
+    ? favorites.filter(fav => fav.wishlistId === selectedList._id)
+    : [];
+
   useEffect(() => {
     StatusBar.setBackgroundColor(theme.colors.primary);
     dispatch(getFavorites());
-  }, []);
+    dispatch(getWishlists());
+  }, [dispatch]);
 
   useEffect(() => {
     if (success && message) {
@@ -67,7 +127,7 @@ const Favorites = () => {
       });
       dispatch(resetFavoritesState());
     }
-  }, [success, error, message]);
+  }, [success, error, message, dispatch]);
 
   useEffect(() => {
     if (!loading) {
@@ -77,11 +137,37 @@ const Favorites = () => {
         useNativeDriver: true,
       }).start();
     }
-  }, [loading]);
+  }, [loading, fadeAnim]);
+
+  const closeModal = () => {
+    setActiveModal(null);
+    setListName('');
+    setMovingProductId(null);
+  };
+
+  /**
+   * Run a list action and toast its outcome
+   * @param {Promise} action - Dispatched thunk
+   * @param {string} errorTitle
+   * @returns {Promise<Object|null>} Payload on success
+   */
+  const runListAction = async (action, errorTitle) => {
+    const result = await action;
+    if (result.error) {
+      Toast.show({
+        type: 'error',
+        text1: errorTitle,
+        text2: result.payload?.message,
+      });
+      return null;
+    }
+    Toast.show({ type: 'success', text1: result.payload.message });
+    return result.payload;
+  };
 
   const handleRefresh = async () => {
     setRefreshing(true);
-    await dispatch(getFavorites());
+    await Promise.all([dispatch(getFavorites()), dispatch(getWishlists())]);
     setRefreshing(false);
   };
 
@@ -89,42 +175,179 @@ const Favorites = () => {
     await dispatch(removeFromFavorites(productId));
   };
 
-  const handleAddToCart = async productId => {
-    const result = await dispatch(addToCart({ productId, quantity: 1 }));
-    if (addToCart.fulfilled.match(result)) {
+  const handleMoveToCart = async productId => {
+    const payload = await runListAction(
+      dispatch(moveFavoriteToCart(productId)),
+      'Not moved to cart',
+    );
+    if (payload?.capped) {
       Toast.show({
-        type: 'success',
-        text1: 'Success',
-        text2: 'Moved to shopping cart! 🛒',
+        type: 'error',
+        text1: 'Limited stock',
+        text2: payload.message,
       });
     }
   };
 
-  const renderEmptyState = () => (
-    <View style={styles.emptyContainer}>
-      <View style={styles.iconCircle}>
+  const handleMoveToList = async wishlistId => {
+    const payload = await runListAction(
+      dispatch(moveFavorite({ productId: movingProductId, wishlistId })),
+      'Item not moved',
+    );
+    if (payload) closeModal();
+  };
+
+  const handleSaveListName = async () => {
+    const payload = await runListAction(
+      activeModal === 'rename'
+        ? dispatch(
+            renameWishlist({ wishlistId: selectedList._id, name: listName }),
+          )
+        : dispatch(createWishlist(listName)),
+      activeModal === 'rename' ? 'List not renamed' : 'List not created',
+    );
+    if (payload) {
+      setSelectedListId(payload.wishlist._id);
+      closeModal();
+    }
+  };
+
+  const handleDeleteList = async () => {
+    const payload = await runListAction(
+      dispatch(deleteWishlist(selectedList._id)),
+      'List not deleted',
+    );
+    if (payload) {
+      setSelectedListId(payload.movedTo._id);
+      closeModal();
+    }
+  };
+
+  const handleShareList = async () => {
+    let shareToken = selectedList.shareToken;
+    if (!shareToken) {
+      const payload = await runListAction(
+        dispatch(
+          setWishlistSharing({ wishlistId: selectedList._id, share: true }),
+        ),
+        'List not shared',
+      );
+      if (!payload) return;
+      shareToken = payload.wishlist.shareToken;
+    }
+
+    closeModal();
+    await Share.share({
+      message: `${selectedList.name} – my NiDrip wishlist: ${getShareLink(
+        shareToken,
+      )}`,
+    });
+  };
+
+  const handleStopSharing = async () => {
+    const payload = await runListAction(
+      dispatch(
+        setWishlistSharing({ wishlistId: selectedList._id, share: false }),
+      ),
+      'Sharing not stopped',
+    );
+    if (payload) closeModal();
+  };
+
+  const renderListChips = () => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.chipsContainer}
+    >
+      {wishlists.map(list => {
+        const isActive = list._id === selectedList?._id;
+        return (
+          <TouchableOpacity
+            key={list._id}
+            onPress={() => setSelectedListId(list._id)}
+            onLongPress={() => {
+              setSelectedListId(list._id);
+              setActiveModal('options');
+            }}
+            activeOpacity={0.8}
+            style={[styles.chip, isActive && styles.chipActive]}
+          >
+            {list.isShared ? (
+              <MaterialCommunityIcons
+                name="link-variant"
+                size={width * 0.04}
+                color={isActive ? theme.colors.white : theme.colors.primary}
+                style={styles.chipIcon}
+              />
+            ) : null}
+            <Text style={[styles.chipText, isActive && styles.chipTextActive]}>
+              {list.name} ({list.itemsCount})
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+
+      <TouchableOpacity
+        onPress={() => setActiveModal('create')}
+        activeOpacity={0.8}
+        style={[styles.chip, styles.newListChip]}
+      >
         <MaterialCommunityIcons
-          name="heart-outline"
-          size={width * 0.2}
+          name="plus"
+          size={width * 0.04}
           color={theme.colors.primary}
+          style={styles.chipIcon}
         />
-      </View>
-      <Text style={styles.emptyTitle}>Your Wishlist is Empty</Text>
-      <Text style={styles.emptySubtitle}>
-        Tap the heart icon on any product to save it for later.
-      </Text>
+        <Text style={styles.chipText}>New list</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
 
-      <View style={styles.btnContainer}>
-        <Button
-          title="Explore Products"
-          onPress={() => navigation.navigate('Main')}
-          width={width * 0.64}
-          backgroundColor={theme.colors.primary}
-          textColor={theme.colors.white}
-          borderRadius={theme.borderRadius.medium}
-        />
+  const renderEmptyState = () => {
+    const copy = EMPTY_COPY[selectedList?.kind] || EMPTY_COPY.DEFAULT;
+
+    return (
+      <View style={styles.emptyContainer}>
+        <View style={styles.iconCircle}>
+          <MaterialCommunityIcons
+            name="heart-outline"
+            size={width * 0.2}
+            color={theme.colors.primary}
+          />
+        </View>
+        <Text style={styles.emptyTitle}>{copy.title}</Text>
+        <Text style={styles.emptySubtitle}>{copy.subtitle}</Text>
+
+        <View style={styles.btnContainer}>
+          <Button
+            title="Explore Products"
+            onPress={() => navigation.navigate('Main')}
+            width={width * 0.64}
+            backgroundColor={theme.colors.primary}
+            textColor={theme.colors.white}
+            borderRadius={theme.borderRadius.medium}
+          />
+        </View>
       </View>
-    </View>
+    );
+  };
+
+  const renderOption = (icon, label, onPress, danger) => (
+    <TouchableOpacity
+      onPress={onPress}
+      activeOpacity={0.7}
+      style={styles.optionRow}
+    >
+      <MaterialCommunityIcons
+        name={icon}
+        size={width * 0.055}
+        color={danger ? theme.colors.error : theme.colors.primary}
+      />
+      <Text style={[styles.optionText, danger && styles.optionTextDanger]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
   );
 
   return (
@@ -140,8 +363,10 @@ const Favorites = () => {
         </View>
       ) : (
         <Animated.View style={{ flex: 1, opacity: fadeAnim }}>
+          {wishlists.length > 0 ? renderListChips() : null}
+
           <FlatList
-            data={favorites}
+            data={listItems}
             keyExtractor={item => item._id}
             contentContainerStyle={styles.listContainer}
             showsVerticalScrollIndicator={false}
@@ -162,26 +387,137 @@ const Favorites = () => {
                     item.productId?.productImages?.[0] ||
                     item.productId?.productImage
                   }
-                  quantity={1}
+                  quantity={item.quantity || 1}
                   onRemove={() => handleRemove(item.productId?._id)}
-                  // We override internal quantity UI with a custom "Add to Cart" action for Favorites
+                  // We override internal quantity UI with custom cart / list actions for Favorites
                 />
-                <TouchableOpacity
-                  style={styles.addToCartFloatingBtn}
-                  onPress={() => handleAddToCart(item.productId?._id)}
-                >
-                  <MaterialCommunityIcons
-                    name="cart-outline"
-                    size={width * 0.05}
-                    color={theme.colors.white}
-                  />
-                  <Text style={styles.addToCartText}>Add to Cart</Text>
-                </TouchableOpacity>
+                <View style={styles.itemActions}>
+                  <TouchableOpacity
+                    style={styles.addToCartFloatingBtn}
+                    onPress={() => handleMoveToCart(item.productId?._id)}
+                    disabled={wishlistActionLoading}
+                  >
+                    <MaterialCommunityIcons
+                      name="cart-outline"
+                      size={width * 0.05}
+                      color={theme.colors.white}
+                    />
+                    <Text style={styles.addToCartText}>Move to Cart</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.addToCartFloatingBtn, styles.moveBtn]}
+                    onPress={() => {
+                      setMovingProductId(item.productId?._id);
+                      setActiveModal('move');
+                    }}
+                  >
+                    <MaterialCommunityIcons
+                      name="folder-move-outline"
+                      size={width * 0.05}
+                      color={theme.colors.white}
+                    />
+                    <Text style={styles.addToCartText}>Move</Text>
+                  </TouchableOpacity>
+                </View>
               </View>
             )}
           />
         </Animated.View>
       )}
+
+      <Modal
+        isOpen={activeModal === 'create' || activeModal === 'rename'}
+        onClose={closeModal}
+        title={activeModal === 'rename' ? 'Rename List' : 'New List'}
+        subtitle="e.g. Gaming setup, Gifts"
+        buttons={[
+          { label: 'Cancel', variant: 'secondary', onClick: closeModal },
+          {
+            label: 'Save',
+            loading: wishlistActionLoading,
+            disabled: !listName.trim(),
+            onClick: handleSaveListName,
+          },
+        ]}
+      >
+        <InputField
+          placeholder="List name"
+          value={listName}
+          onChangeText={setListName}
+        />
+      </Modal>
+
+      <Modal
+        isOpen={activeModal === 'options'}
+        onClose={closeModal}
+        title={selectedList?.name}
+        subtitle={
+          selectedList?.isShared
+            ? 'Anyone with the link can view this list'
+            : 'Only you can see this list'
+        }
+        buttons={[
+          { label: 'Close', variant: 'secondary', onClick: closeModal },
+        ]}
+      >
+        {renderOption(
+          'share-variant-outline',
+          selectedList?.isShared ? 'Share link' : 'Share read-only link',
+          handleShareList,
+        )}
+        {selectedList?.isShared
+          ? renderOption('link-variant-off', 'Stop sharing', handleStopSharing)
+          : null}
+        {selectedList?.kind === 'CUSTOM' ? (
+          <>
+            {renderOption('pencil-outline', 'Rename', () => {
+              setListName(selectedList.name);
+              setActiveModal('rename');
+            })}
+            {renderOption(
+              'trash-can-outline',
+              'Delete',
+              () => setActiveModal('delete'),
+              true,
+            )}
+          </>
+        ) : null}
+      </Modal>
+
+      <Modal
+        isOpen={activeModal === 'delete'}
+        onClose={closeModal}
+        title={`Delete ${selectedList?.name}?`}
+        subtitle="Its items move to Favorites."
+        buttons={[
+          { label: 'Cancel', variant: 'secondary', onClick: closeModal },
+          {
+            label: 'Delete',
+            variant: 'danger',
+            loading: wishlistActionLoading,
+            onClick: handleDeleteList,
+          },
+        ]}
+      />
+
+      <Modal
+        isOpen={activeModal === 'move'}
+        onClose={closeModal}
+        title="Move to List"
+        buttons={[
+          { label: 'Cancel', variant: 'secondary', onClick: closeModal },
+        ]}
+      >
+        {wishlists
+          .filter(list => list._id !== selectedList?._id)
+          .map(list => (
+            <React.Fragment key={list._id}>
+              {renderOption('folder-outline', list.name, () =>
+                handleMoveToList(list._id),
+              )}
+            </React.Fragment>
+          ))}
+      </Modal>
     </View>
   );
 };
@@ -194,6 +530,45 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
 
+  chipsContainer: {
+    paddingHorizontal: width * 0.04,
+    paddingTop: height * 0.015,
+    gap: width * 0.02,
+  },
+
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: width * 0.035,
+    paddingVertical: height * 0.008,
+    borderRadius: 20,
+    borderWidth: 1.5,
+    borderColor: theme.colors.primary,
+    backgroundColor: theme.colors.white,
+  },
+
+  chipActive: {
+    backgroundColor: theme.colors.primary,
+  },
+
+  newListChip: {
+    borderStyle: 'dashed',
+  },
+
+  chipIcon: {
+    marginRight: width * 0.01,
+  },
+
+  chipText: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.primary,
+  },
+
+  chipTextActive: {
+    color: theme.colors.white,
+  },
+
   listContainer: {
     padding: width * 0.04,
     paddingBottom: height * 0.05,
@@ -204,16 +579,27 @@ const styles = StyleSheet.create({
     marginBottom: height * 0.015,
   },
 
+  itemActions: {
+    flexDirection: 'row',
+    marginTop: -(height * 0.01),
+    zIndex: -1,
+  },
+
   addToCartFloatingBtn: {
+    flex: 1,
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'center',
     backgroundColor: theme.colors.dark,
     paddingVertical: height * 0.01,
     borderBottomLeftRadius: theme.borderRadius.medium,
+  },
+
+  moveBtn: {
+    flex: 0.6,
+    backgroundColor: theme.colors.primary,
+    borderBottomLeftRadius: 0,
     borderBottomRightRadius: theme.borderRadius.medium,
-    marginTop: -(height * 0.01),
-    zIndex: -1,
   },
 
   addToCartText: {
@@ -223,6 +609,23 @@ const styles = StyleSheet.create({
     marginLeft: width * 0.02,
   },
 
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: height * 0.012,
+  },
+
+  optionText: {
+    marginLeft: width * 0.03,
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.semiBold,
+    color: theme.colors.dark,
+  },
+
+  optionTextDanger: {
+    color: theme.colors.error,
+  },
+
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
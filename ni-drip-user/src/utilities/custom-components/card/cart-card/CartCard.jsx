@@ -1,6 +1,7 @@
 /**
  * @fileoverview Reusable Cart Item Card Component
  * @module components/cards/CartCard
+ * @description `subtitle` shows the chosen variant ("Black / 128GB").
  */
 
 import React, { useRef, useEffect } from 'react';
@@ -20,6 +21,7 @@ const { width, height } = Dimensions.get('window');
 
 const CartCard = ({
   title,
+  subtitle,
   price,
   imageUrl,
   onRemove,
@@ -71,6 +73,12 @@ const CartCard = ({
           {title}
         </Text>
 
+        {subtitle ? (
+          <Text style={styles.subtitle} numberOfLines={1}>
+            {subtitle}
+          </Text>
+        ) : null}
+
         <Text style={styles.price}>${price?.toFixed(2)}</Text>
 
         <View style={styles.quantityContainer}>
@@ -155,6 +163,13 @@ const styles = StyleSheet.create({
     lineHeight: theme.typography.fontSize.lg,
   },
 
+  subtitle: {
+    fontSize: theme.typography.fontSize.xs,
+    fontFamily: theme.typography.medium,
+    color: theme.colors.gray,
+    marginTop: height * 0.003,
+  },
+
   price: {
     fontSize: theme.typography.fontSize.sm,
     fontFamily: theme.typography.bold,
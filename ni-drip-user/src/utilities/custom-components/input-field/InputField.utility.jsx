@@ -10,6 +10,7 @@
  * Features:
  * - Unified styling with app theme (borders, colors, typography)
  * - Optional left & right icons (e.g., eye for password visibility, clear button)
+ * - Submit handling (`onSubmitEditing`, `returnKeyType`) for search-style inputs
  * - Responsive padding & sizing based on screen width
  * - Multiline support with proper text alignment
  * - Dropdown in modal mode with smooth fade animation
@@ -46,6 +47,8 @@ const InputField = ({
   dropdownOptions,
   selectedValue,
   onValueChange,
+  onSubmitEditing,
+  returnKeyType,
 }) => {
   const [open, setOpen] = useState(false);
 
@@ -93,6 +96,8 @@ const InputField = ({
           editable={editable}
           keyboardType={keyboardType}
           multiline={multiline}
+          onSubmitEditing={onSubmitEditing}
+          returnKeyType={returnKeyType}
           style={[
             globalStyles.input,
             styles.textInput,
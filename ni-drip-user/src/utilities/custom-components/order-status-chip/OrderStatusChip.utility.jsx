@@ -0,0 +1,85 @@
+/**
+ * @file OrderStatusChip.jsx
+ * @module Components/OrderStatusChip
+ * @description
+ * Small coloured pill showing an order status (PENDING, SHIPPED, ...) with a
+ * matching icon. Used by the order history list and the order detail screen.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, Dimensions } from 'react-native';
+import MaterialCommunityIcons from 'react-native-vector-icons/MaterialCommunityIcons';
+import { theme } from '../../../styles/Themes';
+
+const { width } = Dimensions.get('window');
+
+/**
+ * Colour, background and icon per order status
+ * @type {Object<string, { color: string, bg: string, icon: string }>}
+ */
+const STATUS_STYLES = {
+  PENDING: { color: '#F59E0B', bg: '#FFFBEB', icon: 'clock-outline' },
+  PROCESSING: { color: '#3B82F6', bg: '#EFF6FF', icon: 'cog-outline' },
+  PARTIALLY_SHIPPED: {
+    color: '#8B5CF6',
+    bg: '#F5F3FF',
+    icon: 'truck-outline',
+  },
+  SHIPPED: { color: '#8B5CF6', bg: '#F5F3FF', icon: 'truck-fast-outline' },
+  DELIVERED: {
+    color: '#10B981',
+    bg: '#ECFDF5',
+    icon: 'package-variant-closed-check',
+  },
+  CANCELLED: { color: '#EF4444', bg: '#FEF2F2', icon: 'close-circle-outline' },
+  PARTIALLY_RETURNED: {
+    color: '#64748B',
+    bg: '#F1F5F9',
+    icon: 'keyboard-return',
+  },
+  RETURNED: { color: '#64748B', bg: '#F1F5F9', icon: 'keyboard-return' },
+};
+
+const OrderStatusChip = ({ status, style }) => {
+  const { color, bg, icon } = STATUS_STYLES[status] || {
+    color: theme.colors.dark,
+    bg: '#F1F5F9',
+    icon: 'progress-question',
+  };
+
+  return (
+    <View style={[styles.chip, { backgroundColor: bg }, style]}>
+      <MaterialCommunityIcons
+        name={icon}
+        size={width * 0.035}
+        color={color}
+        style={styles.icon}
+      />
+      <Text style={[styles.text, { color }]}>
+        {(status || '').replace(/_/g, ' ')}
+      </Text>
+    </View>
+  );
+};
+
+export default OrderStatusChip;
+
+const styles = StyleSheet.create({
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingHorizontal: width * 0.025,
+    paddingVertical: width * 0.01,
+    borderRadius: 20,
+  },
+
+  icon: {
+    marginRight: width * 0.01,
+  },
+
+  text: {
+    fontSize: 11,
+    fontFamily: theme.typography.bold,
+  },
+});